@@ -1,12 +1,18 @@
 require('dotenv').config();
 const express = require('express');
 const fs = require('fs').promises;
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const mysql = require('mysql2/promise');
 const nodemailer = require('nodemailer');
+const { Parser } = require('node-sql-parser');
+const jwt = require('jsonwebtoken');
 
 const app = express();
-app.use(express.json());
 
 // Database connection pool
 const dbPool = mysql.createPool({
@@ -20,124 +26,1062 @@ const dbPool = mysql.createPool({
     queueLimit: 0
 });
 
-// Email transporter configuration
-const transporter = nodemailer.createTransport({
-    service: process.env.EMAIL_SERVICE || 'gmail',
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD
+// Email transporter configuration. Setting SMTP_HOST sends through that SMTP server instead of
+// EMAIL_SERVICE, e.g. a local stand-in such as MailHog (SMTP_HOST=localhost, SMTP_PORT=1025).
+const transporter = nodemailer.createTransport(process.env.SMTP_HOST
+    ? {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.EMAIL_PASSWORD
+            ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+            : undefined
     }
-});
+    : {
+        service: process.env.EMAIL_SERVICE || 'gmail',
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD
+        }
+    });
+
+// Address notification emails are sent from
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+
+// Authentication configuration
+// AUTH_MODE=jwt verifies "Authorization: Bearer" tokens; AUTH_MODE=headers trusts the
+// x-user-id / x-organization-id headers forwarded by the router service (see structure.txt)
+const AUTH_MODE = (process.env.AUTH_MODE || 'jwt').toLowerCase();
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_ISSUER = process.env.JWT_ISSUER;
+
+if (AUTH_MODE === 'jwt' && !JWT_ISSUER) {
+    console.error('JWT_ISSUER is not set - bearer tokens will be refused until it is configured.');
+}
+
+// How long a previewed write can be confirmed for
+const CONFIRMATION_TTL_SECONDS = parseInt(process.env.CONFIRMATION_TTL_SECONDS, 10) || 300;
+
+// How long the system prompt built for an organization is reused before its reference values are reloaded
+const SYSTEM_PROMPT_TTL_SECONDS = parseInt(process.env.SYSTEM_PROMPT_TTL_SECONDS, 10) || 600;
+
+// How long the schema version is trusted before INFORMATION_SCHEMA is checked again for migrations
+const SCHEMA_VERSION_TTL_SECONDS = parseInt(process.env.SCHEMA_VERSION_TTL_SECONDS, 10) || 60;
+
+// Most statements the assistant may run for one multi-action request
+const MAX_PLAN_STEPS = parseInt(process.env.MAX_PLAN_STEPS, 10) || 5;
+
+// Rows per page of a SELECT result (callers may ask for up to the maximum), and how long the cursor
+// for the next page stays valid
+const QUERY_PAGE_SIZE = parseInt(process.env.QUERY_PAGE_SIZE, 10) || 50;
+const QUERY_MAX_PAGE_SIZE = Math.max(parseInt(process.env.QUERY_MAX_PAGE_SIZE, 10) || 500, QUERY_PAGE_SIZE);
+const QUERY_CURSOR_TTL_MINUTES = parseInt(process.env.QUERY_CURSOR_TTL_MINUTES, 10) || 30;
+
+// Conversation memory for /ai-query sessions: turns fed back to the AI, and how long a turn is kept
+const SESSION_HISTORY_TURNS = parseInt(process.env.SESSION_HISTORY_TURNS, 10) || 6;
+const SESSION_TTL_MINUTES = parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30;
+
+// Notification outbox: delivery attempts before a notification is dead-lettered, the delay before
+// the first retry (doubled after each failed attempt), and how often the local server runs the dispatcher
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const NOTIFICATION_RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 60;
+const NOTIFICATION_DISPATCH_INTERVAL_SECONDS = parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL_SECONDS, 10) || 60;
+
+// Company policies not reviewed for this many days are flagged as due for review
+const POLICY_REVIEW_MAX_AGE_DAYS = parseInt(process.env.POLICY_REVIEW_MAX_AGE_DAYS, 10) || 365;
+
+// Leave types (comma-separated, any case) whose approved days are unpaid and taken off payslips
+const UNPAID_LEAVE_TYPES = (process.env.UNPAID_LEAVE_TYPES || 'Unpaid Leave,Loss of Pay,Leave Without Pay')
+    .split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+
+// IANA time zone for organizations whose Organizations.timezone is not set
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+// SQL parser used to inspect AI-generated statements
+const sqlParser = new Parser();
+const SQL_DIALECT = { database: 'MySQL' };
+
+// --- LLM Providers ---
+
+// The model that turns questions into SQL is chosen by configuration so each environment can
+// use its own: Gemini in production, a local OpenAI-compatible server (Ollama, llama.cpp) or
+// recorded responses for offline development.
+//   LLM_PROVIDER=gemini  - Google Gemini (GEMINI_API_KEY)
+//   LLM_PROVIDER=openai  - any OpenAI-compatible /chat/completions endpoint (LLM_BASE_URL, LLM_API_KEY)
+//   LLM_PROVIDER=record  - calls LLM_RECORD_PROVIDER and saves every prompt/response pair to LLM_RECORDINGS_DIR
+//   LLM_PROVIDER=replay  - answers only from LLM_RECORDINGS_DIR, never over the network
+const LLM_DEFAULT_MODELS = {
+    gemini: 'gemini-2.0-flash',
+    openai: 'gpt-4o-mini'
+};
+
+function readLlmConfig(env = process.env) {
+    const provider = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const recordProvider = (env.LLM_RECORD_PROVIDER || 'gemini').toLowerCase();
+    const upstream = provider === 'record' || provider === 'replay' ? recordProvider : provider;
+    const temperature = parseFloat(env.LLM_TEMPERATURE);
+    return {
+        provider,
+        recordProvider,
+        model: env.LLM_MODEL || LLM_DEFAULT_MODELS[upstream],
+        // Unset leaves the provider's own default in place
+        temperature: Number.isFinite(temperature) ? temperature : undefined,
+        // Kept under the 30s Lambda timeout so a slow model still gets a friendly error back
+        timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || 25000,
+        baseUrl: (env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+        apiKey: env.LLM_API_KEY,
+        geminiApiKey: env.GEMINI_API_KEY,
+        recordingsDir: env.LLM_RECORDINGS_DIR || path.join(__dirname, 'llm-recordings')
+    };
+}
+
+function llmError(message, cause) {
+    const error = new Error(message);
+    error.code = 'LLM_UNAVAILABLE';
+    error.statusCode = 503;
+    if (cause) error.cause = cause;
+    return error;
+}
+
+function createGeminiProvider(config) {
+    const genAI = new GoogleGenerativeAI(config.geminiApiKey);
+    const generationConfig = config.temperature === undefined ? {} : { temperature: config.temperature };
+    const model = genAI.getGenerativeModel(
+        { model: config.model, generationConfig },
+        { timeout: config.timeoutMs }
+    );
+    return {
+        name: 'gemini',
+        model: config.model,
+        async generate(systemPrompt, userPrompt) {
+            try {
+                const result = await model.generateContent([systemPrompt, userPrompt]);
+                const response = await result.response;
+                return response.text();
+            } catch (error) {
+                throw llmError(`Gemini request failed: ${error.message}`, error);
+            }
+        }
+    };
+}
+
+function createOpenAICompatibleProvider(config) {
+    const url = `${config.baseUrl}/chat/completions`;
+    return {
+        name: 'openai',
+        model: config.model,
+        async generate(systemPrompt, userPrompt) {
+            const headers = { 'Content-Type': 'application/json' };
+            // Local servers usually run without a key
+            if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+            const payload = {
+                model: config.model,
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: userPrompt }
+                ]
+            };
+            if (config.temperature !== undefined) payload.temperature = config.temperature;
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(payload),
+                    signal: AbortSignal.timeout(config.timeoutMs)
+                });
+            } catch (error) {
+                const reason = error.name === 'TimeoutError' ? `timed out after ${config.timeoutMs}ms` : error.message;
+                throw llmError(`LLM request to ${url} failed: ${reason}`, error);
+            }
+            if (!response.ok) {
+                const detail = (await response.text().catch(() => '')).slice(0, 500);
+                throw llmError(`LLM request to ${url} failed with status ${response.status}: ${detail}`);
+            }
+            const data = await response.json();
+            const text = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+            if (typeof text !== 'string') {
+                throw llmError(`LLM response from ${url} did not include a message`);
+            }
+            return text;
+        }
+    };
+}
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Today's date changes every day but says nothing about how the question should be answered,
+// so it is left out of the key and a recording keeps replaying on later days
+const VOLATILE_PROMPT_LINES = /^Today's date is: .*$/gm;
 
-// --- Helper Functions ---
+function recordingKey(systemPrompt, userPrompt) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([systemPrompt, userPrompt.replace(VOLATILE_PROMPT_LINES, '')]))
+        .digest('hex');
+}
 
-async function getSystemPrompt() {
+async function readRecording(config, key) {
     try {
-        const schema = await fs.readFile('schema.txt', 'utf-8');
-        const sample = await fs.readFile('sampledata.txt', 'utf-8');
-        const exampleQueries = await fs.readFile('example queries.txt', 'utf-8');
+        return JSON.parse(await fs.readFile(path.join(config.recordingsDir, `${key}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Replays recorded responses; with an upstream provider, misses are fetched and recorded
+function createRecordReplayProvider(config, upstream) {
+    return {
+        name: upstream ? 'record' : 'replay',
+        model: config.model,
+        async generate(systemPrompt, userPrompt) {
+            const key = recordingKey(systemPrompt, userPrompt);
+            const recording = await readRecording(config, key);
+            if (recording) return recording.response;
+            if (!upstream) {
+                throw llmError(`No recorded response for this prompt (${key}) in ${config.recordingsDir}. Record it with LLM_PROVIDER=record.`);
+            }
+
+            const response = await upstream.generate(systemPrompt, userPrompt);
+            await fs.mkdir(config.recordingsDir, { recursive: true });
+            await fs.writeFile(path.join(config.recordingsDir, `${key}.json`), JSON.stringify({
+                key,
+                provider: upstream.name,
+                model: upstream.model,
+                recorded_at: new Date().toISOString(),
+                system_prompt_sha256: crypto.createHash('sha256').update(systemPrompt).digest('hex'),
+                user_prompt: userPrompt,
+                response
+            }, null, 2));
+            return response;
+        }
+    };
+}
+
+const LLM_PROVIDER_FACTORIES = {
+    gemini: createGeminiProvider,
+    openai: createOpenAICompatibleProvider
+};
+
+function createLlmProvider(config) {
+    if (config.provider === 'record' || config.provider === 'replay') {
+        if (config.provider === 'replay') return createRecordReplayProvider(config, null);
+        const factory = LLM_PROVIDER_FACTORIES[config.recordProvider];
+        if (!factory) {
+            throw new Error(`Unknown LLM_RECORD_PROVIDER "${config.recordProvider}". Use one of: ${Object.keys(LLM_PROVIDER_FACTORIES).join(', ')}.`);
+        }
+        return createRecordReplayProvider(config, factory(config));
+    }
+    const factory = LLM_PROVIDER_FACTORIES[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${config.provider}". Use one of: ${[...Object.keys(LLM_PROVIDER_FACTORIES), 'record', 'replay'].join(', ')}.`);
+    }
+    return factory(config);
+}
+
+const llm = createLlmProvider(readLlmConfig());
+
+// --- Support Tables ---
+
+// Tables added by this API on top of the original HR schema, created on first use. Apart from
+// SalaryRevisions they are bookkeeping the AI never sees. LeaveRequests, which is part of the schema
+// given to the AI, and its one-time data carry-overs are applied by `npm run migrate` instead (see
+// migrations/).
+const SUPPORT_TABLES = [
+    `CREATE TABLE IF NOT EXISTS PendingConfirmations (
+        token_id VARCHAR(64) PRIMARY KEY,
+        organization_id VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) NOT NULL,
+        prompt TEXT,
+        sql_text TEXT NOT NULL,
+        confirmation_message TEXT,
+        preview_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_pending_user (organization_id, user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS QueryCursors (
+        cursor_id VARCHAR(64) PRIMARY KEY,
+        organization_id VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) NOT NULL,
+        prompt TEXT,
+        sql_text TEXT NOT NULL,
+        confirmation_message TEXT,
+        expires_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_cursor_user (organization_id, user_id, expires_at)
+    )`,
+    `CREATE TABLE IF NOT EXISTS AuditLog (
+        audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        organization_id VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        table_name VARCHAR(64),
+        prompt TEXT,
+        sql_text TEXT NOT NULL,
+        primary_keys JSON,
+        before_values JSON,
+        after_values JSON,
+        outcome VARCHAR(20) NOT NULL,
+        error_message TEXT,
+        reverted_by BIGINT NULL,
+        write_id BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_audit_org_time (organization_id, created_at),
+        INDEX idx_audit_org_user (organization_id, user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS ConversationTurns (
+        turn_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        organization_id VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) NOT NULL,
+        session_id VARCHAR(64) NOT NULL,
+        prompt TEXT NOT NULL,
+        sql_text TEXT,
+        result_summary TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_turns_session (organization_id, user_id, session_id, created_at)
+    )`,
+    `CREATE TABLE IF NOT EXISTS PolicyVersions (
+        version_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        policy_id BIGINT UNSIGNED NOT NULL,
+        organization_id VARCHAR(50) NOT NULL,
+        version_number INT NOT NULL,
+        policy_title VARCHAR(255) NOT NULL,
+        policy_category VARCHAR(100),
+        policy_content TEXT NOT NULL,
+        last_reviewed DATE,
+        keywords TEXT,
+        archived_at DATETIME NULL,
+        change_type VARCHAR(20) NOT NULL,
+        author_id VARCHAR(50),
+        diff JSON,
+        restored_from INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_policy_version (policy_id, version_number),
+        INDEX idx_policy_versions_org (organization_id, policy_id)
+    )`,
+    // Keep the policies that exist today as their first version, once per policy
+    `INSERT INTO PolicyVersions
+        (policy_id, organization_id, version_number, policy_title, policy_category, policy_content,
+         last_reviewed, keywords, archived_at, change_type)
+     SELECT cp.policy_id, cp.organization_id, 1, cp.policy_title, cp.policy_category, cp.policy_content,
+            cp.last_reviewed, cp.keywords, cp.archived_at, 'import'
+     FROM CompanyPolicies cp
+     WHERE NOT EXISTS (SELECT 1 FROM PolicyVersions pv WHERE pv.policy_id = cp.policy_id)`,
+    `CREATE TABLE IF NOT EXISTS OrganizationEmailSettings (
+        organization_id VARCHAR(50) PRIMARY KEY,
+        sender_name VARCHAR(255),
+        reply_to VARCHAR(255),
+        footer TEXT,
+        default_locale VARCHAR(10),
+        updated_by VARCHAR(50),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS EmailTemplates (
+        template_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        organization_id VARCHAR(50) NOT NULL,
+        template_key VARCHAR(50) NOT NULL,
+        locale VARCHAR(10) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        html_body TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        updated_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_email_template (organization_id, template_key, locale)
+    )`,
+    `CREATE TABLE IF NOT EXISTS NotificationOutbox (
+        notification_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        organization_id VARCHAR(50) NOT NULL,
+        recipient_user_id VARCHAR(50) NOT NULL,
+        template_key VARCHAR(50) NOT NULL,
+        payload JSON NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_until DATETIME NULL,
+        last_error TEXT,
+        message_id VARCHAR(255),
+        created_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME NULL,
+        INDEX idx_outbox_due (status, next_attempt_at),
+        INDEX idx_outbox_org (organization_id, status, created_at)
+    )`,
+    `CREATE TABLE IF NOT EXISTS LeaveApprovalRules (
+        organization_id VARCHAR(50) NOT NULL,
+        leave_type VARCHAR(50) NOT NULL,
+        requires_hr_approval TINYINT(1) NOT NULL DEFAULT 0,
+        updated_by VARCHAR(50),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (organization_id, leave_type)
+    )`,
+    `CREATE TABLE IF NOT EXISTS ApprovalDelegations (
+        delegation_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        organization_id VARCHAR(50) NOT NULL,
+        delegator_id VARCHAR(50) NOT NULL,
+        delegate_id VARCHAR(50) NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        reason TEXT,
+        created_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME NULL,
+        INDEX idx_delegations_delegate (organization_id, delegate_id, start_date, end_date),
+        INDEX idx_delegations_delegator (organization_id, delegator_id, start_date, end_date)
+    )`,
+    `CREATE TABLE IF NOT EXISTS LeaveApprovals (
+        approval_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        request_id BIGINT UNSIGNED NOT NULL,
+        organization_id VARCHAR(50) NOT NULL,
+        stage VARCHAR(20) NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        approver_id VARCHAR(50) NOT NULL,
+        on_behalf_of VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_leave_approvals_request (request_id),
+        INDEX idx_leave_approvals_approver (organization_id, approver_id, created_at)
+    )`,
+    `CREATE TABLE IF NOT EXISTS Payslips (
+        payslip_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        organization_id VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) NOT NULL,
+        pay_month CHAR(7) NOT NULL,
+        organization_name VARCHAR(255),
+        employee_name VARCHAR(255),
+        department VARCHAR(100),
+        location VARCHAR(100),
+        date_of_joining DATE NULL,
+        payroll_id BIGINT UNSIGNED,
+        revision_id BIGINT NULL,
+        days_in_month INT NOT NULL,
+        payable_days INT NOT NULL,
+        unpaid_leave_days INT NOT NULL,
+        base_salary DECIMAL(12, 2) NOT NULL,
+        HRA DECIMAL(12, 2) NOT NULL,
+        conveyance_allowance DECIMAL(12, 2) NOT NULL,
+        medical_allowance DECIMAL(12, 2) NOT NULL,
+        gross_earnings DECIMAL(12, 2) NOT NULL,
+        pf_deduction DECIMAL(12, 2) NOT NULL,
+        esi_deduction DECIMAL(12, 2) NOT NULL,
+        professional_tax DECIMAL(12, 2) NOT NULL,
+        total_deductions DECIMAL(12, 2) NOT NULL,
+        net_pay DECIMAL(12, 2) NOT NULL,
+        ctc DECIMAL(12, 2) NOT NULL,
+        generated_by VARCHAR(50),
+        generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_payslip_month (organization_id, user_id, pay_month),
+        INDEX idx_payslips_month (organization_id, pay_month)
+    )`,
+    // A NULL rule leaves that component as entered instead of working it out
+    `CREATE TABLE IF NOT EXISTS PayrollRules (
+        organization_id VARCHAR(50) NOT NULL PRIMARY KEY,
+        hra_percent DECIMAL(5, 2) NULL,
+        pf_percent DECIMAL(5, 2) NULL,
+        pf_wage_ceiling DECIMAL(12, 2) NULL,
+        esi_percent DECIMAL(5, 2) NULL,
+        esi_gross_threshold DECIMAL(12, 2) NULL,
+        employer_pf_percent DECIMAL(5, 2) NULL,
+        employer_esi_percent DECIMAL(5, 2) NULL,
+        updated_by VARCHAR(50),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS ProfessionalTaxSlabs (
+        organization_id VARCHAR(50) NOT NULL,
+        state VARCHAR(50) NOT NULL,
+        min_gross DECIMAL(12, 2) NOT NULL,
+        monthly_tax DECIMAL(10, 2) NOT NULL,
+        updated_by VARCHAR(50),
+        PRIMARY KEY (organization_id, state, min_gross)
+    )`,
+    // One row per salary change. previous_values is the PayrollData row it replaced; scheduled
+    // (future-dated) revisions are applied to PayrollData on their effective date.
+    `CREATE TABLE IF NOT EXISTS SalaryRevisions (
+        revision_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        organization_id VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) NOT NULL,
+        effective_date DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'applied',
+        base_salary DECIMAL(12, 2) NOT NULL,
+        HRA DECIMAL(12, 2) NULL,
+        conveyance_allowance DECIMAL(12, 2) NULL,
+        medical_allowance DECIMAL(12, 2) NULL,
+        pf_deduction DECIMAL(12, 2) NULL,
+        esi_deduction DECIMAL(12, 2) NULL,
+        professional_tax DECIMAL(12, 2) NULL,
+        ctc DECIMAL(12, 2) NULL,
+        previous_base_salary DECIMAL(12, 2) NULL,
+        previous_ctc DECIMAL(12, 2) NULL,
+        previous_values JSON NULL,
+        reason VARCHAR(255),
+        source VARCHAR(20) NOT NULL,
+        approved_by VARCHAR(50),
+        created_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        applied_at DATETIME NULL,
+        cancelled_by VARCHAR(50) NULL,
+        cancelled_at DATETIME NULL,
+        INDEX idx_salary_revisions_user (organization_id, user_id, effective_date),
+        INDEX idx_salary_revisions_due (status, effective_date)
+    )`
+];
 
-        return `You are an expert SQL writer and a friendly, conversational AI assistant for a company named "Vipraco".
+// Columns added by this API to tables of the original schema, and to support tables created before
+// the column existed. MySQL has no ADD COLUMN IF NOT EXISTS, so each one is added only when
+// INFORMATION_SCHEMA lacks it.
+const SUPPORT_COLUMNS = [
+    { table: 'CompanyPolicies', column: 'archived_at', definition: 'DATETIME NULL' },
+    { table: 'Organizations', column: 'timezone', definition: 'VARCHAR(64) NULL' },
+    { table: 'Users', column: 'preferred_locale', definition: 'VARCHAR(10) NULL' },
+    { table: 'Payslips', column: 'revision_id', definition: 'BIGINT NULL' },
+    { table: 'AuditLog', column: 'write_id', definition: 'BIGINT NULL' }
+];
+
+let supportTablesReady = null;
+
+// Add the support columns, then create the support tables once per container
+function ensureSupportTables() {
+    if (!supportTablesReady) {
+        supportTablesReady = (async () => {
+            for (const { table, column, definition } of SUPPORT_COLUMNS) {
+                const [existing] = await dbPool.query(
+                    `SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+                     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+                    [table, column]
+                );
+                if (existing.length > 0) continue;
+                try {
+                    await dbPool.query(`ALTER TABLE ?? ADD COLUMN ?? ${definition}`, [table, column]);
+                } catch (error) {
+                    // Another container added it first, or it is a support table created below with the column
+                    if (!['ER_DUP_FIELDNAME', 'ER_NO_SUCH_TABLE'].includes(error.code)) throw error;
+                }
+            }
+            for (const ddl of SUPPORT_TABLES) {
+                await dbPool.query(ddl);
+            }
+        })().catch(error => {
+            supportTablesReady = null;
+            throw error;
+        });
+    }
+    return supportTablesReady;
+}
+
+// --- System Prompt ---
+
+// The prompt describes the live schema, read from INFORMATION_SCHEMA, and reference values from the
+// caller's organization only. It is cached per organization for SYSTEM_PROMPT_TTL_SECONDS and rebuilt
+// sooner when the schema version (a checksum of the column definitions, itself re-read at most every
+// SCHEMA_VERSION_TTL_SECONDS) changes.
+
+// Columns whose distinct values are listed so the AI uses the organization's exact spelling
+const REFERENCE_VALUE_COLUMNS = {
+    Users: ['role', 'department', 'location'],
+    LeaveBalances: ['leave_type'],
+    LeaveRequests: ['status'],
+    CompanyPolicies: ['policy_category']
+};
+const REFERENCE_VALUE_LIMIT = 25;
+
+const systemPromptCache = new Map();
+let schemaDescription = null;
+let exampleQuestions = null;
+let schemaVersionCache = null;
+
+async function getSchemaVersion() {
+    if (schemaVersionCache && schemaVersionCache.expiresAt > Date.now()) {
+        return schemaVersionCache.version;
+    }
+    const [rows] = await dbPool.query(
+        `SELECT COUNT(*) AS column_count,
+                COALESCE(SUM(CRC32(CONCAT_WS('|', TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE, COLUMN_KEY))), 0) AS checksum
+         FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN (?)`,
+        [Object.keys(ALLOWED_TABLES)]
+    );
+    const version = `${rows[0].column_count}:${rows[0].checksum}`;
+    schemaVersionCache = { version, expiresAt: Date.now() + SCHEMA_VERSION_TTL_SECONDS * 1000 };
+    return version;
+}
+
+// One line per column the assistant may use, e.g. "- manager_id varchar(50) -> Users.user_id"
+async function describeSchema() {
+    const tables = Object.keys(ALLOWED_TABLES);
+    const [columns] = await dbPool.query(
+        `SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name, COLUMN_TYPE AS column_type,
+                IS_NULLABLE AS is_nullable, COLUMN_KEY AS column_key, COLUMN_DEFAULT AS column_default
+         FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN (?)
+         ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+        [tables]
+    );
+    const [foreignKeys] = await dbPool.query(
+        `SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name,
+                REFERENCED_TABLE_NAME AS referenced_table, REFERENCED_COLUMN_NAME AS referenced_column
+         FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN (?) AND REFERENCED_TABLE_NAME IS NOT NULL`,
+        [tables]
+    );
+
+    const references = new Map(foreignKeys.map(key => [
+        `${canonicalTableName(key.table_name)}.${key.column_name}`,
+        `${canonicalTableName(key.referenced_table)}.${key.referenced_column}`
+    ]));
+
+    return tables.map(table => {
+        const lines = columns
+            .filter(column => canonicalTableName(column.table_name) === table && ALLOWED_TABLES[table].includes(column.column_name))
+            .map(column => {
+                let line = `- ${column.column_name} ${column.column_type}`;
+                if (column.column_key === 'PRI') line += ' PRIMARY KEY';
+                if (column.is_nullable === 'NO') line += ' NOT NULL';
+                if (column.column_default !== null) line += ` DEFAULT ${column.column_default}`;
+                const reference = references.get(`${table}.${column.column_name}`);
+                if (reference) line += ` -> ${reference}`;
+                return line;
+            });
+        return lines.length ? `Table ${table}:\n${lines.join('\n')}` : null;
+    }).filter(Boolean).join('\n\n');
+}
+
+// The organization's name and the values it actually uses in REFERENCE_VALUE_COLUMNS
+async function describeReferenceValues(organizationId) {
+    const [organizations] = await dbPool.query(
+        'SELECT org_name FROM Organizations WHERE organization_id = ?',
+        [organizationId]
+    );
+    const lines = [`Organizations.organization_id: ${JSON.stringify(organizationId)}` +
+        (organizations.length ? ` (${organizations[0].org_name})` : '')];
+
+    for (const [table, columns] of Object.entries(REFERENCE_VALUE_COLUMNS)) {
+        for (const column of columns) {
+            const [rows] = await dbPool.query(mysql.format(
+                'SELECT DISTINCT ?? AS value FROM ?? WHERE organization_id = ? AND ?? IS NOT NULL ORDER BY ?? LIMIT ?',
+                [column, table, organizationId, column, column, REFERENCE_VALUE_LIMIT + 1]
+            ));
+            if (rows.length === 0) continue;
+            const values = rows.slice(0, REFERENCE_VALUE_LIMIT).map(row => JSON.stringify(String(row.value)));
+            if (rows.length > REFERENCE_VALUE_LIMIT) values.push('...');
+            lines.push(`${table}.${column}: ${values.join(', ')}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function buildSystemPrompt({ organizationId, schema, referenceValues, exampleQuestions }) {
+    return `You are an expert SQL writer and a friendly, conversational AI assistant for a company named "Vipraco".
 Your role is to act as a helpful HR assistant. Your responses should be professional yet warm and reassuring. Always end your confirmation message with a helpful next-step question, like "How can I help you further?" or "Is there anything else you need assistance with today?".
 
 **Output Format:**
 Your entire output MUST be a single JSON object. This object must have two keys:
-1. "sql": A string containing the single, executable SQL query.
+1. "sql": A string containing the single, executable SQL query, or an array of such strings when the request needs several actions (see rule 2).
 2. "confirmation_message": A user-friendly, natural-language string confirming what action was taken. This message should sound like a helpful human assistant. For example, instead of just "Salary updated.", say "Of course! I've just updated Rahul Verma's base salary to 50,000. Is there anything else I can help with?".
 
 **Constraints & Rules:**
 1.  **Security First**: The "sql" value MUST NOT contain any query that modifies the database schema (e.g., DROP, ALTER, TRUNCATE) or deletes data (e.g., DELETE). You are only allowed to generate SELECT, INSERT, or UPDATE queries.
-2.  **Single Action**: You can only perform one action (one SQL query) per prompt. 
-3.  **Multi-Action Detection**: If the user asks to do multiple distinct actions (e.g., "update salary AND update leaves"), you MUST NOT generate SQL. Instead, set the "sql" value to "MULTI_ACTION_ERROR" and the "confirmation_message" to "I can only handle one request at a time. Please try asking to 'update salary' or 'update leaves' separately."
-4.  **Context is Key**: Use the provided database schema and sample data to understand the table structure and find the correct IDs for users like 'Amit' or 'Geeta'. The user's 'organization_id' and 'user_id' will be provided in the prompt for context.
+2.  **One Statement per Action**: Each SQL statement performs one action. If the user asks for several distinct actions (e.g., "raise Amit's salary to 50000 and approve his casual leave"), set "sql" to an array of statements in the order they should run, and describe all of them in the one "confirmation_message". The statements run together in a single transaction, so each must stand on its own; do not rely on variables or results passed between them.
+3.  **Step Limit**: A plan can have at most ${MAX_PLAN_STEPS} statements. If the request needs more than that, you MUST NOT generate SQL. Instead, set the "sql" value to "MULTI_ACTION_ERROR" and the "confirmation_message" to "That's more than I can do in one go. Please split your request into a few smaller ones."
+4.  **Context is Key**: Use the database schema and this organization's reference values below to understand the table structure and the exact values stored (leave types, departments, policy categories). Find people by name with a WHERE clause on Users (see rule 6) rather than guessing their user_id. The user's 'organization_id' and 'user_id' will be provided in the prompt for context.
 5.  **Relevance**: If a question is unrelated to the HR schema (e.g., "What is the capital of France?"), you must not generate SQL. Set the "sql" value to "IRRELEVANT". For the "confirmation_message", provide a helpful response that politely declines the off-topic question. For example: "I am Vipraco's HR assistant and can only help with questions about employee data, leave, payroll, and company policies. How can I assist you with an HR-related query today?"
-6.  **Precise User Identification**: When updating or querying data for a specific user mentioned by name (e.g., "Ananya", "Rahul"), always include the full WHERE clause with both first_name and organization_id. For example, use "WHERE first_name = 'Ananya' AND organization_id = 'TECHCORP_IN'" instead of just "WHERE first_name = 'Ananya'".
+6.  **Precise User Identification**: The prompt lists the people the user mentioned, already matched to their user_id in the user's organization (spelling mistakes included). Always filter on that user_id, e.g. "WHERE u.user_id = 'EMP101' AND u.organization_id = '${organizationId}'", never on first_name or last_name. Only when a person is mentioned but not listed, filter on both first_name and organization_id.
 7.  **MySQL Syntax**: Use correct MySQL syntax for joins. For UPDATE queries with joins, use "UPDATE table1 INNER JOIN table2 ON table1.col = table2.col SET table1.col = value WHERE conditions". Do NOT use "UPDATE table1 SET col = value FROM table2" as this syntax is not supported in MySQL.
-8.  **Required Fields**: When inserting data, always include ALL required fields. For PayrollData, you must include: organization_id, user_id, base_salary, and ctc. For example, when inserting salary data, always calculate and include the ctc (Cost to Company) value.
+8.  **Required Fields**: When inserting data, always include ALL required fields. For PayrollData, include organization_id, user_id and base_salary, plus conveyance_allowance and medical_allowance when the user gives them. Never invent amounts. Leave out HRA, pf_deduction, esi_deduction, professional_tax and ctc: the server works them out from the organization's payroll rules, in new records and whenever a salary changes, and refuses writes that set them to anything else. Only set one of them when the user gives its exact value.
 9.  **Prefer Update Over Insert**: For salary operations, prefer UPDATE over INSERT if the record likely exists. Only use INSERT when explicitly told to create a new record.
-10. **STRICT Organization Access Control**: Users can ONLY access data from their own organization. ALWAYS include the organization_id in WHERE clauses for all queries. The organization_id will be provided in the prompt context. NEVER generate a query that could access data from other organizations. If a user asks about someone from another organization (like asking about "Geeta" when they're from TECHCORP_IN), set the "sql" value to "CROSS_ORG_ACCESS" and set the "confirmation_message" to "I'm sorry, but you don't have permission to access information about employees from other organizations."
-11. **Leave Approval for Admins**: Admins can view all pending leave requests within their organization and approve or reject them. When approving a leave, update the leaves_taken count and reset the leaves_pending_approval to 0. When rejecting a leave, just reset the leaves_pending_approval to 0 without changing leaves_taken. Email notifications will be automatically sent to employees when their leave requests are approved or rejected.
+10. **STRICT Organization Access Control**: Users can ONLY access data from their own organization. ALWAYS include the organization_id in WHERE clauses for all queries. The organization_id will be provided in the prompt context. NEVER generate a query that could access data from other organizations. If a user asks about another organization or its employees (for example, by naming a different organization_id), set the "sql" value to "CROSS_ORG_ACCESS" and set the "confirmation_message" to "I'm sorry, but you don't have permission to access information about employees from other organizations."
+11. **Leave Requests**: Each leave application is its own row in LeaveRequests with a request_id, dates, days and a status of 'pending', 'approved', 'rejected' or 'cancelled'. A pending request waits on one approval step at a time, shown in approval_stage: 'manager' (the employee's manager in Users.manager_id, or someone that manager has delegated approvals to) and then, when the organization requires it for that leave type, 'hr' (Admins). Requests of employees without a manager go straight to 'hr'. Approve or reject one request at a time by setting status to 'approved' or 'rejected'; write the same UPDATE whoever asks, because the server checks that the caller is the approver for the request's current step and refuses anyone else. A manager's approval of a request that also needs the HR step keeps it pending with approval_stage 'hr'. Filter by request_id whenever the user gives one; when matching by name and leave type, only change pending requests. Employees can cancel their own pending requests by setting status to 'cancelled'. Never set leaves_taken or leaves_pending_approval on LeaveBalances, or approver_id, decided_at and approval_stage on LeaveRequests: balances, approval steps and decision details are updated automatically, and email notifications are sent to employees once their requests are finally approved or rejected.
+12. **Leave Applications**: When the user asks to apply for leave for themselves (e.g., "apply for 3 days casual leave from Monday"), do not write SQL. Set the "sql" value to "LEAVE_APPLICATION" and add a third key, "leave_application", with "leave_type" (as named in LeaveBalances, e.g. 'Casual Leave'), "start_date" (YYYY-MM-DD, worked out from today's date given in the prompt), either "end_date" (YYYY-MM-DD) or "days" (the number of working days asked for), and "reason" if the user gave one. The server checks the balance, overlapping leave and weekends itself and writes the reply, so "confirmation_message" can be empty.
+13. **Conversation Context**: The prompt may start with earlier turns of the same conversation, each with the question, the SQL that ran and a summary of its result. Use them to resolve follow-ups such as "and his department?" or "approve it" (for example, reuse the person or the request_id from the previous result), but only answer the current question.
+14. **Policy Questions**: When the user asks what a company policy or rule says (e.g., work from home, travel expenses, holidays, attendance), do not write SQL. Set the "sql" value to "POLICY_QUESTION" and add a third key, "policy_query", with the question restated on its own, including anything it refers to from earlier turns. The server searches the organization's policies and writes the answer with citations, so "confirmation_message" can be empty.
+15. **Archived Policies**: CompanyPolicies rows with an archived_at date have been retired. Leave them out (add "archived_at IS NULL") unless the user asks about archived policies.
+16. **Payslips**: When the user asks for their own payslip, net pay, take-home pay, gross earnings or total deductions for a month, do not write SQL. Set the "sql" value to "PAYSLIP" and add a third key, "payslip_month", with the month as YYYY-MM (the last full month, worked out from today's date, when none is given). The server works out the payslip and writes the reply, so "confirmation_message" can be empty. Single PayrollData columns ("What is my HRA?") are still answered with SQL.
+17. **Salary History**: PayrollData holds the salary in effect today. Every change to it is a row in SalaryRevisions with its effective_date, status ('applied', 'scheduled' for future dates, or 'cancelled'), the new amounts, previous_base_salary, previous_ctc, reason and approved_by. For the salary on an earlier date, select the latest SalaryRevisions row with status <> 'cancelled' and effective_date on or before that date (ORDER BY effective_date DESC, revision_id DESC LIMIT 1); for "when was my last hike?", the latest applied row where base_salary > previous_base_salary. Never write to SalaryRevisions: changes to PayrollData are recorded there automatically. When an Admin asks to change a salary from a date after today (e.g., "raise Amit's salary to 60000 from next April"), do not write SQL. Set the "sql" value to "SALARY_REVISION" and add a third key, "salary_revision", with "user_id", "effective_date" (YYYY-MM-DD, worked out from today's date), "base_salary", "conveyance_allowance" and "medical_allowance" only if the user gave them, and "reason" (what the user said it was for, or "Salary revision"). The server schedules it and writes the reply, so "confirmation_message" can be empty. Changes from today onwards are ordinary PayrollData updates.
 
 **Database Schema:**
 ---
 ${schema}
 ---
 
-**Sample Data (for reference on data format):**
+**Reference Values for This Organization:**
 ---
-${sample}
+${referenceValues}
 ---
 
 **Example questions you can answer:**
 ---
-${exampleQueries}
+${exampleQuestions}
 ---
 
 **Example SQL Queries:**
-1. Query: "What is Ananya's salary?"
-   SQL: "SELECT pd.base_salary FROM PayrollData pd INNER JOIN Users u ON pd.user_id = u.user_id WHERE u.first_name = 'Ananya' AND u.organization_id = 'TECHCORP_IN'"
+1. Query: "What is Ananya's salary?" (Ananya listed as user_id 'EMP101')
+   SQL: "SELECT pd.base_salary FROM PayrollData pd WHERE pd.user_id = 'EMP101' AND pd.organization_id = '${organizationId}'"
    Confirmation: "I've looked up the salary for Ananya. What else can I help you with?"
 
-2. Query: "Set Ananya's salary to 30000"
-   SQL: "UPDATE PayrollData pd INNER JOIN Users u ON pd.user_id = u.user_id SET pd.base_salary = 30000 WHERE u.first_name = 'Ananya' AND u.organization_id = 'TECHCORP_IN'"
+2. Query: "Set Ananya's salary to 30000" (Ananya listed as user_id 'EMP101')
+   SQL: "UPDATE PayrollData pd SET pd.base_salary = 30000 WHERE pd.user_id = 'EMP101' AND pd.organization_id = '${organizationId}'"
    Confirmation: "Of course! I've just updated Ananya's base salary to 30,000. Is there anything else you need?"
 
-3. Query: "What is Rahul's department?"
-   SQL: "SELECT department FROM Users WHERE first_name = 'Rahul' AND organization_id = 'TECHCORP_IN'"
+3. Query: "What is Rahool's department?" ("Rahool" listed as user_id 'EMP102' (Rahul Verma))
+   SQL: "SELECT department FROM Users WHERE user_id = 'EMP102' AND organization_id = '${organizationId}'"
    Confirmation: "I've found that for you. Rahul is in the Engineering department. Can I help with anything else?"
 
-4. Query: "Create a new salary record for Ananya with base salary 30000"
-   SQL: "INSERT INTO PayrollData (organization_id, user_id, base_salary, HRA, conveyance_allowance, medical_allowance, pf_deduction, esi_deduction, professional_tax, ctc) SELECT 'TECHCORP_IN', user_id, 30000, 15000, 3000, 1000, 3600, 0, 200, 55000 FROM Users WHERE first_name = 'Ananya' AND organization_id = 'TECHCORP_IN'"
-   Confirmation: "All set. I've created a new payroll record for Ananya with a base salary of 30,000. How can I help you further?"
+4. Query: "Create a new salary record for Ananya with base salary 30000" (Ananya listed as user_id 'EMP101')
+   SQL: "INSERT INTO PayrollData (organization_id, user_id, base_salary) VALUES ('${organizationId}', 'EMP101', 30000)"
+   Confirmation: "All set. I've created a new payroll record for Ananya with a base salary of 30,000, with HRA, PF, ESI, professional tax and CTC worked out from your payroll rules. How can I help you further?"
    
 5. Query: "Show me all employees"
-   SQL: "SELECT * FROM Users WHERE organization_id = 'TECHCORP_IN'"
+   SQL: "SELECT user_id, first_name, last_name, email, role, department, location, date_of_joining FROM Users WHERE organization_id = '${organizationId}'"
    Confirmation: "Here is a list of all employees in your organization. Let me know if you need more details on any of them!"
    
-6. Query: "What is Geeta's user ID?" (when asked by TECHCORP_IN admin)
+6. Query: "Show me the employees of OTHER_ORG" (any organization other than the user's own)
    Response: "CROSS_ORG_ACCESS" with message "I'm sorry, but you don't have permission to access information about employees from other organizations."
 
 7. Query: "Show me all pending leave requests"
-   SQL: "SELECT u.user_id, u.first_name, u.last_name, u.department, lb.leave_type, lb.leaves_pending_approval, lb.start_date, DATE_ADD(lb.start_date, INTERVAL lb.leaves_pending_approval DAY) as end_date FROM LeaveBalances lb INNER JOIN Users u ON lb.user_id = u.user_id WHERE lb.leaves_pending_approval > 0 AND lb.organization_id = 'TECHCORP_IN' ORDER BY u.department, u.first_name"
-   Confirmation: "Here are all the pending leave requests for your organization. You can approve or reject them by name."
+   SQL: "SELECT lr.request_id, u.user_id, u.first_name, u.last_name, u.department, lr.leave_type, lr.start_date, lr.end_date, lr.days, lr.reason FROM LeaveRequests lr INNER JOIN Users u ON lr.user_id = u.user_id WHERE lr.status = 'pending' AND lr.organization_id = '${organizationId}' ORDER BY lr.start_date, u.first_name"
+   Confirmation: "Here are all the pending leave requests for your organization. You can approve or reject each one by its request ID."
    
-8. Query: "Approve Rahul's earned leave"
-   SQL: "UPDATE LeaveBalances lb INNER JOIN Users u ON lb.user_id = u.user_id SET lb.leaves_taken = lb.leaves_taken + lb.leaves_pending_approval, lb.leaves_pending_approval = 0, lb.last_updated = NOW() WHERE u.first_name = 'Rahul' AND lb.leave_type = 'Earned Leave' AND u.organization_id = 'TECHCORP_IN'"
+8. Query: "Approve leave request 12"
+   SQL: "UPDATE LeaveRequests SET status = 'approved' WHERE request_id = 12 AND status = 'pending' AND organization_id = '${organizationId}'"
+   Confirmation: "Done! I've approved leave request #12. The employee will get an email once the request is fully approved. What's next?"
+
+9. Query: "Approve Rahul's earned leave" (Rahul listed as user_id 'EMP102')
+   SQL: "UPDATE LeaveRequests SET status = 'approved' WHERE user_id = 'EMP102' AND leave_type = 'Earned Leave' AND status = 'pending' AND organization_id = '${organizationId}'"
    Confirmation: "Done! I've approved Rahul's request for Earned Leave. An email notification will be sent to him shortly. What's next?"
    
-9. Query: "Reject leave request for Amit"
-    SQL: "UPDATE LeaveBalances lb INNER JOIN Users u ON lb.user_id = u.user_id SET lb.leaves_pending_approval = 0, lb.last_updated = NOW() WHERE u.first_name = 'Amit' AND lb.leaves_pending_approval > 0 AND u.organization_id = 'TECHCORP_IN'"
+10. Query: "Reject leave request for Amit Kumar" ("Amit Kumar" listed as user_id 'EMP104')
+    SQL: "UPDATE LeaveRequests SET status = 'rejected' WHERE user_id = 'EMP104' AND status = 'pending' AND organization_id = '${organizationId}'"
     Confirmation: "Okay, I have rejected Amit's leave request. An email notification has been sent. Can I help with another request?"
+
+11. Query: "Cancel my leave request 14" (asked by an employee)
+    SQL: "UPDATE LeaveRequests SET status = 'cancelled' WHERE request_id = 14 AND status = 'pending' AND organization_id = '${organizationId}'"
+    Confirmation: "I've cancelled your leave request #14. Anything else I can do for you?"
+
+12. Query: "What is the status of my leave requests?" (asked by user_id 'EMP123')
+    SQL: "SELECT request_id, leave_type, start_date, end_date, days, status, decided_at FROM LeaveRequests WHERE user_id = 'EMP123' AND organization_id = '${organizationId}' ORDER BY start_date DESC"
+    Confirmation: "Here are your leave requests and where each one stands. Is there anything else you'd like to know?"
+
+13. Query: "Raise Amit's salary to 50000 and approve his casual leave" (Amit listed as user_id 'EMP104')
+    SQL: ["UPDATE PayrollData SET base_salary = 50000 WHERE user_id = 'EMP104' AND organization_id = '${organizationId}'", "UPDATE LeaveRequests SET status = 'approved' WHERE user_id = 'EMP104' AND leave_type = 'Casual Leave' AND status = 'pending' AND organization_id = '${organizationId}'"]
+    Confirmation: "All done! I've raised Amit's base salary to 50,000 and approved his casual leave request. He'll get an email about the leave shortly. Anything else?"
+
+14. Query: "Can I work from home on Fridays?"
+    Response: {"sql": "POLICY_QUESTION", "policy_query": "Can I work from home on Fridays?", "confirmation_message": ""}
+
+15. Query: "What was my take-home pay in June 2025?"
+    Response: {"sql": "PAYSLIP", "payslip_month": "2025-06", "confirmation_message": ""}
+
+16. Query: "What was my salary on 1 January 2025?" (asked by user_id 'EMP123')
+    SQL: "SELECT base_salary, ctc, effective_date FROM SalaryRevisions WHERE user_id = 'EMP123' AND status <> 'cancelled' AND effective_date <= '2025-01-01' AND organization_id = '${organizationId}' ORDER BY effective_date DESC, revision_id DESC LIMIT 1"
+    Confirmation: "Here is the salary that was in effect for you on 1 January 2025. Anything else I can help with?"
+
+17. Query: "Raise Amit's salary to 60000 from 1 April 2027 after his appraisal" (Amit listed as user_id 'EMP104')
+    Response: {"sql": "SALARY_REVISION", "salary_revision": {"user_id": "EMP104", "effective_date": "2027-04-01", "base_salary": 60000, "reason": "Appraisal"}, "confirmation_message": ""}
 `;
+}
+
+async function getSystemPrompt(organizationId) {
+    try {
+        // SalaryRevisions is one of the support tables, so make sure it exists before describing it
+        await ensureSupportTables();
+        const schemaVersion = await getSchemaVersion();
+
+        const cached = systemPromptCache.get(organizationId);
+        if (cached && cached.schemaVersion === schemaVersion && cached.expiresAt > Date.now()) {
+            return cached.prompt;
+        }
+
+        // The schema is the same for every organization, so it is only described once per version
+        if (!schemaDescription || schemaDescription.version !== schemaVersion) {
+            schemaDescription = { version: schemaVersion, text: await describeSchema() };
+        }
+        if (exampleQuestions === null) {
+            exampleQuestions = await fs.readFile(path.join(__dirname, 'example queries.txt'), 'utf-8');
+        }
+
+        const prompt = buildSystemPrompt({
+            organizationId,
+            schema: schemaDescription.text,
+            referenceValues: await describeReferenceValues(organizationId),
+            exampleQuestions
+        });
+        systemPromptCache.set(organizationId, {
+            prompt,
+            schemaVersion,
+            expiresAt: Date.now() + SYSTEM_PROMPT_TTL_SECONDS * 1000
+        });
+        return prompt;
     } catch (error) {
-        console.error("Error reading context files:", error);
+        console.error("Error building system prompt:", error);
         throw new Error("Could not build system prompt.");
     }
 }
 
-function isQuerySafe(sql) {
-    const unsafeKeywords = [
-        'DROP', 'TRUNCATE', 'ALTER', 'DELETE',
-        'GRANT', 'REVOKE', 'COMMIT', 'ROLLBACK',
-        'CREATE', 'RENAME', 'SHUTDOWN'
-    ];
-    const upperSql = sql.toUpperCase();
-    
-    // Check for semicolon to prevent multiple statements
-    if (upperSql.split(';').length > 2) { // allow one semicolon at the end
-        return false;
+// --- SQL Safety Validation ---
+
+// Statement types the assistant may generate
+const ALLOWED_STATEMENTS = ['select', 'update', 'insert'];
+
+// Tables and columns the assistant may touch (see schema.txt); only these are described to it
+const ALLOWED_TABLES = {
+    Organizations: ['organization_id', 'org_name', 'subscription_plan', 'created_at'],
+    Users: [
+        'user_id', 'organization_id', 'first_name', 'last_name', 'email',
+        'role', 'manager_id', 'date_of_joining', 'department', 'location', 'preferred_locale'
+    ],
+    LeaveBalances: [
+        'balance_id', 'organization_id', 'user_id', 'leave_type', 'total_allotted',
+        'leaves_taken', 'leaves_pending_approval', 'start_date', 'last_updated'
+    ],
+    CompanyPolicies: [
+        'policy_id', 'organization_id', 'policy_title', 'policy_category',
+        'policy_content', 'last_reviewed', 'keywords', 'archived_at'
+    ],
+    PayrollData: [
+        'payroll_id', 'organization_id', 'user_id', 'base_salary', 'HRA', 'conveyance_allowance',
+        'medical_allowance', 'pf_deduction', 'esi_deduction', 'professional_tax', 'ctc'
+    ],
+    LeaveRequests: [
+        'request_id', 'organization_id', 'user_id', 'leave_type', 'start_date', 'end_date', 'days',
+        'reason', 'status', 'approver_id', 'decided_at', 'approval_stage', 'created_at', 'updated_at'
+    ],
+    SalaryRevisions: [
+        'revision_id', 'organization_id', 'user_id', 'effective_date', 'status', 'base_salary', 'HRA',
+        'conveyance_allowance', 'medical_allowance', 'pf_deduction', 'esi_deduction', 'professional_tax', 'ctc',
+        'previous_base_salary', 'previous_ctc', 'reason', 'source', 'approved_by', 'created_at', 'applied_at'
+    ]
+};
+
+// Columns left out of ALLOWED_TABLES on purpose. A * over their table would still return them, so
+// those tables have to be read with a column list.
+const HIDDEN_COLUMNS = {
+    Users: ['password_hash']
+};
+
+// SQL functions the assistant may call. Anything else (SLEEP, BENCHMARK, LOAD_FILE, ...) is rejected.
+const ALLOWED_FUNCTIONS = [
+    'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'GROUP_CONCAT',
+    'NOW', 'CURDATE', 'CURRENT_DATE', 'CURRENT_TIMESTAMP', 'DATE', 'DATE_ADD', 'DATE_SUB', 'DATEDIFF',
+    'TIMESTAMPDIFF', 'DATE_FORMAT', 'YEAR', 'MONTH', 'DAY', 'DAYNAME', 'MONTHNAME', 'LAST_DAY',
+    'CONCAT', 'CONCAT_WS', 'UPPER', 'LOWER', 'TRIM', 'LENGTH', 'SUBSTRING', 'REPLACE',
+    'COALESCE', 'IFNULL', 'NULLIF', 'IF', 'ROUND', 'FLOOR', 'CEIL', 'ABS', 'GREATEST', 'LEAST', 'EXISTS'
+];
+
+// Read the plain name of a parsed function or aggregate node
+function getFunctionName(node) {
+    if (typeof node.name === 'string') {
+        return node.name.toUpperCase();
+    }
+    const parts = (node.name && node.name.name) || [];
+    return parts.map(part => part.value).join('.').toUpperCase();
+}
+
+// Read the column name of a parsed column reference
+function getColumnName(node) {
+    if (typeof node.column === 'string') {
+        return node.column;
+    }
+    return node.column && node.column.expr ? String(node.column.expr.value) : '';
+}
+
+// Check that a column belongs to one of the given allowlisted tables
+function isAllowedColumn(column, tables) {
+    return tables.some(table => (ALLOWED_TABLES[table] || []).some(name => name.toLowerCase() === column.toLowerCase()));
+}
+
+function isHiddenColumn(column) {
+    return Object.values(HIDDEN_COLUMNS).some(columns => columns.some(name => name.toLowerCase() === column.toLowerCase()));
+}
+
+// Lower-case names of the columns a table or derived table in a column scope provides
+function getScopeColumns(entry) {
+    return entry.table ? ALLOWED_TABLES[entry.table].map(name => name.toLowerCase()) : [...entry.columns];
+}
+
+// Check the columns, functions and variables of one statement. Columns are looked up in the statement's
+// own scope (the tables and derived tables of its FROM, or the tables it writes) and then in the scopes
+// of the statements around it; subqueries and derived tables are checked with scopes of their own.
+// Returns { violation } or { scope, columns }, where scope maps each lower-case table name and alias to
+// { table } or { columns } (a derived table's column names) and columns lists what a SELECT returns.
+function checkStatementColumns(statement, outerScopes = []) {
+    const scope = new Map();
+    const derived = new Set();
+    for (const ref of (statement.type === 'select' ? statement.from : statement.table) || []) {
+        if (ref.expr && ref.expr.ast) {
+            const inner = checkStatementColumns(ref.expr.ast, outerScopes);
+            if (inner.violation) return inner;
+            derived.add(ref.expr.ast);
+            if (ref.as) scope.set(ref.as.toLowerCase(), { columns: inner.columns });
+            continue;
+        }
+        if (!ref.table) continue;
+        const entry = { table: canonicalTableName(ref.table) };
+        scope.set(entry.table.toLowerCase(), entry);
+        if (ref.as) scope.set(ref.as.toLowerCase(), entry);
+    }
+    const scopes = [scope, ...outerScopes];
+    const findEntry = name => scopes.map(item => item.get(String(name).toLowerCase())).find(Boolean);
+    const outputAliases = new Set((Array.isArray(statement.columns) ? statement.columns : [])
+        .filter(column => column && column.as)
+        .map(column => String(column.as).toLowerCase()));
+
+    const checkColumn = node => {
+        const column = getColumnName(node);
+        if (!column) return null;
+        if (column === '*') {
+            const entries = node.table ? [findEntry(node.table)] : [...scope.values()];
+            const hidden = entries.find(entry => entry && entry.table && HIDDEN_COLUMNS[entry.table]);
+            return hidden
+                ? { rule: 'column', message: `SELECT * is not allowed on ${hidden.table}; list the columns you need.` }
+                : null;
+        }
+        if (isHiddenColumn(column)) {
+            return { rule: 'column', message: `Column "${column}" is not allowed.` };
+        }
+        if (node.table) {
+            const entry = findEntry(node.table);
+            if (!entry) {
+                return { rule: 'column', message: `Unknown table or alias "${node.table}".` };
+            }
+            if (!getScopeColumns(entry).includes(column.toLowerCase())) {
+                return {
+                    rule: 'column',
+                    message: entry.table ? `Column "${column}" is not allowed in ${entry.table}.` : `Column "${column}" is not returned by ${node.table}.`
+                };
+            }
+            return null;
+        }
+        const known = outputAliases.has(column.toLowerCase()) ||
+            scopes.some(item => [...item.values()].some(entry => getScopeColumns(entry).includes(column.toLowerCase())));
+        return known ? null : { rule: 'column', message: `Column "${column}" is not allowed.` };
+    };
+
+    let violation = null;
+    const visit = node => {
+        if (violation || !node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+
+        if (node !== statement && isStatementNode(node)) {
+            if (!derived.has(node)) {
+                // The other SELECTs of a UNION share the scope around this one; subqueries see this one's too
+                const inner = checkStatementColumns(node, node === statement._next ? outerScopes : scopes);
+                violation = inner.violation || null;
+            }
+            return;
+        }
+        if (node.type === 'var') {
+            violation = { rule: 'variable', message: 'Server and user variables are not allowed.' };
+            return;
+        }
+        if (node.type === 'function' || node.type === 'aggr_func') {
+            const name = getFunctionName(node);
+            if (!ALLOWED_FUNCTIONS.includes(name)) {
+                violation = { rule: 'function', message: `Function ${name}() is not allowed.` };
+                return;
+            }
+        }
+        if (node.type === 'column_ref') {
+            violation = checkColumn(node);
+            if (violation) return;
+        }
+
+        Object.values(node).forEach(visit);
+    };
+    visit(statement);
+    if (violation) {
+        return { violation };
     }
 
-    for (const keyword of unsafeKeywords) {
-        if (upperSql.includes(keyword)) {
-            return false;
+    const columns = new Set();
+    for (const column of Array.isArray(statement.columns) ? statement.columns : []) {
+        const expr = column && column.expr;
+        if (column && column.as) {
+            columns.add(String(column.as).toLowerCase());
+        } else if (expr && expr.type === 'column_ref' && getColumnName(expr) === '*') {
+            const entries = expr.table ? [findEntry(expr.table)] : [...scope.values()];
+            entries.filter(Boolean).forEach(entry => getScopeColumns(entry).forEach(name => columns.add(name)));
+        } else if (expr && expr.type === 'column_ref') {
+            columns.add(getColumnName(expr).toLowerCase());
         }
     }
+    return { scope, columns };
+}
 
-    return true;
+// Parse a generated statement and check it against the allowlists above.
+// Returns { safe: true, ast } or { safe: false, rule, message } naming the rule that was broken.
+function validateQuerySafety(sql) {
+    let ast;
+    try {
+        ast = sqlParser.astify(sql, SQL_DIALECT);
+    } catch (error) {
+        return { safe: false, rule: 'syntax', message: 'The generated query could not be parsed as MySQL.' };
+    }
+
+    if (Array.isArray(ast)) {
+        if (ast.length !== 1) {
+            return { safe: false, rule: 'single_statement', message: 'Only one statement can be run per request.' };
+        }
+        ast = ast[0];
+    }
+
+    if (!ALLOWED_STATEMENTS.includes(ast.type)) {
+        return { safe: false, rule: 'statement_type', message: `${String(ast.type).toUpperCase()} statements are not allowed.` };
+    }
+    if (ast.on_duplicate_update) {
+        return { safe: false, rule: 'on_duplicate', message: 'ON DUPLICATE KEY UPDATE is not allowed.' };
+    }
+
+    // Check every statement and table reference
+    for (const statement of collectStatements(ast)) {
+        if (statement !== ast && statement.type !== 'select') {
+            return { safe: false, rule: 'nested_write', message: `${statement.type.toUpperCase()} is not allowed inside a subquery.` };
+        }
+        if (statement.into && (statement.into.keyword || statement.into.expr)) {
+            return { safe: false, rule: 'select_into', message: 'SELECT ... INTO (files or variables) is not allowed.' };
+        }
+        if (statement.locking_read) {
+            return { safe: false, rule: 'locking_read', message: `${statement.locking_read} is not allowed.` };
+        }
+
+        for (const ref of (statement.type === 'select' ? statement.from : statement.table) || []) {
+            // Derived tables are checked as statements of their own
+            if (ref.expr || !ref.table) continue;
+
+            const table = canonicalTableName(ref.table);
+            if (ref.db || !ALLOWED_TABLES[table]) {
+                const name = ref.db ? `${ref.db}.${ref.table}` : ref.table;
+                return { safe: false, rule: 'table', message: `Access to table "${name}" is not allowed.` };
+            }
+        }
+    }
+
+    // Every expression: functions, variables and columns
+    const checked = checkStatementColumns(ast);
+    if (checked.violation) {
+        return { safe: false, ...checked.violation };
+    }
+
+    // Columns written by INSERT and UPDATE
+    if (ast.type === 'insert') {
+        const target = canonicalTableName(ast.table[0].table);
+        const badColumn = (ast.columns || []).find(column => !isAllowedColumn(String(column), [target]));
+        if (badColumn) {
+            return { safe: false, rule: 'column', message: `Column "${badColumn}" is not allowed in ${target}.` };
+        }
+    }
+    if (ast.type === 'update') {
+        const targets = [...checked.scope.values()];
+        for (const assignment of ast.set || []) {
+            const entry = assignment.table ? checked.scope.get(assignment.table.toLowerCase()) : targets.find(item => item.table);
+            if (!entry || !entry.table || !isAllowedColumn(assignment.column, [entry.table])) {
+                return { safe: false, rule: 'column', message: `Column "${assignment.column}" cannot be updated.` };
+            }
+        }
+    }
+
+    return { safe: true, ast };
 }
 
 // Helper function to log SQL queries with detailed information
@@ -186,38 +1130,35 @@ function fixSqlSyntax(sql) {
     return fixedSql;
 }
 
-// Function to check if a query is trying to access data from another organization
+// Check that every user_id the query filters on belongs to the caller's organization.
+// Tenant scoping already keeps other organizations' rows out; this explains why nothing would match.
 async function validateCrossOrgAccess(sql, organizationId) {
-    // Check if the query contains a name filter
-    const nameRegex = /first_name\s*=\s*['"]([^'"]+)['"]/i;
-    const nameMatch = sql.match(nameRegex);
-    
-    if (!nameMatch) {
-        // No specific name in the query, so no cross-org validation needed
+    let userIds;
+    try {
+        userIds = [...new Set(collectUserIdLiterals(sqlParser.astify(sql, SQL_DIALECT)))];
+    } catch (error) {
         return { valid: true };
     }
-    
-    const firstName = nameMatch[1];
-    
-    // Query to check if this user exists in a different organization
-    const checkQuery = `
-        SELECT organization_id FROM Users 
-        WHERE first_name = ? 
-        AND organization_id != ?
-    `;
-    
+
+    if (userIds.length === 0) {
+        // No specific employee in the query, so no cross-org validation needed
+        return { valid: true };
+    }
+
     try {
-        const [results] = await dbPool.execute(checkQuery, [firstName, organizationId]);
-        
-        if (results.length > 0) {
-            // Found a user with this name in another organization
+        const [results] = await dbPool.query(
+            'SELECT user_id FROM Users WHERE organization_id = ? AND user_id IN (?)',
+            [organizationId, userIds]
+        );
+        const known = new Set(results.map(row => String(row.user_id).toLowerCase()));
+        const unknownId = userIds.find(userId => !known.has(String(userId).toLowerCase()));
+        if (unknownId) {
             return {
                 valid: false,
-                message: `You don't have access to information about '${firstName}' as they belong to a different organization.`
+                message: `I couldn't find an employee with user ID '${unknownId}' in your organization.`
             };
         }
-        
-        // User either doesn't exist or is in the current organization
+
         return { valid: true };
     } catch (error) {
         console.error('Error validating cross-organization access:', error);
@@ -253,6 +1194,9 @@ function handleDatabaseError(error, sql) {
     } else if (error.code === 'ER_NO_REFERENCED_ROW_2') {
         // Foreign key constraint error
         errorResponse.message = "The referenced record does not exist. Please check your input values.";
+    } else if (['LEAVE_RULE_VIOLATION', 'PAYROLL_RULE_VIOLATION', 'NO_MATCHING_RECORDS'].includes(error.code)) {
+        // A leave or payroll rule was broken or a plan step matched nothing; the message is already user-friendly
+        errorResponse.message = error.message;
     } else {
         // Generic user-friendly message for other errors
         errorResponse.message = "I encountered an issue with the database. Please try again or rephrase your request.";
@@ -261,394 +1205,6597 @@ function handleDatabaseError(error, sql) {
     return errorResponse;
 }
 
-// Helper function to send email notifications for leave request approvals/rejections
-async function sendLeaveNotificationEmail(userId, action, leaveType) {
-    console.log(`Attempting to send ${action} notification email for user ${userId} regarding ${leaveType}`);
-    
-    try {
-        // Get user email from database
-        console.log(`Fetching user details for ID: ${userId}`);
-        const [userResult] = await dbPool.execute(
-            'SELECT first_name, last_name, email FROM Users WHERE user_id = ?', 
-            [userId]
-        );
-        
-        if (userResult.length === 0) {
-            console.error(`User not found for ID: ${userId}`);
-            return;
+// --- Email Templates ---
+
+// Notification emails are rendered from templates with an HTML and a plain-text body. An
+// organization can override any template, per locale, in EmailTemplates, and set its sender
+// name, reply-to address, footer and default locale in OrganizationEmailSettings. Anything it
+// hasn't set falls back to the built-in templates below.
+
+// Messages that use a template
+const EMAIL_TEMPLATE_KEYS = {
+    leave_approved: 'Sent to an employee when their leave request is approved',
+    leave_rejected: 'Sent to an employee when their leave request is rejected'
+};
+
+// Placeholders a template can use as {{name}}. Dates are formatted for the email's locale.
+const EMAIL_PLACEHOLDERS = {
+    employee_name: "The employee's full name",
+    first_name: "The employee's first name",
+    leave_type: 'The leave type, e.g. Casual Leave',
+    start_date: 'First day of the leave',
+    end_date: 'Last day of the leave',
+    days: 'Number of working days',
+    request_id: 'The leave request number',
+    approver_name: 'Full name of the person who decided the request',
+    remaining_balance: 'Days of this leave type left after the decision, counting pending requests',
+    organization_name: "The organization's name",
+    sender_name: 'The sender name set for the organization'
+};
+
+// Values used by the preview endpoint
+const SAMPLE_EMAIL_VALUES = {
+    employee_name: 'Rahul Verma',
+    first_name: 'Rahul',
+    leave_type: 'Casual Leave',
+    start_date: '2025-07-07',
+    end_date: '2025-07-09',
+    days: 3,
+    request_id: 12,
+    approver_name: 'Priya Singh',
+    remaining_balance: 4
+};
+
+const DEFAULT_EMAIL_LOCALE = 'en';
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+// Built-in templates by key and locale
+const DEFAULT_EMAIL_TEMPLATES = {
+    leave_approved: {
+        en: {
+            subject: 'Leave Request Approved',
+            text_body: `Dear {{employee_name}},
+
+Your request for {{leave_type}} from {{start_date}} to {{end_date}} ({{days}} day(s)) has been approved by {{approver_name}}.
+You have {{remaining_balance}} day(s) of {{leave_type}} left.
+
+Regards,
+{{sender_name}}`,
+            html_body: `<p>Dear {{employee_name}},</p>
+<p>Your request for <strong>{{leave_type}}</strong> from {{start_date}} to {{end_date}} ({{days}} day(s)) has been <strong style="color:#15803d;">approved</strong> by {{approver_name}}.</p>
+<p>You have {{remaining_balance}} day(s) of {{leave_type}} left.</p>
+<p>Regards,<br>{{sender_name}}</p>`
+        },
+        hi: {
+            subject: 'अवकाश अनुरोध स्वीकृत',
+            text_body: `प्रिय {{employee_name}},
+
+{{start_date}} से {{end_date}} ({{days}} दिन) के लिए आपका {{leave_type}} अनुरोध {{approver_name}} द्वारा स्वीकृत कर दिया गया है।
+आपके पास {{leave_type}} के {{remaining_balance}} दिन शेष हैं।
+
+सादर,
+{{sender_name}}`,
+            html_body: `<p>प्रिय {{employee_name}},</p>
+<p>{{start_date}} से {{end_date}} ({{days}} दिन) के लिए आपका <strong>{{leave_type}}</strong> अनुरोध {{approver_name}} द्वारा <strong style="color:#15803d;">स्वीकृत</strong> कर दिया गया है।</p>
+<p>आपके पास {{leave_type}} के {{remaining_balance}} दिन शेष हैं।</p>
+<p>सादर,<br>{{sender_name}}</p>`
         }
-        
-        const user = userResult[0];
-        console.log(`Found user: ${user.first_name} ${user.last_name}, email: ${user.email}`);
-        
-        const subject = `Leave Request ${action === 'approve' ? 'Approved' : 'Rejected'}`;
-        const text = `Dear ${user.first_name} ${user.last_name},
+    },
+    leave_rejected: {
+        en: {
+            subject: 'Leave Request Rejected',
+            text_body: `Dear {{employee_name}},
 
-Your request for ${leaveType} has been ${action === 'approve' ? 'approved' : 'rejected'}.
+Your request for {{leave_type}} from {{start_date}} to {{end_date}} ({{days}} day(s)) has been rejected by {{approver_name}}.
+You have {{remaining_balance}} day(s) of {{leave_type}} left.
 
 Regards,
-HR Team
-Vipraco`;
-        
-        console.log(`Sending email to ${user.email} with subject: ${subject}`);
-        console.log('Email configuration:', {
-            service: process.env.EMAIL_SERVICE || 'gmail',
-            user: process.env.EMAIL_USER,
-            // Password hidden for security
-        });
-        
-        // Send email
-        const info = await transporter.sendMail({
-            from: process.env.EMAIL_USER,
-            to: user.email,
-            subject,
-            text
-        });
-        
-        console.log(`Leave notification email sent to ${user.email}, messageId: ${info.messageId}`);
-    } catch (error) {
-        console.error('Error sending leave notification email:', error);
-        console.error('Error details:', error.message);
-        if (error.code === 'EAUTH') {
-            console.error('Authentication error - check your email credentials');
-        } else if (error.code === 'ESOCKET') {
-            console.error('Socket error - check your network connection and email service configuration');
+{{sender_name}}`,
+            html_body: `<p>Dear {{employee_name}},</p>
+<p>Your request for <strong>{{leave_type}}</strong> from {{start_date}} to {{end_date}} ({{days}} day(s)) has been <strong style="color:#b91c1c;">rejected</strong> by {{approver_name}}.</p>
+<p>You have {{remaining_balance}} day(s) of {{leave_type}} left.</p>
+<p>Regards,<br>{{sender_name}}</p>`
+        },
+        hi: {
+            subject: 'अवकाश अनुरोध अस्वीकृत',
+            text_body: `प्रिय {{employee_name}},
+
+{{start_date}} से {{end_date}} ({{days}} दिन) के लिए आपका {{leave_type}} अनुरोध {{approver_name}} द्वारा अस्वीकार कर दिया गया है।
+आपके पास {{leave_type}} के {{remaining_balance}} दिन शेष हैं।
+
+सादर,
+{{sender_name}}`,
+            html_body: `<p>प्रिय {{employee_name}},</p>
+<p>{{start_date}} से {{end_date}} ({{days}} दिन) के लिए आपका <strong>{{leave_type}}</strong> अनुरोध {{approver_name}} द्वारा <strong style="color:#b91c1c;">अस्वीकार</strong> कर दिया गया है।</p>
+<p>आपके पास {{leave_type}} के {{remaining_balance}} दिन शेष हैं।</p>
+<p>सादर,<br>{{sender_name}}</p>`
         }
-        // Don't throw error - we don't want email failures to break the API response
     }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-// Function to enforce organization-level access control
-function enforceOrganizationAccess(sql, organizationId) {
-    // Convert SQL to uppercase for case-insensitive checks
-    const upperSql = sql.toUpperCase();
-    
-    // Check if this is a query that needs organization restriction
-    const isSelect = upperSql.startsWith('SELECT');
-    const isUpdate = upperSql.startsWith('UPDATE');
-    const isInsert = upperSql.startsWith('INSERT');
-    
-    // If not a data access query, no need to modify
-    if (!isSelect && !isUpdate && !isInsert) {
-        return sql;
-    }
-    
-    // Tables that contain organization_id and need to be restricted
-    const restrictedTables = ['USERS', 'PAYROLLDATA', 'LEAVEBALANCES', 'COMPANYPOLICIES'];
-    
-    // Check if the query involves any of these tables
-    const involvesRestrictedTable = restrictedTables.some(table => upperSql.includes(table));
-    
-    if (!involvesRestrictedTable) {
-        return sql;
-    }
+function fillPlaceholders(template, values, escape = String) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+        name in values ? escape(values[name] ?? '') : match);
+}
 
-    // Check if this is a query looking for a specific user by name
-    const hasNameFilter = /WHERE.*first_name\s*=\s*['"](.*?)['"]|WHERE.*last_name\s*=\s*['"](.*?)['"]|WHERE.*LIKE\s*['"]%(.*?)%['"]/i.test(sql);
-    
-    // For queries with JOIN clauses
-    if (upperSql.includes(' JOIN ')) {
-        // Extract all table aliases in the query
-        const tableAliasRegex = /(\w+)\s+(?:AS\s+)?([a-z])(?:\s+|\s*(?:ON|INNER|LEFT|RIGHT|JOIN|WHERE))/gi;
-        const tableAliases = {};
-        let match;
-        
-        while ((match = tableAliasRegex.exec(sql)) !== null) {
-            tableAliases[match[2].toLowerCase()] = match[1].toLowerCase();
-        }
-        
-        // Find all organization_id references in the WHERE clause
-        let modifiedSql = sql;
-        
-        // Check if there's already an organization_id filter for Users table
-        const hasUserOrgFilter = /u\.organization_id\s*=\s*['"].*?['"]/i.test(sql);
-        
-        // If there's a JOIN with Users table but no organization_id filter, add it
-        if (tableAliases['u'] === 'users' && !hasUserOrgFilter) {
-            // If there's a WHERE clause, add to it
-            if (upperSql.includes(' WHERE ')) {
-                modifiedSql = modifiedSql.replace(/WHERE\s+/i, `WHERE u.organization_id = '${organizationId}' AND `);
-            } else {
-                // If no WHERE clause, add one
-                modifiedSql = `${modifiedSql} WHERE u.organization_id = '${organizationId}'`;
-            }
-            return modifiedSql;
+function findUnknownPlaceholders(...texts) {
+    const unknown = new Set();
+    for (const text of texts) {
+        for (const [, name] of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+            if (!(name in EMAIL_PLACEHOLDERS)) unknown.add(name);
         }
     }
-    
-    // For simple SELECT queries looking for users by name
-    if (isSelect && hasNameFilter) {
-        // Check if there's already an organization_id filter
-        const hasOrgFilter = /organization_id\s*=\s*['"].*?['"]/i.test(sql);
-        
-        if (!hasOrgFilter) {
-            // If there's a WHERE clause, add to it
-            if (upperSql.includes(' WHERE ')) {
-                return sql.replace(/WHERE\s+/i, `WHERE organization_id = '${organizationId}' AND `);
-            } else {
-                // If no WHERE clause, add one
-                return `${sql} WHERE organization_id = '${organizationId}'`;
-            }
-        }
-    }
-    
-    // For SELECT queries
-    if (isSelect) {
-        // If the query already has a WHERE clause, add organization restriction
-        if (upperSql.includes(' WHERE ')) {
-            // Check if there's already an organization_id filter
-            const hasOrgFilter = /organization_id\s*=\s*['"].*?['"]/i.test(sql);
-            
-            if (!hasOrgFilter) {
-                return sql.replace(/WHERE\s+/i, `WHERE organization_id = '${organizationId}' AND `);
-            }
-        } else {
-            // If no WHERE clause, add one with organization restriction
-            return `${sql} WHERE organization_id = '${organizationId}'`;
-        }
+    return [...unknown];
+}
+
+// A locale Intl can format dates for, e.g. 'en', 'hi' or 'en-IN'
+function isSupportedLocale(locale) {
+    return typeof locale === 'string' && LOCALE_PATTERN.test(locale)
+        && Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+}
+
+// Locales to try for a message, most specific first: the recipient's, then the organization's default
+function localeFallbacks(...locales) {
+    const candidates = [];
+    for (const locale of [...locales, DEFAULT_EMAIL_LOCALE]) {
+        if (!isSupportedLocale(locale)) continue;
+        candidates.push(locale, locale.split('-')[0]);
     }
-    
-    // For UPDATE queries
-    if (isUpdate) {
-        // If the query already has a WHERE clause, add organization restriction
-        if (upperSql.includes(' WHERE ')) {
-            // Check if there's already an organization_id filter
-            const hasOrgFilter = /organization_id\s*=\s*['"].*?['"]/i.test(sql);
-            
-            if (!hasOrgFilter) {
-                return sql.replace(/WHERE\s+/i, `WHERE organization_id = '${organizationId}' AND `);
-            }
+    return [...new Set(candidates)];
+}
+
+function formatEmailDate(value, locale) {
+    const date = parseDateOnly(value);
+    return date ? new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(date) : value;
+}
+
+// The HTML document around a template's body, with the organization's footer
+function wrapEmailHtml(bodyHtml, footerHtml, locale) {
+    const footer = footerHtml
+        ? `\n<p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#6b7280;">${footerHtml}</p>`
+        : '';
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+<div style="max-width:560px;margin:0 auto;padding:24px;background:#ffffff;border-radius:6px;line-height:1.5;">
+${bodyHtml}
+</div>${footer}
+</body>
+</html>`;
+}
+
+// Load the organization's name and email settings, with defaults for anything not set
+async function loadEmailBranding(organizationId) {
+    await ensureSupportTables();
+    const [[row]] = await dbPool.execute(
+        `SELECT o.org_name, s.sender_name, s.reply_to, s.footer, s.default_locale
+         FROM Organizations o
+         LEFT JOIN OrganizationEmailSettings s ON s.organization_id = o.organization_id
+         WHERE o.organization_id = ?`,
+        [organizationId]
+    );
+    const organizationName = row ? row.org_name : organizationId;
+    return {
+        organizationName,
+        senderName: (row && row.sender_name) || `${organizationName} HR Team`,
+        replyTo: (row && row.reply_to) || null,
+        footer: (row && row.footer) || null,
+        defaultLocale: (row && row.default_locale) || DEFAULT_EMAIL_LOCALE
+    };
+}
+
+// Find the template to use: the organization's own, else the built-in one, for the first
+// locale in the fallback list that has either. Returns { locale, source, subject, html_body, text_body }.
+async function findEmailTemplate(organizationId, templateKey, locales) {
+    const [overrides] = await dbPool.execute(
+        'SELECT locale, subject, html_body, text_body FROM EmailTemplates WHERE organization_id = ? AND template_key = ?',
+        [organizationId, templateKey]
+    );
+    const defaults = DEFAULT_EMAIL_TEMPLATES[templateKey] || {};
+    for (const locale of locales) {
+        const own = overrides.find(template => template.locale === locale);
+        if (own) return { ...own, source: 'organization' };
+        if (defaults[locale]) return { locale, source: 'default', ...defaults[locale] };
+    }
+    return { locale: DEFAULT_EMAIL_LOCALE, source: 'default', ...defaults[DEFAULT_EMAIL_LOCALE] };
+}
+
+// Render a notification email for an organization.
+// values fills the placeholders; locale is the recipient's preferred locale, if any; draft can
+// supply an unsaved subject / html_body / text_body to use instead of the stored template.
+// Returns { templateKey, locale, source, from, replyTo, subject, html, text }.
+async function renderEmail({ organizationId, templateKey, locale, values, draft = {} }) {
+    const branding = await loadEmailBranding(organizationId);
+    const locales = localeFallbacks(locale, branding.defaultLocale);
+    const template = await findEmailTemplate(organizationId, templateKey, locales);
+    const parts = {
+        subject: draft.subject ?? template.subject,
+        html_body: draft.html_body ?? template.html_body,
+        text_body: draft.text_body ?? template.text_body
+    };
+
+    const filled = {
+        ...values,
+        start_date: formatEmailDate(values.start_date, template.locale),
+        end_date: formatEmailDate(values.end_date, template.locale),
+        organization_name: branding.organizationName,
+        sender_name: branding.senderName
+    };
+    const footer = branding.footer ? fillPlaceholders(branding.footer, filled) : null;
+
+    return {
+        templateKey,
+        locale: template.locale,
+        source: Object.keys(draft).length > 0 ? 'draft' : template.source,
+        from: { name: branding.senderName, address: EMAIL_FROM },
+        replyTo: branding.replyTo,
+        subject: fillPlaceholders(parts.subject, filled).replace(/\s+/g, ' ').trim(),
+        html: wrapEmailHtml(
+            fillPlaceholders(parts.html_body, filled, escapeHtml),
+            footer && escapeHtml(footer).replace(/\n/g, '<br>'),
+            template.locale
+        ),
+        text: fillPlaceholders(parts.text_body, filled) + (footer ? `\n\n--\n${footer}` : '')
+    };
+}
+
+// Read the template key from a request, or return the error message
+function readTemplateKey(input) {
+    if (!(input.template_key in EMAIL_TEMPLATE_KEYS)) {
+        return { error: `Please provide a "template_key": one of ${Object.keys(EMAIL_TEMPLATE_KEYS).join(', ')}.` };
+    }
+    return { templateKey: input.template_key };
+}
+
+// List the organization's email settings and every template it uses: its own, and the built-in
+// ones it hasn't replaced. Also lists the placeholders templates can use.
+async function listEmailTemplates(caller) {
+    const branding = await loadEmailBranding(caller.organizationId);
+    const [overrides] = await dbPool.execute(
+        `SELECT template_key, locale, subject, html_body, text_body, updated_by, updated_at
+         FROM EmailTemplates WHERE organization_id = ? ORDER BY template_key, locale`,
+        [caller.organizationId]
+    );
+
+    const templates = overrides.map(template => ({ ...template, source: 'organization' }));
+    for (const [templateKey, locales] of Object.entries(DEFAULT_EMAIL_TEMPLATES)) {
+        for (const [locale, template] of Object.entries(locales)) {
+            if (!overrides.some(own => own.template_key === templateKey && own.locale === locale)) {
+                templates.push({ template_key: templateKey, locale, ...template, updated_by: null, updated_at: null, source: 'default' });
+            }
+        }
+    }
+    templates.sort((a, b) => a.template_key.localeCompare(b.template_key) || a.locale.localeCompare(b.locale));
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            data: {
+                settings: {
+                    sender_name: branding.senderName,
+                    reply_to: branding.replyTo,
+                    footer: branding.footer,
+                    default_locale: branding.defaultLocale
+                },
+                templates: templates.map(template => ({ ...template, description: EMAIL_TEMPLATE_KEYS[template.template_key] })),
+                placeholders: EMAIL_PLACEHOLDERS
+            }
+        }
+    };
+}
+
+// Save the organization's version of a template for one locale:
+// { template_key, locale, subject, html_body, text_body }. { template_key, locale, reset: true }
+// deletes it, so the built-in template is used again.
+async function saveEmailTemplate(caller, input) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const { templateKey, error } = readTemplateKey(input);
+    if (error) {
+        return invalid(error);
+    }
+    if (!isSupportedLocale(input.locale)) {
+        return invalid('Please provide a supported "locale", such as "en", "hi" or "en-IN".');
+    }
+
+    await ensureSupportTables();
+    if (input.reset === true) {
+        const [result] = await dbPool.execute(
+            'DELETE FROM EmailTemplates WHERE organization_id = ? AND template_key = ? AND locale = ?',
+            [caller.organizationId, templateKey, input.locale]
+        );
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: result.affectedRows > 0
+                    ? `Done! The ${templateKey} email in ${input.locale} is back to the built-in template.`
+                    : `Your organization hasn't customised the ${templateKey} email in ${input.locale}, so nothing changed.`
+            }
+        };
+    }
+
+    for (const field of ['subject', 'html_body', 'text_body']) {
+        if (typeof input[field] !== 'string' || !input[field].trim()) {
+            return invalid(`Please provide the template's "${field}".`);
+        }
+    }
+    if (input.subject.trim().length > 255) {
+        return invalid('The subject can be at most 255 characters long.');
+    }
+    const unknown = findUnknownPlaceholders(input.subject, input.html_body, input.text_body);
+    if (unknown.length > 0) {
+        return invalid(`Unknown placeholder(s): ${unknown.map(name => `{{${name}}}`).join(', ')}. You can use: ${Object.keys(EMAIL_PLACEHOLDERS).join(', ')}.`);
+    }
+
+    await dbPool.execute(
+        `INSERT INTO EmailTemplates (organization_id, template_key, locale, subject, html_body, text_body, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE subject = VALUES(subject), html_body = VALUES(html_body),
+                                 text_body = VALUES(text_body), updated_by = VALUES(updated_by)`,
+        [caller.organizationId, templateKey, input.locale, input.subject.trim(), input.html_body, input.text_body, caller.userId]
+    );
+    return {
+        statusCode: 200,
+        body: { success: true, message: `Done! I've saved your organization's ${templateKey} email in ${input.locale}.` }
+    };
+}
+
+// Update the organization's sender name, reply-to address, footer and default locale.
+// Only the fields given change; null clears one back to its default.
+async function saveEmailSettings(caller, input) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const fields = ['sender_name', 'reply_to', 'footer', 'default_locale'];
+
+    const unknown = Object.keys(input).filter(key => !fields.includes(key));
+    if (unknown.length > 0) {
+        return invalid(`I can't set ${unknown.join(', ')}. You can set: ${fields.join(', ')}.`);
+    }
+    const given = fields.filter(field => input[field] !== undefined);
+    if (given.length === 0) {
+        return invalid(`Please tell me what to change. You can set: ${fields.join(', ')}.`);
+    }
+
+    const values = {};
+    for (const field of given) {
+        const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+        if (value !== null && typeof value !== 'string') {
+            return invalid(`"${field}" must be text.`);
+        }
+        values[field] = value || null;
+    }
+    if (values.sender_name && (values.sender_name.length > 255 || /[\r\n<>"]/.test(values.sender_name))) {
+        return invalid('The sender name must be a single line of at most 255 characters, without < > or quotes.');
+    }
+    if (values.reply_to && (values.reply_to.length > 255 || !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(values.reply_to))) {
+        return invalid('"reply_to" must be an email address.');
+    }
+    if (values.default_locale && !isSupportedLocale(values.default_locale)) {
+        return invalid('Please provide a supported "default_locale", such as "en", "hi" or "en-IN".');
+    }
+    const unknownPlaceholders = findUnknownPlaceholders(values.footer);
+    if (unknownPlaceholders.length > 0) {
+        return invalid(`Unknown placeholder(s) in the footer: ${unknownPlaceholders.map(name => `{{${name}}}`).join(', ')}.`);
+    }
+
+    await ensureSupportTables();
+    await dbPool.query(
+        `INSERT INTO OrganizationEmailSettings (organization_id, updated_by, ??) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE updated_by = VALUES(updated_by), ${given.map(field => `${field} = VALUES(${field})`).join(', ')}`,
+        [given, caller.organizationId, caller.userId, given.map(field => values[field])]
+    );
+
+    const { body } = await listEmailTemplates(caller);
+    return {
+        statusCode: 200,
+        body: { success: true, message: "Done! I've updated your organization's email settings.", data: body.data.settings }
+    };
+}
+
+// Render a template with sample data, as an employee would receive it.
+// input: { template_key, locale?, sample?, subject?, html_body?, text_body? }. sample overrides the
+// sample values; subject / html_body / text_body preview an unsaved draft.
+async function previewEmailTemplate(caller, input) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const { templateKey, error } = readTemplateKey(input);
+    if (error) {
+        return invalid(error);
+    }
+    if (input.locale !== undefined && !isSupportedLocale(input.locale)) {
+        return invalid('Please provide a supported "locale", such as "en", "hi" or "en-IN".');
+    }
+    if (input.sample !== undefined && (!input.sample || typeof input.sample !== 'object' || Array.isArray(input.sample))) {
+        return invalid('"sample" must be an object of placeholder values.');
+    }
+
+    const draft = {};
+    for (const field of ['subject', 'html_body', 'text_body']) {
+        if (input[field] === undefined) continue;
+        if (typeof input[field] !== 'string') {
+            return invalid(`"${field}" must be text.`);
+        }
+        draft[field] = input[field];
+    }
+    const unknown = findUnknownPlaceholders(...Object.values(draft));
+    if (unknown.length > 0) {
+        return invalid(`Unknown placeholder(s): ${unknown.map(name => `{{${name}}}`).join(', ')}. You can use: ${Object.keys(EMAIL_PLACEHOLDERS).join(', ')}.`);
+    }
+
+    const email = await renderEmail({
+        organizationId: caller.organizationId,
+        templateKey,
+        locale: input.locale,
+        values: { ...SAMPLE_EMAIL_VALUES, ...(input.sample || {}) },
+        draft
+    });
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            data: {
+                template_key: templateKey,
+                locale: email.locale,
+                source: email.source,
+                from: email.from,
+                reply_to: email.replyTo,
+                subject: email.subject,
+                html: email.html,
+                text: email.text
+            }
+        }
+    };
+}
+
+// --- Notification Outbox ---
+
+// Notifications are written to NotificationOutbox in the same transaction as the change they
+// report, so a committed leave decision always has its email queued. They are delivered right
+// after the commit and, if that fails, retried by dispatchNotifications() with exponential
+// backoff until NOTIFICATION_MAX_ATTEMPTS is reached, when they are dead-lettered ('dead').
+// Admins can list failed notifications and resend them.
+
+// pending: waiting for (another) attempt; sending: claimed by a dispatcher; sent; dead: gave up
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// Longest wait between two attempts
+const MAX_NOTIFICATION_RETRY_SECONDS = 6 * 60 * 60;
+
+// How long a claimed notification stays locked; a dispatcher that dies mid-send releases it after this
+const NOTIFICATION_LOCK_SECONDS = 120;
+
+const NOTIFICATION_BATCH_SIZE = 25;
+
+// Columns returned by the admin endpoints (n = NotificationOutbox, u = the recipient in Users)
+const NOTIFICATION_COLUMNS = `n.notification_id, n.recipient_user_id,
+    CONCAT(u.first_name, ' ', u.last_name) AS recipient_name,
+    n.template_key, n.payload, n.status, n.attempts, n.last_error,
+    n.next_attempt_at, n.message_id, n.created_by, n.created_at, n.sent_at`;
+
+// An error that retrying can't fix, such as a recipient who no longer exists
+function permanentDeliveryError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+// Queue the approval/rejection email for each leave decision, in the caller's transaction.
+// The balance left after the decision is recorded now, as it stood when the request was decided.
+// Sets decision.notificationId on each decision.
+async function enqueueLeaveNotifications(connection, leaveDecisions, caller) {
+    for (const decision of leaveDecisions) {
+        const [[balance]] = await connection.execute(
+            `SELECT total_allotted - leaves_taken - leaves_pending_approval AS remaining
+             FROM LeaveBalances WHERE organization_id = ? AND user_id = ? AND leave_type = ?`,
+            [decision.organizationId, decision.userId, decision.leaveType]
+        );
+        const payload = {
+            request_id: decision.requestId,
+            leave_type: decision.leaveType,
+            start_date: decision.startDate,
+            end_date: decision.endDate,
+            days: decision.days,
+            approver_id: decision.approverId,
+            remaining_balance: balance ? balance.remaining : 0
+        };
+        const [result] = await connection.execute(
+            `INSERT INTO NotificationOutbox (organization_id, recipient_user_id, template_key, payload, created_by)
+             VALUES (?, ?, ?, ?, ?)`,
+            [
+                decision.organizationId, decision.userId,
+                decision.action === 'approve' ? 'leave_approved' : 'leave_rejected',
+                JSON.stringify(payload), caller.userId
+            ]
+        );
+        decision.notificationId = result.insertId;
+    }
+}
+
+// Render the email for an outbox row, rendered from the recipient's organization's template in
+// their preferred locale. Returns nodemailer message options.
+async function buildNotificationMail(notification) {
+    const payload = typeof notification.payload === 'string' ? JSON.parse(notification.payload) : notification.payload;
+    const [users] = await dbPool.execute(
+        `SELECT u.first_name, u.last_name, u.email, u.preferred_locale,
+                CONCAT(a.first_name, ' ', a.last_name) AS approver_name
+         FROM Users u
+         LEFT JOIN Users a ON a.user_id = ?
+         WHERE u.user_id = ? AND u.organization_id = ?`,
+        [payload.approver_id || null, notification.recipient_user_id, notification.organization_id]
+    );
+    if (users.length === 0 || !users[0].email) {
+        throw permanentDeliveryError(`User ${notification.recipient_user_id} no longer exists or has no email address.`);
+    }
+    const user = users[0];
+
+    const email = await renderEmail({
+        organizationId: notification.organization_id,
+        templateKey: notification.template_key,
+        locale: user.preferred_locale,
+        values: {
+            employee_name: `${user.first_name} ${user.last_name}`,
+            first_name: user.first_name,
+            leave_type: payload.leave_type,
+            start_date: payload.start_date,
+            end_date: payload.end_date,
+            days: payload.days,
+            request_id: payload.request_id,
+            approver_name: user.approver_name || 'HR',
+            remaining_balance: payload.remaining_balance ?? 0
+        }
+    });
+    return {
+        from: email.from,
+        replyTo: email.replyTo || undefined,
+        to: user.email,
+        subject: email.subject,
+        text: email.text,
+        html: email.html
+    };
+}
+
+// Claim and send one notification. Returns 'sent', 'retrying', 'dead', or 'skipped' when it is
+// not due or another dispatcher has it.
+async function deliverNotification(notificationId) {
+    const [claim] = await dbPool.execute(
+        `UPDATE NotificationOutbox
+         SET status = 'sending', attempts = attempts + 1, locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE notification_id = ?
+           AND ((status = 'pending' AND next_attempt_at <= NOW()) OR (status = 'sending' AND locked_until < NOW()))`,
+        [NOTIFICATION_LOCK_SECONDS, notificationId]
+    );
+    if (claim.affectedRows === 0) {
+        return 'skipped';
+    }
+    const [[notification]] = await dbPool.execute('SELECT * FROM NotificationOutbox WHERE notification_id = ?', [notificationId]);
+
+    try {
+        const mail = await buildNotificationMail(notification);
+        console.log(`Sending notification #${notificationId} (${notification.template_key}) to ${mail.to}, attempt ${notification.attempts}`);
+        const info = await transporter.sendMail(mail);
+        await dbPool.execute(
+            `UPDATE NotificationOutbox
+             SET status = 'sent', sent_at = NOW(), message_id = ?, last_error = NULL, locked_until = NULL
+             WHERE notification_id = ?`,
+            [info.messageId || null, notificationId]
+        );
+        console.log(`Notification #${notificationId} sent to ${mail.to}, messageId: ${info.messageId}`);
+        return 'sent';
+    } catch (error) {
+        const dead = error.permanent || notification.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+        const delay = Math.min(NOTIFICATION_RETRY_BASE_SECONDS * 2 ** (notification.attempts - 1), MAX_NOTIFICATION_RETRY_SECONDS);
+        await dbPool.execute(
+            `UPDATE NotificationOutbox
+             SET status = ?, last_error = ?, locked_until = NULL, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+             WHERE notification_id = ?`,
+            [dead ? 'dead' : 'pending', String(error.message).slice(0, 1000), delay, notificationId]
+        );
+
+        console.error(`Error sending notification #${notificationId} (attempt ${notification.attempts}):`, error.message);
+        if (error.code === 'EAUTH') {
+            console.error('Authentication error - check your email credentials');
+        } else if (error.code === 'ESOCKET' || error.code === 'ECONNECTION') {
+            console.error('Socket error - check your network connection and email service configuration');
+        }
+        console.error(dead
+            ? `Notification #${notificationId} moved to the dead-letter state`
+            : `Notification #${notificationId} will be retried in ${delay} second(s)`);
+        return dead ? 'dead' : 'retrying';
+    }
+}
+
+// Deliver due notifications: the given IDs, or the next batch whose retry time has come
+// (including any left locked by a dispatcher that stopped). Returns counts per outcome.
+async function dispatchNotifications({ notificationIds } = {}) {
+    await ensureSupportTables();
+    const [due] = notificationIds
+        ? [notificationIds.map(id => ({ notification_id: id }))]
+        : await dbPool.query(
+            `SELECT notification_id FROM NotificationOutbox
+             WHERE (status = 'pending' AND next_attempt_at <= NOW()) OR (status = 'sending' AND locked_until < NOW())
+             ORDER BY next_attempt_at LIMIT ?`,
+            [NOTIFICATION_BATCH_SIZE]
+        );
+
+    const summary = { sent: 0, retrying: 0, dead: 0, skipped: 0 };
+    for (const { notification_id: id } of due) {
+        summary[await deliverNotification(id)]++;
+    }
+    return summary;
+}
+
+// Deliver the emails queued for leave decisions once their transaction has committed.
+// Any that can't be sent now stay in the outbox for the dispatcher, so this never fails the request.
+async function notifyLeaveDecisions(leaveDecisions) {
+    const notificationIds = (leaveDecisions || []).map(decision => decision.notificationId).filter(Boolean);
+    if (notificationIds.length === 0) {
+        return;
+    }
+    try {
+        await dispatchNotifications({ notificationIds });
+    } catch (error) {
+        console.error('Error dispatching leave notifications; they stay queued for retry:', error.message);
+    }
+}
+
+// List the organization's notifications, newest first.
+// Filters: status ('failed' (default) = dead or waiting for a retry, 'all', or one of
+// NOTIFICATION_STATUSES), user_id (recipient), limit, offset.
+async function listNotifications(caller, filters = {}) {
+    const conditions = ['n.organization_id = ?'];
+    const params = [caller.organizationId];
+
+    const status = String(filters.status || 'failed').toLowerCase();
+    if (status === 'failed') {
+        conditions.push("(n.status = 'dead' OR (n.status = 'pending' AND n.attempts > 0))");
+    } else if (NOTIFICATION_STATUSES.includes(status)) {
+        conditions.push('n.status = ?');
+        params.push(status);
+    } else if (status !== 'all') {
+        return { statusCode: 400, body: { success: false, message: `Unknown status. Use one of: failed, all, ${NOTIFICATION_STATUSES.join(', ')}.` } };
+    }
+    if (filters.user_id) {
+        conditions.push('n.recipient_user_id = ?');
+        params.push(filters.user_id);
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    await ensureSupportTables();
+    const [notifications] = await dbPool.query(
+        `SELECT ${NOTIFICATION_COLUMNS}
+         FROM NotificationOutbox n
+         LEFT JOIN Users u ON u.user_id = n.recipient_user_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY n.created_at DESC, n.notification_id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+
+    return {
+        statusCode: 200,
+        body: { success: true, data: notifications, pagination: { limit, offset, count: notifications.length } }
+    };
+}
+
+// Send failed notifications again now, with a fresh set of attempts.
+// input: { notification_id } or { notification_ids: [...] }. Only dead notifications and ones
+// waiting for a retry can be resent.
+async function resendNotifications(caller, input) {
+    const ids = [...new Set((Array.isArray(input.notification_ids) ? input.notification_ids : [input.notification_id])
+        .filter(id => id !== undefined && id !== null)
+        .map(Number))];
+    if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id < 1)) {
+        return { statusCode: 400, body: { success: false, message: 'Please provide the "notification_id" (or a list of "notification_ids") to resend.' } };
+    }
+    if (ids.length > NOTIFICATION_BATCH_SIZE) {
+        return { statusCode: 400, body: { success: false, message: `I can resend at most ${NOTIFICATION_BATCH_SIZE} notifications at a time.` } };
+    }
+
+    await ensureSupportTables();
+    const [found] = await dbPool.query(
+        'SELECT notification_id, status FROM NotificationOutbox WHERE organization_id = ? AND notification_id IN (?)',
+        [caller.organizationId, ids]
+    );
+    const missing = ids.filter(id => !found.some(row => row.notification_id === id));
+    if (missing.length > 0) {
+        return { statusCode: 404, body: { success: false, message: `I couldn't find notification(s) ${missing.map(id => `#${id}`).join(', ')} in your organization.` } };
+    }
+    const notResendable = found.filter(row => !['dead', 'pending'].includes(row.status));
+    if (notResendable.length > 0) {
+        const row = notResendable[0];
+        return {
+            statusCode: 409,
+            body: {
+                success: false,
+                message: row.status === 'sent'
+                    ? `Notification #${row.notification_id} has already been delivered.`
+                    : `Notification #${row.notification_id} is being sent right now.`
+            }
+        };
+    }
+
+    await dbPool.query(
+        `UPDATE NotificationOutbox
+         SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+         WHERE organization_id = ? AND notification_id IN (?) AND status IN ('dead', 'pending')`,
+        [caller.organizationId, ids]
+    );
+    const summary = await dispatchNotifications({ notificationIds: ids });
+
+    const [notifications] = await dbPool.query(
+        `SELECT ${NOTIFICATION_COLUMNS}
+         FROM NotificationOutbox n
+         LEFT JOIN Users u ON u.user_id = n.recipient_user_id
+         WHERE n.notification_id IN (?)
+         ORDER BY n.notification_id`,
+        [ids]
+    );
+    return {
+        statusCode: 200,
+        body: {
+            success: summary.sent === ids.length,
+            message: summary.sent === ids.length
+                ? `Done! I've resent ${ids.length} notification(s).`
+                : `I resent ${ids.length} notification(s): ${[
+                    `${summary.sent} delivered`,
+                    summary.retrying > 0 && `${summary.retrying} failed again and will be retried automatically`,
+                    summary.dead > 0 && `${summary.dead} can't be delivered (see last_error)`
+                ].filter(Boolean).join(', ')}.`,
+            data: notifications
+        }
+    };
+}
+
+// --- Tenant Scoping ---
+
+// Tables that carry an organization_id column and must be limited to the caller's tenant
+const ORGANIZATION_SCOPED_TABLES = ['Organizations', 'Users', 'LeaveBalances', 'LeaveRequests', 'PayrollData', 'CompanyPolicies', 'SalaryRevisions'];
+
+const STRING_LITERAL_TYPES = ['single_quote_string', 'double_quote_string', 'string'];
+
+const OUTER_JOIN_USING_MESSAGE = "I couldn't restrict an outer join written with USING to the rows you may see, so I didn't run it.";
+
+// Build "<alias>.organization_id = '<org>'"
+function buildOrganizationCondition(alias, organizationId) {
+    return {
+        type: 'binary_expr',
+        operator: '=',
+        left: { type: 'column_ref', table: alias, column: 'organization_id' },
+        right: { type: 'single_quote_string', value: organizationId }
+    };
+}
+
+// Find organization_id literals anywhere in the query that name a different tenant
+function findForeignOrganizationLiteral(node, organizationId) {
+    if (Array.isArray(node)) {
+        for (const child of node) {
+            const found = findForeignOrganizationLiteral(child, organizationId);
+            if (found) return found;
+        }
+        return null;
+    }
+    if (!node || typeof node !== 'object') {
+        return null;
+    }
+
+    // Comparisons such as organization_id = 'X' or organization_id IN ('X', 'Y')
+    if (node.type === 'binary_expr') {
+        const sides = [[node.left, node.right], [node.right, node.left]];
+        for (const [column, other] of sides) {
+            if (column && column.type === 'column_ref' && getColumnName(column).toLowerCase() === 'organization_id' && other) {
+                const values = other.type === 'expr_list' ? other.value : [other];
+                const foreign = values.find(value => value && STRING_LITERAL_TYPES.includes(value.type) && value.value !== organizationId);
+                if (foreign) return foreign.value;
+            }
+        }
+    }
+
+    // SET organization_id = 'X' in UPDATE or INSERT ... SET
+    if (Array.isArray(node.set)) {
+        const foreign = node.set.find(assignment => String(assignment.column).toLowerCase() === 'organization_id' &&
+            assignment.value && STRING_LITERAL_TYPES.includes(assignment.value.type) && assignment.value.value !== organizationId);
+        if (foreign) return foreign.value.value;
+    }
+
+    for (const value of Object.values(node)) {
+        if (value && typeof value === 'object') {
+            const found = findForeignOrganizationLiteral(value, organizationId);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// List the organization_id literals an INSERT would write
+function getInsertedOrganizationLiterals(ast) {
+    if (Array.isArray(ast.set)) {
+        return [];  // INSERT ... SET is covered by findForeignOrganizationLiteral
+    }
+    const index = (ast.columns || []).findIndex(column => String(column).toLowerCase() === 'organization_id');
+    if (index === -1 || !ast.values) {
+        return [];
+    }
+
+    const expressions = ast.values.type === 'values'
+        ? ast.values.values.map(row => row.value[index])
+        : [(ast.values.columns || [])[index] && ast.values.columns[index].expr];
+    return expressions
+        .filter(expr => expr && STRING_LITERAL_TYPES.includes(expr.type))
+        .map(expr => expr.value);
+}
+
+// Force an INSERT to write the caller's organization_id
+function scopeInsertToOrganization(ast, organizationId) {
+    const literal = { type: 'single_quote_string', value: organizationId };
+
+    if (Array.isArray(ast.set)) {
+        const assignment = ast.set.find(item => String(item.column).toLowerCase() === 'organization_id');
+        if (assignment) {
+            assignment.value = literal;
+        } else {
+            ast.set.push({ column: 'organization_id', value: literal, table: null });
+        }
+        return true;
+    }
+
+    if (!Array.isArray(ast.columns) || ast.columns.length === 0) {
+        return false;
+    }
+
+    let index = ast.columns.findIndex(column => String(column).toLowerCase() === 'organization_id');
+    if (index === -1) {
+        ast.columns.push('organization_id');
+        index = ast.columns.length - 1;
+    }
+
+    if (ast.values && ast.values.type === 'values') {
+        ast.values.values.forEach(row => { row.value[index] = { ...literal }; });
+        return true;
+    }
+    if (ast.values && ast.values.type === 'select' && Array.isArray(ast.values.columns)) {
+        ast.values.columns[index] = { expr: { ...literal }, as: null };
+        return true;
+    }
+    return false;
+}
+
+// Restrict a generated statement to the caller's organization. Every reference to a tenant table,
+// including joins and subqueries, is filtered on organization_id; literals naming another tenant
+// are rejected; inserted rows get the caller's organization.
+// Returns { allowed: true, sql } or { allowed: false, message }.
+function enforceOrganizationAccess(sql, organizationId) {
+    let ast;
+    try {
+        ast = sqlParser.astify(sql, SQL_DIALECT);
+    } catch (error) {
+        console.error('Could not parse generated SQL for tenant scoping:', error.message);
+        return { allowed: false, message: "I couldn't verify that this request stays within your organization, so I didn't run it." };
+    }
+    if (Array.isArray(ast)) {
+        if (ast.length !== 1) {
+            return { allowed: false, message: 'Only one statement can be run per request.' };
+        }
+        ast = ast[0];
+    }
+
+    const foreignOrganization = findForeignOrganizationLiteral(ast, organizationId) ||
+        (ast.type === 'insert' && getInsertedOrganizationLiterals(ast).find(value => value !== organizationId));
+    if (foreignOrganization) {
+        return {
+            allowed: false,
+            message: "I'm sorry, but you don't have permission to access information about employees from other organizations."
+        };
+    }
+
+    // An UPDATE may only set organization_id to the caller's organization written out as a literal, so a
+    // computed value (CONCAT(...), a subquery, another column) can't move rows into another tenant
+    const organizationAssignment = ast.type === 'update' && (ast.set || []).find(assignment =>
+        String(assignment.column).toLowerCase() === 'organization_id' &&
+        !(assignment.value && STRING_LITERAL_TYPES.includes(assignment.value.type) && assignment.value.value === organizationId));
+    if (organizationAssignment) {
+        return { allowed: false, message: "Records can't be moved to another organization, so I didn't run this change." };
+    }
+
+    if (ast.type === 'insert') {
+        if (ast.on_duplicate_update) {
+            return { allowed: false, message: 'ON DUPLICATE KEY UPDATE is not allowed.' };
+        }
+        const target = canonicalTableName(ast.table[0].table);
+        if (ORGANIZATION_SCOPED_TABLES.includes(target) && target !== 'Organizations' && !scopeInsertToOrganization(ast, organizationId)) {
+            return { allowed: false, message: 'New records must list the columns being inserted.' };
+        }
+    }
+
+    for (const statement of collectStatements(ast)) {
+        if (statement.type === 'insert') continue;
+
+        for (const ref of getTableRefs(statement)) {
+            if (ORGANIZATION_SCOPED_TABLES.includes(ref.table) &&
+                !addTableCondition(statement, ref.alias, buildOrganizationCondition(ref.alias, organizationId))) {
+                return { allowed: false, message: OUTER_JOIN_USING_MESSAGE };
+            }
+        }
+    }
+
+    return { allowed: true, sql: sqlParser.sqlify(ast, SQL_DIALECT) };
+}
+
+// --- Authentication ---
+
+// Read a header regardless of case (API Gateway keeps the client's casing)
+function getHeader(headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+// Pull the caller's identity out of verified token claims.
+// Custom claims may sit at the top level or under app_metadata (Supabase).
+function getIdentityFromClaims(claims) {
+    const metadata = claims.app_metadata || {};
+    const role = [metadata.role, claims.user_role, claims.role]
+        .find(value => value && Object.keys(ROLE_POLICIES).some(name => name.toLowerCase() === String(value).toLowerCase()));
+
+    return {
+        userId: claims.user_id || metadata.user_id || claims.sub,
+        organizationId: claims.organization_id || metadata.organization_id,
+        role
+    };
+}
+
+// Authenticate a request from its headers. Used by the request pipeline for routes marked auth.
+// Returns { authenticated: true, identity } or { authenticated: false, statusCode, message }.
+function authenticateRequest(headers) {
+    const headerUserId = getHeader(headers, 'x-user-id');
+    const headerOrganizationId = getHeader(headers, 'x-organization-id');
+
+    if (AUTH_MODE === 'headers') {
+        if (!headerUserId || !headerOrganizationId) {
+            return { authenticated: false, statusCode: 400, message: 'Missing user ID or organization ID. Please provide all required information.' };
+        }
+        return { authenticated: true, identity: { userId: headerUserId, organizationId: headerOrganizationId } };
+    }
+
+    const authorizationHeader = getHeader(headers, 'authorization') || '';
+    const tokenMatch = authorizationHeader.match(/^Bearer\s+(.+)$/i);
+    if (!tokenMatch) {
+        return { authenticated: false, statusCode: 401, message: 'Missing bearer token. Please sign in and try again.' };
+    }
+
+    if (!JWT_SECRET || !JWT_ISSUER) {
+        console.error('JWT_SECRET and JWT_ISSUER must both be configured; cannot verify tokens.');
+        return { authenticated: false, statusCode: 500, message: 'Authentication is not configured on the server.' };
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(tokenMatch[1].trim(), JWT_SECRET, { algorithms: ['HS256'], issuer: JWT_ISSUER });
+    } catch (error) {
+        console.error('Token verification failed:', error.message);
+        const message = error.name === 'TokenExpiredError'
+            ? 'Your session has expired. Please sign in again.'
+            : 'Invalid authentication token. Please sign in again.';
+        return { authenticated: false, statusCode: 401, message };
+    }
+
+    // jwt.verify only checks exp when the token has one; tokens that never expire are refused
+    if (typeof claims.exp !== 'number') {
+        return { authenticated: false, statusCode: 401, message: 'Authentication token has no expiry. Please sign in again.' };
+    }
+
+    const identity = getIdentityFromClaims(claims);
+    if (!identity.userId || !identity.organizationId) {
+        return { authenticated: false, statusCode: 401, message: 'Authentication token is missing the user or organization.' };
+    }
+
+    // Headers are optional with a token, but must agree with it when sent
+    if ((headerUserId && headerUserId !== identity.userId) ||
+        (headerOrganizationId && headerOrganizationId !== identity.organizationId)) {
+        return { authenticated: false, statusCode: 403, message: 'Request headers do not match the authenticated user.' };
+    }
+
+    return { authenticated: true, identity };
+}
+
+// --- Role-Based Access Control ---
+
+// Tables whose rows belong to a single employee, keyed by user_id
+const USER_SCOPED_TABLES = ['Users', 'LeaveBalances', 'LeaveRequests', 'PayrollData', 'SalaryRevisions'];
+
+// Columns that record a leave decision; changing them approves or rejects leave
+const LEAVE_APPROVAL_COLUMNS = ['leaves_taken', 'total_allotted'];
+
+// Columns employees and managers may change on their own rows.
+// LeaveRequests.status may only be set to 'cancelled' by them, or to 'approved'/'rejected' on
+// requests that may be waiting on their approval (see authorizeQuery).
+const SELF_SERVICE_COLUMNS = {
+    Users: ['first_name', 'last_name', 'location', 'preferred_locale'],
+    LeaveRequests: ['status']
+};
+
+// Per-role policy applied to every statement generated for /ai-query.
+// - scope: whose rows can be read ('self', 'team' = self + direct reports, 'organization')
+// - statements: statement types the role may run
+// - writableColumns: columns the role may change per table ('*' = any column);
+//   writes by non-admins are limited to the caller's own rows, except leave decisions (see authorizeQuery)
+const ROLE_POLICIES = {
+    Employee: {
+        scope: 'self',
+        statements: ['select', 'update'],
+        writableColumns: SELF_SERVICE_COLUMNS
+    },
+    Manager: {
+        scope: 'team',
+        statements: ['select', 'update'],
+        writableColumns: SELF_SERVICE_COLUMNS
+    },
+    Admin: {
+        scope: 'organization',
+        statements: ['select', 'update', 'insert'],
+        writableColumns: { Users: '*', LeaveBalances: '*', LeaveRequests: '*', PayrollData: '*', CompanyPolicies: '*' }
+    }
+};
+
+// Load the caller's role, manager and direct reports from Users, their organization's time zone,
+// and for non-admins the employees whose leave requests may be waiting on their approval
+// (approvalUserIds, see Leave Approvals). A role asserted by a verified token takes precedence over
+// the stored one.
+async function getCallerProfile(userId, organizationId, claimedRole) {
+    await ensureSupportTables();
+    const [users] = await dbPool.execute(
+        `SELECT u.user_id, u.role, u.manager_id, o.timezone
+         FROM Users u JOIN Organizations o ON o.organization_id = u.organization_id
+         WHERE u.user_id = ? AND u.organization_id = ?`,
+        [userId, organizationId]
+    );
+
+    if (users.length === 0) {
+        return null;
+    }
+
+    // Unknown roles fall back to the least privileged policy
+    const role = Object.keys(ROLE_POLICIES)
+        .find(name => name.toLowerCase() === String(claimedRole || users[0].role).trim().toLowerCase()) || 'Employee';
+
+    let reportIds = [];
+    if (role === 'Manager') {
+        const [reports] = await dbPool.execute(
+            'SELECT user_id FROM Users WHERE manager_id = ? AND organization_id = ?',
+            [userId, organizationId]
+        );
+        reportIds = reports.map(report => report.user_id);
+    }
+
+    // Admins already see the whole organization
+    const approvalUserIds = role === 'Admin'
+        ? []
+        : await loadApprovalUserIds({ userId, organizationId, role });
+
+    return {
+        userId,
+        organizationId,
+        role,
+        managerId: users[0].manager_id,
+        timeZone: isValidTimeZone(users[0].timezone) ? users[0].timezone : DEFAULT_TIMEZONE,
+        reportIds,
+        approvalUserIds
+    };
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Map a table name from the query to its canonical spelling in the schema
+function canonicalTableName(name) {
+    return Object.keys(ALLOWED_TABLES).find(table => table.toLowerCase() === String(name).toLowerCase()) || name;
+}
+
+function isStatementNode(node) {
+    return ['select', 'update', 'insert', 'replace', 'delete'].includes(node.type) && ('from' in node || 'table' in node);
+}
+
+// Walk a parsed statement and collect every SELECT/UPDATE/INSERT node, including subqueries
+function collectStatements(node, statements = []) {
+    if (Array.isArray(node)) {
+        node.forEach(child => collectStatements(child, statements));
+        return statements;
+    }
+    if (!node || typeof node !== 'object') {
+        return statements;
+    }
+
+    if (isStatementNode(node)) {
+        statements.push(node);
+    }
+
+    for (const value of Object.values(node)) {
+        if (value && typeof value === 'object') {
+            collectStatements(value, statements);
+        }
+    }
+    return statements;
+}
+
+// Return the real tables (not derived tables) a statement reads from or writes to
+function getTableRefs(statement) {
+    const refs = statement.type === 'select' ? statement.from : statement.table;
+    return (refs || [])
+        .filter(ref => ref && ref.table)
+        .map(ref => ({ table: canonicalTableName(ref.table), alias: ref.as || ref.table }));
+}
+
+// Find the tables targeted by the SET clause of an UPDATE
+function getUpdateTargets(statement, tableRefs) {
+    const targets = new Map();
+    for (const assignment of statement.set || []) {
+        const ref = assignment.table
+            ? tableRefs.find(t => t.alias.toLowerCase() === assignment.table.toLowerCase())
+            : tableRefs[0];
+        if (!ref) continue;
+        if (!targets.has(ref.table)) targets.set(ref.table, []);
+        targets.get(ref.table).push(assignment.column);
+    }
+    return targets;
+}
+
+// Collect string literals compared against a user_id column anywhere in the query
+function collectUserIdLiterals(node, literals = []) {
+    if (Array.isArray(node)) {
+        node.forEach(child => collectUserIdLiterals(child, literals));
+        return literals;
+    }
+    if (!node || typeof node !== 'object') {
+        return literals;
+    }
+
+    if (node.type === 'binary_expr' && ['=', 'IN'].includes(node.operator) &&
+        node.left && node.left.type === 'column_ref' && String(node.left.column).toLowerCase() === 'user_id') {
+        const values = node.right && node.right.type === 'expr_list' ? node.right.value : [node.right];
+        values
+            .filter(value => value && ['single_quote_string', 'double_quote_string', 'string'].includes(value.type))
+            .forEach(value => literals.push(value.value));
+    }
+
+    for (const value of Object.values(node)) {
+        if (value && typeof value === 'object') {
+            collectUserIdLiterals(value, literals);
+        }
+    }
+    return literals;
+}
+
+// Build "<alias>.user_id IN (...)" for row scoping
+function buildUserScopeCondition(alias, userIds) {
+    return {
+        type: 'binary_expr',
+        operator: 'IN',
+        left: { type: 'column_ref', table: alias, column: 'user_id' },
+        right: {
+            type: 'expr_list',
+            value: userIds.map(id => ({ type: 'single_quote_string', value: id }))
+        }
+    };
+}
+
+// AND a condition onto a statement's WHERE clause, keeping the existing clause grouped
+function addWhereCondition(statement, condition) {
+    statement.where = statement.where
+        ? { type: 'binary_expr', operator: 'AND', left: condition, right: { ...statement.where, parentheses: true } }
+        : condition;
+}
+
+// AND a condition that restricts one table (by alias) into a statement. A table on the optional side of
+// an outer join is restricted in the ON clause that makes it optional, since in WHERE the condition would
+// drop the rows that have no match and turn the join into an inner one. Returns false when that join has
+// no ON clause to extend (USING), so the caller can refuse the statement.
+function addTableCondition(statement, alias, condition) {
+    const refs = (statement.type === 'select' ? statement.from : statement.table) || [];
+    const index = refs.findIndex(ref => ref && ref.table && (ref.as || ref.table) === alias);
+    const join = index < 0 ? null : /^LEFT/i.test(refs[index].join || '')
+        ? refs[index]
+        : refs.slice(index + 1).find(ref => ref && /^RIGHT/i.test(ref.join || ''));
+
+    if (!join) {
+        addWhereCondition(statement, condition);
+        return true;
+    }
+    if (!join.on) {
+        return false;
+    }
+    join.on = { type: 'binary_expr', operator: 'AND', left: condition, right: { ...join.on, parentheses: true } };
+    return true;
+}
+
+// True when every status assignment in a write sets it to one of the given literals
+function setsOnlyStatus(ast, statuses) {
+    const assignments = Array.isArray(ast.set) ? ast.set : [];
+    return ast.type === 'update' && assignments
+        .filter(assignment => String(assignment.column).toLowerCase() === 'status')
+        .every(assignment => assignment.value && STRING_LITERAL_TYPES.includes(assignment.value.type) &&
+            statuses.includes(String(assignment.value.value).toLowerCase()));
+}
+
+// Check a generated statement against the caller's role policy and restrict it to the rows
+// the caller may see. Returns { allowed: true, sql } or { allowed: false, message }.
+function authorizeQuery(sql, caller) {
+    const policy = ROLE_POLICIES[caller.role];
+
+    let ast;
+    try {
+        ast = sqlParser.astify(sql, SQL_DIALECT);
+    } catch (error) {
+        console.error('Could not parse generated SQL for authorization:', error.message);
+        return { allowed: false, message: "I couldn't verify that this request is permitted for your role, so I didn't run it." };
+    }
+
+    if (Array.isArray(ast)) {
+        if (ast.length !== 1) {
+            return { allowed: false, message: 'Only one statement can be run per request.' };
+        }
+        ast = ast[0];
+    }
+
+    if (!policy.statements.includes(ast.type)) {
+        return { allowed: false, message: `Your role (${caller.role}) is not permitted to run ${ast.type.toUpperCase()} operations.` };
+    }
+
+    // Check every write against the role's writable columns
+    if (ast.type === 'update' || ast.type === 'insert') {
+        const tableRefs = getTableRefs(ast);
+        const targets = ast.type === 'update'
+            ? getUpdateTargets(ast, tableRefs)
+            : new Map(tableRefs.map(ref => [ref.table, ast.columns || ['*']]));
+
+        for (const [table, targetColumns] of targets) {
+            // MySQL column names are not case-sensitive; the policies list them in lower case
+            const columns = targetColumns.map(column => String(column).toLowerCase());
+            const writable = policy.writableColumns[table];
+            if (table === 'PayrollData' && !writable) {
+                return { allowed: false, message: 'Only Admins can change payroll data.' };
+            }
+            if (table === 'SalaryRevisions') {
+                return {
+                    allowed: false,
+                    message: 'Salary revisions are recorded automatically when payroll data changes. To schedule a future change, please use POST /admin/salary-revisions.'
+                };
+            }
+            if (table === 'LeaveBalances' && writable !== '*' && columns.some(column => LEAVE_APPROVAL_COLUMNS.includes(column))) {
+                return { allowed: false, message: 'Only Admins can approve or reject leave requests.' };
+            }
+            if (table === 'LeaveBalances' && columns.includes('leaves_pending_approval')) {
+                return {
+                    allowed: false,
+                    message: 'Pending leave is worked out from the leave requests themselves, so it cannot be changed directly. Please approve, reject or cancel the request instead.'
+                };
+            }
+            if (table === 'LeaveRequests' && writable !== '*' && !setsOnlyStatus(ast, ['cancelled'])) {
+                if (!setsOnlyStatus(ast, ['approved', 'rejected'])) {
+                    return { allowed: false, message: 'You can cancel your own pending leave requests, or approve or reject the ones waiting on you, but not both at once.' };
+                }
+                if (caller.approvalUserIds.length === 0) {
+                    return {
+                        allowed: false,
+                        message: "Leave requests are approved by the employee's manager (or someone they have delegated approvals to) and, where required, by HR. You can cancel your own pending requests."
+                    };
+                }
+            }
+            if (!writable) {
+                return { allowed: false, message: `Your role (${caller.role}) is not permitted to change ${table}.` };
+            }
+            const blocked = writable === '*' ? [] : columns.filter(column => !writable.includes(column));
+            if (blocked.length > 0) {
+                return { allowed: false, message: `Your role (${caller.role}) is not permitted to change ${blocked.join(', ')} in ${table}.` };
+            }
+        }
+    }
+
+    if (policy.scope === 'organization') {
+        return { allowed: true, sql };
+    }
+
+    // Employees and managers: restrict every employee-owned table to permitted user IDs
+    const readableIds = policy.scope === 'team' ? [caller.userId, ...caller.reportIds] : [caller.userId];
+    const directoryIds = caller.managerId ? [...readableIds, caller.managerId] : readableIds;
+
+    // Approvers also see, and decide, the leave requests that may be waiting on them (with the
+    // employees' names); whether each request really is waiting on them is checked when it is written
+    const statementsUsingLeave = new Set(collectStatements(ast)
+        .filter(statement => getTableRefs(statement).some(ref => ref.table === 'LeaveRequests')));
+    const approvalIds = statementsUsingLeave.size > 0 ? caller.approvalUserIds : [];
+    const decidesLeave = ast.type === 'update' && getUpdateTargets(ast, getTableRefs(ast)).has('LeaveRequests') &&
+        !setsOnlyStatus(ast, ['cancelled']);
+
+    const requestedIds = collectUserIdLiterals(ast);
+    const foreignId = requestedIds.find(id => !directoryIds.includes(id) && !approvalIds.includes(id));
+    if (foreignId) {
+        return {
+            allowed: false,
+            message: policy.scope === 'team'
+                ? "You can only access your own records and those of your direct reports."
+                : "You can only access your own records."
+        };
+    }
+
+    let scoped = false;
+    for (const statement of collectStatements(ast)) {
+        const tableRefs = getTableRefs(statement);
+        const writeTargets = statement.type === 'update' ? getUpdateTargets(statement, tableRefs) : new Map();
+
+        if (statement.type === 'insert') continue;
+
+        for (const ref of tableRefs) {
+            if (!USER_SCOPED_TABLES.includes(ref.table)) continue;
+
+            let allowedIds = ref.table === 'Users' ? directoryIds : readableIds;
+            if (statementsUsingLeave.has(statement) && ['Users', 'LeaveRequests'].includes(ref.table)) {
+                allowedIds = [...new Set([...allowedIds, ...approvalIds])];
+            }
+            if (writeTargets.has(ref.table)) {
+                allowedIds = ref.table === 'LeaveRequests' && decidesLeave ? approvalIds : [caller.userId];
+            }
+            if (!addTableCondition(statement, ref.alias, buildUserScopeCondition(ref.alias, allowedIds))) {
+                return { allowed: false, message: OUTER_JOIN_USING_MESSAGE };
+            }
+            scoped = true;
+        }
+    }
+
+    return { allowed: true, sql: scoped ? sqlParser.sqlify(ast, SQL_DIALECT) : sql };
+}
+
+// Add a helper function to check for simple greetings
+function isSimpleGreeting(prompt) {
+    const greetings = ['hi', 'hello', 'hey', 'greetings', 'howdy', 'hola', 'namaste'];
+    const normalizedPrompt = prompt.toLowerCase().trim();
+    
+    // Check if the prompt is just a greeting or greeting with punctuation
+    return greetings.includes(normalizedPrompt) || 
+           greetings.some(greeting => normalizedPrompt === greeting + '!' || 
+                                      normalizedPrompt === greeting + '.' ||
+                                      normalizedPrompt === greeting + '?');
+}
+
+// --- Leave Requests ---
+
+// Lifecycle of a LeaveRequests row. Only pending requests can be approved, rejected or cancelled.
+const LEAVE_REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Build the error thrown when a leave change breaks the rules below. The write's transaction is
+// rolled back and the message is shown to the user as-is.
+function leaveRuleError(message, statusCode = 409) {
+    const error = new Error(message);
+    error.code = 'LEAVE_RULE_VIOLATION';
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Lock and read leave requests by ID (dates as YYYY-MM-DD strings), with the employee's manager
+async function loadLeaveRequests(connection, requestIds) {
+    if (requestIds.length === 0) {
+        return [];
+    }
+    const [requests] = await connection.query(
+        `SELECT lr.request_id, lr.organization_id, lr.user_id, lr.leave_type,
+                DATE_FORMAT(lr.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(lr.end_date, '%Y-%m-%d') AS end_date,
+                lr.days, lr.status, lr.approval_stage, u.manager_id
+         FROM LeaveRequests lr
+         LEFT JOIN Users u ON u.user_id = lr.user_id
+         WHERE lr.request_id IN (?) FOR UPDATE`,
+        [requestIds]
+    );
+    return requests;
+}
+
+// Recognise an UPDATE that approves or rejects leave requests (sets LeaveRequests.status to
+// 'approved' or 'rejected'). Returns { action: 'approve' | 'reject' } or null for any other statement.
+function getLeaveDecision(sql) {
+    let ast;
+    try {
+        ast = sqlParser.astify(sql, SQL_DIALECT);
+    } catch (error) {
+        return null;
+    }
+    if (Array.isArray(ast)) ast = ast[0];
+    if (!ast || ast.type !== 'update' || !getUpdateTargets(ast, getTableRefs(ast)).has('LeaveRequests')) {
+        return null;
+    }
+
+    const status = (ast.set || [])
+        .filter(assignment => String(assignment.column).toLowerCase() === 'status' &&
+            assignment.value && STRING_LITERAL_TYPES.includes(assignment.value.type))
+        .map(assignment => String(assignment.value.value).toLowerCase())[0];
+
+    if (status === 'approved') return { action: 'approve' };
+    if (status === 'rejected') return { action: 'reject' };
+    return null;
+}
+
+// Check the leave requests touched by a write and bring LeaveBalances in line with them, inside the
+// write's transaction. `before` holds the requests as they were before the write (empty for inserts).
+// - status changes must start from 'pending'; only the approver of the request's current step can
+//   approve or reject (see Leave Approvals), and only the employee or an Admin can cancel
+//   (`reopen`, used by undo, lets a decided request go back to pending and start its approvals again)
+// - a manager's approval of leave that also needs HR approval keeps the request pending for HR
+// - approved days are added to leaves_taken, after checking the allowance
+// - leaves_pending_approval is recalculated from the pending requests
+// Throws a leave rule error to roll the write back. Returns the final approvals and rejections made.
+async function syncLeaveBalances(connection, { requestIds, before, caller, reopen = false }) {
+    const after = await loadLeaveRequests(connection, requestIds);
+    const previous = new Map(before.map(request => [String(request.request_id), request]));
+    const balances = new Map();
+    const decisions = [];
+    let authority = null;
+
+    // Track the leaves_taken change per (organization, user, leave type)
+    const adjustBalance = (request, takenDelta) => {
+        const key = [request.organization_id, request.user_id, request.leave_type].join('|');
+        if (!balances.has(key)) {
+            balances.set(key, { organizationId: request.organization_id, userId: request.user_id, leaveType: request.leave_type, takenDelta: 0 });
+        }
+        balances.get(key).takenDelta += takenDelta;
+    };
+    const approvedDays = request => (request && request.status === 'approved' ? request.days : 0);
+
+    for (const request of after) {
+        const id = request.request_id;
+        const old = previous.get(String(id));
+        let statusChanged = !old || old.status !== request.status;
+
+        if (!LEAVE_REQUEST_STATUSES.includes(request.status)) {
+            throw leaveRuleError(`"${request.status}" is not a valid leave request status. Use one of: ${LEAVE_REQUEST_STATUSES.join(', ')}.`);
+        }
+        if (!(request.days > 0) || request.end_date < request.start_date) {
+            throw leaveRuleError(`Leave request #${id} needs at least one day and an end date on or after its start date.`);
+        }
+
+        if (!reopen) {
+            if (!old && request.status !== 'pending' && caller.role !== 'Admin') {
+                throw leaveRuleError('New leave requests must start as pending.');
+            }
+            if (old && old.status !== 'pending' && (statusChanged || old.days !== request.days ||
+                old.leave_type !== request.leave_type || old.user_id !== request.user_id)) {
+                throw leaveRuleError(`Leave request #${id} has already been ${old.status}; only pending requests can be changed.`);
+            }
+            if (old && !statusChanged && old.approval_stage !== request.approval_stage) {
+                throw leaveRuleError('The approval step of a leave request is worked out automatically, so it cannot be changed directly.');
+            }
+            if (old && statusChanged && request.status === 'cancelled' && request.user_id !== caller.userId && caller.role !== 'Admin') {
+                throw leaveRuleError('You can only cancel your own leave requests.');
+            }
+
+            if (old && statusChanged && ['approved', 'rejected'].includes(request.status)) {
+                authority = authority || await loadApprovalAuthority(connection, caller);
+                const step = findLeaveApprover(old, caller, authority);
+                if (step.refusal) {
+                    throw leaveRuleError(step.refusal, 403);
+                }
+                await recordLeaveApproval(connection, old, step, request.status === 'approved' ? 'approve' : 'reject', caller);
+
+                // Admins who are also the employee's manager approve both steps at once
+                if (request.status === 'approved' && step.stage === 'manager' && caller.role !== 'Admin' &&
+                    await requiresHrApproval(connection, request)) {
+                    await connection.execute(
+                        'UPDATE LeaveRequests SET status = \'pending\', approval_stage = \'hr\' WHERE request_id = ?',
+                        [id]
+                    );
+                    request.status = 'pending';
+                    statusChanged = false;
+                }
+            }
+        }
+
+        if (old) adjustBalance(old, -approvedDays(old));
+        adjustBalance(request, approvedDays(request));
+
+        if (statusChanged || (reopen && request.status === 'pending')) {
+            // Record who decided the request and when; pending requests go (back) to the first
+            // approval step, and reopened requests lose their decision
+            await connection.execute(
+                'UPDATE LeaveRequests SET approver_id = ?, decided_at = IF(? = \'pending\', NULL, NOW()), approval_stage = ? WHERE request_id = ?',
+                [
+                    ['approved', 'rejected'].includes(request.status) ? caller.userId : null,
+                    request.status,
+                    request.status === 'pending' ? initialApprovalStage(request) : null,
+                    id
+                ]
+            );
+            if (['approved', 'rejected'].includes(request.status)) {
+                decisions.push({
+                    requestId: id,
+                    organizationId: request.organization_id,
+                    userId: request.user_id,
+                    approverId: caller.userId,
+                    action: request.status === 'approved' ? 'approve' : 'reject',
+                    leaveType: request.leave_type,
+                    startDate: request.start_date,
+                    endDate: request.end_date,
+                    days: request.days
+                });
+            }
+        }
+    }
+
+    for (const balance of balances.values()) {
+        const [[row]] = await connection.execute(
+            `SELECT balance_id, total_allotted, leaves_taken FROM LeaveBalances
+             WHERE organization_id = ? AND user_id = ? AND leave_type = ? FOR UPDATE`,
+            [balance.organizationId, balance.userId, balance.leaveType]
+        );
+        if (!row) {
+            if (balance.takenDelta > 0) {
+                throw leaveRuleError(`${balance.userId} has no ${balance.leaveType} balance to approve this leave against.`);
+            }
+            continue;
+        }
+        if (balance.takenDelta > 0 && row.leaves_taken + balance.takenDelta > row.total_allotted) {
+            const remaining = Math.max(row.total_allotted - row.leaves_taken, 0);
+            throw leaveRuleError(`Approving this would exceed ${balance.userId}'s ${balance.leaveType} allowance (${remaining} day(s) left).`);
+        }
+
+        await connection.execute(
+            `UPDATE LeaveBalances
+             SET leaves_taken = leaves_taken + ?,
+                 leaves_pending_approval = (
+                     SELECT COALESCE(SUM(days), 0) FROM LeaveRequests
+                     WHERE organization_id = ? AND user_id = ? AND leave_type = ? AND status = 'pending'
+                 ),
+                 last_updated = NOW()
+             WHERE balance_id = ?`,
+            [balance.takenDelta, balance.organizationId, balance.userId, balance.leaveType, row.balance_id]
+        );
+    }
+
+    return decisions;
+}
+
+// --- Leave Applications ---
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest leave that can be applied for in one request, in working days
+const MAX_LEAVE_APPLICATION_DAYS = 365;
+
+// Parse a YYYY-MM-DD string as a UTC date, or return null if it is not a real date
+function parseDateOnly(value) {
+    if (typeof value !== 'string' || !DATE_ONLY_PATTERN.test(value.trim())) {
+        return null;
+    }
+    const date = new Date(`${value.trim()}T00:00:00Z`);
+    return !isNaN(date) && formatDateOnly(date) === value.trim() ? date : null;
+}
+
+// Format a UTC date as YYYY-MM-DD
+function formatDateOnly(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, count) {
+    return new Date(date.getTime() + count * 24 * 60 * 60 * 1000);
+}
+
+function isWeekend(date) {
+    return date.getUTCDay() === 0 || date.getUTCDay() === 6;
+}
+
+// Count Monday-Friday dates between two dates, inclusive
+function countWorkingDays(start, end) {
+    let count = 0;
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+        if (!isWeekend(date)) count++;
+    }
+    return count;
+}
+
+// Find the date of the Nth working day counting from start (start itself counts if it is a working day)
+function addWorkingDays(start, days) {
+    let date = start;
+    let counted = isWeekend(date) ? 0 : 1;
+    while (counted < days) {
+        date = addDays(date, 1);
+        if (!isWeekend(date)) counted++;
+    }
+    return date;
+}
+
+// Today's date and weekday in the organization's time zone, given to the AI so it can resolve
+// "from Monday" or "next week"
+function describeToday(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'long'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day} (${parts.weekday})`;
+}
+
+// Validate a leave application and file it as a pending LeaveRequests row for the caller.
+// application: { leave_type, start_date, end_date or days, reason }. Only working days are counted;
+// a range that starts or ends on a weekend is trimmed to the working days inside it. The request
+// must fit in the remaining balance and must not overlap the caller's pending or approved leave.
+// Returns { statusCode, body }.
+async function applyForLeave(caller, application, { prompt } = {}) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const { leave_type: leaveTypeInput, start_date: startInput, end_date: endInput, days: daysInput, reason } = application || {};
+
+    const leaveType = typeof leaveTypeInput === 'string' ? leaveTypeInput.trim() : '';
+    if (!leaveType) {
+        return invalid('Please tell me which type of leave you would like to apply for, for example "Casual Leave".');
+    }
+
+    let start = parseDateOnly(startInput);
+    if (!start) {
+        return invalid('Please provide the start date of your leave in YYYY-MM-DD format.');
+    }
+
+    let end;
+    if (endInput) {
+        end = parseDateOnly(endInput);
+        if (!end) {
+            return invalid('Please provide the end date of your leave in YYYY-MM-DD format.');
+        }
+        if (end < start) {
+            return invalid('The end date must be on or after the start date.');
+        }
+    } else {
+        const requestedDays = Number(daysInput);
+        if (!Number.isInteger(requestedDays) || requestedDays < 1) {
+            return invalid('Please provide either an end date or the number of working days you need.');
+        }
+        if (requestedDays > MAX_LEAVE_APPLICATION_DAYS) {
+            return invalid(`A single leave request can cover at most ${MAX_LEAVE_APPLICATION_DAYS} working days.`);
+        }
+        end = addWorkingDays(start, requestedDays);
+    }
+
+    while (start <= end && isWeekend(start)) start = addDays(start, 1);
+    while (end >= start && isWeekend(end)) end = addDays(end, -1);
+
+    const days = countWorkingDays(start, end);
+    if (days === 0) {
+        return invalid('Those dates fall on a weekend, so there are no working days to apply for.');
+    }
+    if (days > MAX_LEAVE_APPLICATION_DAYS) {
+        return invalid(`A single leave request can cover at most ${MAX_LEAVE_APPLICATION_DAYS} working days.`);
+    }
+    const startDate = formatDateOnly(start);
+    const endDate = formatDateOnly(end);
+
+    await ensureSupportTables();
+    const connection = await dbPool.getConnection();
+    let sql;
+    let executing = false;
+
+    try {
+        await connection.beginTransaction();
+
+        const refuse = async (statusCode, message) => {
+            await connection.rollback();
+            return { statusCode, body: { success: false, message } };
+        };
+
+        const [[balance]] = await connection.execute(
+            `SELECT balance_id, leave_type, total_allotted, leaves_taken, leaves_pending_approval
+             FROM LeaveBalances WHERE organization_id = ? AND user_id = ? AND leave_type = ? FOR UPDATE`,
+            [caller.organizationId, caller.userId, leaveType]
+        );
+        if (!balance) {
+            const [types] = await connection.execute(
+                'SELECT leave_type FROM LeaveBalances WHERE organization_id = ? AND user_id = ?',
+                [caller.organizationId, caller.userId]
+            );
+            return refuse(400, types.length > 0
+                ? `You don't have a ${leaveType} balance. You can apply for: ${types.map(type => type.leave_type).join(', ')}.`
+                : "You don't have any leave balances set up yet. Please contact HR.");
+        }
+
+        // Days already waiting for approval are spoken for
+        const remaining = balance.total_allotted - balance.leaves_taken - balance.leaves_pending_approval;
+        if (days > remaining) {
+            return refuse(409, `You only have ${Math.max(remaining, 0)} day(s) of ${balance.leave_type} left, counting requests still awaiting approval, so I can't apply for ${days} day(s).`);
+        }
+
+        const [overlaps] = await connection.execute(
+            `SELECT request_id, leave_type, status,
+                    DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+             FROM LeaveRequests
+             WHERE organization_id = ? AND user_id = ? AND status IN ('pending', 'approved')
+               AND start_date <= ? AND end_date >= ?
+             ORDER BY start_date LIMIT 1 FOR UPDATE`,
+            [caller.organizationId, caller.userId, endDate, startDate]
+        );
+        if (overlaps.length > 0) {
+            const overlap = overlaps[0];
+            return refuse(409, `These dates overlap your ${overlap.status} ${overlap.leave_type} request #${overlap.request_id} (${overlap.start_date} to ${overlap.end_date}).`);
+        }
+
+        const request = {
+            organization_id: caller.organizationId,
+            user_id: caller.userId,
+            leave_type: balance.leave_type,
+            start_date: startDate,
+            end_date: endDate,
+            days,
+            reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+            status: 'pending'
+        };
+        sql = mysql.format(`INSERT INTO LeaveRequests (${Object.keys(request).join(', ')}) VALUES (?)`, [Object.values(request)]);
+        const preview = { statement: sql, rows: [{ table: 'LeaveRequests', key: {}, before: null, after: { ...request } }] };
+
+        executing = true;
+        const { queryResult } = await applyAuditedWrite(connection, { sql, prompt: prompt || 'Leave application', caller, preview });
+        const [[updated]] = await connection.execute(
+            'SELECT total_allotted, leaves_taken, leaves_pending_approval FROM LeaveBalances WHERE balance_id = ?',
+            [balance.balance_id]
+        );
+        await connection.commit();
+
+        logSqlQuery(sql, prompt || 'Leave application', queryResult);
+
+        const remainingAfter = updated.total_allotted - updated.leaves_taken - updated.leaves_pending_approval;
+        return {
+            statusCode: 201,
+            body: {
+                success: true,
+                message: `Done! I've applied for ${days} day(s) of ${balance.leave_type} from ${startDate} to ${endDate} (request #${queryResult.insertId}). It is now waiting for approval, and you have ${remainingAfter} day(s) of ${balance.leave_type} left after this request. Is there anything else I can help with?`,
+                data: {
+                    request: { request_id: queryResult.insertId, ...request },
+                    balance: {
+                        leave_type: balance.leave_type,
+                        total_allotted: updated.total_allotted,
+                        leaves_taken: updated.leaves_taken,
+                        leaves_pending_approval: updated.leaves_pending_approval,
+                        remaining: remainingAfter
+                    }
+                }
+            }
+        };
+    } catch (error) {
+        await connection.rollback();
+        if (executing) {
+            await recordFailedWrite({ sql, prompt, caller, error });
+        }
+        if (error.code === 'LEAVE_RULE_VIOLATION') {
+            return { statusCode: error.statusCode, body: { success: false, message: error.message } };
+        }
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// --- Leave Approvals ---
+
+// A pending leave request goes through up to two approval steps (LeaveRequests.approval_stage):
+// 'manager', decided by the employee's manager, then 'hr', decided by any Admin, when the organization
+// requires it for the leave type. Employees without a manager go straight to 'hr'. Anyone can delegate
+// their approvals to a colleague for a date range while they are away.
+
+// LeaveApprovalRules.leave_type that applies to every leave type without a rule of its own
+const ALL_LEAVE_TYPES = '*';
+
+// The first approval step of a request, from the employee's manager (loaded by loadLeaveRequests)
+function initialApprovalStage(request) {
+    return request.manager_id && request.manager_id !== request.user_id ? 'manager' : 'hr';
+}
+
+// Whose approvals a user can give today through delegations: the managers who have delegated their
+// approvals to them (delegatorIds), and which of those are Admins (adminDelegatorIds), for the HR step
+async function loadApprovalAuthority(executor, { userId, organizationId }) {
+    const [delegations] = await executor.query(
+        `SELECT d.delegator_id, u.role AS delegator_role
+         FROM ApprovalDelegations d
+         JOIN Users u ON u.user_id = d.delegator_id AND u.organization_id = d.organization_id
+         WHERE d.organization_id = ? AND d.delegate_id = ? AND d.revoked_at IS NULL
+           AND CURDATE() BETWEEN d.start_date AND d.end_date
+         ORDER BY d.start_date, d.delegation_id`,
+        [organizationId, userId]
+    );
+    return {
+        delegatorIds: delegations.map(delegation => delegation.delegator_id),
+        adminDelegatorIds: delegations
+            .filter(delegation => String(delegation.delegator_role).trim().toLowerCase() === 'admin')
+            .map(delegation => delegation.delegator_id)
+    };
+}
+
+// The employees whose leave requests may be waiting on a user today: their direct reports and those of
+// everyone who has delegated approvals to them, or the whole organization when acting for an Admin
+async function loadApprovalUserIds(caller) {
+    const authority = await loadApprovalAuthority(dbPool, caller);
+    const [users] = authority.adminDelegatorIds.length > 0
+        ? await dbPool.query(
+            'SELECT user_id FROM Users WHERE organization_id = ? AND user_id <> ?',
+            [caller.organizationId, caller.userId]
+        )
+        : await dbPool.query(
+            'SELECT user_id FROM Users WHERE organization_id = ? AND manager_id IN (?) AND user_id <> ?',
+            [caller.organizationId, [caller.userId, ...authority.delegatorIds], caller.userId]
+        );
+    return users.map(user => user.user_id);
+}
+
+// Work out who may decide a pending request at its current step. Returns { stage, onBehalfOf } when the
+// caller may (onBehalfOf is the manager or Admin they act for through a delegation, or null), or
+// { stage, refusal } with the message to show when they may not.
+function findLeaveApprover(request, caller, authority) {
+    const stage = request.approval_stage || initialApprovalStage(request);
+    const id = request.request_id;
+
+    if (request.user_id === caller.userId) {
+        return { stage, refusal: "You can't approve or reject your own leave request." };
+    }
+    if (stage === 'manager') {
+        if (request.manager_id === caller.userId) {
+            return { stage, onBehalfOf: null };
+        }
+        if (authority.delegatorIds.includes(request.manager_id)) {
+            return { stage, onBehalfOf: request.manager_id };
+        }
+        return { stage, refusal: `Leave request #${id} is waiting for approval from ${request.user_id}'s manager (${request.manager_id}), so you can't approve or reject it.` };
+    }
+
+    if (caller.role === 'Admin') {
+        return { stage, onBehalfOf: null };
+    }
+    const admin = authority.adminDelegatorIds.find(adminId => adminId !== request.user_id);
+    if (admin) {
+        return { stage, onBehalfOf: admin };
+    }
+    return { stage, refusal: `Leave request #${id} is waiting for HR approval, so only an Admin can approve or reject it.` };
+}
+
+// True when the organization wants an HR step after the manager's approval for this leave type
+async function requiresHrApproval(connection, request) {
+    const [rules] = await connection.execute(
+        `SELECT requires_hr_approval FROM LeaveApprovalRules
+         WHERE organization_id = ? AND leave_type IN (?, ?)
+         ORDER BY leave_type = ? LIMIT 1`,
+        [request.organization_id, request.leave_type, ALL_LEAVE_TYPES, ALL_LEAVE_TYPES]
+    );
+    return rules.length > 0 && Boolean(rules[0].requires_hr_approval);
+}
+
+// Keep each approval step, including ones that moved a request on to HR, in LeaveApprovals
+async function recordLeaveApproval(connection, request, step, action, caller) {
+    await connection.execute(
+        `INSERT INTO LeaveApprovals (request_id, organization_id, stage, action, approver_id, on_behalf_of)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [request.request_id, request.organization_id, step.stage, action, caller.userId, step.onBehalfOf]
+    );
+}
+
+// List the pending leave requests waiting on the caller: as their employees' manager, as HR when they
+// are an Admin, and for anyone who has delegated approvals to them today (on_behalf_of).
+async function listPendingApprovals(caller) {
+    await ensureSupportTables();
+    const authority = await loadApprovalAuthority(dbPool, caller);
+    const canApproveHr = caller.role === 'Admin' || authority.adminDelegatorIds.length > 0;
+
+    const [requests] = await dbPool.query(
+        `SELECT lr.request_id, lr.user_id, u.first_name, u.last_name, u.department, u.manager_id,
+                lr.leave_type, DATE_FORMAT(lr.start_date, '%Y-%m-%d') AS start_date,
+                DATE_FORMAT(lr.end_date, '%Y-%m-%d') AS end_date, lr.days, lr.reason, lr.approval_stage, lr.created_at
+         FROM LeaveRequests lr
+         JOIN Users u ON u.user_id = lr.user_id
+         WHERE lr.organization_id = ? AND lr.status = 'pending' AND lr.user_id <> ?
+           AND ((lr.approval_stage = 'manager' AND u.manager_id IN (?)) OR (lr.approval_stage = 'hr' AND ?))
+         ORDER BY lr.start_date, lr.request_id`,
+        [caller.organizationId, caller.userId, [caller.userId, ...authority.delegatorIds], canApproveHr]
+    );
+
+    const waiting = [];
+    for (const request of requests) {
+        const step = findLeaveApprover(request, caller, authority);
+        if (step.refusal) continue;
+        const { manager_id: managerId, ...row } = request;
+        waiting.push({ ...row, on_behalf_of: step.onBehalfOf });
+    }
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: waiting.length > 0
+                ? `You have ${waiting.length} leave request(s) waiting on your approval.`
+                : 'No leave requests are waiting on your approval right now.',
+            data: waiting
+        }
+    };
+}
+
+// Approve or reject one pending leave request as its current approver: { request_id, action }, where
+// action is 'approve' or 'reject'. Goes through the same checks and audit trail as an AI-generated
+// decision; a manager's approval of leave that needs HR approval moves it on to HR.
+async function decideLeaveRequest(caller, input) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const requestId = Number(input.request_id);
+    if (!Number.isInteger(requestId) || requestId < 1) {
+        return invalid('Please provide the "request_id" of the leave request.');
+    }
+    const action = String(input.action || '').toLowerCase();
+    if (!['approve', 'reject'].includes(action)) {
+        return invalid('Please set "action" to "approve" or "reject".');
+    }
+    const status = action === 'approve' ? 'approved' : 'rejected';
+
+    await ensureSupportTables();
+    const connection = await dbPool.getConnection();
+    const prompt = `${action === 'approve' ? 'Approve' : 'Reject'} leave request #${requestId}`;
+    let sql;
+    let executing = false;
+
+    try {
+        await connection.beginTransaction();
+
+        const refuse = async (statusCode, message) => {
+            await connection.rollback();
+            return { statusCode, body: { success: false, message } };
+        };
+
+        const [[request]] = await connection.execute(
+            `SELECT request_id, user_id, leave_type, status, days,
+                    DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+             FROM LeaveRequests WHERE request_id = ? AND organization_id = ? FOR UPDATE`,
+            [requestId, caller.organizationId]
+        );
+        if (!request) {
+            return refuse(404, `I couldn't find leave request #${requestId} in your organization.`);
+        }
+        if (request.status !== 'pending') {
+            return refuse(409, `Leave request #${requestId} has already been ${request.status}; only pending requests can be approved or rejected.`);
+        }
+
+        sql = mysql.format('UPDATE LeaveRequests SET status = ? WHERE request_id = ? AND organization_id = ?',
+            [status, requestId, caller.organizationId]);
+        const preview = {
+            statement: sql,
+            rows: [{ table: 'LeaveRequests', key: { request_id: requestId }, before: { status: 'pending' }, after: { status } }]
+        };
+
+        executing = true;
+        const { queryResult, leaveDecisions } = await applyAuditedWrite(connection, { sql, prompt, caller, preview });
+        const [[updated]] = await connection.execute(
+            'SELECT status, approval_stage FROM LeaveRequests WHERE request_id = ?',
+            [requestId]
+        );
+        await connection.commit();
+
+        logSqlQuery(sql, prompt, queryResult);
+        await notifyLeaveDecisions(leaveDecisions);
+
+        const leave = `${request.user_id}'s ${request.days} day(s) of ${request.leave_type} from ${request.start_date} to ${request.end_date} (request #${requestId})`;
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: updated.status === 'pending'
+                    ? `Done! I've approved ${leave} at the manager step. It now needs HR approval before it is final.`
+                    : `Done! I've ${updated.status} ${leave}. They'll get an email about it shortly.`,
+                data: { request_id: requestId, status: updated.status, approval_stage: updated.approval_stage }
+            }
+        };
+    } catch (error) {
+        await connection.rollback();
+        if (executing) {
+            await recordFailedWrite({ sql, prompt, caller, error });
+        }
+        if (error.code === 'LEAVE_RULE_VIOLATION') {
+            return { statusCode: error.statusCode, body: { success: false, message: error.message } };
+        }
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// Columns of ApprovalDelegations returned by the delegation endpoints, with both people's names
+const DELEGATION_COLUMNS = `d.delegation_id, d.delegator_id,
+    CONCAT_WS(' ', delegator.first_name, delegator.last_name) AS delegator_name,
+    d.delegate_id, CONCAT_WS(' ', delegate.first_name, delegate.last_name) AS delegate_name,
+    DATE_FORMAT(d.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(d.end_date, '%Y-%m-%d') AS end_date,
+    d.reason, d.created_by, d.created_at`;
+
+// List the delegations a user has given and received that are current or upcoming (not revoked and
+// not over). Admins can pass user_id to see someone else's.
+async function listApprovalDelegations(caller, query = {}) {
+    const userId = caller.role === 'Admin' && query.user_id ? String(query.user_id) : caller.userId;
+
+    await ensureSupportTables();
+    const [delegations] = await dbPool.query(
+        `SELECT ${DELEGATION_COLUMNS}
+         FROM ApprovalDelegations d
+         LEFT JOIN Users delegator ON delegator.user_id = d.delegator_id
+         LEFT JOIN Users delegate ON delegate.user_id = d.delegate_id
+         WHERE d.organization_id = ? AND (d.delegator_id = ? OR d.delegate_id = ?)
+           AND d.revoked_at IS NULL AND d.end_date >= CURDATE()
+         ORDER BY d.start_date, d.delegation_id`,
+        [caller.organizationId, userId, userId]
+    );
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            data: {
+                given: delegations.filter(delegation => delegation.delegator_id === userId),
+                received: delegations.filter(delegation => delegation.delegate_id === userId)
+            }
+        }
+    };
+}
+
+// Let someone else approve leave in your place for a date range:
+// { delegate_id, start_date, end_date, reason? }. Admins can pass delegator_id to set one up for a
+// manager who is away. A person can only have one delegate for any given day.
+async function createApprovalDelegation(caller, input) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+
+    const delegatorId = input.delegator_id ? String(input.delegator_id) : caller.userId;
+    if (delegatorId !== caller.userId && caller.role !== 'Admin') {
+        return { statusCode: 403, body: { success: false, message: 'Only Admins can delegate approvals on behalf of someone else.' } };
+    }
+    const delegateId = typeof input.delegate_id === 'string' ? input.delegate_id.trim() : '';
+    if (!delegateId) {
+        return invalid('Please provide the "delegate_id" of the person who should approve leave in your place.');
+    }
+    if (delegateId === delegatorId) {
+        return invalid("Approvals can't be delegated to the same person.");
+    }
+    const start = parseDateOnly(input.start_date);
+    const end = parseDateOnly(input.end_date);
+    if (!start || !end) {
+        return invalid('Please provide the "start_date" and "end_date" of the delegation in YYYY-MM-DD format.');
+    }
+    if (end < start) {
+        return invalid('The end date must be on or after the start date.');
+    }
+    if (formatDateOnly(end) < formatDateOnly(new Date())) {
+        return invalid('That date range is already over.');
+    }
+    const startDate = formatDateOnly(start);
+    const endDate = formatDateOnly(end);
+
+    await ensureSupportTables();
+    const reason = typeof input.reason === 'string' && input.reason.trim() ? input.reason.trim() : null;
+    const connection = await dbPool.getConnection();
+    let result;
+    try {
+        await connection.beginTransaction();
+
+        // Locking both people's Users rows makes concurrent delegations for the same delegator wait
+        // here, so the overlap check below sees any delegation the other request just created
+        const [people] = await connection.query(
+            'SELECT user_id FROM Users WHERE organization_id = ? AND user_id IN (?) FOR UPDATE',
+            [caller.organizationId, [delegatorId, delegateId]]
+        );
+        const missing = [delegatorId, delegateId].find(id => !people.some(person => person.user_id === id));
+        if (missing) {
+            await connection.rollback();
+            return { statusCode: 404, body: { success: false, message: `I couldn't find ${missing} in your organization.` } };
+        }
+
+        const [overlaps] = await connection.query(
+            `SELECT delegation_id, delegate_id, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+                    DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+             FROM ApprovalDelegations
+             WHERE organization_id = ? AND delegator_id = ? AND revoked_at IS NULL
+               AND start_date <= ? AND end_date >= ?
+             ORDER BY start_date LIMIT 1`,
+            [caller.organizationId, delegatorId, endDate, startDate]
+        );
+        if (overlaps.length > 0) {
+            await connection.rollback();
+            const overlap = overlaps[0];
+            return {
+                statusCode: 409,
+                body: {
+                    success: false,
+                    message: `${delegatorId}'s approvals are already delegated to ${overlap.delegate_id} from ${overlap.start_date} to ${overlap.end_date} (delegation #${overlap.delegation_id}). Please revoke it first.`
+                }
+            };
+        }
+
+        [result] = await connection.execute(
+            `INSERT INTO ApprovalDelegations (organization_id, delegator_id, delegate_id, start_date, end_date, reason, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [caller.organizationId, delegatorId, delegateId, startDate, endDate, reason, caller.userId]
+        );
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    return {
+        statusCode: 201,
+        body: {
+            success: true,
+            message: `Done! ${delegateId} can approve and reject leave in place of ${delegatorId === caller.userId ? 'you' : delegatorId} from ${startDate} to ${endDate} (delegation #${result.insertId}).`,
+            data: { delegation_id: result.insertId, delegator_id: delegatorId, delegate_id: delegateId, start_date: startDate, end_date: endDate, reason }
+        }
+    };
+}
+
+// End a delegation early: { delegation_id }. The person who delegated, the delegate or an Admin can revoke it.
+async function revokeApprovalDelegation(caller, input) {
+    const delegationId = Number(input.delegation_id);
+    if (!Number.isInteger(delegationId) || delegationId < 1) {
+        return { statusCode: 400, body: { success: false, message: 'Please provide the "delegation_id" to revoke.' } };
+    }
+
+    await ensureSupportTables();
+    const [[delegation]] = await dbPool.execute(
+        'SELECT delegator_id, delegate_id, revoked_at FROM ApprovalDelegations WHERE delegation_id = ? AND organization_id = ?',
+        [delegationId, caller.organizationId]
+    );
+    if (!delegation) {
+        return { statusCode: 404, body: { success: false, message: `I couldn't find delegation #${delegationId} in your organization.` } };
+    }
+    if (![delegation.delegator_id, delegation.delegate_id].includes(caller.userId) && caller.role !== 'Admin') {
+        return { statusCode: 403, body: { success: false, message: 'You can only revoke delegations you have given or received.' } };
+    }
+    if (delegation.revoked_at) {
+        return { statusCode: 409, body: { success: false, message: `Delegation #${delegationId} has already been revoked.` } };
+    }
+
+    await dbPool.execute(
+        'UPDATE ApprovalDelegations SET revoked_at = NOW() WHERE delegation_id = ? AND revoked_at IS NULL',
+        [delegationId]
+    );
+    return {
+        statusCode: 200,
+        body: { success: true, message: `Done! Delegation #${delegationId} has been revoked; ${delegation.delegator_id} approves their own team's leave again.` }
+    };
+}
+
+// List the organization's HR approval rules, with the leave types in use so admins can see what
+// each one falls back to. leave_type '*' is the default for leave types without a rule.
+async function listLeaveApprovalRules(caller) {
+    await ensureSupportTables();
+    const [rules] = await dbPool.execute(
+        `SELECT leave_type, requires_hr_approval, updated_by, updated_at
+         FROM LeaveApprovalRules WHERE organization_id = ? ORDER BY leave_type = ? DESC, leave_type`,
+        [caller.organizationId, ALL_LEAVE_TYPES]
+    );
+    const [types] = await dbPool.execute(
+        'SELECT DISTINCT leave_type FROM LeaveBalances WHERE organization_id = ? ORDER BY leave_type',
+        [caller.organizationId]
+    );
+
+    const fallback = rules.find(rule => rule.leave_type === ALL_LEAVE_TYPES);
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            data: {
+                rules: rules.map(rule => ({ ...rule, requires_hr_approval: Boolean(rule.requires_hr_approval) })),
+                leave_types: types.map(({ leave_type: leaveType }) => {
+                    const rule = rules.find(own => own.leave_type === leaveType) || fallback;
+                    return {
+                        leave_type: leaveType,
+                        requires_hr_approval: Boolean(rule && rule.requires_hr_approval),
+                        source: rule ? rule.leave_type : 'default'
+                    };
+                })
+            }
+        }
+    };
+}
+
+// Choose whether a leave type needs HR approval after the manager's:
+// { leave_type, requires_hr_approval } where leave_type '*' sets the default for every leave type.
+// { leave_type, reset: true } removes the rule. Requests already waiting on HR stay there.
+async function saveLeaveApprovalRule(caller, input) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const leaveTypeInput = typeof input.leave_type === 'string' ? input.leave_type.trim() : '';
+    if (!leaveTypeInput) {
+        return invalid(`Please provide the "leave_type" the rule is for, or "${ALL_LEAVE_TYPES}" for every leave type.`);
+    }
+    if (input.reset !== true && typeof input.requires_hr_approval !== 'boolean') {
+        return invalid('Please set "requires_hr_approval" to true or false.');
+    }
+
+    await ensureSupportTables();
+    let leaveType = ALL_LEAVE_TYPES;
+    if (leaveTypeInput !== ALL_LEAVE_TYPES) {
+        const [types] = await dbPool.execute(
+            'SELECT DISTINCT leave_type FROM LeaveBalances WHERE organization_id = ?',
+            [caller.organizationId]
+        );
+        const match = types.find(type => type.leave_type.toLowerCase() === leaveTypeInput.toLowerCase());
+        if (!match) {
+            return invalid(types.length > 0
+                ? `Your organization has no leave type called "${leaveTypeInput}". Leave types in use: ${types.map(type => type.leave_type).join(', ')}.`
+                : 'Your organization has no leave balances set up yet.');
+        }
+        leaveType = match.leave_type;
+    }
+    const label = leaveType === ALL_LEAVE_TYPES ? 'leave types without a rule of their own' : leaveType;
+    const subject = leaveType === ALL_LEAVE_TYPES ? 'Leave types without a rule of their own' : `${leaveType} requests`;
+
+    if (input.reset === true) {
+        const [result] = await dbPool.execute(
+            'DELETE FROM LeaveApprovalRules WHERE organization_id = ? AND leave_type = ?',
+            [caller.organizationId, leaveType]
+        );
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: result.affectedRows > 0
+                    ? `Done! I've removed the approval rule for ${label}.`
+                    : `There was no approval rule for ${label}, so nothing changed.`
+            }
+        };
+    }
+
+    await dbPool.execute(
+        `INSERT INTO LeaveApprovalRules (organization_id, leave_type, requires_hr_approval, updated_by)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE requires_hr_approval = VALUES(requires_hr_approval), updated_by = VALUES(updated_by)`,
+        [caller.organizationId, leaveType, input.requires_hr_approval, caller.userId]
+    );
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: input.requires_hr_approval
+                ? `Done! ${subject} now need HR approval after the manager's.`
+                : `Done! ${subject} are now final once the manager approves.`
+        }
+    };
+}
+
+// --- File Exports ---
+
+// Helvetica (and Helvetica-Bold) widths in 1/1000 em of the characters in amounts and the "INR"
+// column heading, for right-aligning them. Digits are 556.
+const HELVETICA_AMOUNT_WIDTHS = { ',': 278, '.': 278, '-': 333, ' ': 278, I: 278, N: 722, R: 722 };
+
+function measureAmountText(text, size) {
+    const units = [...text].reduce((total, char) => total + (HELVETICA_AMOUNT_WIDTHS[char] || 556), 0);
+    return units * size / 1000;
+}
+
+// Build a one-page A4 PDF from positioned text and rules, using the standard Helvetica fonts so
+// nothing has to be embedded. items: { text, x, y, size = 10, bold, align: 'left' | 'right' } or
+// { rule: [x1, y1, x2, y2] }, in points from the bottom-left corner. Right-aligned text is measured
+// as an amount (see HELVETICA_AMOUNT_WIDTHS). Characters outside Latin-1 print as '?'. Returns a Buffer.
+function buildPdf(items) {
+    const operations = items.map(item => {
+        if (item.rule) {
+            const [x1, y1, x2, y2] = item.rule;
+            return `0.5 w ${x1} ${y1} m ${x2} ${y2} l S`;
+        }
+        const size = item.size || 10;
+        const text = String(item.text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+        const x = item.align === 'right' ? item.x - measureAmountText(text, size) : item.x;
+        return `BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${item.y} Td (${text.replace(/[\\()]/g, '\\$&')}) Tj ET`;
+    });
+    const stream = Buffer.from(operations.join('\n'), 'latin1');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        Buffer.concat([Buffer.from(`<< /Length ${stream.length} >>\nstream\n`), stream, Buffer.from('\nendstream')])
+    ];
+
+    const chunks = [Buffer.from('%PDF-1.4\n')];
+    let length = chunks[0].length;
+    const offsets = objects.map((object, index) => {
+        const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), Buffer.from(object), Buffer.from('\nendobj\n')]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return length - chunk.length;
+    });
+    // Cross-reference entries are exactly 20 bytes each
+    const xref = ['xref', `0 ${objects.length + 1}`, '0000000000 65535 f ', ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `)];
+    chunks.push(Buffer.from(`${xref.join('\n')}\ntrailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+    return Buffer.concat(chunks);
+}
+
+// Quote one CSV field. Text starting with = + - or @ (other than a plain number) gets a leading '
+// so spreadsheets show it instead of running it as a formula.
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text with a header row, for the given columns of each row
+function toCsv(rows, columns) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// CRC-32 lookup table for ZIP entries (zlib.crc32 needs Node 20.15+, and Lambda runs Node 18)
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let value = index;
+    for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+    }
+    return value >>> 0;
+});
+
+// Continue a CRC-32 over more bytes, starting from the checksum of the bytes before them
+function crc32(bytes, crc = 0) {
+    let value = ~crc;
+    for (let index = 0; index < bytes.length; index++) {
+        value = CRC32_TABLE[(value ^ bytes[index]) & 0xFF] ^ (value >>> 8);
+    }
+    return ~value >>> 0;
+}
+
+// Build a ZIP archive as a stream, one entry at a time, without holding the files in memory:
+// entries are { name, content } where content is a Buffer, a string or an async iterable of them.
+// Entries are deflated and their CRC and sizes follow them in data descriptors. Yields Buffers.
+async function* zipStream(entries) {
+    const directory = [];
+    let offset = 0;
+    for (const { name, content } of entries) {
+        const nameBytes = Buffer.from(name);
+        const entry = { nameBytes, offset, crc: 0, size: 0, compressedSize: 0 };
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);          // version needed: 2.0
+        header.writeUInt16LE(0x0808, 6);      // sizes in a data descriptor, UTF-8 names
+        header.writeUInt16LE(8, 8);           // deflate
+        header.writeUInt16LE(0, 10);          // time
+        header.writeUInt16LE(0x21, 12);       // date: 1980-01-01
+        header.writeUInt16LE(nameBytes.length, 26);
+        yield header;
+        yield nameBytes;
+        offset += header.length + nameBytes.length;
+
+        // Count the uncompressed bytes on their way into the compressor
+        const counted = Readable.from((async function* () {
+            for await (const chunk of typeof content === 'string' || Buffer.isBuffer(content) ? [content] : content) {
+                const bytes = Buffer.from(chunk);
+                entry.crc = crc32(bytes, entry.crc);
+                entry.size += bytes.length;
+                yield bytes;
+            }
+        })());
+        const compressed = zlib.createDeflateRaw();
+        pipeline(counted, compressed, () => {});
+        for await (const chunk of compressed) {
+            entry.compressedSize += chunk.length;
+            yield chunk;
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        yield descriptor;
+        offset += entry.compressedSize + descriptor.length;
+        directory.push(entry);
+    }
+
+    const records = directory.map(entry => {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(0x0808, 8);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt16LE(0, 12);
+        record.writeUInt16LE(0x21, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.nameBytes.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        return Buffer.concat([record, entry.nameBytes]);
+    });
+    const central = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(directory.length, 8);
+    end.writeUInt16LE(directory.length, 10);
+    end.writeUInt32LE(central.length, 12);
+    end.writeUInt32LE(offset, 16);
+    yield central;
+    yield end;
+}
+
+// Number formats of typed spreadsheet cells, by cell style (see XLSX_STYLES)
+const XLSX_CELL_STYLES = { header: 1, date: 2, datetime: 3, decimal: 4 };
+
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+// Excel column letters: 0 -> A, 26 -> AA
+function spreadsheetColumn(index) {
+    let letters = '';
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+        letters = String.fromCharCode(65 + (number - 1) % 26) + letters;
+    }
+    return letters;
+}
+
+// One spreadsheet cell. cell: { value, type: 'text' | 'number' | 'date' | 'datetime' | 'decimal' } where
+// dates are Excel serial day numbers. Text is stored inline, so it is never read as a formula.
+function xlsxCell(reference, cell, style) {
+    if (cell.value === null || cell.value === undefined || cell.value === '') {
+        return '';
+    }
+    const styleAttribute = style ? ` s="${style}"` : '';
+    if (cell.type !== 'text') {
+        return `<c r="${reference}"${styleAttribute}><v>${cell.value}</v></c>`;
+    }
+    const text = escapeHtml(String(cell.value).replace(/[^\x09\x0a\x0d\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, ''));
+    return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+// Stream a one-sheet XLSX workbook: a bold header row of columns (names), then rows, an async
+// iterable of cell lists (see xlsxCell). Yields Buffers.
+function xlsxStream(columns, rows, { sheetName = 'Sheet1' } = {}) {
+    const sheet = async function* () {
+        yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            '<sheetData><row r="1">' +
+            columns.map((name, index) => xlsxCell(`${spreadsheetColumn(index)}1`, { value: name, type: 'text' }, XLSX_CELL_STYLES.header)).join('') +
+            '</row>';
+        let rowNumber = 1;
+        for await (const cells of rows) {
+            rowNumber++;
+            yield `<row r="${rowNumber}">` +
+                cells.map((cell, index) => xlsxCell(`${spreadsheetColumn(index)}${rowNumber}`, cell, XLSX_CELL_STYLES[cell.type])).join('') +
+                '</row>';
+        }
+        yield '</sheetData></worksheet>';
+    };
+
+    const relationship = (id, type, target) =>
+        `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`;
+    return Readable.from(zipStream([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                relationship('rId1', 'officeDocument', 'xl/workbook.xml') + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${escapeHtml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                relationship('rId1', 'worksheet', 'worksheets/sheet1.xml') + relationship('rId2', 'styles', 'styles.xml') + '</Relationships>'
+        },
+        { name: 'xl/styles.xml', content: XLSX_STYLES },
+        { name: 'xl/worksheets/sheet1.xml', content: sheet() }
+    ]));
+}
+
+// Stream CSV text: a header row of columns, then rows, an async iterable of value lists (see csvCell)
+function csvStream(columns, rows) {
+    return Readable.from((async function* () {
+        yield columns.map(csvCell).join(',') + '\r\n';
+        for await (const values of rows) {
+            yield values.map(csvCell).join(',') + '\r\n';
+        }
+    })());
+}
+
+// A file download for the request pipeline. body is a Buffer (sent base64-encoded through Lambda),
+// text, or a Readable stream of either (see handleRequest).
+function fileResponse(body, { contentType, filename }) {
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Access-Control-Expose-Headers': 'Content-Disposition'
+        },
+        body
+    };
+}
+
+// --- Payslips ---
+
+// PayrollData amounts are monthly. A payslip prorates them by the days the employee is paid for: the
+// calendar days of the month from their date of joining, less approved unpaid leave (UNPAID_LEAVE_TYPES,
+// counted in working days, as leave is applied for). PF and ESI follow the prorated pay; professional
+// tax is a monthly slab, charged in full when any day is paid. A payslip is stored in Payslips the
+// first time it is generated and never changes afterwards, so later salary or leave changes don't
+// rewrite past months.
+
+const PAY_MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Earnings and deductions on a payslip, in the order they are printed
+const PAYSLIP_EARNINGS = {
+    base_salary: 'Basic Salary',
+    HRA: 'House Rent Allowance',
+    conveyance_allowance: 'Conveyance Allowance',
+    medical_allowance: 'Medical Allowance'
+};
+const PAYSLIP_DEDUCTIONS = {
+    pf_deduction: 'Provident Fund',
+    esi_deduction: 'Employee State Insurance',
+    professional_tax: 'Professional Tax'
+};
+const PAYSLIP_AMOUNT_FIELDS = [
+    ...Object.keys(PAYSLIP_EARNINGS), 'gross_earnings',
+    ...Object.keys(PAYSLIP_DEDUCTIONS), 'total_deductions', 'net_pay', 'ctc'
+];
+
+// Payslip fields returned by the API and written to CSV exports, in order
+const PAYSLIP_FIELDS = [
+    'payslip_id', 'pay_month', 'user_id', 'employee_name', 'department', 'location', 'date_of_joining',
+    'days_in_month', 'payable_days', 'unpaid_leave_days',
+    ...Object.keys(PAYSLIP_EARNINGS), 'gross_earnings', ...Object.keys(PAYSLIP_DEDUCTIONS), 'total_deductions',
+    'net_pay', 'ctc', 'generated_by', 'generated_at'
+];
+const PAYSLIP_COLUMNS = [...PAYSLIP_FIELDS, 'organization_name']
+    .map(field => field === 'date_of_joining' ? "DATE_FORMAT(date_of_joining, '%Y-%m-%d') AS date_of_joining" : field)
+    .join(', ');
+
+// Read a YYYY-MM month that is already over. Returns { month, start, end, days } or { error }.
+function readPayMonth(value) {
+    const month = typeof value === 'string' ? value.trim() : '';
+    if (!PAY_MONTH_PATTERN.test(month)) {
+        return { error: 'Please provide the "month" as YYYY-MM, for example "2025-06".' };
+    }
+    if (month >= formatDateOnly(new Date()).slice(0, 7)) {
+        return { error: `Payslips are only available once the month is over, so ${month} isn't ready yet.` };
+    }
+    const start = parseDateOnly(`${month}-01`);
+    const end = addDays(new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)), -1);
+    return { month, start, end, days: end.getUTCDate() };
+}
+
+// "June 2025"
+function describePayMonth(month) {
+    return parseDateOnly(`${month}-01`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+// 123456.5 -> "1,23,456.50"
+function formatAmount(value) {
+    return Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Amounts are worked out in paise, so each component is rounded once
+function toPaise(value) {
+    return Math.round(Number(value || 0) * 100);
+}
+
+// Work out a payslip from an employee's PayrollData row (with date_of_joining) for a month, given
+// their unpaid leave days in it
+function computePayslip(employee, period, unpaidLeaveDays) {
+    const joined = employee.date_of_joining ? parseDateOnly(employee.date_of_joining) : null;
+    const firstPaidDay = joined && joined > period.start ? joined : period.start;
+    const employedDays = firstPaidDay > period.end
+        ? 0
+        : Math.round((period.end - firstPaidDay) / (24 * 60 * 60 * 1000)) + 1;
+    const payableDays = Math.max(employedDays - unpaidLeaveDays, 0);
+    const prorate = value => Math.round(toPaise(value) * payableDays / period.days);
+
+    const paise = {};
+    for (const field of Object.keys(PAYSLIP_EARNINGS)) {
+        paise[field] = prorate(employee[field]);
+    }
+    paise.pf_deduction = prorate(employee.pf_deduction);
+    paise.esi_deduction = prorate(employee.esi_deduction);
+    paise.professional_tax = payableDays > 0 ? toPaise(employee.professional_tax) : 0;
+    paise.gross_earnings = Object.keys(PAYSLIP_EARNINGS).reduce((total, field) => total + paise[field], 0);
+    paise.total_deductions = Object.keys(PAYSLIP_DEDUCTIONS).reduce((total, field) => total + paise[field], 0);
+    paise.net_pay = paise.gross_earnings - paise.total_deductions;
+    paise.ctc = toPaise(employee.ctc);
+
+    return {
+        days_in_month: period.days,
+        payable_days: payableDays,
+        unpaid_leave_days: Math.min(unpaidLeaveDays, employedDays),
+        ...Object.fromEntries(Object.entries(paise).map(([field, value]) => [field, value / 100]))
+    };
+}
+
+// Generate and store the payslips of a month that don't exist yet: for everyone in the organization
+// with PayrollData, or only userIds. Uses the salary in effect on the last day of the month (see
+// loadSalariesAsOf), or else the employee's latest PayrollData row.
+// Returns { created, existing, skipped } (user IDs; skipped as { user_id, reason }).
+async function generatePayslips({ organizationId, period, userIds = null, generatedBy }) {
+    await ensureSupportTables();
+    const [employees] = await dbPool.query(
+        `SELECT u.user_id, CONCAT_WS(' ', u.first_name, u.last_name) AS employee_name, u.department, u.location,
+                DATE_FORMAT(u.date_of_joining, '%Y-%m-%d') AS date_of_joining, o.org_name,
+                p.payroll_id, p.base_salary, p.HRA, p.conveyance_allowance, p.medical_allowance,
+                p.pf_deduction, p.esi_deduction, p.professional_tax, p.ctc
+         FROM Users u
+         JOIN Organizations o ON o.organization_id = u.organization_id
+         JOIN PayrollData p ON p.payroll_id = (
+             SELECT MAX(latest.payroll_id) FROM PayrollData latest
+             WHERE latest.user_id = u.user_id AND latest.organization_id = u.organization_id
+         )
+         WHERE u.organization_id = ? ${userIds ? 'AND u.user_id IN (?)' : ''}
+         ORDER BY u.user_id`,
+        userIds ? [organizationId, userIds] : [organizationId]
+    );
+    const outcome = { created: [], existing: [], skipped: [] };
+    if (employees.length === 0) {
+        return outcome;
+    }
+
+    const firstDay = formatDateOnly(period.start);
+    const lastDay = formatDateOnly(period.end);
+    const salaries = await loadSalariesAsOf(dbPool, organizationId, employees.map(employee => employee.user_id), lastDay);
+    const [stored] = await dbPool.query(
+        'SELECT user_id FROM Payslips WHERE organization_id = ? AND pay_month = ? AND user_id IN (?)',
+        [organizationId, period.month, employees.map(employee => employee.user_id)]
+    );
+    const [unpaidLeave] = await dbPool.query(
+        `SELECT user_id, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, days
+         FROM LeaveRequests
+         WHERE organization_id = ? AND status = 'approved' AND LOWER(leave_type) IN (?)
+           AND start_date <= ? AND end_date >= ?`,
+        [organizationId, UNPAID_LEAVE_TYPES, lastDay, firstDay]
+    );
+
+    for (const current of employees) {
+        const salary = salaries.get(current.user_id);
+        const employee = salary ? { ...current, ...salary.values } : current;
+        if (stored.some(row => row.user_id === employee.user_id)) {
+            outcome.existing.push(employee.user_id);
+            continue;
+        }
+        if (employee.date_of_joining && employee.date_of_joining > lastDay) {
+            outcome.skipped.push({ user_id: employee.user_id, reason: `joined on ${employee.date_of_joining}, after ${period.month}` });
+            continue;
+        }
+
+        // Only the working days of each unpaid leave that fall inside the month
+        const unpaidLeaveDays = unpaidLeave
+            .filter(request => request.user_id === employee.user_id)
+            .reduce((total, request) => {
+                const from = parseDateOnly(request.start_date > firstDay ? request.start_date : firstDay);
+                const to = parseDateOnly(request.end_date < lastDay ? request.end_date : lastDay);
+                return total + Math.min(countWorkingDays(from, to), request.days);
+            }, 0);
+
+        const [result] = await dbPool.query('INSERT IGNORE INTO Payslips SET ?', [{
+            organization_id: organizationId,
+            user_id: employee.user_id,
+            pay_month: period.month,
+            organization_name: employee.org_name,
+            employee_name: employee.employee_name,
+            department: employee.department,
+            location: employee.location,
+            date_of_joining: employee.date_of_joining,
+            payroll_id: employee.payroll_id,
+            revision_id: salary ? salary.revision_id : null,
+            ...computePayslip(employee, period, unpaidLeaveDays),
+            generated_by: generatedBy
+        }]);
+        // Another request may have generated it first
+        (result.affectedRows > 0 ? outcome.created : outcome.existing).push(employee.user_id);
+    }
+    return outcome;
+}
+
+// Read stored payslips with their amounts as numbers
+async function loadPayslips(organizationId, { month, userId }) {
+    const conditions = ['organization_id = ?'];
+    const params = [organizationId];
+    if (month) {
+        conditions.push('pay_month = ?');
+        params.push(month);
+    }
+    if (userId) {
+        conditions.push('user_id = ?');
+        params.push(userId);
+    }
+    const [payslips] = await dbPool.query(
+        `SELECT ${PAYSLIP_COLUMNS} FROM Payslips WHERE ${conditions.join(' AND ')} ORDER BY pay_month DESC, user_id`,
+        params
+    );
+    return payslips.map(payslip => ({
+        ...payslip,
+        ...Object.fromEntries(PAYSLIP_AMOUNT_FIELDS.map(field => [field, Number(payslip[field])]))
+    }));
+}
+
+// Lay a payslip out as a one-page PDF
+function renderPayslipPdf(payslip) {
+    const items = [
+        { text: payslip.organization_name || payslip.organization_id || '', x: 50, y: 790, size: 16, bold: true },
+        { text: `Payslip for ${describePayMonth(payslip.pay_month)}`, x: 50, y: 768, size: 12 },
+        { rule: [50, 756, 545, 756] }
+    ];
+
+    let y = 736;
+    const details = [
+        ['Employee', `${payslip.employee_name} (${payslip.user_id})`],
+        ['Department', payslip.department || '-'],
+        ['Location', payslip.location || '-'],
+        ['Date of joining', payslip.date_of_joining || '-'],
+        ['Days paid', `${payslip.payable_days} of ${payslip.days_in_month}` +
+            (payslip.unpaid_leave_days > 0 ? ` (${payslip.unpaid_leave_days} day(s) of unpaid leave)` : '')]
+    ];
+    for (const [label, value] of details) {
+        items.push({ text: label, x: 50, y, bold: true }, { text: value, x: 160, y });
+        y -= 16;
+    }
+
+    y -= 14;
+    items.push(
+        { text: 'Earnings', x: 50, y, bold: true }, { text: 'INR', x: 290, y, bold: true, align: 'right' },
+        { text: 'Deductions', x: 310, y, bold: true }, { text: 'INR', x: 545, y, bold: true, align: 'right' },
+        { rule: [50, y - 6, 545, y - 6] }
+    );
+    y -= 22;
+    const earnings = Object.entries(PAYSLIP_EARNINGS);
+    const deductions = Object.entries(PAYSLIP_DEDUCTIONS);
+    for (let row = 0; row < Math.max(earnings.length, deductions.length); row++) {
+        if (earnings[row]) {
+            items.push({ text: earnings[row][1], x: 50, y }, { text: formatAmount(payslip[earnings[row][0]]), x: 290, y, align: 'right' });
+        }
+        if (deductions[row]) {
+            items.push({ text: deductions[row][1], x: 310, y }, { text: formatAmount(payslip[deductions[row][0]]), x: 545, y, align: 'right' });
+        }
+        y -= 16;
+    }
+    items.push(
+        { rule: [50, y + 8, 545, y + 8] },
+        { text: 'Gross earnings', x: 50, y: y - 8, bold: true }, { text: formatAmount(payslip.gross_earnings), x: 290, y: y - 8, bold: true, align: 'right' },
+        { text: 'Total deductions', x: 310, y: y - 8, bold: true }, { text: formatAmount(payslip.total_deductions), x: 545, y: y - 8, bold: true, align: 'right' },
+        { text: 'Net pay (INR)', x: 50, y: y - 40, size: 12, bold: true }, { text: formatAmount(payslip.net_pay), x: 545, y: y - 40, size: 12, bold: true, align: 'right' },
+        { rule: [50, y - 50, 545, y - 50] },
+        { text: `Monthly CTC: INR ${formatAmount(payslip.ctc)}. Generated on ${new Date(payslip.generated_at).toISOString().slice(0, 10)}; this payslip does not change afterwards.`, x: 50, y: y - 66, size: 8 }
+    );
+    return buildPdf(items);
+}
+
+// One month's payslip for the caller, or for any employee (user_id) when the caller is an Admin.
+// It is generated the first time it is asked for. format: 'json' (default), 'pdf' or 'csv'.
+async function getPayslip(caller, input = {}) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const period = readPayMonth(input.month);
+    if (period.error) {
+        return invalid(period.error);
+    }
+    const format = String(input.format || 'json').toLowerCase();
+    if (!['json', 'pdf', 'csv'].includes(format)) {
+        return invalid('Please choose a "format" of json, pdf or csv.');
+    }
+    const userId = input.user_id ? String(input.user_id) : caller.userId;
+    if (userId !== caller.userId && caller.role !== 'Admin') {
+        return { statusCode: 403, body: { success: false, message: 'You can only see your own payslips.' } };
+    }
+    const whose = userId === caller.userId ? 'your' : `${userId}'s`;
+
+    await ensureSupportTables();
+    let [payslip] = await loadPayslips(caller.organizationId, { month: period.month, userId });
+    if (!payslip) {
+        const outcome = await generatePayslips({
+            organizationId: caller.organizationId, period, userIds: [userId], generatedBy: caller.userId
+        });
+        if (outcome.skipped.length > 0) {
+            return { statusCode: 404, body: { success: false, message: `There's no payslip for ${period.month}: ${userId === caller.userId ? 'you' : userId} ${outcome.skipped[0].reason}.` } };
+        }
+        [payslip] = await loadPayslips(caller.organizationId, { month: period.month, userId });
+        if (!payslip) {
+            return { statusCode: 404, body: { success: false, message: `I couldn't find ${whose} payroll details, so I can't make a payslip for ${period.month}. Please contact HR.` } };
+        }
+    }
+
+    const filename = `payslip-${userId}-${period.month}`;
+    if (format === 'pdf') {
+        return fileResponse(renderPayslipPdf(payslip), { contentType: 'application/pdf', filename: `${filename}.pdf` });
+    }
+    if (format === 'csv') {
+        return fileResponse(toCsv([payslip], PAYSLIP_FIELDS), { contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv` });
+    }
+
+    const { organization_name: organizationName, ...data } = payslip;
+    const prorated = payslip.payable_days < payslip.days_in_month
+        ? ` ${userId === caller.userId ? 'You were' : `${userId} was`} paid for ${payslip.payable_days} of ${payslip.days_in_month} days.`
+        : '';
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: `Here is ${whose} payslip for ${describePayMonth(period.month)}: gross earnings of INR ${formatAmount(payslip.gross_earnings)}, deductions of INR ${formatAmount(payslip.total_deductions)} and net pay of INR ${formatAmount(payslip.net_pay)}.${prorated}`,
+            data
+        }
+    };
+}
+
+// The caller's stored payslips, newest first
+async function listPayslips(caller) {
+    await ensureSupportTables();
+    const payslips = await loadPayslips(caller.organizationId, { userId: caller.userId });
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            data: payslips.map(payslip => ({
+                payslip_id: payslip.payslip_id,
+                pay_month: payslip.pay_month,
+                gross_earnings: payslip.gross_earnings,
+                total_deductions: payslip.total_deductions,
+                net_pay: payslip.net_pay,
+                generated_at: payslip.generated_at
+            }))
+        }
+    };
+}
+
+// Generate a month's payslips for the organization, or only user_ids: { month, user_ids? }.
+// Payslips that already exist are left as they are.
+async function runPayroll(caller, input) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const period = readPayMonth(input.month);
+    if (period.error) {
+        return invalid(period.error);
+    }
+    if (input.user_ids !== undefined && (!Array.isArray(input.user_ids) || input.user_ids.length === 0 ||
+        input.user_ids.some(id => typeof id !== 'string' || !id.trim()))) {
+        return invalid('"user_ids" must be a list of user IDs.');
+    }
+    const userIds = input.user_ids ? [...new Set(input.user_ids.map(id => id.trim()))] : null;
+
+    const outcome = await generatePayslips({ organizationId: caller.organizationId, period, userIds, generatedBy: caller.userId });
+    const unknown = userIds
+        ? userIds.filter(id => ![...outcome.created, ...outcome.existing].includes(id) && !outcome.skipped.some(skip => skip.user_id === id))
+        : [];
+
+    const parts = [`I've generated ${outcome.created.length} payslip(s) for ${describePayMonth(period.month)}.`];
+    if (outcome.existing.length > 0) parts.push(`${outcome.existing.length} already existed and were left unchanged.`);
+    if (outcome.skipped.length > 0) parts.push(`Skipped ${outcome.skipped.map(skip => `${skip.user_id} (${skip.reason})`).join(', ')}.`);
+    if (unknown.length > 0) parts.push(`No payroll details for ${unknown.join(', ')}.`);
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: `Done! ${parts.join(' ')}`,
+            data: { month: period.month, ...outcome, without_payroll: unknown }
+        }
+    };
+}
+
+// The organization's payroll register for a month: every stored payslip, the totals, and the employees
+// with payroll details whose payslip hasn't been generated yet. format: 'json' (default) or 'csv'.
+async function getPayrollRegister(caller, query = {}) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const period = readPayMonth(query.month);
+    if (period.error) {
+        return invalid(period.error);
+    }
+    const format = String(query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+        return invalid('Please choose a "format" of json or csv.');
+    }
+
+    await ensureSupportTables();
+    const payslips = (await loadPayslips(caller.organizationId, { month: period.month }))
+        .sort((a, b) => a.user_id.localeCompare(b.user_id))
+        .map(({ organization_name: organizationName, ...payslip }) => payslip);
+    const totals = Object.fromEntries(PAYSLIP_AMOUNT_FIELDS.map(field =>
+        [field, payslips.reduce((total, payslip) => total + toPaise(payslip[field]), 0) / 100]));
+    const [pending] = await dbPool.query(
+        `SELECT u.user_id, CONCAT_WS(' ', u.first_name, u.last_name) AS employee_name
+         FROM Users u
+         WHERE u.organization_id = ?
+           AND EXISTS (SELECT 1 FROM PayrollData p WHERE p.user_id = u.user_id AND p.organization_id = u.organization_id)
+           AND NOT EXISTS (SELECT 1 FROM Payslips s WHERE s.user_id = u.user_id AND s.organization_id = u.organization_id AND s.pay_month = ?)
+           AND (u.date_of_joining IS NULL OR u.date_of_joining <= ?)
+         ORDER BY u.user_id`,
+        [caller.organizationId, period.month, formatDateOnly(period.end)]
+    );
+
+    if (format === 'csv') {
+        const rows = [...payslips, { pay_month: period.month, employee_name: 'TOTAL', ...totals }];
+        return fileResponse(toCsv(rows, PAYSLIP_FIELDS), { contentType: 'text/csv; charset=utf-8', filename: `payroll-register-${period.month}.csv` });
+    }
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: pending.length > 0
+                ? `${payslips.length} payslip(s) for ${describePayMonth(period.month)}; ${pending.length} employee(s) don't have one yet.`
+                : `${payslips.length} payslip(s) for ${describePayMonth(period.month)}.`,
+            data: { month: period.month, payslips, totals: { employees: payslips.length, ...totals }, not_generated: pending }
+        }
+    };
+}
+
+// --- Payroll Rules ---
+
+// Each organization's payroll rules decide the components of a PayrollData row that follow from its
+// salary fields: HRA as a share of the base salary, PF on the base salary up to a wage ceiling, ESI
+// below a gross pay threshold, professional tax from the slabs of the employee's state (read from
+// Users.location), and the CTC. They are applied to every PayrollData write: the dependent components
+// are worked out again and shown in the preview, and a write that sets one of them to anything else is
+// refused. Organizations without rules of their own use DEFAULT_PAYROLL_RULES.
+
+// Percentages, and amounts in INR a month
+const DEFAULT_PAYROLL_RULES = {
+    hra_percent: 40,
+    pf_percent: 12,
+    pf_wage_ceiling: 15000,
+    esi_percent: 0.75,
+    esi_gross_threshold: 21000,
+    employer_pf_percent: 12,
+    employer_esi_percent: 3.25
+};
+
+// Monthly professional tax by state as [gross pay from, tax], used for states an organization hasn't
+// set slabs for. States without slabs have no professional tax rule.
+const DEFAULT_PROFESSIONAL_TAX_SLABS = {
+    Karnataka: [[0, 0], [25000, 200]],
+    Maharashtra: [[0, 0], [7500.01, 175], [10000.01, 200]],
+    Telangana: [[0, 0], [15000.01, 150], [20000.01, 200]],
+    'West Bengal': [[0, 0], [10000.01, 110], [15000.01, 130], [25000.01, 150], [40000.01, 200]],
+    Gujarat: [[0, 0], [12000, 200]]
+};
+
+// Two-letter codes and larger cities of each state, in lower case, for reading the state out of a location
+const STATE_ALIASES = {
+    'Andhra Pradesh': ['ap', 'visakhapatnam', 'vijayawada', 'guntur'],
+    Bihar: ['br', 'patna', 'gaya', 'muzaffarpur'],
+    Delhi: ['dl', 'new delhi'],
+    Gujarat: ['gj', 'ahmedabad', 'surat', 'vadodara', 'rajkot', 'gandhinagar'],
+    Haryana: ['hr', 'gurugram', 'gurgaon', 'faridabad'],
+    Karnataka: ['ka', 'bangalore', 'bengaluru', 'mysore', 'mysuru', 'mangalore', 'mangaluru', 'hubli'],
+    Kerala: ['kl', 'kochi', 'thiruvananthapuram', 'trivandrum'],
+    'Madhya Pradesh': ['mp', 'bhopal', 'indore'],
+    Maharashtra: ['mh', 'mumbai', 'pune', 'nagpur', 'nashik', 'thane'],
+    Odisha: ['od', 'bhubaneswar', 'cuttack'],
+    Punjab: ['pb', 'ludhiana', 'amritsar'],
+    Rajasthan: ['rj', 'jaipur', 'jodhpur', 'udaipur'],
+    'Tamil Nadu': ['tn', 'chennai', 'coimbatore', 'madurai'],
+    Telangana: ['ts', 'tg', 'hyderabad', 'secunderabad', 'warangal'],
+    'Uttar Pradesh': ['up', 'lucknow', 'noida', 'kanpur', 'varanasi', 'ghaziabad'],
+    'West Bengal': ['wb', 'kolkata', 'howrah']
+};
+
+// PayrollData columns the rules work out, as named in messages
+const PAYROLL_RULE_COLUMNS = {
+    HRA: 'HRA',
+    pf_deduction: 'the PF deduction',
+    esi_deduction: 'the ESI deduction',
+    professional_tax: 'professional tax',
+    ctc: 'the CTC'
+};
+
+function payrollRuleError(message) {
+    const error = new Error(message);
+    error.code = 'PAYROLL_RULE_VIOLATION';
+    error.statusCode = 409;
+    return error;
+}
+
+// The organization's rules (DEFAULT_PAYROLL_RULES unless it has its own) and professional tax slabs
+// by state (its own replace the defaults state by state).
+// Returns { rules, source: 'organization' | 'default', slabs: { state: [{ min_gross, monthly_tax }] }, ownStates }.
+async function loadPayrollRules(executor, organizationId) {
+    const [[own]] = await executor.query('SELECT * FROM PayrollRules WHERE organization_id = ?', [organizationId]);
+    const [slabRows] = await executor.query(
+        'SELECT state, min_gross, monthly_tax FROM ProfessionalTaxSlabs WHERE organization_id = ? ORDER BY state, min_gross',
+        [organizationId]
+    );
+
+    const rules = Object.fromEntries(Object.keys(DEFAULT_PAYROLL_RULES).map(field => {
+        if (!own) return [field, DEFAULT_PAYROLL_RULES[field]];
+        return [field, own[field] === null ? null : Number(own[field])];
+    }));
+    const slabs = Object.fromEntries(Object.entries(DEFAULT_PROFESSIONAL_TAX_SLABS).map(([state, list]) =>
+        [state, list.map(([minGross, monthlyTax]) => ({ min_gross: minGross, monthly_tax: monthlyTax }))]));
+    const ownStates = [];
+    for (const slab of slabRows) {
+        if (!ownStates.includes(slab.state)) {
+            ownStates.push(slab.state);
+            Object.keys(slabs).filter(state => state.toLowerCase() === slab.state.toLowerCase()).forEach(state => delete slabs[state]);
+            slabs[slab.state] = [];
+        }
+        slabs[slab.state].push({ min_gross: Number(slab.min_gross), monthly_tax: Number(slab.monthly_tax) });
+    }
+    return { rules, source: own ? 'organization' : 'default', slabs, ownStates };
+}
+
+// Read the state out of a location such as "Bangalore" or "Muzaffarpur, UP", trying the last part
+// first. States are matched by name (including any in states), code or city; null when none match.
+function findLocationState(location, states = []) {
+    const parts = String(location || '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean).reverse();
+    for (const part of parts) {
+        const state = states.find(name => name.toLowerCase() === part) ||
+            Object.keys(STATE_ALIASES).find(name => name.toLowerCase() === part || STATE_ALIASES[name].includes(part));
+        if (state) return state;
+    }
+    return null;
+}
+
+// Work out the rule-driven columns of a payroll row from its salary fields. Components whose rule is
+// switched off (null) are left out, so they keep the value entered; the CTC is always worked out.
+// Returns { values: { column: paise }, reasons: { column: text }, state }.
+function computePayrollComponents(row, payrollRules, location) {
+    const { rules, slabs } = payrollRules;
+    const values = {};
+    const reasons = {};
+    const percentOf = (paise, percent) => Math.round(paise * percent / 100);
+
+    const basic = toPaise(row.base_salary);
+    if (rules.hra_percent !== null) {
+        values.HRA = percentOf(basic, rules.hra_percent);
+        reasons.HRA = `HRA is ${rules.hra_percent}% of the base salary`;
+    }
+    const gross = basic + (values.HRA !== undefined ? values.HRA : toPaise(row.HRA)) +
+        toPaise(row.conveyance_allowance) + toPaise(row.medical_allowance);
+
+    const pfWage = rules.pf_wage_ceiling !== null ? Math.min(basic, toPaise(rules.pf_wage_ceiling)) : basic;
+    const pfWageText = rules.pf_wage_ceiling !== null ? `the base salary, up to ${formatAmount(rules.pf_wage_ceiling)}` : 'the base salary';
+    if (rules.pf_percent !== null) {
+        values.pf_deduction = percentOf(pfWage, rules.pf_percent);
+        reasons.pf_deduction = `PF is ${rules.pf_percent}% of ${pfWageText}`;
+    }
+
+    const esiApplies = rules.esi_gross_threshold === null || gross <= toPaise(rules.esi_gross_threshold);
+    if (rules.esi_percent !== null) {
+        values.esi_deduction = esiApplies ? percentOf(gross, rules.esi_percent) : 0;
+        reasons.esi_deduction = esiApplies
+            ? `ESI is ${rules.esi_percent}% of the gross pay of ${formatAmount(gross / 100)}`
+            : `ESI doesn't apply to a gross pay above ${formatAmount(rules.esi_gross_threshold)}`;
+    }
+
+    const state = findLocationState(location, Object.keys(slabs));
+    const stateSlabs = state && slabs[Object.keys(slabs).find(name => name.toLowerCase() === state.toLowerCase())];
+    if (stateSlabs) {
+        const slab = stateSlabs.filter(item => toPaise(item.min_gross) <= gross).pop();
+        values.professional_tax = slab ? toPaise(slab.monthly_tax) : 0;
+        reasons.professional_tax = `professional tax in ${state} on a gross pay of ${formatAmount(gross / 100)} is ${formatAmount(values.professional_tax / 100)}`;
+    }
+
+    const employerPf = rules.employer_pf_percent !== null ? percentOf(pfWage, rules.employer_pf_percent) : 0;
+    const employerEsi = rules.employer_esi_percent !== null && esiApplies ? percentOf(gross, rules.employer_esi_percent) : 0;
+    values.ctc = gross + employerPf + employerEsi;
+    reasons.ctc = `the CTC is the gross pay of ${formatAmount(gross / 100)} plus the employer's PF (${formatAmount(employerPf / 100)}) and ESI (${formatAmount(employerEsi / 100)})`;
+
+    return { values, reasons, state };
+}
+
+// Apply the payroll rules to the previewed PayrollData rows of a write: the rule-driven columns are
+// added to each row's before/after where they change. Throws a PAYROLL_RULE_VIOLATION when the write
+// sets one of them to a different value.
+async function applyPayrollRules(executor, rows) {
+    const payrollRows = rows.filter(row => row.table === 'PayrollData');
+    const payrollIds = payrollRows.filter(row => row.before !== null).map(row => row.key.payroll_id);
+    const [stored] = payrollIds.length > 0
+        ? await executor.query('SELECT * FROM PayrollData WHERE payroll_id IN (?)', [payrollIds])
+        : [[]];
+    const proposals = payrollRows.map(row => {
+        const current = row.before === null
+            ? null
+            : stored.find(item => String(item.payroll_id) === String(row.key.payroll_id)) || null;
+        return { row, current, proposed: { ...(current || {}), ...row.after } };
+    });
+    if (proposals.length === 0) {
+        return;
+    }
+
+    const organizationId = proposals[0].proposed.organization_id;
+    const payrollRules = await loadPayrollRules(executor, organizationId);
+    const userIds = [...new Set(proposals.map(proposal => proposal.proposed.user_id).filter(Boolean))];
+    const [users] = userIds.length > 0
+        ? await executor.query('SELECT user_id, location FROM Users WHERE organization_id = ? AND user_id IN (?)', [organizationId, userIds])
+        : [[]];
+
+    for (const { row, current, proposed } of proposals) {
+        const user = users.find(item => item.user_id === proposed.user_id);
+        const { values, reasons } = computePayrollComponents(proposed, payrollRules, user && user.location);
+        for (const [column, paise] of Object.entries(values)) {
+            if (Object.prototype.hasOwnProperty.call(row.after, column)) {
+                if (toPaise(row.after[column]) !== paise) {
+                    throw payrollRuleError(
+                        `I can't save this payroll change for ${proposed.user_id}: ${reasons[column]}, so ${PAYROLL_RULE_COLUMNS[column]} ` +
+                        `should be ${formatAmount(paise / 100)}, not ${formatAmount(row.after[column] || 0)}. ` +
+                        `Leave ${column} out and I'll work it out from your organization's payroll rules.`
+                    );
+                }
+                continue;
+            }
+            if (current && toPaise(current[column]) === paise) {
+                continue;
+            }
+            if (current) {
+                row.before[column] = current[column];
+            }
+            row.after[column] = paise / 100;
+        }
+    }
+}
+
+// New PayrollData rows are inserted with their previewed values, which include the rule-driven columns
+function buildPayrollInsert(rows) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row.after)))];
+    return mysql.format('INSERT INTO PayrollData (??) VALUES ?', [
+        columns,
+        rows.map(row => columns.map(column => row.after[column] === undefined ? null : row.after[column]))
+    ]);
+}
+
+// After an UPDATE of PayrollData, write the previewed values, including the rule-driven columns
+async function writePayrollComponents(connection, rows) {
+    for (const row of rows) {
+        if (row.table !== 'PayrollData' || row.before === null) continue;
+        await connection.query('UPDATE PayrollData SET ? WHERE payroll_id = ?', [row.after, row.key.payroll_id]);
+    }
+}
+
+// The organization's payroll rules, professional tax slabs by state, and each employee's current
+// payroll row that doesn't match them (for instance after the rules changed)
+async function getPayrollRules(caller) {
+    await ensureSupportTables();
+    const payrollRules = await loadPayrollRules(dbPool, caller.organizationId);
+    const [payroll] = await dbPool.query(
+        `SELECT p.*, u.location
+         FROM PayrollData p
+         JOIN Users u ON u.user_id = p.user_id AND u.organization_id = p.organization_id
+         WHERE p.organization_id = ? AND p.payroll_id = (
+             SELECT MAX(latest.payroll_id) FROM PayrollData latest
+             WHERE latest.user_id = p.user_id AND latest.organization_id = p.organization_id
+         )
+         ORDER BY p.user_id`,
+        [caller.organizationId]
+    );
+
+    const outOfLine = [];
+    for (const row of payroll) {
+        const { values } = computePayrollComponents(row, payrollRules, row.location);
+        const differences = Object.fromEntries(Object.entries(values)
+            .filter(([column, paise]) => toPaise(row[column]) !== paise)
+            .map(([column, paise]) => [column, { stored: Number(row[column]), expected: paise / 100 }]));
+        if (Object.keys(differences).length > 0) {
+            outOfLine.push({ user_id: row.user_id, payroll_id: row.payroll_id, location: row.location, differences });
+        }
+    }
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: outOfLine.length > 0
+                ? `${outOfLine.length} employee(s) have payroll records that don't match these rules yet. They are brought in line the next time their payroll is changed.`
+                : 'Every current payroll record matches these rules.',
+            data: {
+                rules: payrollRules.rules,
+                source: payrollRules.source,
+                professional_tax: Object.entries(payrollRules.slabs).map(([state, slabs]) => ({
+                    state,
+                    source: payrollRules.ownStates.includes(state) ? 'organization' : 'default',
+                    slabs
+                })),
+                out_of_line: outOfLine
+            }
+        }
+    };
+}
+
+// Change the organization's payroll rules. Send any of the DEFAULT_PAYROLL_RULES fields (null stops
+// applying that rule, so the component is kept as entered), or { reset: true } to go back to the defaults.
+async function savePayrollRules(caller, input) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const fields = Object.keys(DEFAULT_PAYROLL_RULES);
+
+    await ensureSupportTables();
+    if (input.reset === true) {
+        const [result] = await dbPool.execute('DELETE FROM PayrollRules WHERE organization_id = ?', [caller.organizationId]);
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: result.affectedRows > 0
+                    ? "Done! Your organization is back on the default payroll rules."
+                    : 'Your organization already uses the default payroll rules, so nothing changed.',
+                data: { ...DEFAULT_PAYROLL_RULES }
+            }
+        };
+    }
+
+    const changes = {};
+    for (const field of fields.filter(name => Object.prototype.hasOwnProperty.call(input, name))) {
+        const value = input[field];
+        const isPercent = field.endsWith('_percent');
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (isPercent && value > 100))) {
+            return invalid(`"${field}" must be ${isPercent ? 'a percentage from 0 to 100' : 'an amount of 0 or more'}, or null to stop applying it.`);
+        }
+        changes[field] = value;
+    }
+    if (Object.keys(changes).length === 0) {
+        return invalid(`Please send at least one of ${fields.map(field => `"${field}"`).join(', ')}, or "reset": true.`);
+    }
+
+    const { rules } = await loadPayrollRules(dbPool, caller.organizationId);
+    const updated = { ...rules, ...changes, updated_by: caller.userId };
+    await dbPool.query(
+        'INSERT INTO PayrollRules SET ? ON DUPLICATE KEY UPDATE ?',
+        [{ organization_id: caller.organizationId, ...updated }, updated]
+    );
+    const { updated_by: updatedBy, ...data } = updated;
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: "Done! I've updated your payroll rules. Payroll records follow them from their next change; GET /admin/payroll-rules lists the ones that don't match yet.",
+            data
+        }
+    };
+}
+
+// Set a state's professional tax slabs: { state, slabs: [{ min_gross, monthly_tax }] }, where each slab
+// applies from its min_gross (inclusive) up to the next one. { state, reset: true } goes back to the
+// default slabs, if there are any for the state.
+async function saveProfessionalTaxSlabs(caller, input) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const stateInput = typeof input.state === 'string' ? input.state.trim() : '';
+    if (!stateInput || stateInput.length > 50) {
+        return invalid('Please provide the "state" the slabs are for, for example "Karnataka".');
+    }
+    const state = Object.keys(STATE_ALIASES).find(name => name.toLowerCase() === stateInput.toLowerCase() ||
+        STATE_ALIASES[name][0] === stateInput.toLowerCase()) || stateInput;
+
+    await ensureSupportTables();
+    if (input.reset === true) {
+        const [result] = await dbPool.execute(
+            'DELETE FROM ProfessionalTaxSlabs WHERE organization_id = ? AND state = ?',
+            [caller.organizationId, state]
+        );
+        const fallback = DEFAULT_PROFESSIONAL_TAX_SLABS[state] ? 'the default slabs' : 'no professional tax rule';
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: result.affectedRows > 0
+                    ? `Done! ${state} is back on ${fallback}.`
+                    : `Your organization had no slabs of its own for ${state}, so nothing changed.`
+            }
+        };
+    }
+
+    const slabs = Array.isArray(input.slabs) ? input.slabs : [];
+    const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (slabs.length === 0 || slabs.some(slab => !slab || !isAmount(slab.min_gross) || !isAmount(slab.monthly_tax))) {
+        return invalid('Please provide "slabs" as a list of { "min_gross", "monthly_tax" } amounts, for example [{ "min_gross": 0, "monthly_tax": 0 }, { "min_gross": 25000, "monthly_tax": 200 }].');
+    }
+    if (new Set(slabs.map(slab => toPaise(slab.min_gross))).size !== slabs.length) {
+        return invalid('Each slab needs a different "min_gross".');
+    }
+    const sorted = [...slabs].sort((a, b) => a.min_gross - b.min_gross);
+
+    const connection = await dbPool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.execute('DELETE FROM ProfessionalTaxSlabs WHERE organization_id = ? AND state = ?', [caller.organizationId, state]);
+        await connection.query(
+            'INSERT INTO ProfessionalTaxSlabs (organization_id, state, min_gross, monthly_tax, updated_by) VALUES ?',
+            [sorted.map(slab => [caller.organizationId, state, slab.min_gross, slab.monthly_tax, caller.userId])]
+        );
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    const described = sorted.map(slab => `${formatAmount(slab.monthly_tax)} from a gross pay of ${formatAmount(slab.min_gross)}`);
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: `Done! Monthly professional tax in ${state} is now ${described.join(', ')}.`,
+            data: { state, slabs: sorted.map(slab => ({ min_gross: slab.min_gross, monthly_tax: slab.monthly_tax })) }
+        }
+    };
+}
+
+// --- Salary Revisions ---
+
+// PayrollData holds each employee's salary in effect today. Every change to it is also kept in
+// SalaryRevisions with its effective date, reason, approver and the values it replaced: changes made
+// through /ai-query (and their undos) take effect the day they are made, while POST /admin/salary-revisions
+// can date a revision back or forward. Future-dated revisions stay 'scheduled' until
+// applyDueSalaryRevisions() writes them to PayrollData on their effective date. The salary on any other
+// date is read from the revisions (see loadSalariesAsOf), so payslips of earlier months use the salary of
+// the time.
+
+// PayrollData columns a revision records, in order
+const SALARY_FIELDS = [...Object.keys(PAYSLIP_EARNINGS), ...Object.keys(PAYSLIP_DEDUCTIONS), 'ctc'];
+
+// Salary fields set on a revision; the others follow from the payroll rules
+const REVISION_INPUT_FIELDS = ['base_salary', 'conveyance_allowance', 'medical_allowance'];
+
+// How often scheduled revisions are checked for outside Lambda, where an hourly schedule does it
+const SALARY_REVISION_CHECK_MINUTES = 60;
+
+const SALARY_REVISION_COLUMNS = `r.revision_id, r.user_id, DATE_FORMAT(r.effective_date, '%Y-%m-%d') AS effective_date, r.status,
+    ${SALARY_FIELDS.map(field => `r.${field}`).join(', ')}, r.previous_base_salary, r.previous_ctc, r.previous_values,
+    r.reason, r.source, r.approved_by, r.created_by, r.created_at, r.applied_at, r.cancelled_by, r.cancelled_at`;
+
+// The salary fields of a PayrollData row or revision, as numbers (null where empty)
+function pickSalary(row) {
+    return Object.fromEntries(SALARY_FIELDS.map(field =>
+        [field, row[field] === null || row[field] === undefined ? null : Number(row[field])]));
+}
+
+function salaryChanged(before, after) {
+    return SALARY_FIELDS.some(field => toPaise(before[field]) !== toPaise(after[field]));
+}
+
+// A stored revision with its amounts as numbers, and the change in base salary and CTC it made
+function describeRevision(revision) {
+    const { previous_values: previousValues, ...row } = revision;
+    const previousBase = row.previous_base_salary === null ? null : Number(row.previous_base_salary);
+    const baseChange = previousBase === null ? null : (toPaise(row.base_salary) - toPaise(previousBase)) / 100;
+    return {
+        ...row,
+        ...pickSalary(row),
+        previous_base_salary: previousBase,
+        previous_ctc: row.previous_ctc === null ? null : Number(row.previous_ctc),
+        base_salary_change: baseChange,
+        change_percent: previousBase ? Math.round(baseChange / previousBase * 1000) / 10 : null,
+        ctc_change: row.previous_ctc === null ? null : (toPaise(row.ctc) - toPaise(row.previous_ctc)) / 100
+    };
+}
+
+async function loadPayrollRows(connection, payrollIds) {
+    if (payrollIds.length === 0) {
+        return [];
+    }
+    const [rows] = await connection.query('SELECT * FROM PayrollData WHERE payroll_id IN (?)', [payrollIds]);
+    return rows;
+}
+
+// Record the salary changes made to PayrollData rows (before: their rows beforehand; missing for
+// inserts, whose previous values are the employee's earlier row) as applied revisions effective today.
+// Rows whose salary fields didn't change are skipped. Returns the new revision IDs.
+async function recordSalaryRevisions(connection, { payrollIds, before, caller, reason, source }) {
+    const revisionIds = [];
+    for (const row of await loadPayrollRows(connection, payrollIds)) {
+        let previous = before.find(item => String(item.payroll_id) === String(row.payroll_id));
+        if (!previous) {
+            [[previous]] = await connection.query(
+                'SELECT * FROM PayrollData WHERE organization_id = ? AND user_id = ? AND payroll_id < ? ORDER BY payroll_id DESC LIMIT 1',
+                [row.organization_id, row.user_id, row.payroll_id]
+            );
+        }
+        if (previous && !salaryChanged(previous, row)) continue;
+
+        const [result] = await connection.query('INSERT INTO SalaryRevisions SET ?', [{
+            organization_id: row.organization_id,
+            user_id: row.user_id,
+            effective_date: formatDateOnly(new Date()),
+            status: 'applied',
+            ...pickSalary(row),
+            previous_base_salary: previous ? previous.base_salary : null,
+            previous_ctc: previous ? previous.ctc : null,
+            previous_values: previous ? JSON.stringify(pickSalary(previous)) : null,
+            reason: reason ? String(reason).slice(0, 255) : null,
+            source,
+            approved_by: caller.userId,
+            created_by: caller.userId,
+            applied_at: new Date()
+        }]);
+        revisionIds.push(result.insertId);
+    }
+    return revisionIds;
+}
+
+// The salary of each of userIds in effect on a date (YYYY-MM-DD): the latest revision effective by then,
+// or, before the first one, the values the earliest later revision replaced. Employees without either
+// are left out; their PayrollData row applies. Returns a Map of user_id -> { revision_id, values }.
+async function loadSalariesAsOf(executor, organizationId, userIds, date) {
+    const salaries = new Map();
+    if (userIds.length === 0) {
+        return salaries;
+    }
+    const [revisions] = await executor.query(
+        `SELECT ${SALARY_REVISION_COLUMNS} FROM SalaryRevisions r
+         WHERE r.organization_id = ? AND r.user_id IN (?) AND r.status <> 'cancelled'
+         ORDER BY r.effective_date, r.revision_id`,
+        [organizationId, userIds]
+    );
+    for (const userId of userIds) {
+        const own = revisions.filter(revision => revision.user_id === userId);
+        const inEffect = own.filter(revision => revision.effective_date <= date).pop();
+        const next = own.find(revision => revision.effective_date > date);
+        if (inEffect) {
+            salaries.set(userId, { revision_id: inEffect.revision_id, values: pickSalary(inEffect) });
+        } else if (next && next.previous_values) {
+            salaries.set(userId, { revision_id: null, values: pickSalary(next.previous_values) });
+        }
+    }
+    return salaries;
+}
+
+// Write a revision to the employee's PayrollData row (adding one if they have none), with the
+// rule-driven components worked out again, record it in AuditLog under its approver and mark it applied
+async function applySalaryRevision(connection, revision) {
+    const { organization_id: organizationId, user_id: userId } = revision;
+    const [[current]] = await connection.query(
+        'SELECT * FROM PayrollData WHERE organization_id = ? AND user_id = ? ORDER BY payroll_id DESC LIMIT 1 FOR UPDATE',
+        [organizationId, userId]
+    );
+    const [[user]] = await connection.query(
+        'SELECT location FROM Users WHERE organization_id = ? AND user_id = ?',
+        [organizationId, userId]
+    );
+    const entered = Object.fromEntries(REVISION_INPUT_FIELDS.map(field => [field, revision[field] === null ? null : Number(revision[field])]));
+    const { values } = computePayrollComponents({ ...(current || {}), ...entered }, await loadPayrollRules(connection, organizationId), user && user.location);
+    const salary = { ...entered, ...Object.fromEntries(Object.entries(values).map(([column, paise]) => [column, paise / 100])) };
+
+    let statement;
+    let row;
+    if (current) {
+        statement = mysql.format('UPDATE PayrollData SET ? WHERE payroll_id = ?', [salary, current.payroll_id]);
+        await connection.query(statement);
+        row = {
+            table: 'PayrollData',
+            key: { payroll_id: current.payroll_id },
+            before: Object.fromEntries(Object.keys(salary).map(column => [column, current[column]])),
+            after: salary
+        };
+    } else {
+        const inserted = { organization_id: organizationId, user_id: userId, ...salary };
+        statement = mysql.format('INSERT INTO PayrollData SET ?', [inserted]);
+        const [result] = await connection.query(statement);
+        row = { table: 'PayrollData', key: { payroll_id: result.insertId }, before: null, after: inserted };
+    }
+    await writeAuditRecords(connection, {
+        caller: { organizationId, userId: revision.approved_by },
+        prompt: `Salary revision #${revision.revision_id}${revision.reason ? `: ${revision.reason}` : ''}`,
+        sql: statement,
+        action: current ? 'UPDATE' : 'INSERT',
+        rows: [row],
+        outcome: 'success'
+    });
+
+    const stored = { ...(current ? pickSalary(current) : {}), ...salary };
+    await connection.query('UPDATE SalaryRevisions SET ? WHERE revision_id = ?', [{
+        status: 'applied',
+        ...pickSalary(stored),
+        previous_base_salary: current ? current.base_salary : null,
+        previous_ctc: current ? current.ctc : null,
+        previous_values: current ? JSON.stringify(pickSalary(current)) : null,
+        applied_at: new Date()
+    }, revision.revision_id]);
+    return stored;
+}
+
+// Apply the scheduled revisions whose effective date has come, each in its own transaction.
+// Returns { applied, failed }.
+async function applyDueSalaryRevisions() {
+    await ensureSupportTables();
+    const [due] = await dbPool.query(
+        `SELECT revision_id FROM SalaryRevisions
+         WHERE status = 'scheduled' AND effective_date <= ?
+         ORDER BY effective_date, revision_id`,
+        [formatDateOnly(new Date())]
+    );
+
+    const summary = { applied: 0, failed: 0 };
+    for (const { revision_id: id } of due) {
+        const connection = await dbPool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const [[revision]] = await connection.query(
+                "SELECT * FROM SalaryRevisions WHERE revision_id = ? AND status = 'scheduled' FOR UPDATE",
+                [id]
+            );
+            if (revision) {
+                await applySalaryRevision(connection, revision);
+                summary.applied++;
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            console.error(`Error applying salary revision #${id}; it stays scheduled:`, error.message);
+            summary.failed++;
+        } finally {
+            connection.release();
+        }
+    }
+    return summary;
+}
+
+// Record a salary revision for an employee: { user_id, effective_date (YYYY-MM-DD), base_salary,
+// conveyance_allowance?, medical_allowance?, reason }. Allowances not given keep their current values.
+// A revision effective today or earlier is applied at once; a later one is scheduled. A revision can't
+// take effect before the employee's latest applied one. futureOnly (for /ai-query) refuses dates that
+// aren't in the future, as those changes are made with SQL.
+async function scheduleSalaryRevision(caller, input, { futureOnly = false } = {}) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    input = input || {};
+    const userId = typeof input.user_id === 'string' ? input.user_id.trim() : '';
+    if (!userId) {
+        return invalid('Please provide the "user_id" of the employee whose salary is changing.');
+    }
+    const effective = parseDateOnly(input.effective_date);
+    if (!effective) {
+        return invalid('Please provide the "effective_date" as YYYY-MM-DD, for example "2026-04-01".');
+    }
+    const effectiveDate = formatDateOnly(effective);
+    const today = formatDateOnly(new Date());
+    if (futureOnly && effectiveDate <= today) {
+        return invalid('I can only schedule salary changes that take effect after today. Changes from today can be made directly.');
+    }
+    const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (!isAmount(input.base_salary) || input.base_salary === 0) {
+        return invalid('Please provide the new monthly "base_salary" as a number above 0.');
+    }
+    for (const field of ['conveyance_allowance', 'medical_allowance']) {
+        if (input[field] !== undefined && input[field] !== null && !isAmount(input[field])) {
+            return invalid(`"${field}" must be an amount of 0 or more.`);
+        }
+    }
+    const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+    if (!reason || reason.length > 255) {
+        return invalid('Please give a "reason" for the revision (up to 255 characters), for example "Annual appraisal 2026".');
+    }
+
+    await ensureSupportTables();
+    const connection = await dbPool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [[user]] = await connection.query(
+            'SELECT user_id, location FROM Users WHERE organization_id = ? AND user_id = ?',
+            [caller.organizationId, userId]
+        );
+        if (!user) {
+            await connection.rollback();
+            return { statusCode: 404, body: { success: false, message: `I couldn't find an employee with user ID ${userId} in your organization.` } };
+        }
+        const [[latest]] = await connection.query(
+            `SELECT revision_id, DATE_FORMAT(effective_date, '%Y-%m-%d') AS effective_date FROM SalaryRevisions
+             WHERE organization_id = ? AND user_id = ? AND status = 'applied'
+             ORDER BY effective_date DESC, revision_id DESC LIMIT 1 FOR UPDATE`,
+            [caller.organizationId, userId]
+        );
+        if (latest && effectiveDate < latest.effective_date) {
+            await connection.rollback();
+            return { statusCode: 409, body: { success: false, message: `${userId}'s salary was last revised with effect from ${latest.effective_date} (revision #${latest.revision_id}), so a new revision can't take effect before that.` } };
+        }
+        const [[sameDay]] = await connection.query(
+            "SELECT revision_id FROM SalaryRevisions WHERE organization_id = ? AND user_id = ? AND status = 'scheduled' AND effective_date = ?",
+            [caller.organizationId, userId, effectiveDate]
+        );
+        if (sameDay) {
+            await connection.rollback();
+            return { statusCode: 409, body: { success: false, message: `Revision #${sameDay.revision_id} is already scheduled for ${userId} from ${effectiveDate}. Please cancel it first if this one replaces it.` } };
+        }
+
+        // Allowances not given carry over from the current payroll row; the rules work out the rest
+        const [[current]] = await connection.query(
+            'SELECT * FROM PayrollData WHERE organization_id = ? AND user_id = ? ORDER BY payroll_id DESC LIMIT 1',
+            [caller.organizationId, userId]
+        );
+        const entered = { base_salary: input.base_salary };
+        for (const field of ['conveyance_allowance', 'medical_allowance']) {
+            entered[field] = input[field] !== undefined ? input[field] : current ? current[field] : null;
+        }
+        const { values } = computePayrollComponents({ ...(current || {}), ...entered }, await loadPayrollRules(connection, caller.organizationId), user.location);
+        const salary = pickSalary({
+            ...(current || {}), ...entered,
+            ...Object.fromEntries(Object.entries(values).map(([column, paise]) => [column, paise / 100]))
+        });
+
+        const [result] = await connection.query('INSERT INTO SalaryRevisions SET ?', [{
+            organization_id: caller.organizationId,
+            user_id: userId,
+            effective_date: effectiveDate,
+            status: 'scheduled',
+            ...salary,
+            previous_base_salary: current ? current.base_salary : null,
+            previous_ctc: current ? current.ctc : null,
+            reason,
+            source: futureOnly ? 'ai-query' : 'admin',
+            approved_by: caller.userId,
+            created_by: caller.userId
+        }]);
+        const revisionId = result.insertId;
+        const applyNow = effectiveDate <= today;
+        if (applyNow) {
+            const [[revision]] = await connection.query('SELECT * FROM SalaryRevisions WHERE revision_id = ?', [revisionId]);
+            await applySalaryRevision(connection, revision);
+        }
+        await connection.commit();
+
+        const change = current ? ` from INR ${formatAmount(current.base_salary)}` : '';
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: applyNow
+                    ? `Done! ${userId}'s base salary is now INR ${formatAmount(input.base_salary)}${change}, with effect from ${effectiveDate} (revision #${revisionId}). Payslips already generated are not changed.`
+                    : `Done! I've scheduled revision #${revisionId}: ${userId}'s base salary goes to INR ${formatAmount(input.base_salary)}${change} on ${effectiveDate}, and payroll is updated automatically that day.`,
+                data: {
+                    revision_id: revisionId,
+                    user_id: userId,
+                    effective_date: effectiveDate,
+                    status: applyNow ? 'applied' : 'scheduled',
+                    ...salary,
+                    previous_base_salary: current ? Number(current.base_salary) : null,
+                    reason
+                }
+            }
+        };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// Cancel a revision that hasn't taken effect yet: { revision_id }
+async function cancelSalaryRevision(caller, input) {
+    const revisionId = parseInt(input && input.revision_id, 10);
+    if (!Number.isInteger(revisionId) || revisionId <= 0) {
+        return { statusCode: 400, body: { success: false, message: 'Please provide the "revision_id" to cancel.' } };
+    }
+
+    await ensureSupportTables();
+    const [[revision]] = await dbPool.query(
+        `SELECT revision_id, user_id, status, DATE_FORMAT(effective_date, '%Y-%m-%d') AS effective_date
+         FROM SalaryRevisions WHERE revision_id = ? AND organization_id = ?`,
+        [revisionId, caller.organizationId]
+    );
+    if (!revision) {
+        return { statusCode: 404, body: { success: false, message: `I couldn't find salary revision #${revisionId} in your organization.` } };
+    }
+    if (revision.status !== 'scheduled') {
+        return {
+            statusCode: 409,
+            body: {
+                success: false,
+                message: revision.status === 'applied'
+                    ? `Revision #${revisionId} has already taken effect. To reverse it, record a new revision or undo its change in the audit log.`
+                    : `Revision #${revisionId} has already been cancelled.`
+            }
+        };
+    }
+
+    // The scheduled job may apply it at the same moment; only a still-scheduled revision is cancelled
+    const [result] = await dbPool.execute(
+        "UPDATE SalaryRevisions SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW() WHERE revision_id = ? AND status = 'scheduled'",
+        [caller.userId, revisionId]
+    );
+    if (result.affectedRows === 0) {
+        return { statusCode: 409, body: { success: false, message: `Revision #${revisionId} took effect before it could be cancelled.` } };
+    }
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: `Done! I've cancelled revision #${revisionId}, so ${revision.user_id}'s salary won't change on ${revision.effective_date}.`,
+            data: { revision_id: revisionId, status: 'cancelled' }
+        }
+    };
+}
+
+// An employee's salary timeline, newest first, with the revision in effect on as_of (default today)
+// and the salary on that date. Employees see their own, managers also their direct reports', Admins anyone's.
+async function listSalaryRevisions(caller, query = {}) {
+    const userId = query.user_id ? String(query.user_id) : caller.userId;
+    if (userId !== caller.userId && caller.role !== 'Admin' && !caller.reportIds.includes(userId)) {
+        return { statusCode: 403, body: { success: false, message: 'You can only see your own salary history, or that of your direct reports.' } };
+    }
+    const asOf = query.as_of ? parseDateOnly(String(query.as_of)) : new Date();
+    if (!asOf) {
+        return { statusCode: 400, body: { success: false, message: 'Please provide "as_of" as YYYY-MM-DD.' } };
+    }
+    const asOfDate = formatDateOnly(asOf);
+    const whose = userId === caller.userId ? 'Your' : `${userId}'s`;
+
+    await ensureSupportTables();
+    const [rows] = await dbPool.query(
+        `SELECT ${SALARY_REVISION_COLUMNS} FROM SalaryRevisions r
+         WHERE r.organization_id = ? AND r.user_id = ? ${caller.role === 'Admin' ? '' : "AND r.status <> 'cancelled'"}
+         ORDER BY r.effective_date DESC, r.revision_id DESC`,
+        [caller.organizationId, userId]
+    );
+    const salaries = await loadSalariesAsOf(dbPool, caller.organizationId, [userId], asOfDate);
+    let salary = salaries.get(userId);
+    if (!salary) {
+        const [[current]] = await dbPool.query(
+            'SELECT * FROM PayrollData WHERE organization_id = ? AND user_id = ? ORDER BY payroll_id DESC LIMIT 1',
+            [caller.organizationId, userId]
+        );
+        salary = current ? { revision_id: null, values: pickSalary(current) } : null;
+    }
+
+    const revisions = rows.map(revision => ({
+        ...describeRevision(revision),
+        in_effect: salary !== null && revision.revision_id === salary.revision_id
+    }));
+    const today = formatDateOnly(new Date());
+    const next = revisions.filter(revision => revision.status === 'scheduled' && revision.effective_date > today).pop();
+    const lastChange = revisions.find(revision => revision.status === 'applied' && revision.base_salary_change);
+
+    const parts = [];
+    if (salary) {
+        parts.push(`${whose} base salary on ${asOfDate} ${asOfDate < today ? 'was' : 'is'} INR ${formatAmount(salary.values.base_salary)}.`);
+    } else {
+        parts.push(`${whose === 'Your' ? "You don't" : `${userId} doesn't`} have any payroll details yet.`);
+    }
+    if (lastChange) {
+        const percent = lastChange.change_percent !== null ? ` (${lastChange.change_percent > 0 ? '+' : ''}${lastChange.change_percent}%)` : '';
+        parts.push(`The last change, effective ${lastChange.effective_date}, moved it from INR ${formatAmount(lastChange.previous_base_salary)} to INR ${formatAmount(lastChange.base_salary)}${percent}.`);
+    }
+    if (next) {
+        parts.push(`A revision to INR ${formatAmount(next.base_salary)} is scheduled from ${next.effective_date}.`);
+    }
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: parts.join(' '),
+            data: {
+                user_id: userId,
+                as_of: asOfDate,
+                salary: salary && { revision_id: salary.revision_id, ...salary.values },
+                next_revision: next || null,
+                revisions
+            }
+        }
+    };
+}
+
+// Fields of the increment report's rows, as written to CSV exports
+const INCREMENT_REPORT_FIELDS = [
+    'revision_id', 'user_id', 'employee_name', 'department', 'effective_date', 'previous_base_salary', 'base_salary',
+    'base_salary_change', 'change_percent', 'previous_ctc', 'ctc', 'ctc_change', 'reason', 'approved_by'
+];
+
+// Salary revisions that took effect between from and to (YYYY-MM-DD, inclusive; this calendar year by
+// default), per department: how many, for how many employees, the average increment and the total rise in
+// base salary and CTC. A first salary isn't an increment, so revisions without previous values are left
+// out. Filters: department. format: 'json' (default) or 'csv' (the revisions).
+async function getIncrementReport(caller, query = {}) {
+    const invalid = message => ({ statusCode: 400, body: { success: false, message } });
+    const today = formatDateOnly(new Date());
+    const from = query.from ? parseDateOnly(String(query.from)) : parseDateOnly(`${today.slice(0, 4)}-01-01`);
+    const to = query.to ? parseDateOnly(String(query.to)) : parseDateOnly(today);
+    if (!from || !to) {
+        return invalid('Please provide "from" and "to" as YYYY-MM-DD.');
+    }
+    if (from > to) {
+        return invalid('"from" must not be after "to".');
+    }
+    const format = String(query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+        return invalid('Please choose a "format" of json or csv.');
+    }
+    const period = { from: formatDateOnly(from), to: formatDateOnly(to) };
+
+    await ensureSupportTables();
+    const conditions = ['r.organization_id = ?', "r.status = 'applied'", 'r.previous_base_salary IS NOT NULL', 'r.effective_date BETWEEN ? AND ?'];
+    const params = [caller.organizationId, period.from, period.to];
+    if (query.department) {
+        conditions.push('u.department = ?');
+        params.push(String(query.department));
+    }
+    const [rows] = await dbPool.query(
+        `SELECT ${SALARY_REVISION_COLUMNS}, CONCAT_WS(' ', u.first_name, u.last_name) AS employee_name, u.department
+         FROM SalaryRevisions r
+         JOIN Users u ON u.user_id = r.user_id AND u.organization_id = r.organization_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY u.department, r.effective_date, r.revision_id`,
+        params
+    );
+    const revisions = rows.map(describeRevision);
+
+    if (format === 'csv') {
+        return fileResponse(toCsv(revisions, INCREMENT_REPORT_FIELDS), {
+            contentType: 'text/csv; charset=utf-8',
+            filename: `increment-report-${period.from}-to-${period.to}.csv`
+        });
+    }
+
+    const departments = [];
+    for (const revision of revisions) {
+        const name = revision.department || 'Unassigned';
+        let department = departments.find(item => item.department === name);
+        if (!department) {
+            department = { department: name, revisions: 0, employees: new Set(), percents: [], base: 0, ctc: 0 };
+            departments.push(department);
+        }
+        department.revisions++;
+        department.employees.add(revision.user_id);
+        if (revision.change_percent !== null) department.percents.push(revision.base_salary_change / revision.previous_base_salary * 100);
+        department.base += toPaise(revision.base_salary_change);
+        department.ctc += toPaise(revision.ctc_change);
+    }
+    const summary = departments.map(department => ({
+        department: department.department,
+        revisions: department.revisions,
+        employees: department.employees.size,
+        average_increment_percent: department.percents.length > 0
+            ? Math.round(department.percents.reduce((total, percent) => total + percent, 0) / department.percents.length * 10) / 10
+            : null,
+        total_base_salary_increase: department.base / 100,
+        total_ctc_increase: department.ctc / 100
+    }));
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: revisions.length > 0
+                ? `${revisions.length} salary revision(s) took effect between ${period.from} and ${period.to}, across ${summary.length} department(s).`
+                : `No salary revisions took effect between ${period.from} and ${period.to}.`,
+            data: { ...period, departments: summary, revisions }
+        }
+    };
+}
+
+// --- Audit Trail ---
+
+// Action types recorded in AuditLog
+const AUDIT_ACTIONS = ['UPDATE', 'INSERT', 'UNDO'];
+
+// Read the statement type of a generated query ('select', 'update', ...), or null if it does not parse
+function getStatementType(sql) {
+    try {
+        const ast = sqlParser.astify(sql, SQL_DIALECT);
+        return (Array.isArray(ast) ? ast[0] : ast).type;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Re-read the changed columns of previewed rows after a write, by primary key
+async function loadAfterImages(connection, rows) {
+    for (const row of rows) {
+        if (row.before === null) continue;  // inserted rows keep their previewed values
+
+        const primaryKey = PRIMARY_KEYS[row.table];
+        const columns = Object.keys(row.after);
+        const [results] = await connection.query(
+            'SELECT ?? FROM ?? WHERE ?? = ?',
+            [columns, row.table, primaryKey, row.key[primaryKey]]
+        );
+        if (results.length > 0) {
+            row.after = { ...results[0] };
+        }
+    }
+}
+
+// Write one AuditLog row per changed table. The rows of one write share a write_id: the audit_id of
+// the first row, whose own write_id is left NULL. Returns that audit_id.
+async function writeAuditRecords(executor, { caller, prompt, sql, action, rows, outcome, errorMessage }) {
+    const byTable = new Map();
+    for (const row of rows) {
+        if (!byTable.has(row.table)) byTable.set(row.table, []);
+        byTable.get(row.table).push(row);
+    }
+    if (byTable.size === 0) {
+        byTable.set(null, []);
+    }
+
+    let writeId = null;
+    for (const [table, tableRows] of byTable) {
+        const [result] = await executor.execute(
+            `INSERT INTO AuditLog
+                (organization_id, user_id, action, table_name, prompt, sql_text,
+                 primary_keys, before_values, after_values, outcome, error_message, write_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                caller.organizationId, caller.userId, action, table, prompt || null, sql,
+                JSON.stringify(tableRows.map(row => row.key)),
+                JSON.stringify(tableRows.map(row => row.before)),
+                JSON.stringify(tableRows.map(row => row.after)),
+                outcome, errorMessage || null, writeId
+            ]
+        );
+        if (writeId === null) {
+            writeId = result.insertId ?? null;
+        }
+    }
+    return writeId;
+}
+
+// Run a previewed write on a connection inside the caller's transaction and record it in AuditLog.
+// Leave request changes also update LeaveBalances, policy changes add a PolicyVersions entry
+// (policyChange sets its change_type and restored_from), and salary changes add a SalaryRevisions
+// entry, in the same transaction.
+// Returns { queryResult, leaveDecisions, policyVersions } where leaveDecisions lists approvals/rejections to notify.
+async function applyAuditedWrite(connection, { sql, prompt, caller, preview, policyChange = {} }) {
+    const leaveRequestRows = preview.rows.filter(row => row.table === 'LeaveRequests');
+    const leaveRequestsBefore = await loadLeaveRequests(connection,
+        leaveRequestRows.filter(row => row.before !== null).map(row => row.key.request_id));
+    const policyRows = preview.rows.filter(row => row.table === 'CompanyPolicies');
+    const policiesBefore = await loadPolicies(connection,
+        policyRows.filter(row => row.before !== null).map(row => row.key.policy_id));
+    const payrollRows = preview.rows.filter(row => row.table === 'PayrollData');
+    const payrollBefore = await loadPayrollRows(connection,
+        payrollRows.filter(row => row.before !== null).map(row => row.key.payroll_id));
+
+    // The previewed statement, which differs from sql for PayrollData inserts (see buildPayrollInsert)
+    const [queryResult] = await connection.execute(preview.statement);
+    const action = getStatementType(sql).toUpperCase();
+
+    // Fill in the keys of inserted rows from the auto-increment ID
+    if (action === 'INSERT' && queryResult.insertId) {
+        const primaryKey = PRIMARY_KEYS[preview.rows[0] && preview.rows[0].table];
+        preview.rows.forEach((row, index) => { row.key[primaryKey] = queryResult.insertId + index; });
+    }
+    if (action === 'UPDATE') {
+        await writePayrollComponents(connection, preview.rows);
+    }
+    if (payrollRows.length > 0) {
+        await recordSalaryRevisions(connection, {
+            payrollIds: payrollRows.map(row => row.key.payroll_id),
+            before: payrollBefore,
+            caller,
+            reason: prompt,
+            source: 'ai-query'
+        });
+    }
+
+    const leaveDecisions = leaveRequestRows.length > 0
+        ? await syncLeaveBalances(connection, {
+            requestIds: leaveRequestRows.map(row => row.key.request_id),
+            before: leaveRequestsBefore,
+            caller
+        })
+        : [];
+    await enqueueLeaveNotifications(connection, leaveDecisions, caller);
+    const policyVersions = policyRows.length > 0
+        ? await recordPolicyVersions(connection, {
+            policyIds: policyRows.map(row => row.key.policy_id),
+            before: policiesBefore,
+            caller,
+            ...policyChange
+        })
+        : [];
+
+    await loadAfterImages(connection, preview.rows);
+    await writeAuditRecords(connection, {
+        caller, prompt, sql, action,
+        rows: preview.rows,
+        outcome: queryResult.affectedRows > 0 ? 'success' : 'no_change'
+    });
+    return { queryResult, leaveDecisions, policyVersions };
+}
+
+// Record a write that failed; runs outside the rolled-back transaction
+async function recordFailedWrite({ sql, prompt, caller, error }) {
+    try {
+        await writeAuditRecords(dbPool, {
+            caller, prompt, sql,
+            action: (getStatementType(sql) || 'unknown').toUpperCase(),
+            rows: [],
+            outcome: 'failed',
+            errorMessage: error.message
+        });
+    } catch (auditError) {
+        console.error('Error recording failed write in audit log:', auditError);
+    }
+}
+
+// Execute a validated query. SELECTs run directly; writes run in a transaction with a
+// before/after snapshot recorded in AuditLog. Returns { queryResult, leaveDecisions }.
+async function executeGeneratedQuery(sql, { prompt, caller, confirmationMessage, pageSize }) {
+    await ensureSupportTables();
+
+    // SELECTs return one page of rows (see Result Pages)
+    if (!['update', 'insert'].includes(getStatementType(sql))) {
+        const { rows, page } = await runPagedSelect(dbPool, sql, { caller, prompt, confirmationMessage, pageSize });
+        return { queryResult: rows, page, leaveDecisions: [] };
+    }
+
+    const connection = await dbPool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const preview = await buildWritePreview(sql, connection, { lock: true });
+        const outcome = await applyAuditedWrite(connection, { sql, prompt, caller, preview });
+        await connection.commit();
+        return outcome;
+    } catch (error) {
+        await connection.rollback();
+        await recordFailedWrite({ sql, prompt, caller, error });
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// --- Undo ---
+
+// Recognise prompts such as "undo my last change", "undo that" or "revert change #42"
+function parseUndoRequest(prompt) {
+    const normalizedPrompt = String(prompt || '').trim().toLowerCase();
+    const match = normalizedPrompt.match(/^(?:please\s+)?(?:undo|revert|roll\s*back)\b(.*)$/);
+    if (!match) {
+        return null;
+    }
+
+    const rest = match[1].replace(/[.!?]+$/, '').trim();
+    const idMatch = rest.match(/^(?:change|audit)?\s*#?\s*(\d+)$/);
+    if (idMatch) {
+        return { auditId: parseInt(idMatch[1], 10) };
+    }
+    if (/^(?:(?:that|it|this)|(?:my|the)\s+(?:last|latest|previous|most\s+recent)\s+(?:change|update|edit))?(?:\s+please)?$/.test(rest)) {
+        return { auditId: null };
+    }
+    return null;
+}
+
+// Compare stored snapshot values with values freshly read from MySQL
+function snapshotValuesEqual(stored, current) {
+    const normalize = value => {
+        if (value === null || value === undefined) return null;
+        if (value instanceof Date) return value.toISOString();
+        return String(value);
+    };
+    return normalize(stored) === normalize(current);
+}
+
+// Turn a snapshot value back into something MySQL accepts (dates were stored as ISO strings)
+function restoreSnapshotValue(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(value)) {
+        return new Date(value);
+    }
+    return value;
+}
+
+// Undos are stored for confirmation as this pseudo-statement, which is also their audit sql_text
+const UNDO_STATEMENT_PATTERN = /^UNDO audit_id (\d+)$/;
+
+// Find the change to undo and the rows it would restore, locking them. Without an auditId, the
+// caller's most recent change that has not been undone is used. A write to several tables is undone
+// as a whole: every AuditLog row of its write is restored together. Refuses if the caller may not
+// undo it or any of its rows was changed again afterwards.
+// Returns { record, records, rows: [{ table, key, before, after }] }, where record is the first AuditLog
+// row of the write, or { refused: true, statusCode, message }.
+async function prepareUndo(connection, caller, auditId) {
+    const [found] = auditId
+        ? await connection.execute(
+            'SELECT * FROM AuditLog WHERE audit_id = ? AND organization_id = ? FOR UPDATE',
+            [auditId, caller.organizationId]
+        )
+        : await connection.execute(
+            `SELECT * FROM AuditLog
+             WHERE organization_id = ? AND user_id = ? AND action = 'UPDATE'
+               AND outcome = 'success' AND reverted_by IS NULL
+             ORDER BY audit_id DESC LIMIT 1 FOR UPDATE`,
+            [caller.organizationId, caller.userId]
+        );
+
+    const refuse = (statusCode, message) => ({ refused: true, statusCode, message });
+
+    if (found.length === 0) {
+        return refuse(404, auditId
+            ? `I couldn't find change #${auditId} in your organization.`
+            : "I couldn't find a recent change of yours to undo.");
+    }
+
+    const writeId = found[0].write_id || found[0].audit_id;
+    const [records] = await connection.execute(
+        'SELECT * FROM AuditLog WHERE organization_id = ? AND (audit_id = ? OR write_id = ?) ORDER BY audit_id FOR UPDATE',
+        [caller.organizationId, writeId, writeId]
+    );
+    const record = records[0];
+    if (record.user_id !== caller.userId && caller.role !== 'Admin') {
+        return refuse(403, 'You can only undo your own changes.');
+    }
+    if (record.action !== 'UPDATE') {
+        return refuse(400, `Change #${record.audit_id} was an ${record.action} and can't be undone automatically. Please contact your administrator.`);
+    }
+    if (record.outcome !== 'success') {
+        return refuse(400, `Change #${record.audit_id} did not modify any data, so there is nothing to undo.`);
+    }
+    if (records.some(item => item.reverted_by)) {
+        return refuse(409, `Change #${record.audit_id} has already been undone.`);
+    }
+
+    // Every row is checked before any is restored, so an undo never leaves a write half reverted
+    const rows = [];
+    for (const item of records) {
+        const table = item.table_name;
+        const primaryKey = PRIMARY_KEYS[table];
+        const writable = (ROLE_POLICIES[caller.role].writableColumns || {})[table];
+        const keys = item.primary_keys || [];
+        const beforeValues = item.before_values || [];
+        const afterValues = item.after_values || [];
+
+        for (let index = 0; index < keys.length; index++) {
+            const before = beforeValues[index] || {};
+            const after = afterValues[index] || {};
+            const columns = Object.keys(before);
+
+            if (!writable || (writable !== '*' && columns.some(column => !writable.includes(column)))) {
+                return refuse(403, `Your role (${caller.role}) is not permitted to change these ${table} records.`);
+            }
+
+            // Only restore rows that still hold the values this change wrote
+            const [current] = await connection.query(
+                'SELECT ?? FROM ?? WHERE ?? = ? AND organization_id = ? FOR UPDATE',
+                [columns, table, primaryKey, keys[index][primaryKey], caller.organizationId]
+            );
+            if (current.length === 0) {
+                return refuse(409, `A ${table} record touched by change #${record.audit_id} no longer exists, so I can't undo it.`);
+            }
+            const changed = columns.filter(column => !snapshotValuesEqual(after[column], current[0][column]));
+            if (changed.length > 0) {
+                return refuse(409, `The ${table} record has been changed again since change #${record.audit_id} (${changed.join(', ')}), so I didn't undo it.`);
+            }
+            rows.push({ table, key: keys[index], before: { ...current[0] }, after: before });
+        }
+    }
+
+    return { record, records, rows };
+}
+
+// Undoing a salary change or a leave decision is itself one, so it is previewed first like them
+// (see requiresConfirmation)
+function undoRequiresConfirmation({ rows }) {
+    return rows.some(row => row.table === 'PayrollData' || (row.table === 'LeaveRequests' && 'status' in row.after));
+}
+
+// Restore the rows of a prepared undo, of every table its write changed, on a connection inside the
+// caller's transaction, and record the undo in AuditLog. Returns the response details
+// { audit_id, undo_audit_id, rows }.
+async function applyUndo(connection, caller, { record, records, rows }) {
+    const keysOf = table => rows.filter(row => row.table === table).map(row => row.key);
+    const requestIds = keysOf('LeaveRequests').map(key => key.request_id);
+    const policyIds = keysOf('CompanyPolicies').map(key => key.policy_id);
+    const payrollIds = keysOf('PayrollData').map(key => key.payroll_id);
+
+    const leaveRequestsBefore = await loadLeaveRequests(connection, requestIds);
+    const policiesBefore = await loadPolicies(connection, policyIds);
+    const payrollBefore = await loadPayrollRows(connection, payrollIds);
+
+    for (const row of rows) {
+        const primaryKey = PRIMARY_KEYS[row.table];
+        const restored = Object.fromEntries(Object.entries(row.after).map(([column, value]) => [column, restoreSnapshotValue(value)]));
+        await connection.query(
+            'UPDATE ?? SET ? WHERE ?? = ? AND organization_id = ?',
+            [row.table, restored, primaryKey, row.key[primaryKey], caller.organizationId]
+        );
+    }
+
+    // Undoing a leave decision puts the request back and re-applies it to the balances
+    if (requestIds.length > 0) {
+        await syncLeaveBalances(connection, {
+            requestIds,
+            before: leaveRequestsBefore,
+            caller,
+            reopen: true
+        });
+    }
+    if (policyIds.length > 0) {
+        await recordPolicyVersions(connection, {
+            policyIds,
+            before: policiesBefore,
+            caller,
+            changeType: 'undo'
+        });
+    }
+    if (payrollIds.length > 0) {
+        await recordSalaryRevisions(connection, {
+            payrollIds,
+            before: payrollBefore,
+            caller,
+            reason: `Undo of change #${record.audit_id}`,
+            source: 'undo'
+        });
+    }
+
+    const undoAuditId = await writeAuditRecords(connection, {
+        caller,
+        prompt: `Undo change #${record.audit_id}`,
+        sql: `UNDO audit_id ${record.audit_id}`,
+        action: 'UNDO',
+        rows,
+        outcome: 'success'
+    });
+    await connection.query('UPDATE AuditLog SET reverted_by = ? WHERE audit_id IN (?)', [undoAuditId, records.map(item => item.audit_id)]);
+
+    return { audit_id: record.audit_id, undo_audit_id: undoAuditId, rows };
+}
+
+// Restore the before-image of an audited UPDATE (see prepareUndo). Undos of salary changes and leave
+// decisions return a preview and a confirmation token instead, and run through confirmPendingWrite.
+// Returns { statusCode, body }.
+async function undoWrite(caller, auditId) {
+    await ensureSupportTables();
+    const connection = await dbPool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const undo = await prepareUndo(connection, caller, auditId);
+        if (undo.refused) {
+            await connection.rollback();
+            return { statusCode: undo.statusCode, body: { success: false, message: undo.message } };
+        }
+
+        const { record, rows } = undo;
+        const undoSql = `UNDO audit_id ${record.audit_id}`;
+        const tables = [...new Set(rows.map(row => row.table))].join(' and ');
+        const doneMessage = `Done! I've undone change #${record.audit_id} and restored ${rows.length} ${tables} record(s) to their previous values. Is there anything else I can help with?`;
+
+        if (undoRequiresConfirmation(undo)) {
+            await connection.rollback();
+            const pendingWrite = await createPendingWrite({
+                sql: undoSql,
+                prompt: `Undo change #${record.audit_id}`,
+                confirmationMessage: doneMessage,
+                caller,
+                previews: [{ step: 1, statement: undoSql, rows }]
+            });
+            return { statusCode: 200, body: pendingWrite };
+        }
+
+        const details = await applyUndo(connection, caller, undo);
+        await connection.commit();
+        logSqlQuery(undoSql, `Undo change #${record.audit_id}`, details.rows);
+
+        return { statusCode: 200, body: { success: true, message: doneMessage, details } };
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'LEAVE_RULE_VIOLATION') {
+            return { statusCode: error.statusCode, body: { success: false, message: error.message } };
+        }
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// List audit records for the caller's organization.
+// Filters: user_id, table, action, from / to (YYYY-MM-DD, inclusive), limit, offset.
+async function listAuditRecords(caller, filters = {}) {
+    const conditions = ['organization_id = ?'];
+    const params = [caller.organizationId];
+
+    if (filters.user_id) {
+        conditions.push('user_id = ?');
+        params.push(filters.user_id);
+    }
+    if (filters.table) {
+        conditions.push('table_name = ?');
+        params.push(canonicalTableName(filters.table));
+    }
+    if (filters.action) {
+        const action = String(filters.action).toUpperCase();
+        if (!AUDIT_ACTIONS.includes(action)) {
+            return { statusCode: 400, body: { success: false, message: `Unknown action type. Use one of: ${AUDIT_ACTIONS.join(', ')}.` } };
+        }
+        conditions.push('action = ?');
+        params.push(action);
+    }
+    for (const [key, operator] of [['from', '>='], ['to', '<']]) {
+        if (!filters[key]) continue;
+        if (!DATE_ONLY_PATTERN.test(filters[key])) {
+            return { statusCode: 400, body: { success: false, message: `"${key}" must be a date in YYYY-MM-DD format.` } };
+        }
+        conditions.push(key === 'to' ? `created_at ${operator} DATE_ADD(?, INTERVAL 1 DAY)` : `created_at ${operator} ?`);
+        params.push(filters[key]);
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    await ensureSupportTables();
+    const [records] = await dbPool.query(
+        `SELECT audit_id, COALESCE(write_id, audit_id) AS write_id, user_id, action, table_name, prompt, sql_text,
+                primary_keys, before_values, after_values, outcome, error_message, reverted_by, created_at
+         FROM AuditLog
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, audit_id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+
+    return {
+        statusCode: 200,
+        body: { success: true, data: records, pagination: { limit, offset, count: records.length } }
+    };
+}
+
+// --- Write Confirmation ---
+
+// Primary key of each schema table, used to identify previewed rows and to order result pages
+const PRIMARY_KEYS = {
+    Organizations: 'organization_id',
+    Users: 'user_id',
+    LeaveBalances: 'balance_id',
+    CompanyPolicies: 'policy_id',
+    PayrollData: 'payroll_id',
+    LeaveRequests: 'request_id',
+    SalaryRevisions: 'revision_id'
+};
+
+// Salary changes and leave approvals/rejections are previewed and only run once confirmed
+function requiresConfirmation(sql) {
+    if (getLeaveDecision(sql)) {
+        return true;
+    }
+
+    let ast;
+    try {
+        ast = sqlParser.astify(sql, SQL_DIALECT);
+    } catch (error) {
+        return false;
+    }
+    if (Array.isArray(ast)) ast = ast[0];
+
+    if (ast.type === 'insert') {
+        return getTableRefs(ast).some(ref => ref.table === 'PayrollData');
+    }
+    if (ast.type === 'update') {
+        return getUpdateTargets(ast, getTableRefs(ast)).has('PayrollData');
+    }
+    return false;
+}
+
+// Work out which rows a write would touch and their before/after values, without changing anything.
+// Returns { statement, rows: [{ table, key, before, after }] }.
+async function buildWritePreview(sql, executor = dbPool, { lock = false } = {}) {
+    let ast = sqlParser.astify(sql, SQL_DIALECT);
+    if (Array.isArray(ast)) ast = ast[0];
+
+    const column = (table, name) => ({ type: 'column_ref', table, column: name });
+    const rows = [];
+
+    if (ast.type === 'update') {
+        const tableRefs = getTableRefs(ast);
+        const targets = tableRefs.filter(ref => getUpdateTargets(ast, tableRefs).has(ref.table));
+
+        // SELECT the key, current value and new value of every assigned column, using the UPDATE's own joins and filters
+        const columns = [];
+        for (const ref of targets) {
+            columns.push({ expr: column(ref.alias, PRIMARY_KEYS[ref.table]), as: `${ref.table}|key|${PRIMARY_KEYS[ref.table]}` });
+            if (ref.table !== 'Users' && isAllowedColumn('user_id', [ref.table])) {
+                columns.push({ expr: column(ref.alias, 'user_id'), as: `${ref.table}|key|user_id` });
+            }
+        }
+        for (const assignment of ast.set) {
+            const ref = assignment.table
+                ? targets.find(target => target.alias.toLowerCase() === assignment.table.toLowerCase())
+                : targets[0];
+            columns.push({ expr: column(ref.alias, assignment.column), as: `${ref.table}|before|${assignment.column}` });
+            columns.push({ expr: assignment.value, as: `${ref.table}|after|${assignment.column}` });
+        }
+
+        const previewAst = {
+            with: null, type: 'select', options: null, distinct: null, columns,
+            into: { position: null }, from: ast.table, where: ast.where,
+            groupby: null, having: null, orderby: ast.orderby || null, limit: ast.limit || null,
+            locking_read: lock ? 'FOR UPDATE' : null, window: null, collate: null
+        };
+        const [results] = await executor.query(sqlParser.sqlify(previewAst, SQL_DIALECT));
+
+        for (const result of results) {
+            const byTable = new Map();
+            for (const [alias, value] of Object.entries(result)) {
+                const [table, part, name] = alias.split('|');
+                if (!byTable.has(table)) byTable.set(table, { table, key: {}, before: {}, after: {} });
+                byTable.get(table)[part][name] = value;
+            }
+            rows.push(...byTable.values());
+        }
+    } else if (ast.type === 'insert') {
+        const table = canonicalTableName(ast.table[0].table);
+        const columnNames = ast.columns || [];
+
+        // Evaluate the rows that would be inserted
+        const selects = ast.values.type === 'select'
+            ? [{ ...ast.values, columns: ast.values.columns.map((item, index) => ({ expr: item.expr, as: columnNames[index] })) }]
+            : ast.values.values.map(row => ({
+                with: null, type: 'select', options: null, distinct: null,
+                columns: row.value.map((expr, index) => ({ expr, as: columnNames[index] })),
+                into: { position: null }, from: null, where: null, groupby: null, having: null,
+                orderby: null, limit: null, locking_read: null, window: null, collate: null
+            }));
+
+        for (const select of selects) {
+            const [results] = await executor.query(sqlParser.sqlify(select, SQL_DIALECT));
+            results.forEach(result => rows.push({ table, key: {}, before: null, after: { ...result } }));
+        }
+    }
+
+    // Payroll rows get their rule-driven components; new ones are inserted with them
+    if (rows.some(row => row.table === 'PayrollData')) {
+        await applyPayrollRules(executor, rows);
+        if (ast.type === 'insert') {
+            return { statement: buildPayrollInsert(rows), rows };
+        }
+    }
+
+    return { statement: sql, rows };
+}
+
+// Fingerprint the current state of previewed rows so a confirmation can detect changes made
+// after the preview. New values are left out since they may depend on NOW().
+function hashPreviewRows(rows) {
+    const state = rows.map(row => ({ table: row.table, key: row.key, before: row.before }));
+    return crypto.createHash('sha256').update(JSON.stringify(state)).digest('hex');
+}
+
+// Preview a write, or every write of a multi-step plan, and store it for confirmation.
+// sql is a statement or an array of statements; previews are given for an undo, which builds its own
+// (see undoWrite). Returns the response body for the first step.
+async function createPendingWrite({ sql, prompt, confirmationMessage, caller, previews: builtPreviews }) {
+    await ensureSupportTables();
+    const isPlan = Array.isArray(sql);
+    const previews = builtPreviews || await buildPlanPreviews(isPlan ? sql : [sql], dbPool);
+    const preview = isPlan ? { steps: previews } : { statement: previews[0].statement, rows: previews[0].rows };
+
+    const emptyStep = previews.find(stepPreview => stepPreview.rows.length === 0);
+    if (emptyStep) {
+        return {
+            success: false,
+            message: isPlan
+                ? `I couldn't perform step ${emptyStep.step} of your request because no matching records were found, so I haven't changed anything. Please check the details and try again.`
+                : `I couldn't perform the requested update. It seems no matching records were found. For example, if you're trying to approve a leave, you could first ask to "show all pending leave requests" to see available options.`,
+            preview
+        };
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_SECONDS * 1000);
+    const rows = previews.flatMap(stepPreview => stepPreview.rows);
+
+    await dbPool.execute(
+        `INSERT INTO PendingConfirmations
+            (token_id, organization_id, user_id, prompt, sql_text, confirmation_message, preview_hash, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [token, caller.organizationId, caller.userId, prompt, isPlan ? JSON.stringify(sql) : sql, confirmationMessage, hashPreviewRows(rows), expiresAt]
+    );
+
+    return {
+        success: true,
+        requires_confirmation: true,
+        message: isPlan
+            ? `Please review these ${sql.length} steps before I apply them. Together they will change ${rows.length} record(s), all at once or not at all. Send the confirmation token back to confirm.`
+            : `Please review this change before I apply it. It will ${rows[0].before === null ? 'create' : 'update'} ${rows.length} record(s). Send the confirmation token back to confirm.`,
+        preview,
+        confirmation_token: token,
+        expires_at: expiresAt.toISOString()
+    };
+}
+
+// Run a previously previewed write or plan. Returns { statusCode, body }.
+async function confirmPendingWrite(token, caller) {
+    await ensureSupportTables();
+    const connection = await dbPool.getConnection();
+    let sql;
+    let prompt;
+    let statements = [];
+    let executing = false;
+
+    try {
+        await connection.beginTransaction();
+
+        // Claim the token; it can only be used once, by the caller who requested the preview
+        const [claim] = await connection.execute(
+            `UPDATE PendingConfirmations SET used_at = NOW()
+             WHERE token_id = ? AND user_id = ? AND organization_id = ? AND used_at IS NULL AND expires_at > NOW()`,
+            [token, caller.userId, caller.organizationId]
+        );
+        if (claim.affectedRows === 0) {
+            await connection.rollback();
+            return {
+                statusCode: 410,
+                body: { success: false, message: 'This confirmation has expired or was already used. Please ask me to make the change again.' }
+            };
+        }
+
+        const [[pending]] = await connection.execute('SELECT * FROM PendingConfirmations WHERE token_id = ?', [token]);
+        prompt = pending.prompt;
+
+        // An undo is checked against its audit record again rather than the role policy (see prepareUndo)
+        const undoMatch = pending.sql_text.match(UNDO_STATEMENT_PATTERN);
+        if (undoMatch) {
+            sql = pending.sql_text;
+            const undo = await prepareUndo(connection, caller, parseInt(undoMatch[1], 10));
+            if (undo.refused) {
+                await connection.rollback();
+                return { statusCode: undo.statusCode, body: { success: false, message: undo.message } };
+            }
+            if (hashPreviewRows(undo.rows) !== pending.preview_hash) {
+                await connection.rollback();
+                return {
+                    statusCode: 409,
+                    body: {
+                        success: false,
+                        message: 'These records have changed since the preview, so I did not apply the change. Please ask again to see an updated preview.',
+                        preview: { statement: sql, rows: undo.rows }
+                    }
+                };
+            }
+
+            const details = await applyUndo(connection, caller, undo);
+            await connection.commit();
+            logSqlQuery(sql, pending.prompt, details.rows);
+            return { statusCode: 200, body: { success: true, message: pending.confirmation_message, details } };
+        }
+
+        // Plans are stored as a JSON array of statements
+        const isPlan = pending.sql_text.startsWith('[');
+        const storedStatements = isPlan ? JSON.parse(pending.sql_text) : [pending.sql_text];
+
+        // Re-check the caller's permissions in case they changed since the preview
+        for (const [index, storedSql] of storedStatements.entries()) {
+            const authorization = authorizeQuery(storedSql, caller);
+            if (!authorization.allowed) {
+                await connection.rollback();
+                const message = isPlan ? `Step ${index + 1}: ${authorization.message}` : authorization.message;
+                return { statusCode: 403, body: { success: false, message } };
+            }
+            statements.push(authorization.sql);
+        }
+        sql = statements[0];
+
+        const previews = await buildPlanPreviews(statements, connection, { lock: true });
+        if (hashPreviewRows(previews.flatMap(stepPreview => stepPreview.rows)) !== pending.preview_hash) {
+            await connection.rollback();
+            return {
+                statusCode: 409,
+                body: {
+                    success: false,
+                    message: 'These records have changed since the preview, so I did not apply the change. Please ask again to see an updated preview.',
+                    preview: isPlan ? { steps: previews } : { statement: previews[0].statement, rows: previews[0].rows }
+                }
+            };
+        }
+
+        executing = true;
+
+        if (isPlan) {
+            const { steps, leaveDecisions } = await runPlanSteps(connection, statements, { prompt: pending.prompt, caller });
+            await connection.commit();
+
+            logSqlQuery(statements.join(';\n'), pending.prompt, steps);
+            await notifyLeaveDecisions(leaveDecisions);
+
+            return { statusCode: 200, body: { success: true, message: pending.confirmation_message, steps } };
+        }
+
+        const { queryResult, leaveDecisions } = await applyAuditedWrite(connection, { sql, prompt: pending.prompt, caller, preview: previews[0] });
+        await connection.commit();
+
+        logSqlQuery(sql, pending.prompt, queryResult);
+
+        if (queryResult.affectedRows === 0) {
+            const noUpdateMessage = `I couldn't perform the requested update. It seems no matching records were found. For example, if you're trying to approve a leave, you could first ask to "show all pending leave requests" to see available options.`;
+            return { statusCode: 200, body: { success: false, message: noUpdateMessage, details: queryResult } };
+        }
+
+        // Email employees whose leave requests were approved or rejected
+        await notifyLeaveDecisions(leaveDecisions);
+
+        return { statusCode: 200, body: { success: true, message: pending.confirmation_message, details: queryResult } };
+    } catch (dbError) {
+        await connection.rollback();
+        if (dbError.step) {
+            sql = statements[dbError.step - 1];
+        }
+        if (executing) {
+            await recordFailedWrite({ sql, prompt, caller, error: dbError });
+        }
+        if (dbError.step) {
+            return planFailureResponse(dbError, statements);
+        }
+        const errorResponse = handleDatabaseError(dbError, sql);
+        return {
+            statusCode: dbError.statusCode || 500,
+            body: {
+                success: false,
+                message: errorResponse.message || errorResponse.error,
+                technical_details: {
+                    details: errorResponse.details,
+                    sql: errorResponse.sql
+                }
+            }
+        };
+    } finally {
+        connection.release();
+    }
+}
+
+// --- Multi-Step Plans ---
+
+// Run the same checks as a single /ai-query statement on one step of a plan: safety allowlist,
+// tenant scoping, role policy and the cross-organization name check.
+// Returns { allowed: true, sql } with the restricted statement, or { allowed: false, message, rule }.
+async function checkGeneratedStatement(generatedSql, caller) {
+    if (typeof generatedSql !== 'string' || !generatedSql.trim()) {
+        return { allowed: false, message: "I couldn't understand this step of the request. Could you please rephrase it?" };
+    }
+
+    let statement = generatedSql.trim();
+    if (statement.endsWith(';')) {
+        statement = statement.slice(0, -1);
+    }
+    const fixedSql = fixSqlSyntax(statement);
+
+    const safety = validateQuerySafety(fixedSql);
+    if (!safety.safe) {
+        return {
+            allowed: false,
+            message: `For security reasons, I cannot perform this operation: ${safety.message} Please contact your system administrator if you need assistance.`,
+            rule: safety.rule
+        };
+    }
+
+    const scoping = enforceOrganizationAccess(fixedSql, caller.organizationId);
+    if (!scoping.allowed) {
+        return { allowed: false, message: scoping.message };
+    }
+
+    const authorization = authorizeQuery(scoping.sql, caller);
+    if (!authorization.allowed) {
+        return { allowed: false, message: authorization.message };
+    }
+
+    const validationResult = await validateCrossOrgAccess(authorization.sql, caller.organizationId);
+    if (!validationResult.valid) {
+        return { allowed: false, message: validationResult.message };
+    }
+
+    return { allowed: true, sql: authorization.sql };
+}
+
+// Preview every write in a list of statements, numbered by their position in the list
+async function buildPlanPreviews(statements, executor, options) {
+    const previews = [];
+    for (const [index, statement] of statements.entries()) {
+        if (!['update', 'insert'].includes(getStatementType(statement))) continue;
+        previews.push({ step: index + 1, ...await buildWritePreview(statement, executor, options) });
+    }
+    return previews;
+}
+
+// Run checked statements in order on a connection inside the caller's transaction. Writes are
+// audited like single writes; a write that matches no rows fails the plan. A failing step throws
+// with error.step set. Returns { steps, leaveDecisions }.
+async function runPlanSteps(connection, statements, { prompt, caller, pageSize }) {
+    const steps = [];
+    const leaveDecisions = [];
+
+    for (const [index, sql] of statements.entries()) {
+        const type = getStatementType(sql);
+        try {
+            if (!['update', 'insert'].includes(type)) {
+                const { rows, page } = await runPagedSelect(connection, sql, { caller, prompt, pageSize });
+                steps.push({ step: index + 1, statement: sql, type, data: rows, page });
+                continue;
+            }
+
+            const preview = await buildWritePreview(sql, connection, { lock: true });
+            const outcome = await applyAuditedWrite(connection, { sql, prompt, caller, preview });
+            if (outcome.queryResult.affectedRows === 0) {
+                const error = new Error(`Step ${index + 1} did not match any records.`);
+                error.code = 'NO_MATCHING_RECORDS';
+                error.statusCode = 404;
+                throw error;
+            }
+            steps.push({ step: index + 1, statement: sql, type, details: outcome.queryResult });
+            leaveDecisions.push(...outcome.leaveDecisions);
+        } catch (error) {
+            error.step = index + 1;
+            throw error;
+        }
+    }
+
+    return { steps, leaveDecisions };
+}
+
+// Run checked statements in one transaction; nothing is kept if any step fails
+async function executeQueryPlan(statements, { prompt, caller, pageSize }) {
+    await ensureSupportTables();
+    const connection = await dbPool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const outcome = await runPlanSteps(connection, statements, { prompt, caller, pageSize });
+        await connection.commit();
+        return outcome;
+    } catch (error) {
+        await connection.rollback();
+        const failedSql = error.step ? statements[error.step - 1] : null;
+        if (failedSql && ['update', 'insert'].includes(getStatementType(failedSql))) {
+            await recordFailedWrite({ sql: failedSql, prompt, caller, error });
+        }
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// Describe a failed plan step by step. Returns { statusCode, body }.
+function planFailureResponse(error, statements) {
+    const errorResponse = handleDatabaseError(error, statements[error.step - 1]);
+    const stepStatus = index => {
+        if (index + 1 < error.step) return 'rolled_back';
+        return index + 1 === error.step ? 'failed' : 'skipped';
+    };
+
+    return {
+        statusCode: error.statusCode || 500,
+        body: {
+            success: false,
+            message: `I couldn't complete step ${error.step} of ${statements.length}, so none of the changes were applied. ${errorResponse.message || errorResponse.error}`,
+            steps: statements.map((statement, index) => ({ step: index + 1, statement, status: stepStatus(index) })),
+            technical_details: {
+                details: errorResponse.details,
+                sql: errorResponse.sql
+            }
+        }
+    };
+}
+
+// Check, preview or run a multi-action request returned by the AI as an array of statements.
+// Returns { statusCode, body }.
+async function handleQueryPlan(plan, { prompt, confirmationMessage, caller, sessionId, pageSize }) {
+    if (plan.length === 0) {
+        return { statusCode: 400, body: { message: "I'm having trouble understanding your request. Could you please rephrase it?" } };
+    }
+    if (plan.length > MAX_PLAN_STEPS) {
+        return {
+            statusCode: 400,
+            body: { message: `That request needs ${plan.length} steps, but I can only run ${MAX_PLAN_STEPS} at a time. Please split it into smaller requests.` }
+        };
+    }
+
+    const statements = [];
+    for (const [index, generatedSql] of plan.entries()) {
+        const check = await checkGeneratedStatement(generatedSql, caller);
+        if (!check.allowed) {
+            return {
+                statusCode: 403,
+                body: { success: false, message: `Step ${index + 1}: ${check.message}`, rule: check.rule, step: index + 1 }
+            };
+        }
+        statements.push(check.sql);
+    }
+    const planSql = statements.join(';\n');
+
+    // Salary changes and leave decisions anywhere in the plan need confirmation for the whole plan
+    if (statements.some(requiresConfirmation)) {
+        let pendingWrite;
+        try {
+            pendingWrite = await createPendingWrite({ sql: statements, prompt, confirmationMessage, caller });
+        } catch (error) {
+            if (error.code !== 'PAYROLL_RULE_VIOLATION') throw error;
+            return { statusCode: error.statusCode, body: { success: false, message: error.message } };
+        }
+        await recordConversationTurn(caller, sessionId, { prompt, sql: planSql, result: `Preview awaiting confirmation: ${JSON.stringify(pendingWrite.preview.steps)}` });
+        return { statusCode: 200, body: pendingWrite };
+    }
+
+    let outcome;
+    try {
+        outcome = await executeQueryPlan(statements, { prompt, caller, pageSize });
+    } catch (error) {
+        if (!error.step) throw error;
+        return planFailureResponse(error, statements);
+    }
+
+    logSqlQuery(planSql, prompt, outcome.steps);
+    await recordConversationTurn(caller, sessionId, {
+        prompt,
+        sql: planSql,
+        result: outcome.steps.map(step => `Step ${step.step}: ${summarizeQueryResult(step.data || step.details)}`).join(' | ')
+    });
+    await notifyLeaveDecisions(outcome.leaveDecisions);
+
+    return { statusCode: 200, body: { success: true, message: confirmationMessage, steps: outcome.steps } };
+}
+
+// --- Conversation Sessions ---
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Longest query result summary kept in a conversation turn, in characters
+const TURN_SUMMARY_LENGTH = 1000;
+
+// Check the optional session_id sent with /ai-query.
+// Returns { sessionId } (null when none was sent) or { error }.
+function readSessionId(value) {
+    if (value === undefined || value === null || value === '') {
+        return { sessionId: null };
+    }
+    if (typeof value !== 'string' || !SESSION_ID_PATTERN.test(value)) {
+        return { error: 'session_id must be 1-64 letters, digits, "-" or "_".' };
+    }
+    return { sessionId: value };
+}
+
+// Load the caller's most recent unexpired turns of a session, oldest first
+async function loadConversationHistory(caller, sessionId) {
+    if (!sessionId) {
+        return [];
+    }
+
+    await ensureSupportTables();
+    const [turns] = await dbPool.query(
+        `SELECT prompt, sql_text, result_summary FROM ConversationTurns
+         WHERE organization_id = ? AND user_id = ? AND session_id = ?
+           AND created_at > NOW() - INTERVAL ? MINUTE
+         ORDER BY turn_id DESC LIMIT ?`,
+        [caller.organizationId, caller.userId, sessionId, SESSION_TTL_MINUTES, SESSION_HISTORY_TURNS]
+    );
+    return turns.reverse();
+}
+
+// Render earlier turns as context for the AI, ahead of the current question
+function formatConversationHistory(turns) {
+    if (turns.length === 0) {
+        return '';
+    }
+    const lines = turns.map((turn, index) =>
+        `${index + 1}. User's question: "${turn.prompt}"\n   SQL: ${turn.sql_text || '(none)'}\n   Result: ${turn.result_summary || '(none)'}`);
+    return `Earlier in this conversation (oldest first):\n${lines.join('\n')}\n\n`;
+}
+
+// Describe a query result in a line or two for the conversation history
+function summarizeQueryResult(result) {
+    let summary;
+    if (Array.isArray(result)) {
+        summary = `${result.length} row(s): ${JSON.stringify(result.slice(0, 5))}`;
+    } else if (result && typeof result === 'object' && 'affectedRows' in result) {
+        summary = `${result.affectedRows} row(s) changed${result.insertId ? `, new ID ${result.insertId}` : ''}`;
+    } else {
+        summary = typeof result === 'string' ? result : JSON.stringify(result);
+    }
+    return summary && summary.length > TURN_SUMMARY_LENGTH ? `${summary.slice(0, TURN_SUMMARY_LENGTH)}...` : summary;
+}
+
+// Store a turn of a session and drop the caller's expired turns.
+// Errors are logged only; losing a turn must not fail the request.
+async function recordConversationTurn(caller, sessionId, { prompt, sql, result }) {
+    if (!sessionId) {
+        return;
+    }
+
+    try {
+        await ensureSupportTables();
+        await dbPool.execute(
+            `INSERT INTO ConversationTurns (organization_id, user_id, session_id, prompt, sql_text, result_summary)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [caller.organizationId, caller.userId, sessionId, prompt, sql || null, summarizeQueryResult(result)]
+        );
+        await dbPool.query(
+            'DELETE FROM ConversationTurns WHERE organization_id = ? AND user_id = ? AND created_at <= NOW() - INTERVAL ? MINUTE',
+            [caller.organizationId, caller.userId, SESSION_TTL_MINUTES]
+        );
+    } catch (error) {
+        console.error('Error recording conversation turn:', error);
+    }
+}
+
+// Forget one of the caller's sessions, or all of them when no session_id is given.
+// Returns { statusCode, body }.
+async function clearConversation(caller, sessionIdInput) {
+    const { sessionId, error } = readSessionId(sessionIdInput);
+    if (error) {
+        return { statusCode: 400, body: { success: false, message: error } };
+    }
+
+    await ensureSupportTables();
+    const [result] = await dbPool.query(
+        `DELETE FROM ConversationTurns WHERE organization_id = ? AND user_id = ?${sessionId ? ' AND session_id = ?' : ''}`,
+        sessionId ? [caller.organizationId, caller.userId, sessionId] : [caller.organizationId, caller.userId]
+    );
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: sessionId
+                ? "I've cleared our conversation history. What would you like to talk about next?"
+                : "I've cleared all of your conversation history. What would you like to talk about next?",
+            details: { session_id: sessionId, deleted_turns: result.affectedRows }
+        }
+    };
+}
+
+// --- Policy Q&A ---
+
+// Policy questions are answered from the caller's organization's CompanyPolicies rows. Each policy
+// is split into passages that are ranked with BM25 in memory, and the AI answers from the top
+// passages only, citing the policies it used.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Repeat counts give matches in these fields more weight than matches in the content
+const POLICY_FIELD_WEIGHTS = { policy_title: 3, keywords: 2, policy_category: 2 };
+
+// Passages shown to the AI, and the least BM25 score that counts as relevant
+const POLICY_PASSAGE_LIMIT = 3;
+const POLICY_MIN_SCORE = 0.5;
+
+// Longest passage, in words
+const POLICY_PASSAGE_WORDS = 80;
+
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'from', 'with', 'about', 'is',
+    'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did', 'can', 'could', 'would', 'should', 'will', 'may',
+    'i', 'me', 'my', 'we', 'our', 'you', 'your', 'it', 'its', 'this', 'that', 'these', 'those', 'there',
+    'what', 'which', 'who', 'when', 'where', 'why', 'how', 'any', 'all', 'please', 'tell', 'know', 'us',
+    'company', 'policy', 'policies', 'rule', 'rules'
+]);
+
+// Lowercase words with plural and verb endings trimmed, so "reimbursements" matches "reimbursement"
+function tokenizeForSearch(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => !SEARCH_STOP_WORDS.has(word))
+        .map(word => {
+            if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3).replace(/([^aeiou])\1$/, '$1');
+            if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+            if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+            if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+            return word;
+        });
+}
+
+// Split policy content into passages of whole sentences, at most POLICY_PASSAGE_WORDS words each
+function splitIntoPassages(content) {
+    const sentences = String(content || '').replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s+/).filter(Boolean);
+    const passages = [];
+    let current = [];
+    let words = 0;
+    for (const sentence of sentences) {
+        const length = sentence.split(' ').length;
+        if (current.length > 0 && words + length > POLICY_PASSAGE_WORDS) {
+            passages.push(current.join(' '));
+            current = [];
+            words = 0;
+        }
+        current.push(sentence);
+        words += length;
+    }
+    if (current.length > 0) {
+        passages.push(current.join(' '));
+    }
+    return passages;
+}
+
+// Build the passages of every policy with the weighted fields folded into each passage's terms
+function buildPolicyIndex(policies) {
+    const documents = [];
+    for (const policy of policies) {
+        const fieldTerms = Object.entries(POLICY_FIELD_WEIGHTS).flatMap(([field, weight]) => {
+            const terms = tokenizeForSearch(policy[field]);
+            return Array.from({ length: weight }, () => terms).flat();
+        });
+        for (const text of splitIntoPassages(policy.policy_content)) {
+            documents.push({ policy, text, terms: [...fieldTerms, ...tokenizeForSearch(text)] });
+        }
+    }
+
+    const documentFrequency = new Map();
+    for (const document of documents) {
+        for (const term of new Set(document.terms)) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+    }
+    const averageLength = documents.reduce((sum, document) => sum + document.terms.length, 0) / (documents.length || 1);
+    return { documents, documentFrequency, averageLength };
+}
+
+// Rank passages against a query with BM25; returns [{ policy, text, score }], best first
+function searchPolicyIndex(index, query) {
+    const queryTerms = [...new Set(tokenizeForSearch(query))];
+    const total = index.documents.length;
+
+    return index.documents.map(document => {
+        const frequencies = new Map();
+        document.terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+        const score = queryTerms.reduce((sum, term) => {
+            const frequency = frequencies.get(term);
+            if (!frequency) return sum;
+            const containing = index.documentFrequency.get(term);
+            const idf = Math.log(1 + (total - containing + 0.5) / (containing + 0.5));
+            const norm = 1 - BM25_B + BM25_B * document.terms.length / index.averageLength;
+            return sum + idf * frequency * (BM25_K1 + 1) / (frequency + BM25_K1 * norm);
+        }, 0);
+        return { policy: document.policy, text: document.text, score };
+    })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+function buildPolicyCitation(policy) {
+    return {
+        policy_id: policy.policy_id,
+        policy_title: policy.policy_title,
+        last_reviewed: policy.last_reviewed
+    };
+}
+
+const POLICY_ANSWER_PROMPT = `You answer employees' questions about their company's policies.
+Use ONLY the policy passages given with the question. Do not add rules, numbers or dates that are not in them, and do not rely on general knowledge.
+Keep the answer short, friendly and professional, and mention which policy it comes from.
+
+Your entire output MUST be a single JSON object with two keys:
+1. "answer": the answer to the question, or "" if the passages do not answer it.
+2. "policy_ids": the policy_id numbers of the passages you used, or [] if none.`;
+
+// Answer a policy question from the caller's organization's policies.
+// Returns { statusCode, body } with body.citations listing the policies the answer relies on.
+async function answerPolicyQuestion(caller, question) {
+    await ensureSupportTables();
+    const [policies] = await dbPool.query(
+        `SELECT policy_id, policy_title, policy_category, keywords, policy_content,
+                DATE_FORMAT(last_reviewed, '%Y-%m-%d') AS last_reviewed
+         FROM CompanyPolicies WHERE organization_id = ? AND archived_at IS NULL`,
+        [caller.organizationId]
+    );
+
+    const results = searchPolicyIndex(buildPolicyIndex(policies), question);
+    const bestScore = results.length ? results[0].score : 0;
+    // Keep passages close to the best one so a stray shared word does not pull in another policy
+    const passages = results
+        .filter(result => result.score >= POLICY_MIN_SCORE && result.score >= bestScore / 2)
+        .slice(0, POLICY_PASSAGE_LIMIT);
+
+    const notCovered = {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: "I couldn't find a company policy that covers that. You could try asking with different words, or check with your HR team.",
+            citations: []
+        }
+    };
+    if (passages.length === 0) {
+        return notCovered;
+    }
+
+    const context = passages.map(({ policy, text }) =>
+        `[policy_id ${policy.policy_id}] ${policy.policy_title} (${policy.policy_category || 'General'}, last reviewed ${policy.last_reviewed || 'unknown'})\n${text}`
+    ).join('\n\n');
+
+    let answer;
+    try {
+        let responseText = (await llm.generate(POLICY_ANSWER_PROMPT, `Question: "${question}"\n\nPolicy passages:\n${context}`)).trim();
+        const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]+?)\s*```/);
+        if (jsonMatch) {
+            responseText = jsonMatch[1].trim();
+        }
+        answer = JSON.parse(responseText);
+    } catch (error) {
+        // Without a usable answer, quote the best passage rather than fail
+        console.error('Error answering policy question:', error.message);
+        const top = passages[0];
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: `Here is the relevant part of "${top.policy.policy_title}": ${top.text}`,
+                citations: [buildPolicyCitation(top.policy)]
+            }
+        };
+    }
+
+    if (!answer || typeof answer.answer !== 'string' || !answer.answer.trim()) {
+        return notCovered;
+    }
+
+    // Cite only policies that were among the passages, whatever IDs the AI returned
+    const cited = new Set((Array.isArray(answer.policy_ids) ? answer.policy_ids : []).map(String));
+    const usedPolicies = passages.map(({ policy }) => policy)
+        .filter((policy, i, all) => all.indexOf(policy) === i)
+        .filter(policy => cited.size === 0 || cited.has(String(policy.policy_id)));
+
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: answer.answer.trim(),
+            citations: usedPolicies.map(buildPolicyCitation)
+        }
+    };
+}
+
+// --- Policy Management ---
+
+// Admin endpoints for creating, editing, archiving and restoring CompanyPolicies. Every change
+// to a policy, whether made here, through /ai-query or by /undo, adds a row to PolicyVersions
+// with the full policy, its author and what changed, so any earlier version can be restored.
+
+// CompanyPolicies columns kept in each version, and the ones an Admin sets directly
+const POLICY_VERSION_FIELDS = ['policy_title', 'policy_category', 'policy_content', 'last_reviewed', 'keywords', 'archived_at'];
+const POLICY_EDITABLE_FIELDS = ['policy_title', 'policy_category', 'policy_content', 'last_reviewed', 'keywords'];
+
+// Select list of the versioned policy columns, with dates as strings so versions compare as equal
+function policySnapshotColumns(alias) {
+    const column = name => (alias ? `${alias}.${name}` : name);
+    return `${column('policy_title')}, ${column('policy_category')}, ${column('policy_content')},
+        DATE_FORMAT(${column('last_reviewed')}, '%Y-%m-%d') AS last_reviewed, ${column('keywords')},
+        DATE_FORMAT(${column('archived_at')}, '%Y-%m-%d %H:%i:%s') AS archived_at`;
+}
+
+// Review status of CompanyPolicies rows (alias cp). Takes the review period in days twice.
+const POLICY_REVIEW_COLUMNS = `DATE_FORMAT(DATE_ADD(cp.last_reviewed, INTERVAL ? DAY), '%Y-%m-%d') AS review_due,
+    DATEDIFF(CURDATE(), cp.last_reviewed) AS days_since_review,
+    (cp.archived_at IS NULL AND (cp.last_reviewed IS NULL OR cp.last_reviewed < DATE_SUB(CURDATE(), INTERVAL ? DAY))) AS review_overdue`;
+
+// Largest word-by-word comparison the content diff attempts (old words x new words).
+// Bigger rewrites are recorded as the old text removed and the new text added.
+const MAX_DIFF_CELLS = 250000;
+
+// Lock and read policies by ID
+async function loadPolicies(connection, policyIds) {
+    if (policyIds.length === 0) {
+        return [];
+    }
+    const [policies] = await connection.query(
+        `SELECT policy_id, organization_id, ${policySnapshotColumns()}
+         FROM CompanyPolicies WHERE policy_id IN (?) FOR UPDATE`,
+        [policyIds]
+    );
+    return policies;
+}
+
+// Word-level diff of two texts: [{ type: 'same' | 'removed' | 'added', text }]
+function diffWords(before, after) {
+    const from = (before || '').split(/\s+/).filter(Boolean);
+    const to = (after || '').split(/\s+/).filter(Boolean);
+    if (from.length * to.length > MAX_DIFF_CELLS) {
+        return [
+            from.length > 0 && { type: 'removed', text: from.join(' ') },
+            to.length > 0 && { type: 'added', text: to.join(' ') }
+        ].filter(Boolean);
+    }
+
+    // common[i][j]: length of the longest common subsequence of from[i..] and to[j..]
+    const common = Array.from({ length: from.length + 1 }, () => new Uint32Array(to.length + 1));
+    for (let i = from.length - 1; i >= 0; i--) {
+        for (let j = to.length - 1; j >= 0; j--) {
+            common[i][j] = from[i] === to[j]
+                ? common[i + 1][j + 1] + 1
+                : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, word) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += ` ${word}`;
+        } else {
+            parts.push({ type, text: word });
+        }
+    };
+    let i = 0;
+    let j = 0;
+    while (i < from.length && j < to.length) {
+        if (from[i] === to[j]) {
+            push('same', from[i]);
+            i++;
+            j++;
+        } else if (common[i + 1][j] >= common[i][j + 1]) {
+            push('removed', from[i++]);
+        } else {
+            push('added', to[j++]);
+        }
+    }
+    while (i < from.length) push('removed', from[i++]);
+    while (j < to.length) push('added', to[j++]);
+    return parts;
+}
+
+// Changes between two policy snapshots: { field: { from, to } }, with policy_content
+// as { changes: diffWords(...) }. Returns null when nothing changed.
+function diffPolicyVersions(before, after) {
+    const diff = {};
+    for (const field of POLICY_VERSION_FIELDS) {
+        const from = before[field] ?? null;
+        const to = after[field] ?? null;
+        if (from === to) continue;
+        diff[field] = field === 'policy_content' ? { changes: diffWords(from, to) } : { from, to };
+    }
+    return Object.keys(diff).length > 0 ? diff : null;
+}
+
+async function insertPolicyVersion(connection, policy, { versionNumber, changeType, authorId = null, diff = null, restoredFrom = null }) {
+    await connection.execute(
+        `INSERT INTO PolicyVersions
+            (policy_id, organization_id, version_number, policy_title, policy_category, policy_content,
+             last_reviewed, keywords, archived_at, change_type, author_id, diff, restored_from)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            policy.policy_id, policy.organization_id, versionNumber,
+            ...POLICY_VERSION_FIELDS.map(field => policy[field] ?? null),
+            changeType, authorId, diff && JSON.stringify(diff), restoredFrom
+        ]
+    );
+}
+
+// Add a version for each policy a write changed, in the caller's transaction. before holds the
+// policies as loaded (loadPolicies) ahead of the write; policies not among them were inserted.
+// change_type defaults to 'create' or 'update'. If a policy was changed outside this API since
+// its last version, the state it was found in is saved first as an 'import' version.
+// Returns [{ policy_id, version_number, change_type }].
+async function recordPolicyVersions(connection, { policyIds, before, caller, changeType = null, restoredFrom = null }) {
+    const previous = new Map(before.map(policy => [String(policy.policy_id), policy]));
+    const versions = [];
+
+    for (const policy of await loadPolicies(connection, policyIds)) {
+        const prior = previous.get(String(policy.policy_id)) || null;
+        const diff = prior && diffPolicyVersions(prior, policy);
+        if (prior && !diff) continue;
+
+        const [[latest]] = await connection.query(
+            `SELECT version_number, ${policySnapshotColumns()}
+             FROM PolicyVersions WHERE policy_id = ? ORDER BY version_number DESC LIMIT 1`,
+            [policy.policy_id]
+        );
+        let versionNumber = latest ? latest.version_number : 0;
+        const untracked = prior && (latest ? diffPolicyVersions(latest, prior) : null);
+        if (prior && (!latest || untracked)) {
+            await insertPolicyVersion(connection, prior, { versionNumber: ++versionNumber, changeType: 'import', diff: untracked });
+        }
+
+        const type = changeType || (prior ? 'update' : 'create');
+        await insertPolicyVersion(connection, policy, {
+            versionNumber: ++versionNumber,
+            changeType: type,
+            authorId: caller.userId,
+            diff,
+            restoredFrom
+        });
+        versions.push({ policy_id: policy.policy_id, version_number: versionNumber, change_type: type });
+    }
+    return versions;
+}
+
+function parsePolicyId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Read the review period from max_age_days, defaulting to POLICY_REVIEW_MAX_AGE_DAYS.
+// Returns null when the parameter is not a positive whole number.
+function readReviewPeriod(filters) {
+    if (filters.max_age_days === undefined || filters.max_age_days === '') {
+        return POLICY_REVIEW_MAX_AGE_DAYS;
+    }
+    const days = Number(filters.max_age_days);
+    return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+// Check the fields of a create or update request. Returns { values } or { error }.
+// A new policy needs a title and content, and is marked as reviewed today unless last_reviewed is given.
+function readPolicyFields(input, { creating }) {
+    const values = {};
+
+    const unknown = Object.keys(input).filter(key => key !== 'policy_id' && !POLICY_EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        return { error: `I can't set ${unknown.join(', ')} on a policy. You can set: ${POLICY_EDITABLE_FIELDS.join(', ')}.` };
+    }
+
+    for (const [field, label, maxLength] of [['policy_title', 'title', 255], ['policy_content', 'text', null]]) {
+        if (input[field] === undefined && !creating) continue;
+        if (typeof input[field] !== 'string' || !input[field].trim()) {
+            return { error: `Please provide the ${label} of the policy as "${field}".` };
+        }
+        if (maxLength && input[field].trim().length > maxLength) {
+            return { error: `The policy ${label} can be at most ${maxLength} characters long.` };
+        }
+        values[field] = input[field].trim();
+    }
+
+    if (input.policy_category !== undefined) {
+        if (input.policy_category !== null && typeof input.policy_category !== 'string') {
+            return { error: '"policy_category" must be text, for example "HR General".' };
+        }
+        const category = input.policy_category && input.policy_category.trim();
+        if (category && category.length > 100) {
+            return { error: 'The policy category can be at most 100 characters long.' };
+        }
+        values.policy_category = category || null;
+    }
+
+    if (input.keywords !== undefined) {
+        const keywords = input.keywords;
+        if (keywords !== null && typeof keywords !== 'string'
+            && !(Array.isArray(keywords) && keywords.every(keyword => typeof keyword === 'string'))) {
+            return { error: '"keywords" must be a comma-separated string or a list of words.' };
+        }
+        const text = Array.isArray(keywords)
+            ? keywords.map(keyword => keyword.trim()).filter(Boolean).join(', ')
+            : keywords && keywords.trim();
+        values.keywords = text || null;
+    }
+
+    const today = formatDateOnly(new Date());
+    if (input.last_reviewed !== undefined && input.last_reviewed !== null) {
+        const reviewed = parseDateOnly(input.last_reviewed);
+        if (!reviewed) {
+            return { error: '"last_reviewed" must be a date in YYYY-MM-DD format.' };
+        }
+        if (formatDateOnly(reviewed) > today) {
+            return { error: '"last_reviewed" can\'t be in the future.' };
+        }
+        values.last_reviewed = formatDateOnly(reviewed);
+    } else if (input.last_reviewed === null) {
+        values.last_reviewed = null;
+    } else if (creating) {
+        values.last_reviewed = today;
+    }
+
+    return { values };
+}
+
+// Lock a policy of the caller's organization (or none, for a new one) and write the change that
+// decide(policy, connection) returns: { values, changeType, restoredFrom, describe(policy, version) }.
+// decide can instead return a { statusCode, body } to send back without writing anything.
+async function writePolicyChange(caller, policyId, decide) {
+    await ensureSupportTables();
+    const connection = await dbPool.getConnection();
+    const prompt = 'Policy management';
+    let sql;
+    let executing = false;
+
+    try {
+        await connection.beginTransaction();
+
+        let policy = null;
+        if (policyId !== null) {
+            [policy] = await loadPolicies(connection, [policyId]);
+            if (!policy || policy.organization_id !== caller.organizationId) {
+                await connection.rollback();
+                return { statusCode: 404, body: { success: false, message: `I couldn't find policy #${policyId} in your organization.` } };
+            }
+        }
+
+        const change = await decide(policy, connection);
+        if (change.statusCode) {
+            await connection.rollback();
+            return change;
+        }
+
+        let preview;
+        if (policy) {
+            sql = mysql.format('UPDATE CompanyPolicies SET ? WHERE policy_id = ? AND organization_id = ?',
+                [change.values, policyId, caller.organizationId]);
+            const before = Object.fromEntries(Object.keys(change.values).map(field => [field, policy[field]]));
+            preview = { statement: sql, rows: [{ table: 'CompanyPolicies', key: { policy_id: policyId }, before, after: { ...change.values } }] };
         } else {
-            // If no WHERE clause, add one with organization restriction
-            return `${sql} WHERE organization_id = '${organizationId}'`;
+            const row = { organization_id: caller.organizationId, ...change.values };
+            sql = mysql.format(`INSERT INTO CompanyPolicies (${Object.keys(row).join(', ')}) VALUES (?)`, [Object.values(row)]);
+            preview = { statement: sql, rows: [{ table: 'CompanyPolicies', key: {}, before: null, after: { ...row } }] };
+        }
+
+        executing = true;
+        const { queryResult, policyVersions } = await applyAuditedWrite(connection, {
+            sql, prompt, caller, preview,
+            policyChange: { changeType: change.changeType, restoredFrom: change.restoredFrom }
+        });
+        const [saved] = await loadPolicies(connection, [policyId || queryResult.insertId]);
+        await connection.commit();
+
+        logSqlQuery(sql, prompt, queryResult);
+
+        const version = policyVersions.length > 0 ? policyVersions[policyVersions.length - 1].version_number : null;
+        return {
+            statusCode: policy ? 200 : 201,
+            body: { success: true, message: change.describe(saved, version), data: { policy: saved, version } }
+        };
+    } catch (error) {
+        await connection.rollback();
+        if (executing) {
+            await recordFailedWrite({ sql, prompt, caller, error });
         }
+        throw error;
+    } finally {
+        connection.release();
     }
-    
-    // For INSERT queries where we need to ensure the organization_id is correctly set
-    if (isInsert && upperSql.includes('INSERT INTO')) {
-        // If it's an INSERT with a SELECT, make sure the SELECT has organization filter
-        if (upperSql.includes('SELECT')) {
-            // Find the position of the SELECT
-            const selectPos = upperSql.indexOf('SELECT');
-            
-            // Split the query at the SELECT
-            const insertPart = sql.substring(0, selectPos);
-            let selectPart = sql.substring(selectPos);
-            
-            // Add organization filter to the SELECT part if it's not already there
-            if (!selectPart.includes(`organization_id = '${organizationId}'`)) {
-                if (selectPart.toUpperCase().includes(' WHERE ')) {
-                    selectPart = selectPart.replace(/WHERE\s+/i, `WHERE organization_id = '${organizationId}' AND `);
-                } else {
-                    selectPart = `${selectPart} WHERE organization_id = '${organizationId}'`;
+}
+
+const archivedPolicyResponse = policy => ({
+    statusCode: 409,
+    body: {
+        success: false,
+        message: `"${policy.policy_title}" (policy #${policy.policy_id}) is archived. Please unarchive it before changing it.`
+    }
+});
+
+// Create a policy, or update the given fields of an existing one when policy_id is set.
+// input: { policy_id?, policy_title, policy_content, policy_category, keywords, last_reviewed }.
+async function savePolicy(caller, input) {
+    const policyId = input.policy_id === undefined || input.policy_id === null ? null : parsePolicyId(input.policy_id);
+    if (policyId === null && input.policy_id !== undefined && input.policy_id !== null) {
+        return { statusCode: 400, body: { success: false, message: '"policy_id" must be a policy number.' } };
+    }
+
+    const { values, error } = readPolicyFields(input, { creating: policyId === null });
+    if (error) {
+        return { statusCode: 400, body: { success: false, message: error } };
+    }
+    if (policyId !== null && Object.keys(values).length === 0) {
+        return { statusCode: 400, body: { success: false, message: `Please tell me what to change. You can set: ${POLICY_EDITABLE_FIELDS.join(', ')}.` } };
+    }
+
+    return writePolicyChange(caller, policyId, policy => {
+        if (!policy) {
+            return {
+                values,
+                changeType: 'create',
+                describe: saved => `Done! I've added the policy "${saved.policy_title}" as policy #${saved.policy_id}. Is there anything else I can help with?`
+            };
+        }
+        if (policy.archived_at) {
+            return archivedPolicyResponse(policy);
+        }
+
+        const changes = Object.fromEntries(Object.entries(values).filter(([field, value]) => (policy[field] ?? null) !== value));
+        if (Object.keys(changes).length === 0) {
+            return { statusCode: 200, body: { success: true, message: `"${policy.policy_title}" already has those values, so nothing changed.`, data: { policy, version: null } } };
+        }
+        return {
+            values: changes,
+            changeType: 'update',
+            describe: (saved, version) => `Done! I've updated the ${Object.keys(changes).map(field => field.replace('policy_', '').replace('_', ' ')).join(', ')} of "${saved.policy_title}" (policy #${saved.policy_id}), now at version ${version}. Is there anything else I can help with?`
+        };
+    });
+}
+
+// Archive a policy, or bring it back with { archived: false }. Archived policies are kept,
+// with their history, but are no longer used to answer questions.
+async function archivePolicy(caller, input) {
+    const policyId = parsePolicyId(input.policy_id);
+    if (policyId === null) {
+        return { statusCode: 400, body: { success: false, message: 'Please provide the "policy_id" of the policy to archive.' } };
+    }
+    if (input.archived !== undefined && typeof input.archived !== 'boolean') {
+        return { statusCode: 400, body: { success: false, message: '"archived" must be true or false.' } };
+    }
+    const archive = input.archived !== false;
+
+    return writePolicyChange(caller, policyId, policy => {
+        if (Boolean(policy.archived_at) === archive) {
+            return {
+                statusCode: 409,
+                body: { success: false, message: `"${policy.policy_title}" (policy #${policyId}) is ${archive ? 'already' : 'not'} archived.` }
+            };
+        }
+        return {
+            values: { archived_at: archive ? mysql.raw('NOW()') : null },
+            changeType: archive ? 'archive' : 'unarchive',
+            describe: saved => archive
+                ? `Done! I've archived "${saved.policy_title}" (policy #${policyId}). It won't be used to answer questions any more, and you can unarchive it at any time.`
+                : `Done! "${saved.policy_title}" (policy #${policyId}) is active again and will be used to answer questions.`
+        };
+    });
+}
+
+// Bring a policy's title, category, content, keywords and review date back to an earlier version.
+// The restore is itself a new version, so it can be undone by restoring the version before it.
+async function restorePolicyVersion(caller, input) {
+    const policyId = parsePolicyId(input.policy_id);
+    const versionNumber = parsePolicyId(input.version);
+    if (policyId === null || versionNumber === null) {
+        return { statusCode: 400, body: { success: false, message: 'Please provide the "policy_id" and the "version" number to restore.' } };
+    }
+
+    return writePolicyChange(caller, policyId, async (policy, connection) => {
+        if (policy.archived_at) {
+            return archivedPolicyResponse(policy);
+        }
+        const [[version]] = await connection.query(
+            `SELECT ${policySnapshotColumns()}
+             FROM PolicyVersions WHERE policy_id = ? AND organization_id = ? AND version_number = ?`,
+            [policyId, caller.organizationId, versionNumber]
+        );
+        if (!version) {
+            return { statusCode: 404, body: { success: false, message: `Policy #${policyId} has no version ${versionNumber}.` } };
+        }
+
+        const changes = Object.fromEntries(POLICY_EDITABLE_FIELDS
+            .filter(field => (policy[field] ?? null) !== (version[field] ?? null))
+            .map(field => [field, version[field] ?? null]));
+        if (Object.keys(changes).length === 0) {
+            return { statusCode: 200, body: { success: true, message: `"${policy.policy_title}" already matches version ${versionNumber}, so nothing changed.`, data: { policy, version: null } } };
+        }
+        return {
+            values: changes,
+            changeType: 'restore',
+            restoredFrom: versionNumber,
+            describe: (saved, savedVersion) => `Done! I've restored "${saved.policy_title}" (policy #${policyId}) to version ${versionNumber}. This is saved as version ${savedVersion}. Is there anything else I can help with?`
+        };
+    });
+}
+
+// List the organization's policies with their review status.
+// Filters: category, include_archived ('true'), overdue ('true' for only those due for review), max_age_days.
+async function listPolicies(caller, filters = {}) {
+    const maxAgeDays = readReviewPeriod(filters);
+    if (maxAgeDays === null) {
+        return { statusCode: 400, body: { success: false, message: '"max_age_days" must be a whole number of days.' } };
+    }
+
+    const conditions = ['cp.organization_id = ?'];
+    const params = [caller.organizationId];
+    if (filters.include_archived !== 'true') {
+        conditions.push('cp.archived_at IS NULL');
+    }
+    if (filters.category) {
+        conditions.push('cp.policy_category = ?');
+        params.push(filters.category);
+    }
+
+    await ensureSupportTables();
+    const [rows] = await dbPool.query(
+        `SELECT cp.policy_id, ${policySnapshotColumns('cp')},
+                ${POLICY_REVIEW_COLUMNS},
+                (SELECT MAX(pv.version_number) FROM PolicyVersions pv WHERE pv.policy_id = cp.policy_id) AS current_version
+         FROM CompanyPolicies cp
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY cp.policy_category, cp.policy_title`,
+        [maxAgeDays, maxAgeDays, ...params]
+    );
+
+    const policies = rows
+        .map(row => ({ ...row, review_overdue: Boolean(row.review_overdue) }))
+        .filter(policy => filters.overdue !== 'true' || policy.review_overdue);
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            data: policies,
+            review_period_days: maxAgeDays,
+            overdue_count: policies.filter(policy => policy.review_overdue).length
+        }
+    };
+}
+
+// Report the active policies that are due for review, oldest review first. Optional: max_age_days.
+async function getPolicyReviewReport(caller, filters = {}) {
+    const maxAgeDays = readReviewPeriod(filters);
+    if (maxAgeDays === null) {
+        return { statusCode: 400, body: { success: false, message: '"max_age_days" must be a whole number of days.' } };
+    }
+
+    await ensureSupportTables();
+    const [rows] = await dbPool.query(
+        `SELECT cp.policy_id, cp.policy_title, cp.policy_category,
+                DATE_FORMAT(cp.last_reviewed, '%Y-%m-%d') AS last_reviewed,
+                ${POLICY_REVIEW_COLUMNS}
+         FROM CompanyPolicies cp
+         WHERE cp.organization_id = ? AND cp.archived_at IS NULL
+         ORDER BY cp.last_reviewed IS NOT NULL, cp.last_reviewed, cp.policy_title`,
+        [maxAgeDays, maxAgeDays, caller.organizationId]
+    );
+
+    const overdue = rows.filter(row => row.review_overdue).map(row => ({ ...row, review_overdue: true }));
+    const summary = {
+        active_policies: rows.length,
+        overdue: overdue.length,
+        never_reviewed: overdue.filter(row => row.last_reviewed === null).length
+    };
+    return {
+        statusCode: 200,
+        body: {
+            success: true,
+            message: overdue.length > 0
+                ? `${overdue.length} of ${rows.length} active policies have not been reviewed in the last ${maxAgeDays} days.`
+                : `All ${rows.length} active policies have been reviewed in the last ${maxAgeDays} days.`,
+            data: { review_period_days: maxAgeDays, generated_on: formatDateOnly(new Date()), summary, policies: overdue }
+        }
+    };
+}
+
+// List the versions of one policy, newest first. Filters: policy_id (required), limit, offset.
+async function listPolicyVersions(caller, filters = {}) {
+    const policyId = parsePolicyId(filters.policy_id);
+    if (policyId === null) {
+        return { statusCode: 400, body: { success: false, message: 'Please provide the "policy_id" of the policy.' } };
+    }
+
+    await ensureSupportTables();
+    const [[policy]] = await dbPool.query(
+        `SELECT policy_id, policy_title, DATE_FORMAT(archived_at, '%Y-%m-%d %H:%i:%s') AS archived_at
+         FROM CompanyPolicies WHERE policy_id = ? AND organization_id = ?`,
+        [policyId, caller.organizationId]
+    );
+    if (!policy) {
+        return { statusCode: 404, body: { success: false, message: `I couldn't find policy #${policyId} in your organization.` } };
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    const [versions] = await dbPool.query(
+        `SELECT pv.version_number, pv.change_type, pv.author_id,
+                CONCAT(u.first_name, ' ', u.last_name) AS author_name,
+                pv.restored_from, pv.created_at, pv.diff,
+                ${policySnapshotColumns('pv')}
+         FROM PolicyVersions pv
+         LEFT JOIN Users u ON u.user_id = pv.author_id
+         WHERE pv.policy_id = ? AND pv.organization_id = ?
+         ORDER BY pv.version_number DESC
+         LIMIT ? OFFSET ?`,
+        [policyId, caller.organizationId, limit, offset]
+    );
+
+    return {
+        statusCode: 200,
+        body: { success: true, policy, data: versions, pagination: { limit, offset, count: versions.length } }
+    };
+}
+
+// --- Entity Resolution ---
+
+// People named in a prompt are matched against the caller's organization before the AI runs, so
+// generated SQL filters on user_id instead of a first name that may be shared or misspelled.
+
+// Words that never name an employee; they are not matched against the directory
+const NON_NAME_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'from', 'with', 'about',
+    'into', 'than', 'then', 'also', 'only', 'is', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did',
+    'has', 'have', 'had', 'can', 'could', 'would', 'should', 'will', 'shall', 'may', 'please', 'not', 'no',
+    'yes', 'i', 'me', 'my', 'mine', 'we', 'our', 'you', 'your', 'he', 'his', 'him', 'she', 'her', 'hers',
+    'it', 'its', 'they', 'them', 'their', 'this', 'that', 'these', 'those', 'there', 'what', 'which', 'who',
+    'whom', 'whose', 'when', 'where', 'why', 'how', 'all', 'every', 'each', 'any', 'some', 'many', 'much',
+    'more', 'most', 'other', 'another', 'show', 'list', 'give', 'tell', 'find', 'get', 'set', 'make', 'want',
+    'need', 'know', 'change', 'update', 'increase', 'raise', 'reduce', 'decrease', 'approve', 'approved',
+    'reject', 'rejected', 'cancel', 'cancelled', 'apply', 'undo', 'revert', 'pending', 'status', 'leave',
+    'leaves', 'casual', 'sick', 'earned', 'balance', 'balances', 'request', 'requests', 'salary', 'salaries',
+    'base', 'payroll', 'pay', 'ctc', 'hra', 'allowance', 'deduction', 'tax', 'professional', 'medical',
+    'conveyance', 'department', 'location', 'role', 'manager', 'managers', 'employee', 'employees', 'team',
+    'report', 'reports', 'email', 'name', 'names', 'joined', 'joining', 'date', 'day', 'days', 'week',
+    'month', 'year', 'today', 'tomorrow', 'yesterday', 'monday', 'tuesday', 'wednesday', 'thursday',
+    'friday', 'saturday', 'sunday', 'policy', 'policies', 'company', 'holiday', 'holidays', 'travel',
+    'expense', 'total', 'taken', 'left', 'remaining', 'current', 'new', 'last', 'next', 'first', 'record',
+    'records', 'details', 'information', 'data', 'organization', 'admin', 'office', 'work', 'home', 'remote',
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+    'november', 'december', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve',
+    'twenty', 'thirty', 'hundred', 'thousand', 'lakh', 'half', 'quarter', 'annual', 'hike', 'bonus'
+]);
+
+// Names shorter than this only match a misspelling that sounds the same ("Rahool"); with one edit
+// allowed, short names are too close to ordinary words and to each other ("March" / "Mark", "Rani" / "Ravi")
+const FUZZY_NAME_MIN_LENGTH = 6;
+
+// Most employees listed in one clarification
+const MAX_CLARIFICATION_CANDIDATES = 10;
+
+// Spell a name the way it sounds, so "Rahool" and "Rahul" or "Priyaa" and "Priya" compare equal
+function phoneticKey(word) {
+    return word.toLowerCase()
+        .replace(/ph/g, 'f')
+        .replace(/([kgcjtdpbs])h/g, '$1')
+        .replace(/oo/g, 'u')
+        .replace(/ee/g, 'i')
+        .replace(/w/g, 'v')
+        .replace(/q/g, 'k')
+        .replace(/y$/, 'i')
+        .replace(/(.)\1+/g, '$1');
+}
+
+// Edit distance counting an adjacent transposition as one edit
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// How close a word from the prompt is to a name: 0 for the same spelling, 0.5 for the same sound,
+// up to 2.5 for typos. Typos are only considered when allowEdits is set (see findMentionedEmployees).
+// Returns null when it is too far off to be that name.
+function nameMatchScore(word, name, { allowEdits = true } = {}) {
+    const lowerWord = word.toLowerCase();
+    const lowerName = name.toLowerCase();
+    if (lowerWord === lowerName) return 0;
+    if (lowerWord.length < 4 || NON_NAME_WORDS.has(lowerWord)) return null;
+
+    const distance = editDistance(phoneticKey(lowerWord), phoneticKey(lowerName));
+    let allowed = 0;
+    if (allowEdits && lowerName.length >= FUZZY_NAME_MIN_LENGTH) {
+        allowed = lowerName.length >= 8 ? 2 : 1;
+    }
+    return distance <= allowed ? distance + 0.5 : null;
+}
+
+// Score every visible employee against one word of the prompt: user_id and email must match
+// exactly, first and last names may be misspelled. Returns Map(user_id -> { score, field }).
+function matchDirectoryWord(word, directory, { allowEdits }) {
+    const matches = new Map();
+    const lowerWord = word.toLowerCase();
+    for (const user of directory) {
+        let best = null;
+        const consider = (score, field) => {
+            if (score !== null && (!best || score < best.score)) best = { score, field };
+        };
+        if (String(user.user_id).toLowerCase() === lowerWord) consider(0, 'user_id');
+        if (user.email && user.email.toLowerCase() === lowerWord) consider(0, 'email');
+        for (const field of ['first_name', 'last_name']) {
+            String(user[field] || '').split(/\s+/).filter(Boolean)
+                .forEach(part => consider(nameMatchScore(word, part, { allowEdits }), field));
+        }
+        if (best) matches.set(user.user_id, best);
+    }
+    return matches;
+}
+
+// The users sharing the lowest score
+function bestCandidates(scored) {
+    const lowest = Math.min(...scored.map(entry => entry.score));
+    return scored.filter(entry => entry.score === lowest).map(entry => entry.user);
+}
+
+// Employees the caller can look up by name: everyone for Admins, otherwise the same
+// self / direct reports / manager directory that authorizeQuery allows
+async function loadVisibleDirectory(caller) {
+    const policy = ROLE_POLICIES[caller.role] || ROLE_POLICIES.Employee;
+    let sql = 'SELECT user_id, first_name, last_name, email, department FROM Users WHERE organization_id = ?';
+    const params = [caller.organizationId];
+    if (policy.scope !== 'organization') {
+        const visibleIds = [caller.userId, ...(policy.scope === 'team' ? caller.reportIds : [])];
+        if (caller.managerId) visibleIds.push(caller.managerId);
+        sql += ' AND user_id IN (?)';
+        params.push(visibleIds);
+    }
+    const [rows] = await dbPool.query(sql, params);
+    return rows;
+}
+
+// Split a prompt into the words that could name someone
+function readPromptWords(prompt) {
+    return (String(prompt).match(/[\p{L}\p{N}][\p{L}\p{N}._@'’+-]*/gu) || [])
+        .map(word => word.replace(/['’]s?$/i, '').replace(/[.'’+-]+$/, ''))
+        .filter(Boolean);
+}
+
+// Find the employees a prompt mentions, among those the caller can see. Returns { resolved, ambiguous }
+// (see findMentionedEmployees).
+async function resolveMentionedEmployees(prompt, caller) {
+    if (readPromptWords(prompt).length === 0) {
+        return { resolved: [], ambiguous: [] };
+    }
+    return findMentionedEmployees(prompt, await loadVisibleDirectory(caller));
+}
+
+// Match the words of a prompt against a directory of users. Adjacent words matching the same person
+// on different fields ("Amit Kumar") form one mention. Misspellings are only matched for words that
+// are capitalised like a name, or in a prompt typed all in lower case; other words must match a name
+// exactly or by sound, so ordinary words ("march", "nine") are not taken for people.
+// Returns { resolved: [{ mention, user }], ambiguous: [{ mention, candidates }] }.
+function findMentionedEmployees(prompt, directory) {
+    const words = readPromptWords(prompt);
+    const resolution = { resolved: [], ambiguous: [] };
+    const lowerCasePrompt = !/\p{Lu}/u.test(String(prompt));
+
+    const usersById = new Map(directory.map(user => [user.user_id, user]));
+    const wordMatches = words.map(word => matchDirectoryWord(word, directory, {
+        allowEdits: lowerCasePrompt || /^\p{Lu}/u.test(word)
+    }));
+
+    const seen = new Set();
+    for (let i = 0; i < words.length; i++) {
+        const current = wordMatches[i];
+        if (current.size === 0) continue;
+
+        let mention = words[i];
+        let scored = [...current].map(([userId, match]) => ({ user: usersById.get(userId), score: match.score }));
+
+        const next = wordMatches[i + 1];
+        const fullName = next ? [...current].filter(([userId, match]) => next.has(userId) && next.get(userId).field !== match.field) : [];
+        if (fullName.length > 0) {
+            mention = `${words[i]} ${words[i + 1]}`;
+            scored = fullName.map(([userId, match]) => ({ user: usersById.get(userId), score: match.score + next.get(userId).score }));
+            i++;
+        }
+
+        const candidates = bestCandidates(scored);
+        const key = candidates.map(user => user.user_id).sort().join(',');
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        if (candidates.length === 1) {
+            resolution.resolved.push({ mention, user: candidates[0] });
+        } else {
+            resolution.ambiguous.push({ mention, candidates });
+        }
+    }
+    return resolution;
+}
+
+function fullName(user) {
+    return [user.first_name, user.last_name].filter(Boolean).join(' ');
+}
+
+// Line added to the AI prompt, e.g. People mentioned: "Rahool" is user_id 'TCI_EMP002' (Rahul Verma)
+function describeResolvedEmployees(resolved) {
+    if (resolved.length === 0) {
+        return '';
+    }
+    const people = resolved.map(({ mention, user }) =>
+        `"${mention}" is user_id '${user.user_id}' (${fullName(user)})`);
+    return `\nPeople mentioned, matched in my organization: ${people.join('; ')}`;
+}
+
+// Clarifying question returned instead of running anything when a name fits several employees
+function buildClarificationResponse(ambiguous) {
+    const clarifications = ambiguous.map(({ mention, candidates }) => ({
+        mention,
+        candidates: candidates.slice(0, MAX_CLARIFICATION_CANDIDATES).map(user => ({
+            user_id: user.user_id,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            email: user.email,
+            department: user.department
+        }))
+    }));
+    const questions = clarifications.map(({ mention, candidates }) => {
+        const options = candidates.map(user => `${fullName(user)} (${user.user_id}${user.department ? `, ${user.department}` : ''})`);
+        return `"${mention}" could be ${options.join(', ')}.`;
+    });
+    return {
+        statusCode: 200,
+        body: {
+            success: false,
+            needs_clarification: true,
+            message: `I found more than one employee matching your request. ${questions.join(' ')} Which one did you mean? You can reply with their full name or user ID.`,
+            clarifications
+        }
+    };
+}
+
+// Replace first_name / last_name / email comparisons that name a resolved employee with their
+// user_id, in case the AI ignored the IDs it was given. Other SQL is returned unchanged.
+function rewriteResolvedNames(sql, resolved) {
+    if (typeof sql !== 'string' || resolved.length === 0) {
+        return sql;
+    }
+
+    let ast;
+    try {
+        ast = sqlParser.astify(sql, SQL_DIALECT);
+    } catch (error) {
+        return sql;
+    }
+
+    const nameFields = ['first_name', 'last_name', 'email'];
+    const findUserId = (field, value) => {
+        const lowerValue = String(value).toLowerCase();
+        const userIds = new Set(resolved
+            .filter(({ mention, user }) => String(user[field] || '').toLowerCase() === lowerValue || mention.toLowerCase() === lowerValue)
+            .map(({ user }) => user.user_id));
+        // Two resolved people with the same first name: leave the condition alone
+        return userIds.size === 1 ? [...userIds][0] : null;
+    };
+
+    let rewritten = false;
+    // An unqualified first_name comes from Users; qualify its user_id so joins stay unambiguous
+    const visit = (node, usersAlias) => {
+        if (Array.isArray(node)) {
+            node.forEach(child => visit(child, usersAlias));
+            return;
+        }
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (['select', 'update'].includes(node.type)) {
+            const usersRef = getTableRefs(node).find(ref => ref.table === 'Users');
+            usersAlias = usersRef ? usersRef.alias : usersAlias;
+        }
+        if (node.type === 'binary_expr' && node.operator === '=' && node.left && node.left.type === 'column_ref' &&
+            nameFields.includes(getColumnName(node.left)) && node.right &&
+            ['single_quote_string', 'double_quote_string', 'string'].includes(node.right.type)) {
+            const userId = findUserId(getColumnName(node.left), node.right.value);
+            if (userId) {
+                node.left = { type: 'column_ref', table: node.left.table || usersAlias || null, column: 'user_id' };
+                node.right = { type: 'single_quote_string', value: userId };
+                rewritten = true;
+                return;
+            }
+        }
+        Object.values(node).forEach(value => {
+            if (value && typeof value === 'object') visit(value, usersAlias);
+        });
+    };
+    visit(ast, null);
+
+    return rewritten ? sqlParser.sqlify(ast, SQL_DIALECT) : sql;
+}
+
+// --- Result Pages ---
+
+// A SELECT from /ai-query returns one page of rows (QUERY_PAGE_SIZE, or the request's "page_size" up to
+// QUERY_MAX_PAGE_SIZE) and the total row count. When rows remain, the response carries a cursor; sending
+// it back re-runs the same checked statement for the next page without asking the AI again. Cursors are
+// kept in a QueryCursors table and only work for the user who ran the query.
+
+// Read the requested page size. Returns { pageSize } or { error }.
+function readPageSize(value) {
+    if (value === undefined || value === null || value === '') {
+        return { pageSize: QUERY_PAGE_SIZE };
+    }
+    const pageSize = Number(value);
+    return Number.isInteger(pageSize) && pageSize >= 1 && pageSize <= QUERY_MAX_PAGE_SIZE
+        ? { pageSize }
+        : { error: `Please choose a "page_size" between 1 and ${QUERY_MAX_PAGE_SIZE}.` };
+}
+
+// Cursors read "<cursor id>.<offset of the next row>". Returns { cursorId, offset } or null.
+function parseQueryCursor(value) {
+    const match = String(value || '').match(/^([0-9a-f]{48})\.(\d{1,9})$/);
+    return match ? { cursorId: match[1], offset: parseInt(match[2], 10) } : null;
+}
+
+// The rows a statement's own LIMIT allows, as { start, count } (count is null without a LIMIT).
+// Returns null for a LIMIT that isn't plain numbers.
+function readLimitWindow(limit) {
+    const values = (limit && limit.value) || [];
+    if (values.some(value => value.type !== 'number')) {
+        return null;
+    }
+    if (values.length === 0) return { start: 0, count: null };
+    if (values.length === 1) return { start: 0, count: values[0].value };
+    return limit.seperator === ','
+        ? { start: values[0].value, count: values[1].value }
+        : { start: values[1].value, count: values[0].value };
+}
+
+// Whether a SELECT returns groups rather than table rows (GROUP BY, DISTINCT, HAVING or an aggregate)
+function isGroupedSelect(ast) {
+    return Boolean(ast.distinct || ast.groupby || ast.having || JSON.stringify(ast.columns).includes('"aggr_func"'));
+}
+
+// Expressions that make the order of a SELECT's rows unique, so LIMIT/OFFSET pages never overlap or
+// skip rows: the group of a grouped select, the selected values of a DISTINCT one, otherwise the primary
+// key of every table in FROM. Aggregates without GROUP BY return a single row and need none.
+function getPageTiebreakers(ast) {
+    const primaryKeys = refs => refs
+        .filter(ref => ref.table && PRIMARY_KEYS[canonicalTableName(ref.table)])
+        .map(ref => ({ type: 'column_ref', table: ref.as || ref.table, column: PRIMARY_KEYS[canonicalTableName(ref.table)] }));
+
+    if (ast.groupby) {
+        return ast.groupby.columns || [];
+    }
+    if (ast.distinct) {
+        // ORDER BY must stay within the select list here; a * selects its tables' keys too
+        return ast.columns.flatMap(column => {
+            const { expr } = column;
+            if (expr.type === 'column_ref' && expr.column === '*') {
+                return primaryKeys((ast.from || []).filter(ref => !expr.table || (ref.as || ref.table) === expr.table));
+            }
+            return [column.as ? { type: 'column_ref', table: null, column: column.as } : expr];
+        });
+    }
+    if (isGroupedSelect(ast)) {
+        return [];
+    }
+    return primaryKeys(ast.from || []);
+}
+
+// Rewrite a SELECT to return pageSize rows from offset, within any LIMIT the AI already gave it
+// ("top 5 earners" still returns at most 5), ordered uniquely (see getPageTiebreakers) after any ORDER
+// BY it already has. UNIONs and unusual LIMITs are paged from the outside, ordered by every column.
+function buildPageSql(sql, offset, pageSize) {
+    let ast = sqlParser.astify(sql, SQL_DIALECT);
+    if (Array.isArray(ast)) ast = ast[0];
+
+    const window = ast._next ? null : readLimitWindow(ast.limit);
+    if (!window) {
+        const positions = ast.columns.some(column => column.expr.type === 'column_ref' && column.expr.column === '*')
+            ? []
+            : ast.columns.map((column, index) => index + 1);
+        const order = positions.length > 0 ? ` ORDER BY ${positions.join(', ')}` : '';
+        return `SELECT * FROM (${sql}) AS paged${order} LIMIT ${pageSize} OFFSET ${offset}`;
+    }
+
+    const sameExpression = (left, right) => left.type === 'column_ref' && right.type === 'column_ref'
+        ? String(left.column).toLowerCase() === String(right.column).toLowerCase() &&
+          (!left.table || !right.table || left.table.toLowerCase() === right.table.toLowerCase())
+        : JSON.stringify(left) === JSON.stringify(right);
+    const orderby = ast.orderby || [];
+    for (const expr of getPageTiebreakers(ast)) {
+        if (!orderby.some(item => sameExpression(item.expr, expr))) {
+            orderby.push({ expr, type: 'ASC' });
+        }
+    }
+    ast.orderby = orderby.length > 0 ? orderby : null;
+
+    const count = window.count === null ? pageSize : Math.max(0, Math.min(pageSize, window.count - offset));
+    const number = value => ({ type: 'number', value });
+    ast.limit = { seperator: 'offset', value: [number(count), number(window.start + offset)] };
+    return sqlParser.sqlify(ast, SQL_DIALECT);
+}
+
+// Count the rows a SELECT returns in full. Plain filtered selects are counted with their own FROM and
+// WHERE; grouped, distinct, aggregated and UNION queries are counted from the outside.
+async function countSelectRows(executor, sql) {
+    let ast = sqlParser.astify(sql, SQL_DIALECT);
+    if (Array.isArray(ast)) ast = ast[0];
+
+    const window = ast._next ? null : readLimitWindow(ast.limit);
+    if (!window || isGroupedSelect(ast)) {
+        const [[{ total }]] = await executor.execute(`SELECT COUNT(*) AS total FROM (${sql}) AS counted`);
+        return Number(total);
+    }
+
+    const countAst = {
+        ...ast,
+        columns: [{ expr: { type: 'aggr_func', name: 'COUNT', args: { expr: { type: 'star', value: '*' } }, over: null }, as: 'total' }],
+        orderby: null,
+        limit: null
+    };
+    const [[{ total }]] = await executor.execute(sqlParser.sqlify(countAst, SQL_DIALECT));
+    const available = Math.max(0, Number(total) - window.start);
+    return window.count === null ? available : Math.min(available, window.count);
+}
+
+// Keep a checked SELECT so its later pages can be fetched. Returns the cursor id.
+async function createQueryCursor(sql, { caller, prompt, confirmationMessage }) {
+    const cursorId = crypto.randomBytes(24).toString('hex');
+    await dbPool.execute('DELETE FROM QueryCursors WHERE organization_id = ? AND user_id = ? AND expires_at < NOW()', [caller.organizationId, caller.userId]);
+    await dbPool.execute(
+        `INSERT INTO QueryCursors (cursor_id, organization_id, user_id, prompt, sql_text, confirmation_message, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [cursorId, caller.organizationId, caller.userId, prompt || null, sql, confirmationMessage || null, new Date(Date.now() + QUERY_CURSOR_TTL_MINUTES * 60 * 1000)]
+    );
+    return cursorId;
+}
+
+// Run one page of a checked SELECT. Returns { rows, page: { offset, page_size, returned, total, next_cursor } }.
+async function runPagedSelect(executor, sql, { caller, prompt, confirmationMessage, pageSize = QUERY_PAGE_SIZE, offset = 0, cursorId = null }) {
+    const [rows] = await executor.execute(buildPageSql(sql, offset, pageSize));
+
+    // A short page is the last one, so the rows need no separate count
+    const total = rows.length < pageSize && (rows.length > 0 || offset === 0)
+        ? offset + rows.length
+        : await countSelectRows(executor, sql);
+
+    let nextCursor = null;
+    if (offset + rows.length < total) {
+        const id = cursorId || await createQueryCursor(sql, { caller, prompt, confirmationMessage });
+        nextCursor = `${id}.${offset + rows.length}`;
+    }
+    return { rows, page: { offset, page_size: pageSize, returned: rows.length, total, next_cursor: nextCursor } };
+}
+
+// Add the position of a partial page to a result message, e.g. "Showing 51-100 of 1240."
+function describePage(message, page) {
+    if (page.returned === page.total) {
+        return message;
+    }
+    if (page.returned === 0) {
+        return `There are no more results to show; all ${page.total} have been listed.`;
+    }
+    const range = `Showing ${page.offset + 1}-${page.offset + page.returned} of ${page.total}.`;
+    return message ? `${message} ${range}` : range;
+}
+
+// Fetch another page of an earlier SELECT from its cursor, or all of it as a CSV or XLSX download.
+// Returns { statusCode, body }.
+async function continueQuery(cursorValue, caller, { pageSize, format }) {
+    const cursor = parseQueryCursor(cursorValue);
+    if (!cursor) {
+        return { statusCode: 400, body: { success: false, message: 'That "cursor" is not valid. Please send the next_cursor value from an earlier response.' } };
+    }
+
+    await ensureSupportTables();
+    const [[stored]] = await dbPool.execute(
+        'SELECT * FROM QueryCursors WHERE cursor_id = ? AND organization_id = ? AND user_id = ? AND expires_at > NOW()',
+        [cursor.cursorId, caller.organizationId, caller.userId]
+    );
+    if (!stored) {
+        return { statusCode: 410, body: { success: false, message: 'These results have expired. Please ask your question again.' } };
+    }
+
+    // Re-check the caller's permissions in case they changed since the first page
+    const authorization = authorizeQuery(stored.sql_text, caller);
+    if (!authorization.allowed) {
+        return { statusCode: 403, body: { success: false, message: authorization.message } };
+    }
+
+    try {
+        if (format !== 'json') {
+            const download = await exportQueryResult(authorization.sql, format);
+            logSqlQuery(authorization.sql, stored.prompt, `Streamed as ${format.toUpperCase()}`);
+            return download;
+        }
+        const { rows, page } = await runPagedSelect(dbPool, authorization.sql, {
+            caller, pageSize, offset: cursor.offset, cursorId: stored.cursor_id
+        });
+        logSqlQuery(authorization.sql, stored.prompt, `Rows ${page.offset + 1}-${page.offset + page.returned} of ${page.total}`);
+        return { statusCode: 200, body: { success: true, message: describePage(stored.confirmation_message, page), data: rows, page } };
+    } catch (dbError) {
+        const errorResponse = handleDatabaseError(dbError, authorization.sql);
+        return {
+            statusCode: dbError.statusCode || 500,
+            body: {
+                success: false,
+                message: errorResponse.message || errorResponse.error,
+                technical_details: {
+                    details: errorResponse.details,
+                    sql: errorResponse.sql
                 }
             }
-            
-            return insertPart + selectPart;
+        };
+    }
+}
+
+// --- Result Exports ---
+
+// /ai-query can return the rows of a SELECT as a CSV or XLSX download instead of JSON ("format" in the
+// body, or an Accept header asking for one of EXPORT_FORMATS). The rows are streamed from MySQL into the
+// file as it is sent, so the Express server never holds a large export in memory. Lambda responses are
+// sent whole, so there the file is collected first (see bufferResponseBody).
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Rows read ahead of the file being written; MySQL is paused beyond this
+const EXPORT_BUFFER_ROWS = 500;
+
+// Read the requested output format. Returns { format: 'json' | 'csv' | 'xlsx' } or { error }.
+function readOutputFormat(value, headers) {
+    if (value === undefined || value === null || value === '') {
+        const accept = (getHeader(headers, 'accept') || '').toLowerCase();
+        const format = Object.keys(EXPORT_FORMATS).find(name => accept.includes(EXPORT_FORMATS[name].contentType.split(';')[0]));
+        return { format: format || 'json' };
+    }
+    const format = String(value).trim().toLowerCase();
+    return format === 'json' || EXPORT_FORMATS[format]
+        ? { format }
+        : { error: 'Please choose a "format" of json, csv or xlsx.' };
+}
+
+// How each result column is written, from its MySQL type: { name, type: 'date' | 'datetime' |
+// 'decimal' | 'number' | 'text', decimals }
+function readResultColumns(fields) {
+    const { Types } = mysql;
+    return fields.map(field => {
+        let type = 'text';
+        if ([Types.DATE, Types.NEWDATE].includes(field.columnType)) {
+            type = 'date';
+        } else if ([Types.DATETIME, Types.TIMESTAMP].includes(field.columnType)) {
+            type = 'datetime';
+        } else if ([Types.DECIMAL, Types.NEWDECIMAL].includes(field.columnType)) {
+            type = 'decimal';
+        } else if ([Types.TINY, Types.SHORT, Types.LONG, Types.INT24, Types.LONGLONG, Types.FLOAT, Types.DOUBLE, Types.YEAR].includes(field.columnType)) {
+            type = 'number';
         }
-        
-        // Direct INSERT with VALUES - ensure organization_id is set correctly
-        // This is more complex and would require parsing the column names and values
-        // For now, we'll rely on the AI model to generate correct INSERTs
+        return { name: field.name, type, decimals: field.decimals };
+    });
+}
+
+// mysql2 reads DATE and DATETIME values as Dates in the server's local time
+function formatResultDate(date, withTime) {
+    const pad = number => String(number).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return withTime ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` : day;
+}
+
+// A result value for CSV: dates as YYYY-MM-DD (with the time for DATETIME and TIMESTAMP columns),
+// decimals with all their places as MySQL sends them, JSON as JSON
+function csvResultValue(value, column) {
+    if (value === null || value === undefined) {
+        return null;
     }
-    
-    return sql;
+    if (value instanceof Date) {
+        return isNaN(value) ? null : formatResultDate(value, column.type === 'datetime');
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.toString('utf8');
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// A result value as an XLSX cell (see xlsxCell): dates as Excel dates, numbers and decimals as numbers
+function xlsxResultCell(value, column) {
+    if (value instanceof Date && !isNaN(value)) {
+        const local = Date.UTC(value.getFullYear(), value.getMonth(), value.getDate(), value.getHours(), value.getMinutes(), value.getSeconds());
+        return { value: (local - Date.UTC(1899, 11, 30)) / (24 * 60 * 60 * 1000), type: column.type === 'datetime' ? 'datetime' : 'date' };
+    }
+    if (['decimal', 'number'].includes(column.type) && value !== null && value !== '' && Number.isFinite(Number(value))) {
+        return { value: Number(value), type: column.type === 'decimal' && column.decimals === 2 ? 'decimal' : 'number' };
+    }
+    return { value: csvResultValue(value, column), type: 'text' };
+}
+
+// Run a SELECT on a connection of its own and stream its rows. Resolves with { columns, rows } once
+// MySQL has sent the column definitions; rows is an object-mode Readable of value lists. The
+// connection goes back to the pool once every row is read, and is closed if the rows are destroyed
+// before that (the rest of the result would still be waiting on it).
+async function streamSelect(sql) {
+    const connection = await dbPool.getConnection();
+    let settled = false;
+    const settle = () => {
+        if (!settled) {
+            settled = true;
+            connection.release();
+        }
+    };
+    const rows = new Readable({
+        objectMode: true,
+        highWaterMark: EXPORT_BUFFER_ROWS,
+        read() {
+            connection.connection.resume();
+        },
+        destroy(error, callback) {
+            if (!settled) {
+                settled = true;
+                connection.destroy();
+            }
+            callback(error);
+        }
+    });
+    // Errors reach whoever reads the rows; this only stops an unread stream's error from being unhandled
+    rows.on('error', () => {});
+
+    const columns = await new Promise((resolve, reject) => {
+        const query = connection.connection.query({ sql, rowsAsArray: true });
+        query.on('fields', fields => resolve(readResultColumns(fields)));
+        query.on('result', row => {
+            if (!rows.push(row)) connection.connection.pause();
+        });
+        query.on('error', error => {
+            settle();
+            reject(error);
+            rows.destroy(error);
+        });
+        query.on('end', () => {
+            settle();
+            rows.push(null);
+        });
+    });
+    return { columns, rows };
 }
 
-// Add a helper function to check for simple greetings
-function isSimpleGreeting(prompt) {
-    const greetings = ['hi', 'hello', 'hey', 'greetings', 'howdy', 'hola', 'namaste'];
-    const normalizedPrompt = prompt.toLowerCase().trim();
-    
-    // Check if the prompt is just a greeting or greeting with punctuation
-    return greetings.includes(normalizedPrompt) || 
-           greetings.some(greeting => normalizedPrompt === greeting + '!' || 
-                                      normalizedPrompt === greeting + '.' ||
-                                      normalizedPrompt === greeting + '?');
+// Run a validated SELECT and return its rows as a streamed CSV or XLSX download, with a header row of
+// the result's column names
+async function exportQueryResult(sql, format) {
+    const { columns, rows } = await streamSelect(sql);
+    const values = (async function* () {
+        for await (const row of rows) {
+            yield row.map((value, index) => format === 'xlsx' ? xlsxResultCell(value, columns[index]) : csvResultValue(value, columns[index]));
+        }
+    })();
+
+    const names = columns.map(column => column.name);
+    const file = format === 'xlsx' ? xlsxStream(names, values, { sheetName: 'Results' }) : csvStream(names, values);
+    // However the file ends (sent, failed or abandoned), the rows stop being read
+    file.once('close', () => rows.destroy());
+    return fileResponse(file, {
+        contentType: EXPORT_FORMATS[format].contentType,
+        filename: `query-results-${formatDateOnly(new Date())}.${EXPORT_FORMATS[format].extension}`
+    });
 }
 
 // --- API Endpoints ---
 
-app.post('/ai-query', async (req, res) => {
-    const { prompt } = req.body;
-    const userId = req.headers['x-user-id'];
-    const organizationId = req.headers['x-organization-id'];
+// Route handlers receive { body, query, headers, identity, caller } and return { statusCode, body }.
+// They never see Express or Lambda objects; see the Request Pipeline section below.
+
+const CALLER_NOT_FOUND_MESSAGE = "I couldn't find your user account in this organization, so I can't process this request.";
+
+async function handleAiQuery({ body, headers, identity }) {
+    const { prompt, confirmation_token: confirmationToken, cursor } = body;
+    const { userId, organizationId } = identity;
+
+    if (!prompt && !confirmationToken && !cursor) {
+        return { statusCode: 400, body: { message: 'Missing prompt. Please provide all required information.' } };
+    }
+
+    // SELECT results can be downloaded as CSV or XLSX instead of JSON
+    const { format: outputFormat, error: formatError } = readOutputFormat(body.format, headers);
+    if (formatError) {
+        return { statusCode: 400, body: { success: false, message: formatError } };
+    }
+
+    // SELECTs return one page of rows at a time
+    const { pageSize, error: pageSizeError } = readPageSize(body.page_size);
+    if (pageSizeError) {
+        return { statusCode: 400, body: { success: false, message: pageSizeError } };
+    }
 
-    if (!prompt || !userId || !organizationId) {
-        return res.status(400).json({ message: 'Missing prompt, user ID, or organization ID. Please provide all required information.' });
+    const { sessionId, error: sessionError } = readSessionId(body.session_id);
+    if (sessionError) {
+        return { statusCode: 400, body: { success: false, message: sessionError } };
     }
 
     // Handle simple greetings directly without calling the AI
-    if (isSimpleGreeting(prompt)) {
-        return res.json({
-            success: true,
-            message: "Hello! I'm your HR assistant. How can I help you with HR-related questions today?",
-            data: []
-        });
+    if (!confirmationToken && !cursor && isSimpleGreeting(prompt)) {
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: "Hello! I'm your HR assistant. How can I help you with HR-related questions today?",
+                data: []
+            }
+        };
+    }
+
+    // Load the caller's role for the permission checks below
+    const caller = await getCallerProfile(userId, organizationId, identity.role);
+    if (!caller) {
+        return { statusCode: 403, body: { success: false, message: CALLER_NOT_FOUND_MESSAGE } };
+    }
+
+    // Second step of a previewed write: apply it
+    if (confirmationToken) {
+        return confirmPendingWrite(confirmationToken, caller);
+    }
+
+    // The next page of an earlier SELECT is fetched without the AI
+    if (cursor) {
+        return continueQuery(cursor, caller, { pageSize, format: outputFormat });
+    }
+
+    // "Undo my last change" is handled without the AI
+    const undoRequest = parseUndoRequest(prompt);
+    if (undoRequest) {
+        return undoWrite(caller, undoRequest.auditId);
+    }
+
+    // Match the people named in the prompt; a name that fits several employees needs a clarifying question
+    const mentions = await resolveMentionedEmployees(prompt, caller);
+    if (mentions.ambiguous.length > 0) {
+        const clarification = buildClarificationResponse(mentions.ambiguous);
+        await recordConversationTurn(caller, sessionId, { prompt, result: clarification.body.message });
+        return clarification;
+    }
+
+    const systemPrompt = await getSystemPrompt(organizationId);
+
+    // Earlier turns of the session let the AI resolve follow-up questions
+    const history = formatConversationHistory(await loadConversationHistory(caller, sessionId));
+    const fullPrompt = `${history}User's question: "${prompt}"\nMy user_id is: "${userId}"\nMy organization_id is: "${organizationId}"\nMy role is: "${caller.role}"${describeResolvedEmployees(mentions.resolved)}\nToday's date is: "${describeToday(caller.timeZone)}"`;
+
+    let responseText = (await llm.generate(systemPrompt, fullPrompt)).trim();
+
+    // Robustly extract JSON from markdown block if present
+    const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]+?)\s*```/);
+    if (jsonMatch) {
+        responseText = jsonMatch[1].trim();
     }
 
+    // The AI should now return JSON
+    let parsedResponse;
     try {
-        const systemPrompt = await getSystemPrompt();
-        const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+        parsedResponse = JSON.parse(responseText);
+    } catch (e) {
+        console.error("Failed to parse JSON response from AI:", responseText);
+        return { statusCode: 500, body: { message: "I'm having trouble understanding your request. Could you please rephrase it?" } };
+    }
 
-        const fullPrompt = `User's question: "${prompt}"\nMy user_id is: "${userId}"\nMy organization_id is: "${organizationId}"`;
+    let { sql: generatedSql, confirmation_message: confirmationMessage } = parsedResponse;
 
-        const result = await model.generateContent([systemPrompt, fullPrompt]);
-        const response = await result.response;
-        let responseText = response.text().trim();
+    console.log("Cleaned SQL:", generatedSql);
 
-        // Robustly extract JSON from markdown block if present
-        const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]+?)\s*```/);
-        if (jsonMatch) {
-            responseText = jsonMatch[1].trim();
-        }
+    // Name filters the AI still wrote for matched people are switched to their user_id
+    generatedSql = Array.isArray(generatedSql)
+        ? generatedSql.map(statement => rewriteResolvedNames(statement, mentions.resolved))
+        : rewriteResolvedNames(generatedSql, mentions.resolved);
 
-        // The AI should now return JSON
-        let parsedResponse;
-        try {
-            parsedResponse = JSON.parse(responseText);
-        } catch (e) {
-            console.error("Failed to parse JSON response from AI:", responseText);
-            return res.status(500).json({ message: "I'm having trouble understanding your request. Could you please rephrase it?" });
-        }
+    // Several actions come back as an ordered plan and run in one transaction
+    if (Array.isArray(generatedSql) && generatedSql.length !== 1) {
+        return handleQueryPlan(generatedSql, { prompt, confirmationMessage, caller, sessionId, pageSize });
+    }
+    if (Array.isArray(generatedSql)) {
+        generatedSql = generatedSql[0];
+    }
 
-        let { sql: generatedSql, confirmation_message: confirmationMessage } = parsedResponse;
-        
-        console.log("Cleaned SQL:", generatedSql);
+    if (generatedSql.toUpperCase() === 'MULTI_ACTION_ERROR') {
+        return { statusCode: 400, body: { message: confirmationMessage || "Your request involves multiple actions. Please send separate prompts for each action." } };
+    }
 
-        if (generatedSql.toUpperCase() === 'MULTI_ACTION_ERROR') {
-            return res.status(400).json({ message: confirmationMessage || "Your request involves multiple actions. Please send separate prompts for each action." });
-        }
+    // Leave applications go through the same checks as POST /user/leave-apply
+    if (generatedSql.toUpperCase() === 'LEAVE_APPLICATION') {
+        const outcome = await applyForLeave(caller, parsedResponse.leave_application, { prompt });
+        await recordConversationTurn(caller, sessionId, { prompt, result: outcome.body.message });
+        return outcome;
+    }
 
-        if (generatedSql.toUpperCase() === 'IRRELEVANT') {
-            return res.status(400).json({ message: confirmationMessage || "I am an HR assistant for Vipraco and can only answer questions about employee data, leave, payroll, and company policies. How can I help you with an HR-related query?" });
-        }
-        
-        if (generatedSql.toUpperCase() === 'CROSS_ORG_ACCESS') {
-            return res.status(403).json({ 
+    // Payslips are worked out (and stored) as in GET /user/payslip
+    if (generatedSql.toUpperCase() === 'PAYSLIP') {
+        const outcome = await getPayslip(caller, { month: parsedResponse.payslip_month });
+        await recordConversationTurn(caller, sessionId, { prompt, result: outcome.body.message });
+        return outcome;
+    }
+
+    // Future-dated salary changes are scheduled as in POST /admin/salary-revisions
+    if (generatedSql.toUpperCase() === 'SALARY_REVISION') {
+        const outcome = caller.role === 'Admin'
+            ? await scheduleSalaryRevision(caller, parsedResponse.salary_revision, { futureOnly: true })
+            : { statusCode: 403, body: { success: false, message: 'Only Admins can change payroll data.' } };
+        await recordConversationTurn(caller, sessionId, { prompt, result: outcome.body.message });
+        return outcome;
+    }
+
+    // Policy questions are answered from the organization's own policies, with citations
+    if (generatedSql.toUpperCase() === 'POLICY_QUESTION') {
+        const outcome = await answerPolicyQuestion(caller, parsedResponse.policy_query || prompt);
+        await recordConversationTurn(caller, sessionId, { prompt, result: outcome.body.message });
+        return outcome;
+    }
+
+    if (generatedSql.toUpperCase() === 'IRRELEVANT') {
+        return { statusCode: 400, body: { message: confirmationMessage || "I am an HR assistant for Vipraco and can only answer questions about employee data, leave, payroll, and company policies. How can I help you with an HR-related query?" } };
+    }
+
+    if (generatedSql.toUpperCase() === 'CROSS_ORG_ACCESS') {
+        return {
+            statusCode: 403,
+            body: {
                 success: false,
-                message: confirmationMessage || "You don't have permission to access information about employees from other organizations." 
-            });
+                message: confirmationMessage || "You don't have permission to access information about employees from other organizations."
+            }
+        };
+    }
+
+    // Remove trailing semicolon if exists
+    if (generatedSql.endsWith(';')) {
+        generatedSql = generatedSql.slice(0, -1);
+    }
+
+    // Fix any SQL syntax issues
+    const fixedSql = fixSqlSyntax(generatedSql);
+
+    const safety = validateQuerySafety(fixedSql);
+    if (!safety.safe) {
+        return {
+            statusCode: 403,
+            body: {
+                success: false,
+                message: `For security reasons, I cannot perform this operation: ${safety.message} Please contact your system administrator if you need assistance.`,
+                rule: safety.rule
+            }
+        };
+    }
+
+    // Enforce organization-level access control
+    const scoping = enforceOrganizationAccess(fixedSql, organizationId);
+    if (!scoping.allowed) {
+        return { statusCode: 403, body: { success: false, message: scoping.message } };
+    }
+
+    // Enforce the caller's role policy
+    const authorization = authorizeQuery(scoping.sql, caller);
+    if (!authorization.allowed) {
+        return { statusCode: 403, body: { success: false, message: authorization.message } };
+    }
+    const restrictedSql = authorization.sql;
+
+    try {
+        // Validate if query is trying to access data from another organization
+        const validationResult = await validateCrossOrgAccess(restrictedSql, organizationId);
+        if (!validationResult.valid) {
+            return { statusCode: 403, body: { success: false, message: validationResult.message } };
         }
 
-        if (!isQuerySafe(generatedSql)) {
-            return res.status(403).json({ message: 'For security reasons, I cannot perform this operation. Please contact your system administrator if you need assistance.' });
+        // Salary changes and leave decisions are previewed first and run on confirmation
+        if (requiresConfirmation(restrictedSql)) {
+            const pendingWrite = await createPendingWrite({ sql: restrictedSql, prompt, confirmationMessage, caller });
+            await recordConversationTurn(caller, sessionId, { prompt, sql: restrictedSql, result: `Preview awaiting confirmation: ${JSON.stringify(pendingWrite.preview.rows)}` });
+            return { statusCode: 200, body: pendingWrite };
         }
-        
-        // Remove trailing semicolon if exists
-        if (generatedSql.endsWith(';')) {
-            generatedSql = generatedSql.slice(0, -1);
+
+        if (outputFormat !== 'json' && getStatementType(restrictedSql) === 'select') {
+            await ensureSupportTables();
+            const download = await exportQueryResult(restrictedSql, outputFormat);
+            logSqlQuery(restrictedSql, prompt, `Streamed as ${outputFormat.toUpperCase()}`);
+            await recordConversationTurn(caller, sessionId, { prompt, sql: restrictedSql, result: `The result was downloaded as ${outputFormat.toUpperCase()}.` });
+            return download;
         }
-        
-        // Fix any SQL syntax issues
-        const fixedSql = fixSqlSyntax(generatedSql);
-        
-        // Enforce organization-level access control
-        const restrictedSql = enforceOrganizationAccess(fixedSql, organizationId);
 
-        try {
-            // Validate if query is trying to access data from another organization
-            const validationResult = await validateCrossOrgAccess(restrictedSql, organizationId);
-            
-            if (!validationResult.valid) {
-                return res.status(403).json({
-                    success: false,
-                    message: validationResult.message
-                });
-            }
-            
-            const [queryResult] = await dbPool.execute(restrictedSql);
-            
-            // Log the SQL query execution details
-            logSqlQuery(restrictedSql, prompt, queryResult);
-
-            // For SELECT, result is an array of rows. For others, it's an info object.
-            if (Array.isArray(queryResult)) {
-                // Check if the data array is empty and provide a meaningful message
-                if (queryResult.length === 0) {
-                    // Extract the subject of the query from the confirmation message
-                    // For example, from "Retrieved Ananya's base salary", extract "Ananya's base salary"
-                    const subject = confirmationMessage.replace(/^(Found|Retrieved|Got|Fetched)\s+/, '');
-                    const noDataMessage = `I couldn't find any information for the request: "${subject}". The data may not exist, or you might need to check the spelling. You could try asking to see all employees or all pending leaves to get more context.`;
-                    
-                    res.json({ success: true, message: noDataMessage, data: [] });
-                    return;
-                }
-                
-                res.json({ success: true, message: confirmationMessage, data: queryResult });
-                return;
-            }
+        const { queryResult, page, leaveDecisions } = await executeGeneratedQuery(restrictedSql, { prompt, caller, confirmationMessage, pageSize });
 
-            // For UPDATE queries, check if any rows were affected
-            if (queryResult.affectedRows === 0) {
-                const noUpdateMessage = `I couldn't perform the requested update. It seems no matching records were found. For example, if you're trying to approve a leave, you could first ask to "show all pending leave requests" to see available options.`;
-                res.json({ success: false, message: noUpdateMessage, details: queryResult });
-                return;
-            }
+        // Log the SQL query execution details
+        logSqlQuery(restrictedSql, prompt, queryResult);
+        await recordConversationTurn(caller, sessionId, { prompt, sql: restrictedSql, result: queryResult });
 
-            // Check if this is a leave approval or rejection and send email notification
-            const isLeaveApproval = restrictedSql.includes('UPDATE LeaveBalances') && 
-                                   (restrictedSql.includes('leaves_pending_approval = 0'));
-            
-            if (isLeaveApproval) {
-                try {
-                    // Extract user information from the SQL query
-                    const userNameMatch = restrictedSql.match(/first_name\s*=\s*['"]([^'"]+)['"]/i);
-                    const leaveTypeMatch = restrictedSql.match(/leave_type\s*=\s*['"]([^'"]+)['"]/i);
-                    
-                    if (userNameMatch) {
-                        const firstName = userNameMatch[1];
-                        
-                        // Get user_id for the employee
-                        const [userResults] = await dbPool.execute(
-                            'SELECT user_id FROM Users WHERE first_name = ? AND organization_id = ?',
-                            [firstName, organizationId]
-                        );
-                        
-                        if (userResults.length > 0) {
-                            const userId = userResults[0].user_id;
-                            const leaveType = leaveTypeMatch ? leaveTypeMatch[1] : 'leave';
-                            const action = restrictedSql.includes('leaves_taken = lb.leaves_taken + lb.leaves_pending_approval') ? 
-                                'approve' : 'reject';
-                            
-                            // Send email notification and wait for it to complete to ensure it's sent in Lambda
-                            await sendLeaveNotificationEmail(userId, action, leaveType);
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error processing leave notification:', error);
-                    // Don't let email notification errors affect the API response
-                }
+        // For SELECT, result is an array of rows. For others, it's an info object.
+        if (Array.isArray(queryResult)) {
+            // Check if the data array is empty and provide a meaningful message
+            if (queryResult.length === 0) {
+                // Extract the subject of the query from the confirmation message
+                // For example, from "Retrieved Ananya's base salary", extract "Ananya's base salary"
+                const subject = confirmationMessage.replace(/^(Found|Retrieved|Got|Fetched)\s+/, '');
+                const noDataMessage = `I couldn't find any information for the request: "${subject}". The data may not exist, or you might need to check the spelling. You could try asking to see all employees or all pending leaves to get more context.`;
+                return { statusCode: 200, body: { success: true, message: noDataMessage, data: [], page } };
             }
 
-            res.json({ success: true, message: confirmationMessage, details: queryResult });
-        } catch (dbError) {
-            // Use the enhanced error handler
-            const errorResponse = handleDatabaseError(dbError, restrictedSql);
-            // Convert error to message for user-friendly display
-            return res.status(500).json({ 
+            return { statusCode: 200, body: { success: true, message: describePage(confirmationMessage, page), data: queryResult, page } };
+        }
+
+        // For UPDATE queries, check if any rows were affected
+        if (queryResult.affectedRows === 0) {
+            const noUpdateMessage = `I couldn't perform the requested update. It seems no matching records were found. For example, if you're trying to approve a leave, you could first ask to "show all pending leave requests" to see available options.`;
+            return { statusCode: 200, body: { success: false, message: noUpdateMessage, details: queryResult } };
+        }
+
+        // Email employees whose leave requests were approved or rejected
+        await notifyLeaveDecisions(leaveDecisions);
+
+        return { statusCode: 200, body: { success: true, message: confirmationMessage, details: queryResult } };
+    } catch (dbError) {
+        // Use the enhanced error handler
+        const errorResponse = handleDatabaseError(dbError, restrictedSql);
+        // Convert error to message for user-friendly display
+        return {
+            statusCode: dbError.statusCode || 500,
+            body: {
                 success: false,
                 message: errorResponse.message || errorResponse.error,
                 technical_details: {
                     details: errorResponse.details,
                     sql: errorResponse.sql
                 }
-            });
-        }
-
-    } catch (error) {
-        console.error('Error processing AI query:', error);
-        const userFriendlyMessage = "I encountered an issue while processing your request. Please try again or rephrase your question.";
-        res.status(500).json({ success: false, message: userFriendlyMessage, technical_details: error.message });
+            }
+        };
     }
-});
-
-app.get('/', (req, res) => {
-    res.send('AI Backend is running!');
-});
+}
 
 // Test endpoint for email verification
-app.get('/test-email', async (req, res) => {
+async function handleTestEmail() {
     try {
         // Create test email
         const testMailOptions = {
@@ -667,340 +7814,758 @@ app.get('/test-email', async (req, res) => {
         // Send test email
         const info = await transporter.sendMail(testMailOptions);
         console.log('Test email sent successfully:', info.messageId);
-        
-        res.json({
-            success: true,
-            message: 'Test email sent successfully!',
-            details: {
-                messageId: info.messageId,
-                to: process.env.EMAIL_USER,
-                service: process.env.EMAIL_SERVICE || 'gmail'
+
+        return {
+            statusCode: 200,
+            body: {
+                success: true,
+                message: 'Test email sent successfully!',
+                details: {
+                    messageId: info.messageId,
+                    to: process.env.EMAIL_USER,
+                    service: process.env.EMAIL_SERVICE || 'gmail'
+                }
             }
-        });
+        };
     } catch (error) {
         console.error('Error sending test email:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to send test email',
-            error: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        return {
+            statusCode: 500,
+            body: {
+                success: false,
+                message: 'Failed to send test email',
+                error: error.message,
+                stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            }
+        };
+    }
+}
+
+// auth: authenticate the caller first; caller: also load their profile (403 when unknown);
+// admin: load the profile and require the Admin role.
+// failureMessage is returned, with the error, when the handler throws.
+const ROUTES = [
+    {
+        method: 'GET',
+        path: '/',
+        handler: async () => ({ statusCode: 200, body: 'AI Backend is running!' })
+    },
+    {
+        method: 'POST',
+        path: '/ai-query',
+        auth: true,
+        handler: handleAiQuery,
+        failureMessage: 'I encountered an issue while processing your request. Please try again or rephrase your question.'
+    },
+    {
+        // Apply for leave: { leave_type, start_date, end_date or days, reason }
+        method: 'POST',
+        path: '/user/leave-apply',
+        auth: true,
+        caller: true,
+        handler: ({ body, caller }) => applyForLeave(caller, body),
+        failureMessage: 'I could not submit your leave request. Please try again.'
+    },
+    {
+        // Pending leave requests waiting on the caller's approval, including delegated ones
+        method: 'GET',
+        path: '/user/leave-approvals',
+        auth: true,
+        caller: true,
+        handler: ({ caller }) => listPendingApprovals(caller),
+        failureMessage: 'I could not load the leave requests waiting on you. Please try again.'
+    },
+    {
+        // Approve or reject a leave request waiting on the caller: { request_id, action }
+        method: 'POST',
+        path: '/user/leave-approvals/decide',
+        auth: true,
+        caller: true,
+        handler: ({ body, caller }) => decideLeaveRequest(caller, body),
+        failureMessage: 'I could not record your decision on that leave request. Please try again.'
+    },
+    {
+        // Approval delegations the caller has given and received (Admins: ?user_id=)
+        method: 'GET',
+        path: '/user/approval-delegations',
+        auth: true,
+        caller: true,
+        handler: ({ query, caller }) => listApprovalDelegations(caller, query),
+        failureMessage: 'I could not load the approval delegations. Please try again.'
+    },
+    {
+        // Delegate leave approvals for a date range: { delegate_id, start_date, end_date, reason, delegator_id (Admins) }
+        method: 'POST',
+        path: '/user/approval-delegations',
+        auth: true,
+        caller: true,
+        handler: ({ body, caller }) => createApprovalDelegation(caller, body),
+        failureMessage: 'I could not set up the delegation. Please try again.'
+    },
+    {
+        // End a delegation early: { delegation_id }
+        method: 'POST',
+        path: '/user/approval-delegations/revoke',
+        auth: true,
+        caller: true,
+        handler: ({ body, caller }) => revokeApprovalDelegation(caller, body),
+        failureMessage: 'I could not revoke the delegation. Please try again.'
+    },
+    {
+        // The caller's generated payslips
+        method: 'GET',
+        path: '/user/payslips',
+        auth: true,
+        caller: true,
+        handler: ({ caller }) => listPayslips(caller),
+        failureMessage: 'I could not load your payslips. Please try again.'
+    },
+    {
+        // ?month=YYYY-MM&format=json|pdf|csv (Admins: &user_id=); "Accept: application/pdf" also asks for the PDF
+        method: 'GET',
+        path: '/user/payslip',
+        auth: true,
+        caller: true,
+        handler: ({ query, headers, caller }) => getPayslip(caller, {
+            ...query,
+            format: query.format || (/application\/pdf/i.test(getHeader(headers, 'accept') || '') ? 'pdf' : undefined)
+        }),
+        failureMessage: 'I could not get the payslip. Please try again.'
+    },
+    {
+        // ?as_of=YYYY-MM-DD (managers and Admins: &user_id=); the salary timeline, newest first
+        method: 'GET',
+        path: '/user/salary-revisions',
+        auth: true,
+        caller: true,
+        handler: ({ query, caller }) => listSalaryRevisions(caller, query),
+        failureMessage: 'I could not load the salary history. Please try again.'
+    },
+    {
+        // Clear the caller's conversation history: one session_id, or every session when none is given
+        method: 'POST',
+        path: '/session/clear',
+        auth: true,
+        handler: ({ body, identity }) => clearConversation(identity, body.session_id),
+        failureMessage: 'I could not clear the conversation history. Please try again.'
+    },
+    {
+        // Undo a change made through the assistant: a specific audit_id, or the caller's most recent change
+        method: 'POST',
+        path: '/undo',
+        auth: true,
+        caller: true,
+        handler: ({ body, caller }) => undoWrite(caller, body.audit_id ? parseInt(body.audit_id, 10) : null),
+        failureMessage: 'I could not undo that change. Please try again.'
+    },
+    {
+        // Admin-only: list the audit trail of changes made through the assistant
+        method: 'GET',
+        path: '/admin/audit',
+        auth: true,
+        admin: true,
+        handler: ({ query, caller }) => listAuditRecords(caller, query),
+        failureMessage: 'I could not load the audit trail. Please try again.'
+    },
+    {
+        // Admin-only: list company policies with their review status
+        method: 'GET',
+        path: '/admin/company-policy',
+        auth: true,
+        admin: true,
+        handler: ({ query, caller }) => listPolicies(caller, query),
+        failureMessage: 'I could not load the company policies. Please try again.'
+    },
+    {
+        // Admin-only: create a policy, or update one when policy_id is given
+        method: 'POST',
+        path: '/admin/company-policy',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => savePolicy(caller, body),
+        failureMessage: 'I could not save the policy. Please try again.'
+    },
+    {
+        // Admin-only: archive a policy, or unarchive it with { archived: false }
+        method: 'POST',
+        path: '/admin/company-policy/archive',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => archivePolicy(caller, body),
+        failureMessage: 'I could not archive the policy. Please try again.'
+    },
+    {
+        // Admin-only: version history of one policy
+        method: 'GET',
+        path: '/admin/company-policy/versions',
+        auth: true,
+        admin: true,
+        handler: ({ query, caller }) => listPolicyVersions(caller, query),
+        failureMessage: 'I could not load the policy history. Please try again.'
+    },
+    {
+        // Admin-only: bring a policy back to an earlier version
+        method: 'POST',
+        path: '/admin/company-policy/restore',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => restorePolicyVersion(caller, body),
+        failureMessage: 'I could not restore the policy. Please try again.'
+    },
+    {
+        // Admin-only: active policies that are due for review
+        method: 'GET',
+        path: '/admin/company-policy/review-report',
+        auth: true,
+        admin: true,
+        handler: ({ query, caller }) => getPolicyReviewReport(caller, query),
+        failureMessage: 'I could not build the policy review report. Please try again.'
+    },
+    {
+        // Admin-only: email settings, templates and placeholders
+        method: 'GET',
+        path: '/admin/email-templates',
+        auth: true,
+        admin: true,
+        handler: ({ caller }) => listEmailTemplates(caller),
+        failureMessage: 'I could not load the email templates. Please try again.'
+    },
+    {
+        // Admin-only: save (or reset) the organization's version of a template for one locale
+        method: 'POST',
+        path: '/admin/email-templates',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => saveEmailTemplate(caller, body),
+        failureMessage: 'I could not save the email template. Please try again.'
+    },
+    {
+        // Admin-only: render a template with sample data
+        method: 'POST',
+        path: '/admin/email-templates/preview',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => previewEmailTemplate(caller, body),
+        failureMessage: 'I could not preview the email template. Please try again.'
+    },
+    {
+        // Admin-only: sender name, reply-to address, footer and default locale
+        method: 'POST',
+        path: '/admin/email-settings',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => saveEmailSettings(caller, body),
+        failureMessage: 'I could not save the email settings. Please try again.'
+    },
+    {
+        // Admin-only: notifications that failed (or any status) in the outbox
+        method: 'GET',
+        path: '/admin/notifications',
+        auth: true,
+        admin: true,
+        handler: ({ query, caller }) => listNotifications(caller, query),
+        failureMessage: 'I could not load the notifications. Please try again.'
+    },
+    {
+        // Admin-only: send failed notifications again
+        method: 'POST',
+        path: '/admin/notifications/resend',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => resendNotifications(caller, body),
+        failureMessage: 'I could not resend the notifications. Please try again.'
+    },
+    {
+        // Admin-only: which leave types need HR approval after the manager's
+        method: 'GET',
+        path: '/admin/leave-approval-rules',
+        auth: true,
+        admin: true,
+        handler: ({ caller }) => listLeaveApprovalRules(caller),
+        failureMessage: 'I could not load the leave approval rules. Please try again.'
+    },
+    {
+        // Admin-only: { leave_type ('*' = default), requires_hr_approval } or { leave_type, reset: true }
+        method: 'POST',
+        path: '/admin/leave-approval-rules',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => saveLeaveApprovalRule(caller, body),
+        failureMessage: 'I could not save the leave approval rule. Please try again.'
+    },
+    {
+        // Admin-only: generate a month's payslips { month, user_ids? }; existing ones are left as they are
+        method: 'POST',
+        path: '/admin/payslips/generate',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => runPayroll(caller, body),
+        failureMessage: 'I could not generate the payslips. Please try again.'
+    },
+    {
+        // Admin-only: ?month=YYYY-MM&format=json|csv
+        method: 'GET',
+        path: '/admin/payroll-register',
+        auth: true,
+        admin: true,
+        handler: ({ query, caller }) => getPayrollRegister(caller, query),
+        failureMessage: 'I could not build the payroll register. Please try again.'
+    },
+    {
+        // Admin-only: payroll rules, professional tax slabs and the payroll records that don't match them
+        method: 'GET',
+        path: '/admin/payroll-rules',
+        auth: true,
+        admin: true,
+        handler: ({ caller }) => getPayrollRules(caller),
+        failureMessage: 'I could not load the payroll rules. Please try again.'
+    },
+    {
+        // Admin-only: { hra_percent, pf_percent, ... } (null switches a rule off) or { reset: true }
+        method: 'POST',
+        path: '/admin/payroll-rules',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => savePayrollRules(caller, body),
+        failureMessage: 'I could not save the payroll rules. Please try again.'
+    },
+    {
+        // Admin-only: { state, slabs: [{ min_gross, monthly_tax }] } or { state, reset: true }
+        method: 'POST',
+        path: '/admin/payroll-rules/professional-tax',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => saveProfessionalTaxSlabs(caller, body),
+        failureMessage: 'I could not save the professional tax slabs. Please try again.'
+    },
+    {
+        // Admin-only: { user_id, effective_date, base_salary, conveyance_allowance?, medical_allowance?, reason }
+        method: 'POST',
+        path: '/admin/salary-revisions',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => scheduleSalaryRevision(caller, body),
+        failureMessage: 'I could not record the salary revision. Please try again.'
+    },
+    {
+        // Admin-only: { revision_id } of a revision that hasn't taken effect yet
+        method: 'POST',
+        path: '/admin/salary-revisions/cancel',
+        auth: true,
+        admin: true,
+        handler: ({ body, caller }) => cancelSalaryRevision(caller, body),
+        failureMessage: 'I could not cancel the salary revision. Please try again.'
+    },
+    {
+        // Admin-only: ?from=YYYY-MM-DD&to=YYYY-MM-DD&department=&format=json|csv
+        method: 'GET',
+        path: '/admin/increment-report',
+        auth: true,
+        admin: true,
+        handler: ({ query, caller }) => getIncrementReport(caller, query),
+        failureMessage: 'I could not build the increment report. Please try again.'
+    },
+    {
+        method: 'GET',
+        path: '/test-email',
+        handler: handleTestEmail
+    }
+];
+
+// --- Request Pipeline ---
+
+// The Express app and the Lambda handler both turn their request into
+// { method, path, headers, query, body } (body is the raw text) and call handleRequest(),
+// so routing, authentication, CORS and error responses are the same whichever way a request arrives.
+
+const DEFAULT_FAILURE_MESSAGE = 'I encountered an issue while processing your request. Please try again or rephrase your question.';
+
+// Comma-separated origins allowed to call the API from a browser; '*' (the default) allows any
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+function getCorsHeaders(headers) {
+    if (ALLOWED_ORIGINS.includes('*')) {
+        return { 'Access-Control-Allow-Origin': '*' };
+    }
+    const origin = getHeader(headers, 'origin');
+    return origin && ALLOWED_ORIGINS.includes(origin)
+        ? { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' }
+        : { Vary: 'Origin' };
+}
+
+// '/undo/' and '/undo' are the same route
+function normalizePath(requestPath) {
+    const trimmed = (requestPath || '/').replace(/\/+$/, '');
+    return trimmed || '/';
+}
+
+async function routeRequest(request) {
+    const method = (request.method || 'GET').toUpperCase();
+    const requestPath = normalizePath(request.path);
+
+    // CORS preflight
+    if (method === 'OPTIONS') {
+        return {
+            statusCode: 204,
+            headers: {
+                'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type,Authorization,x-user-id,x-organization-id',
+                'Access-Control-Max-Age': '600'
+            },
+            body: ''
+        };
+    }
+
+    const route = ROUTES.find(candidate => candidate.method === method && candidate.path === requestPath);
+    if (!route) {
+        return { statusCode: 404, body: { success: false, message: `There is no ${method} ${requestPath} endpoint.` } };
+    }
+
+    let body = {};
+    if (request.body) {
+        try {
+            body = JSON.parse(request.body);
+        } catch (error) {
+            body = null;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return { statusCode: 400, body: { success: false, message: 'Invalid request body. Please send a JSON object.' } };
+        }
+    }
+
+    const context = { body, query: request.query || {}, headers: request.headers || {} };
+    if (route.auth) {
+        const authentication = authenticateRequest(context.headers);
+        if (!authentication.authenticated) {
+            return { statusCode: authentication.statusCode, body: { success: false, message: authentication.message } };
+        }
+        context.identity = authentication.identity;
+    }
+
+    try {
+        if (route.caller || route.admin) {
+            const { userId, organizationId, role } = context.identity;
+            context.caller = await getCallerProfile(userId, organizationId, role);
+            if (!context.caller) {
+                return { statusCode: 403, body: { success: false, message: CALLER_NOT_FOUND_MESSAGE } };
+            }
+            if (route.admin && context.caller.role !== 'Admin') {
+                return { statusCode: 403, body: { success: false, message: 'Only Admins can access this endpoint.' } };
+            }
+        }
+        return await route.handler(context);
+    } catch (error) {
+        console.error(`Error handling ${method} ${requestPath}:`, error);
+        return {
+            statusCode: error.statusCode || 500,
+            body: { success: false, message: route.failureMessage || DEFAULT_FAILURE_MESSAGE, technical_details: error.message }
+        };
+    }
+}
+
+// Route a request and turn the handler's { statusCode, headers?, body } into a wire response:
+// { statusCode, headers, body }. Objects are sent as JSON and strings as plain text, unless the
+// handler set its own Content-Type; Buffers and Readable streams (file downloads) are sent as they are.
+async function handleRequest(request) {
+    let response;
+    try {
+        response = await routeRequest(request);
+    } catch (error) {
+        console.error('Error processing request:', error);
+        response = {
+            statusCode: 500,
+            body: { success: false, message: DEFAULT_FAILURE_MESSAGE, technical_details: error.message }
+        };
+    }
+
+    const isText = typeof response.body === 'string';
+    const isFile = Buffer.isBuffer(response.body) || response.body instanceof Readable;
+    const headers = { ...getCorsHeaders(request.headers), ...response.headers };
+    if (response.statusCode !== 204 && !headers['Content-Type']) {
+        headers['Content-Type'] = isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8';
+    }
+    return {
+        statusCode: response.statusCode,
+        headers,
+        body: isText || isFile ? response.body : JSON.stringify(response.body)
+    };
+}
+
+// --- Express Adapter ---
+
+app.disable('x-powered-by');
+app.set('etag', false);
+
+// Bodies are read as text and parsed by the pipeline, as they are for Lambda
+app.use(express.text({ type: () => true, limit: '6mb' }));
+
+app.use(async (req, res) => {
+    const response = await handleRequest({
+        method: req.method,
+        path: req.path,
+        headers: req.headers,
+        query: Object.fromEntries(new URL(req.originalUrl, 'http://localhost').searchParams),
+        body: typeof req.body === 'string' ? req.body : ''
+    });
+    res.status(response.statusCode).set(response.headers);
+    if (response.body instanceof Readable) {
+        // Streamed downloads are sent as they are produced; a failure part-way cuts the response short
+        pipeline(response.body, res, error => {
+            if (error) console.error('Error streaming response:', error.message);
         });
+        return;
     }
+    res.send(response.body);
+});
+
+// Body-reading failures (too large, bad encoding) answer like any other pipeline error
+app.use((error, req, res, next) => {
+    console.error('Error reading request body:', error.message);
+    res.status(error.status || 400)
+        .set({ 'Content-Type': 'application/json; charset=utf-8', ...getCorsHeaders(req.headers) })
+        .send(JSON.stringify({ success: false, message: 'Invalid request body. Please send a JSON object.' }));
 });
 
-// For local development
-if (process.env.NODE_ENV !== 'production') {
+// For local development (`node index.js`; the test suite loads this file without starting a server)
+if (require.main === module && process.env.NODE_ENV !== 'production') {
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
         console.log(`Server is running on port ${PORT}`);
     });
+
+    // Retry queued notifications; on Lambda a scheduled event does this (see exports.handler)
+    setInterval(() => {
+        dispatchNotifications().catch(error => console.error('Error dispatching notifications:', error.message));
+    }, NOTIFICATION_DISPATCH_INTERVAL_SECONDS * 1000).unref();
+
+    // Apply scheduled salary revisions once they are due; on Lambda an hourly scheduled event does this
+    setInterval(() => {
+        applyDueSalaryRevisions().catch(error => console.error('Error applying salary revisions:', error.message));
+    }, SALARY_REVISION_CHECK_MINUTES * 60 * 1000).unref();
 }
 
-// For AWS Lambda
-exports.handler = async (event, context) => {
-    // Log the incoming event for debugging
-    console.log('Event:', JSON.stringify(event));
+// --- Lambda Adapter ---
 
-    let response;
+// Single-value view of a multi-value map (ALB with multi-value headers, REST API multiValue* fields)
+function lastValues(multiValueMap) {
+    return Object.fromEntries(Object.entries(multiValueMap || {}).map(([key, values]) => [key, values[values.length - 1]]));
+}
 
+// ALB passes query strings through still URL-encoded
+function decodeQueryComponent(value) {
     try {
-        // Parse the incoming request from API Gateway
-        const path = event.path;
-        const httpMethod = event.httpMethod;
-        const headers = event.headers || {};
-        let body = {};
-        
-        try {
-            if (event.body) {
-                body = JSON.parse(event.body);
-            }
-        } catch (error) {
-            console.error('Error parsing request body:', error);
-            // Even with a parse error, we should return a proper response
-            response = {
-                statusCode: 400,
-                body: JSON.stringify({ error: 'Invalid request body' })
-            };
-            return response; // Early exit
-        }
-        
-        // Route the request based on path and method
-        if (path === '/' && httpMethod === 'GET') {
-            // Health check endpoint
-            response = {
-                statusCode: 200,
-                body: 'AI Backend is running!'
-            };
-        } else if (path === '/ai-query' && httpMethod === 'POST') {
-            // AI query endpoint
-            const { prompt } = body;
-            const userId = headers['x-user-id'];
-            const organizationId = headers['x-organization-id'];
-            
-            if (!prompt || !userId || !organizationId) {
-                response = {
-                    statusCode: 400,
-                    body: JSON.stringify({ message: 'Missing prompt, user ID, or organization ID. Please provide all required information.' }),
-                };
-            } else if (isSimpleGreeting(prompt)) {
-                // Handle simple greetings directly without calling the AI
-                response = {
-                    statusCode: 200,
-                    body: JSON.stringify({
-                        success: true,
-                        message: "Hello! I'm your HR assistant. How can I help you with HR-related questions today?",
-                        data: []
-                    })
-                };
-            } else {
-                const systemPrompt = await getSystemPrompt();
-                const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-                
-                const fullPrompt = `User's question: "${prompt}"\nMy user_id is: "${userId}"\nMy organization_id is: "${organizationId}"`;
-                
-                const result = await model.generateContent([systemPrompt, fullPrompt]);
-                const aiResponse = await result.response;
-                let responseText = aiResponse.text().trim();
-                
-                // Robustly extract JSON from markdown block if present
-                const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]+?)\s*```/);
-                if (jsonMatch) {
-                    responseText = jsonMatch[1].trim();
-                }
-                
-                // Parse the AI's JSON response
-                let parsedResponse;
-                try {
-                    parsedResponse = JSON.parse(responseText);
-                } catch (e) {
-                    console.error("Failed to parse JSON response from AI:", responseText);
-                    response = {
-                        statusCode: 500,
-                        body: JSON.stringify({ message: "I'm having trouble understanding your request. Could you please rephrase it?" }),
-                    };
-                }
+        return decodeURIComponent(String(value).replace(/\+/g, ' '));
+    } catch (error) {
+        return value;
+    }
+}
 
-                if (response) { // If parsing failed, we already set the response
-                    // do nothing
-                } else {
-                    let { sql: generatedSql, confirmation_message: confirmationMessage } = parsedResponse;
-                
-                    console.log("Cleaned SQL:", generatedSql);
-                    
-                    if (generatedSql.toUpperCase() === 'MULTI_ACTION_ERROR') {
-                        response = {
-                            statusCode: 400,
-                            body: JSON.stringify({ message: confirmationMessage || "Your request involves multiple actions. Please send separate prompts for each action." }),
-                        };
-                    } else if (generatedSql.toUpperCase() === 'IRRELEVANT') {
-                        response = {
-                            statusCode: 400,
-                            body: JSON.stringify({ message: confirmationMessage || "I am an HR assistant for Vipraco and can only answer questions about employee data, leave, payroll, and company policies. How can I help you with an HR-related query?" }),
-                        };
-                    } else if (generatedSql.toUpperCase() === 'CROSS_ORG_ACCESS') {
-                        response = {
-                            statusCode: 403,
-                            body: JSON.stringify({ 
-                                success: false,
-                                message: confirmationMessage || "You don't have permission to access information about employees from other organizations." 
-                            }),
-                        };
-                    } else if (!isQuerySafe(generatedSql)) {
-                        response = {
-                            statusCode: 403,
-                            body: JSON.stringify({ message: 'For security reasons, I cannot perform this operation. Please contact your system administrator if you need assistance.' }),
-                        };
-                    } else {
-                        // Remove trailing semicolon if exists
-                        if (generatedSql.endsWith(';')) {
-                            generatedSql = generatedSql.slice(0, -1);
-                        }
-                        
-                        // Fix any SQL syntax issues
-                        const fixedSql = fixSqlSyntax(generatedSql);
-                        
-                        // Enforce organization-level access control
-                        const restrictedSql = enforceOrganizationAccess(fixedSql, organizationId);
-
-                        try {
-                            // Validate if query is trying to access data from another organization
-                            const validationResult = await validateCrossOrgAccess(restrictedSql, organizationId);
-                            
-                            if (!validationResult.valid) {
-                                response = {
-                                    statusCode: 403,
-                                    body: JSON.stringify({
-                                        success: false,
-                                        message: validationResult.message
-                                    }),
-                                };
-                            } else {
-                                const [queryResult] = await dbPool.execute(restrictedSql);
-                                
-                                // Log the SQL query execution details
-                                logSqlQuery(restrictedSql, prompt, queryResult);
-                                
-                                let responseMessage = confirmationMessage;
-                                let success = true;
-                                
-                                // Check if the data array is empty and provide a meaningful message
-                                if (Array.isArray(queryResult) && queryResult.length === 0) {
-                                    // Extract the subject of the query from the confirmation message
-                                    const subject = confirmationMessage.replace(/^(Found|Retrieved|Got|Fetched)\s+/, '');
-                                    responseMessage = `I couldn't find any information for the request: "${subject}". The data may not exist, or you might need to check the spelling. You could try asking to see all employees or all pending leaves to get more context.`;
-                                }
-                                
-                                // For UPDATE queries, check if any rows were affected
-                                if (!Array.isArray(queryResult) && queryResult.affectedRows === 0) {
-                                    responseMessage = `I couldn't perform the requested update. It seems no matching records were found. For example, if you're trying to approve a leave, you could first ask to "show all pending leave requests" to see available options.`;
-                                    success = false;
-                                }
-                                
-                                // Check if this is a leave approval or rejection and send email notification
-                                const isLeaveApproval = restrictedSql.includes('UPDATE LeaveBalances') && 
-                                                       (restrictedSql.includes('leaves_pending_approval = 0'));
-                                
-                                if (isLeaveApproval) {
-                                    try {
-                                        // Extract user information from the SQL query
-                                        const userNameMatch = restrictedSql.match(/first_name\s*=\s*['"]([^'"]+)['"]/i);
-                                        const leaveTypeMatch = restrictedSql.match(/leave_type\s*=\s*['"]([^'"]+)['"]/i);
-                                        
-                                        if (userNameMatch) {
-                                            const firstName = userNameMatch[1];
-                                            
-                                            // Get user_id for the employee
-                                            const [userResults] = await dbPool.execute(
-                                                'SELECT user_id FROM Users WHERE first_name = ? AND organization_id = ?',
-                                                [firstName, organizationId]
-                                            );
-                                            
-                                            if (userResults.length > 0) {
-                                                const userId = userResults[0].user_id;
-                                                const leaveType = leaveTypeMatch ? leaveTypeMatch[1] : 'leave';
-                                                const action = restrictedSql.includes('leaves_taken = lb.leaves_taken + lb.leaves_pending_approval') ? 
-                                                    'approve' : 'reject';
-                                                
-                                                // Send email notification and wait for it to complete to ensure it's sent in Lambda
-                                                await sendLeaveNotificationEmail(userId, action, leaveType);
-                                            }
-                                        }
-                                    } catch (error) {
-                                        console.error('Error processing leave notification:', error);
-                                        // Don't let email notification errors affect the API response
-                                    }
-                                }
-                                
-                                const responseBody = {
-                                    success: success,
-                                    message: responseMessage,
-                                    data: Array.isArray(queryResult) ? queryResult : undefined,
-                                    details: !Array.isArray(queryResult) ? queryResult : undefined,
-                                };
-
-                                response = {
-                                    statusCode: 200,
-                                    body: JSON.stringify(responseBody),
-                                };
-                            }
-                        } catch (dbError) {
-                            // Use the enhanced error handler
-                            const errorResponse = handleDatabaseError(dbError, restrictedSql);
-                            response = {
-                                statusCode: 500,
-                                body: JSON.stringify({ 
-                                    success: false,
-                                    message: errorResponse.message || errorResponse.error,
-                                    technical_details: {
-                                        details: errorResponse.details,
-                                        sql: errorResponse.sql
-                                    }
-                                }),
-                            };
-                        }
-                    }
-                }
-            }
-        } else if (path === '/test-email' && httpMethod === 'GET') {
-            // Test endpoint for email verification in Lambda
-            try {
-                // Create test email
-                const testMailOptions = {
-                    from: process.env.EMAIL_USER,
-                    to: process.env.EMAIL_USER, // Send to yourself for testing
-                    subject: 'VIPRA HR Assistant - Lambda Email Test',
-                    text: 'This is a test email from VIPRA HR Assistant Lambda to verify email configuration.'
-                };
+// Accepts API Gateway REST (v1) proxy events, HTTP API (v2) events and ALB target events
+function readLambdaEvent(event) {
+    const requestContext = event.requestContext || {};
+    const source = requestContext.elb ? 'alb' : event.version === '2.0' ? 'http-api' : 'rest-api';
 
-                console.log('Lambda: Attempting to send test email with config:', {
-                    service: process.env.EMAIL_SERVICE || 'gmail',
-                    user: process.env.EMAIL_USER,
-                    // Password hidden for security
-                });
+    let method = event.httpMethod;
+    let requestPath = event.path;
+    let query = event.queryStringParameters || lastValues(event.multiValueQueryStringParameters);
+    const headers = event.headers || lastValues(event.multiValueHeaders);
 
-                // Send test email
-                const info = await transporter.sendMail(testMailOptions);
-                console.log('Lambda: Test email sent successfully:', info.messageId);
-                
-                response = {
-                    statusCode: 200,
-                    body: JSON.stringify({
-                        success: true,
-                        message: 'Test email sent successfully from Lambda!',
-                        details: {
-                            messageId: info.messageId,
-                            to: process.env.EMAIL_USER,
-                            service: process.env.EMAIL_SERVICE || 'gmail'
-                        }
-                    })
-                };
-            } catch (error) {
-                console.error('Lambda: Error sending test email:', error);
-                response = {
-                    statusCode: 500,
-                    body: JSON.stringify({
-                        success: false,
-                        message: 'Failed to send test email from Lambda',
-                        error: error.message
-                    })
-                };
+    if (source === 'http-api') {
+        method = requestContext.http && requestContext.http.method;
+        requestPath = event.rawPath;
+        // Named stages are part of rawPath; REST APIs already strip them
+        const stagePrefix = requestContext.stage && requestContext.stage !== '$default' ? `/${requestContext.stage}` : null;
+        if (stagePrefix && (requestPath === stagePrefix || requestPath.startsWith(`${stagePrefix}/`))) {
+            requestPath = requestPath.slice(stagePrefix.length) || '/';
+        }
+        query = event.queryStringParameters || {};
+    } else if (source === 'alb') {
+        query = Object.fromEntries(Object.entries(query).map(([key, value]) => [decodeQueryComponent(key), decodeQueryComponent(value)]));
+    }
+
+    let body = event.body || '';
+    if (body && event.isBase64Encoded) {
+        body = Buffer.from(body, 'base64').toString('utf8');
+    }
+
+    return { source, request: { method, path: requestPath, headers, query, body } };
+}
+
+// A Lambda response can be 6 MB at most, and binary bodies grow by a third when base64-encoded
+const LAMBDA_MAX_FILE_BYTES = 4 * 1024 * 1024;
+
+// Lambda responses are sent whole, so a streamed body is read into a Buffer (or a string, for text
+// types). A file over LAMBDA_MAX_FILE_BYTES, or one that fails part-way, is replaced by an error.
+async function bufferResponseBody(response) {
+    if (!(response.body instanceof Readable)) {
+        return response;
+    }
+    const { 'Content-Disposition': disposition, ...headers } = response.headers;
+    const failure = (statusCode, message) => ({
+        statusCode,
+        headers: { ...headers, 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify({ success: false, message })
+    });
+
+    const chunks = [];
+    let size = 0;
+    try {
+        for await (const chunk of response.body) {
+            const bytes = Buffer.from(chunk);
+            size += bytes.length;
+            if (size > LAMBDA_MAX_FILE_BYTES) {
+                response.body.destroy();
+                return failure(413, `This download is larger than ${LAMBDA_MAX_FILE_BYTES / (1024 * 1024)} MB, which is the most I can send from here. Please narrow the question down, for example to one department or a date range.`);
             }
-        } else {
-            // Route not found
-            response = {
-                statusCode: 404,
-                body: JSON.stringify({ error: 'Not found' }),
-            };
+            chunks.push(bytes);
         }
     } catch (error) {
-        console.error('Error processing request:', error);
-        response = {
-            statusCode: 500,
-            body: JSON.stringify({ 
-                success: false,
-                message: 'I encountered an issue while processing your request. Please try again or rephrase your question.', 
-                technical_details: error.message 
-            }),
-        };
-    } finally {
-        // Ensure headers are always added
-        if (!response) {
-            // Fallback for unexpected exit
-            response = { 
-                statusCode: 500, 
-                body: JSON.stringify({ 
-                    success: false,
-                    message: 'I encountered an unexpected issue. Please try again later.' 
-                }) 
-            };
-        }
-        response.headers = {
-            ...response.headers,
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-        };
+        console.error('Error reading streamed response:', error);
+        return failure(500, DEFAULT_FAILURE_MESSAGE);
     }
-    
-    // Return the final response
-    return response;
-}; 
\ No newline at end of file
+    const body = Buffer.concat(chunks);
+    return { ...response, body: /^text\//.test(headers['Content-Type'] || '') ? body.toString('utf8') : body };
+}
+
+// Binary bodies are base64-encoded; API Gateway decodes them for the media types listed in
+// BinaryMediaTypes (template.yaml) when the client's Accept header asks for one
+function formatLambdaResponse(source, event, response) {
+    const isFile = Buffer.isBuffer(response.body);
+    const result = {
+        statusCode: response.statusCode,
+        body: isFile ? response.body.toString('base64') : response.body,
+        isBase64Encoded: isFile
+    };
+    if (source !== 'alb') {
+        return { ...result, headers: response.headers };
+    }
+
+    // ALB needs a status line, and multi-value headers back when it sent them
+    result.statusDescription = `${response.statusCode} ${http.STATUS_CODES[response.statusCode] || ''}`.trim();
+    if (event.multiValueHeaders) {
+        result.multiValueHeaders = Object.fromEntries(Object.entries(response.headers).map(([key, value]) => [key, [value]]));
+    } else {
+        result.headers = response.headers;
+    }
+    return result;
+}
+
+exports.handler = async (event, context) => {
+    // The hourly schedule applies salary revisions that are due (its event carries this job name)
+    if (event.job === 'apply-salary-revisions') {
+        const summary = await applyDueSalaryRevisions();
+        console.log('Salary revisions:', JSON.stringify(summary));
+        return summary;
+    }
+
+    // The EventBridge schedule runs the notification dispatcher
+    if (event.source === 'aws.events') {
+        const summary = await dispatchNotifications();
+        console.log('Notification dispatch:', JSON.stringify(summary));
+        return summary;
+    }
+
+    const { source, request } = readLambdaEvent(event);
+    // Only the route is logged: headers carry bearer tokens and bodies carry employee data
+    console.log(`Request: ${request.method} ${request.path} (${source})`);
+    const response = await bufferResponseBody(await handleRequest(request));
+    return formatLambdaResponse(source, event, response);
+};
+
+// Internals covered by the test suite (see test/); not part of the API
+exports.testing = {
+    validateQuerySafety,
+    enforceOrganizationAccess,
+    authorizeQuery,
+    nameMatchScore,
+    findMentionedEmployees,
+    parseUndoRequest,
+    prepareUndo,
+    undoRequiresConfirmation,
+    csvCell,
+    csvStream,
+    zipStream,
+    xlsxStream,
+    requiresConfirmation,
+    hashPreviewRows,
+    writeAuditRecords,
+    loadAfterImages,
+    listAuditRecords,
+    getLeaveDecision,
+    syncLeaveBalances,
+    parseDateOnly,
+    countWorkingDays,
+    addWorkingDays,
+    applyForLeave,
+    readSessionId,
+    formatConversationHistory,
+    summarizeQueryResult,
+    checkGeneratedStatement,
+    runPlanSteps,
+    planFailureResponse,
+    handleQueryPlan,
+    readLlmConfig,
+    createLlmProvider,
+    createRecordReplayProvider,
+    recordingKey,
+    handleRequest,
+    readLambdaEvent,
+    bufferResponseBody,
+    formatLambdaResponse,
+    dbPool,
+    getSystemPrompt,
+    tokenizeForSearch,
+    splitIntoPassages,
+    buildPolicyIndex,
+    searchPolicyIndex,
+    answerPolicyQuestion,
+    llm,
+    diffWords,
+    diffPolicyVersions,
+    readReviewPeriod,
+    readPolicyFields,
+    escapeHtml,
+    fillPlaceholders,
+    findUnknownPlaceholders,
+    localeFallbacks,
+    formatEmailDate,
+    renderEmail,
+    transporter,
+    deliverNotification,
+    initialApprovalStage,
+    findLeaveApprover,
+    readPayMonth,
+    computePayslip,
+    buildPdf,
+    renderPayslipPdf,
+    toPaise,
+    findLocationState,
+    loadPayrollRules,
+    computePayrollComponents,
+    applyPayrollRules,
+    pickSalary,
+    salaryChanged,
+    describeRevision,
+    loadSalariesAsOf,
+    scheduleSalaryRevision,
+    readOutputFormat,
+    readResultColumns,
+    csvResultValue,
+    xlsxResultCell,
+    readPageSize,
+    parseQueryCursor,
+    readLimitWindow,
+    getPageTiebreakers,
+    buildPageSql,
+    countSelectRows,
+    runPagedSelect,
+    describePage,
+    describeToday,
+    isValidTimeZone,
+    describeResolvedEmployees,
+    buildClarificationResponse,
+    loadVisibleDirectory,
+    rewriteResolvedNames,
+    resolveMentionedEmployees,
+    crc32
+};
@@ -0,0 +1,79 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+
+// Applies the SQL files in migrations/ that the database has not run yet, in file name order, and
+// records each one in SchemaMigrations so it never runs twice. Run it with `npm run migrate` before
+// starting or deploying a new version of the API. DB_MIGRATION_USER and DB_MIGRATION_PASSWORD,
+// when set, connect as a user with DDL rights instead of the API's own DB_USER.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Errors meaning a statement's change is already there: earlier versions of the API created
+// some of these tables and columns themselves, and MySQL has no ADD COLUMN IF NOT EXISTS
+const ALREADY_APPLIED_ERRORS = ['ER_DUP_FIELDNAME', 'ER_DUP_KEYNAME'];
+
+// Migration files in the order they are applied; the version is the file name without .sql
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => file.endsWith('.sql'))
+        .sort()
+        .map(file => ({ version: path.basename(file, '.sql'), file: path.join(MIGRATIONS_DIR, file) }));
+}
+
+// Split a migration into its statements. Each statement ends with a semicolon at the end of a line;
+// lines starting with -- are comments.
+function readStatements(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split(/;\s*$/m)
+        .map(chunk => chunk.split('\n').filter(line => !line.trim().startsWith('--')).join('\n').trim())
+        .filter(statement => statement.length > 0);
+}
+
+async function migrate() {
+    const connection = await mysql.createConnection({
+        host: process.env.DB_HOST,
+        user: process.env.DB_MIGRATION_USER || process.env.DB_USER,
+        password: process.env.DB_MIGRATION_USER ? process.env.DB_MIGRATION_PASSWORD : process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+        port: process.env.DB_PORT
+    });
+    try {
+        await connection.query(`CREATE TABLE IF NOT EXISTS SchemaMigrations (
+            version VARCHAR(100) PRIMARY KEY,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+        const [rows] = await connection.query('SELECT version FROM SchemaMigrations');
+        const applied = new Set(rows.map(row => row.version));
+
+        for (const { version, file } of listMigrations()) {
+            if (applied.has(version)) continue;
+            // MySQL commits DDL as it goes, so a failed migration is retried from the top next time;
+            // every statement in one must be safe to run again
+            for (const statement of readStatements(file)) {
+                try {
+                    await connection.query(statement);
+                } catch (error) {
+                    if (!ALREADY_APPLIED_ERRORS.includes(error.code)) {
+                        throw new Error(`Migration ${version} failed: ${error.message}`);
+                    }
+                }
+            }
+            await connection.query('INSERT INTO SchemaMigrations (version) VALUES (?)', [version]);
+            console.log(`Applied ${version}`);
+        }
+        console.log('Database schema is up to date.');
+    } finally {
+        await connection.end();
+    }
+}
+
+if (require.main === module) {
+    migrate().catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { migrate, listMigrations, readStatements };
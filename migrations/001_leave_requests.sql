@@ -0,0 +1,33 @@
+-- One row per leave application (see schema.txt, Table 6)
+CREATE TABLE IF NOT EXISTS LeaveRequests (
+    request_id SERIAL PRIMARY KEY,
+    organization_id VARCHAR(50) NOT NULL,
+    user_id VARCHAR(50) NOT NULL,
+    leave_type VARCHAR(50) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    days INT NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    approver_id VARCHAR(50),
+    decided_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_leave_requests_user (organization_id, user_id, leave_type, status),
+    FOREIGN KEY (organization_id) REFERENCES Organizations(organization_id),
+    FOREIGN KEY (user_id) REFERENCES Users(user_id),
+    FOREIGN KEY (approver_id) REFERENCES Users(user_id)
+);
+
+-- Carry over leave that was pending under the old single-counter model, as one request per balance
+INSERT INTO LeaveRequests (organization_id, user_id, leave_type, start_date, end_date, days, reason, status)
+SELECT lb.organization_id, lb.user_id, lb.leave_type,
+       COALESCE(lb.start_date, CURDATE()),
+       DATE_ADD(COALESCE(lb.start_date, CURDATE()), INTERVAL lb.leaves_pending_approval - 1 DAY),
+       lb.leaves_pending_approval, 'Carried over from LeaveBalances', 'pending'
+FROM LeaveBalances lb
+WHERE lb.leaves_pending_approval > 0
+  AND NOT EXISTS (
+      SELECT 1 FROM LeaveRequests lr
+      WHERE lr.organization_id = lb.organization_id AND lr.user_id = lb.user_id AND lr.leave_type = lb.leave_type
+  );
@@ -0,0 +1,8 @@
+-- Step a pending request is waiting on: 'manager' or 'hr'
+ALTER TABLE LeaveRequests ADD COLUMN approval_stage VARCHAR(20) NULL;
+
+-- Send pending requests from before approval routing to the first step of their chain
+UPDATE LeaveRequests lr
+JOIN Users u ON u.user_id = lr.user_id
+SET lr.approval_stage = IF(u.manager_id IS NULL OR u.manager_id = u.user_id, 'hr', 'manager')
+WHERE lr.status = 'pending' AND lr.approval_stage IS NULL;
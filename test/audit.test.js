@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { writeAuditRecords, loadAfterImages, listAuditRecords } = require('../index.js').testing;
+
+const caller = { userId: 'A1', organizationId: 'ORG_A', role: 'Admin' };
+
+// An executor that records each statement it is given and answers queries with results
+function recordingExecutor(results = []) {
+    const calls = [];
+    const run = async (sql, params) => {
+        calls.push({ sql, params });
+        return [results.shift() || []];
+    };
+    return { calls, execute: run, query: run };
+}
+
+test('a write is recorded as one audit row per table with keys and before/after values', async () => {
+    const executor = recordingExecutor([{ insertId: 70 }, { insertId: 71 }]);
+    await writeAuditRecords(executor, {
+        caller, prompt: 'Move Ananya to Delhi', sql: "UPDATE Users u JOIN PayrollData p ...", action: 'UPDATE',
+        outcome: 'success',
+        rows: [
+            { table: 'Users', key: { user_id: 'E1' }, before: { location: 'Mumbai' }, after: { location: 'Delhi' } },
+            { table: 'PayrollData', key: { payroll_id: 4 }, before: { HRA: '900.00' }, after: { HRA: '1000.00' } },
+            { table: 'Users', key: { user_id: 'E2' }, before: { location: 'Pune' }, after: { location: 'Delhi' } }
+        ]
+    });
+
+    assert.equal(executor.calls.length, 2);
+    const [users, payroll] = executor.calls.map(call => call.params);
+    assert.deepEqual(users.slice(0, 4), ['ORG_A', 'A1', 'UPDATE', 'Users']);
+    assert.deepEqual(JSON.parse(users[6]), [{ user_id: 'E1' }, { user_id: 'E2' }]);
+    assert.deepEqual(JSON.parse(users[7]), [{ location: 'Mumbai' }, { location: 'Pune' }]);
+    assert.deepEqual(JSON.parse(users[8]), [{ location: 'Delhi' }, { location: 'Delhi' }]);
+    assert.equal(payroll[3], 'PayrollData');
+    assert.deepEqual(users.slice(9), ['success', null, null]);
+});
+
+test('the audit rows of one write share the first row\'s audit_id as their write id', async () => {
+    const executor = recordingExecutor([{ insertId: 70 }, { insertId: 71 }]);
+    const writeId = await writeAuditRecords(executor, {
+        caller, prompt: null, sql: 'UPDATE Users u JOIN PayrollData p ...', action: 'UPDATE', outcome: 'success',
+        rows: [
+            { table: 'Users', key: { user_id: 'E1' }, before: { location: 'Mumbai' }, after: { location: 'Delhi' } },
+            { table: 'PayrollData', key: { payroll_id: 4 }, before: { HRA: '900.00' }, after: { HRA: '1000.00' } }
+        ]
+    });
+    assert.equal(writeId, 70);
+    assert.deepEqual(executor.calls.map(call => call.params[11]), [null, 70]);
+});
+
+test('a failed write is still recorded, without a table', async () => {
+    const executor = recordingExecutor();
+    await writeAuditRecords(executor, {
+        caller, prompt: null, sql: 'UPDATE Users SET x = 1', action: 'UPDATE', rows: [], outcome: 'failed', errorMessage: 'Unknown column'
+    });
+    const [params] = executor.calls.map(call => call.params);
+    assert.equal(params[3], null);
+    assert.deepEqual(params.slice(6), ['[]', '[]', '[]', 'failed', 'Unknown column', null]);
+});
+
+test('after-images are re-read for updated rows but kept as previewed for inserts', async () => {
+    const executor = recordingExecutor([[{ location: 'DELHI' }]]);
+    const rows = [
+        { table: 'Users', key: { user_id: 'E1' }, before: { location: 'Mumbai' }, after: { location: 'Delhi' } },
+        { table: 'LeaveRequests', key: { request_id: 9 }, before: null, after: { status: 'pending' } }
+    ];
+    await loadAfterImages(executor, rows);
+
+    assert.equal(executor.calls.length, 1);
+    assert.deepEqual(executor.calls[0].params, [['location'], 'Users', 'user_id', 'E1']);
+    assert.deepEqual(rows.map(row => row.after), [{ location: 'DELHI' }, { status: 'pending' }]);
+});
+
+test('audit filters are checked before anything is read', async () => {
+    assert.equal((await listAuditRecords(caller, { action: 'DELETE' })).statusCode, 400);
+    assert.equal((await listAuditRecords(caller, { from: '12/01/2025' })).statusCode, 400);
+    assert.equal((await listAuditRecords(caller, { to: '2025-13' })).statusCode, 400);
+});
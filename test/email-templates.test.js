@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dbPool, escapeHtml, fillPlaceholders, findUnknownPlaceholders, localeFallbacks, formatEmailDate, renderEmail } = require('../index.js').testing;
+
+const VALUES = {
+    employee_name: 'Rahul <Verma>',
+    first_name: 'Rahul',
+    leave_type: 'Casual Leave',
+    start_date: '2025-07-07',
+    end_date: '2025-07-09',
+    days: 3,
+    request_id: 12,
+    approver_name: 'Priya Singh',
+    remaining_balance: 4
+};
+
+// Answer the branding and template lookups of renderEmail
+function mockEmailData(t, { branding, templates = [] }) {
+    t.mock.method(dbPool, 'query', async () => [[]]);
+    t.mock.method(dbPool, 'execute', async sql => [/FROM Organizations/.test(sql) ? [branding] : templates]);
+}
+
+test('placeholders are filled, escaped for HTML and unknown ones are kept', () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    assert.equal(fillPlaceholders('Hi {{ first_name }}, {{unknown}} {{days}}', { first_name: 'A<b>', days: null }, escapeHtml),
+        'Hi A&lt;b&gt;, {{unknown}} ');
+    assert.deepEqual(findUnknownPlaceholders('{{employee_name}} {{salary}}', null, '{{ salary }} {{ssn}}'), ['salary', 'ssn']);
+});
+
+test('locales fall back from the region to the language, then to the default', () => {
+    assert.deepEqual(localeFallbacks('hi-IN', 'en-GB'), ['hi-IN', 'hi', 'en-GB', 'en']);
+    assert.deepEqual(localeFallbacks(null, 'EN', 'xx-'), ['en']);
+    assert.equal(formatEmailDate('2025-07-07', 'en'), 'Jul 7, 2025');
+    assert.equal(formatEmailDate('soon', 'en'), 'soon');
+});
+
+test('an email uses the built-in template for the organization default locale', async t => {
+    mockEmailData(t, { branding: { org_name: 'Acme', sender_name: null, reply_to: null, footer: null, default_locale: 'hi' } });
+    const email = await renderEmail({ organizationId: 'ORG_A', templateKey: 'leave_approved', locale: 'fr', values: VALUES });
+
+    assert.equal(email.locale, 'hi');
+    assert.equal(email.source, 'default');
+    assert.equal(email.subject, 'अवकाश अनुरोध स्वीकृत');
+    assert.equal(email.from.name, 'Acme HR Team');
+    assert.match(email.text, /^प्रिय Rahul <Verma>,/);
+    assert.match(email.html, /<html lang="hi">/);
+    assert.match(email.html, /प्रिय Rahul &lt;Verma&gt;,/);
+});
+
+test("an organization's own template and footer are used for the recipient's locale", async t => {
+    mockEmailData(t, {
+        branding: { org_name: 'Acme', sender_name: 'People Team', reply_to: 'hr@acme.test', footer: 'Acme & Co\n{{organization_name}}', default_locale: 'en' },
+        templates: [{ locale: 'en-IN', subject: 'Approved:  {{leave_type}}\n', html_body: '<p>{{start_date}}</p>', text_body: 'From {{start_date}}, {{sender_name}}' }]
+    });
+    const email = await renderEmail({ organizationId: 'ORG_A', templateKey: 'leave_approved', locale: 'en-IN', values: VALUES });
+
+    assert.equal(email.locale, 'en-IN');
+    assert.equal(email.source, 'organization');
+    assert.equal(email.replyTo, 'hr@acme.test');
+    assert.equal(email.subject, 'Approved: Casual Leave');
+    assert.equal(email.text, 'From 7 Jul 2025, People Team\n\n--\nAcme & Co\nAcme');
+    assert.match(email.html, /Acme &amp; Co<br>Acme<\/p>/);
+});
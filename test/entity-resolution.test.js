@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    dbPool, nameMatchScore, findMentionedEmployees, describeResolvedEmployees, buildClarificationResponse,
+    rewriteResolvedNames, loadVisibleDirectory, resolveMentionedEmployees
+} = require('../index.js').testing;
+
+const user = (user_id, first_name, last_name) => ({ user_id, first_name, last_name, email: `${user_id.toLowerCase()}@example.com`, department: 'Engineering' });
+const directory = [
+    user('E1', 'Mark', 'Fernandes'),
+    user('E2', 'Mark', 'Dsouza'),
+    user('E3', 'Nina', 'Patel'),
+    user('E4', 'Ravi', 'Shankar'),
+    user('E5', 'Rahul', 'Verma'),
+    user('E6', 'Ananya', 'Sharma'),
+    user('E7', 'Christopher', 'Lee')
+];
+const mentioned = prompt => {
+    const { resolved, ambiguous } = findMentionedEmployees(prompt, directory);
+    return {
+        resolved: resolved.map(({ mention, user: match }) => [mention, match.user_id]),
+        ambiguous: ambiguous.map(({ mention, candidates }) => [mention, candidates.map(candidate => candidate.user_id)])
+    };
+};
+
+test('month names and numbers are not taken for names', () => {
+    assert.equal(nameMatchScore('March', 'Mark'), null);
+    assert.equal(nameMatchScore('Nine', 'Nina'), null);
+    assert.deepEqual(mentioned('Show leave taken in March'), { resolved: [], ambiguous: [] });
+    assert.deepEqual(mentioned('show leave taken in march'), { resolved: [], ambiguous: [] });
+    assert.deepEqual(mentioned('Who took Nine days of sick leave?'), { resolved: [], ambiguous: [] });
+});
+
+test('short names only match exactly or by sound', () => {
+    assert.equal(nameMatchScore('Rani', 'Ravi'), null);
+    assert.equal(nameMatchScore('Rahool', 'Rahul'), 0.5);
+    assert.deepEqual(mentioned("What is Rani's leave balance?").resolved, []);
+    assert.deepEqual(mentioned("What is Rahool's leave balance?").resolved, [['Rahool', 'E5']]);
+});
+
+test('longer names still match a typo when written like a name', () => {
+    assert.equal(nameMatchScore('Anaya', 'Ananya'), 1.5);
+    assert.equal(nameMatchScore('Cristofer', 'Christopher'), 0.5);
+    assert.deepEqual(mentioned("Show Anaya's salary").resolved, [['Anaya', 'E6']]);
+    assert.deepEqual(mentioned("show anaya's salary").resolved, [['anaya', 'E6']]);
+});
+
+test('ordinary lower-case words in a capitalised prompt are not corrected into names', () => {
+    assert.equal(nameMatchScore('anaya', 'Ananya', { allowEdits: false }), null);
+    assert.deepEqual(mentioned("Show anaya's salary, please").resolved, []);
+});
+
+test('a shared first name asks which person was meant', () => {
+    assert.deepEqual(mentioned('Approve Mark\'s leave'), { resolved: [], ambiguous: [['Mark', ['E1', 'E2']]] });
+    assert.deepEqual(mentioned('Approve Mark Dsouza\'s leave').resolved, [['Mark Dsouza', 'E2']]);
+});
+
+test('a person is found by user_id, email or last name, and by first and last name together', () => {
+    assert.deepEqual(mentioned('Show the leave balance of e4').resolved, [['e4', 'E4']]);
+    assert.deepEqual(mentioned('Who is the manager of e3@example.com?').resolved, [['e3@example.com', 'E3']]);
+    assert.deepEqual(mentioned("What is Verma's salary?").resolved, [['Verma', 'E5']]);
+    assert.deepEqual(mentioned('Move Ravi Shankar to Pune').resolved, [['Ravi Shankar', 'E4']]);
+    assert.deepEqual(mentioned('Show my payslip'), { resolved: [], ambiguous: [] });
+});
+
+test('resolved people are handed to the AI by user_id', () => {
+    assert.equal(describeResolvedEmployees([]), '');
+    assert.equal(
+        describeResolvedEmployees([{ mention: 'Rahool', user: directory[4] }]),
+        "\nPeople mentioned, matched in my organization: \"Rahool\" is user_id 'E5' (Rahul Verma)"
+    );
+});
+
+test('an ambiguous name gets a clarifying question listing the candidates, and nothing runs', () => {
+    const response = buildClarificationResponse([{ mention: 'Mark', candidates: [directory[0], directory[1]] }]);
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.needs_clarification, true);
+    assert.match(response.body.message, /"Mark" could be Mark Fernandes \(E1, Engineering\), Mark Dsouza \(E2, Engineering\)\./);
+    assert.deepEqual(response.body.clarifications, [{
+        mention: 'Mark',
+        candidates: [
+            { user_id: 'E1', first_name: 'Mark', last_name: 'Fernandes', email: 'e1@example.com', department: 'Engineering' },
+            { user_id: 'E2', first_name: 'Mark', last_name: 'Dsouza', email: 'e2@example.com', department: 'Engineering' }
+        ]
+    }]);
+
+    const crowd = Array.from({ length: 12 }, (_, index) => user(`K${index}`, 'Amit', 'Kumar'));
+    assert.equal(buildClarificationResponse([{ mention: 'Amit', candidates: crowd }]).body.clarifications[0].candidates.length, 10);
+});
+
+test('name conditions the AI wrote for a resolved person are turned into user_id conditions', () => {
+    const resolved = [{ mention: 'Rahool', user: directory[4] }];
+    assert.equal(
+        rewriteResolvedNames("SELECT base_salary FROM PayrollData p JOIN Users u ON u.user_id = p.user_id WHERE u.first_name = 'Rahool'", resolved),
+        "SELECT `base_salary` FROM `PayrollData` AS `p` INNER JOIN `Users` AS `u` ON `u`.`user_id` = `p`.`user_id` WHERE `u`.`user_id` = 'E5'"
+    );
+    assert.match(rewriteResolvedNames("UPDATE Users SET location = 'Pune' WHERE last_name = 'Verma'", resolved), /WHERE `Users`.`user_id` = 'E5'/);
+    const unrelated = "SELECT user_id FROM Users WHERE first_name = 'Nina'";
+    assert.equal(rewriteResolvedNames(unrelated, resolved), unrelated);
+
+    // Two resolved people with the same first name are left for the AI's own conditions
+    const marks = [{ mention: 'Mark Fernandes', user: directory[0] }, { mention: 'Mark Dsouza', user: directory[1] }];
+    const byFirstName = "SELECT user_id FROM Users WHERE first_name = 'Mark'";
+    assert.equal(rewriteResolvedNames(byFirstName, marks), byFirstName);
+});
+
+test('non-admins only look up the people authorizeQuery lets them see', async t => {
+    const queries = [];
+    t.mock.method(dbPool, 'query', async (sql, params) => {
+        queries.push({ sql, params });
+        return [[]];
+    });
+
+    await loadVisibleDirectory({ userId: 'M1', organizationId: 'ORG_A', role: 'Manager', managerId: 'A1', reportIds: ['E1', 'E2'] });
+    await loadVisibleDirectory({ userId: 'E1', organizationId: 'ORG_A', role: 'Employee', managerId: null, reportIds: [] });
+    await loadVisibleDirectory({ userId: 'A1', organizationId: 'ORG_A', role: 'Admin', reportIds: [] });
+
+    assert.deepEqual(queries.map(query => query.params), [['ORG_A', ['M1', 'E1', 'E2', 'A1']], ['ORG_A', ['E1']], ['ORG_A']]);
+    assert.doesNotMatch(queries[2].sql, /user_id IN/);
+
+    // A prompt with no words is not looked up at all
+    assert.deepEqual(await resolveMentionedEmployees('?!', { userId: 'A1', organizationId: 'ORG_A', role: 'Admin' }), { resolved: [], ambiguous: [] });
+    assert.equal(queries.length, 3);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const mysql = require('mysql2');
+const { crc32, csvCell, csvStream, zipStream, xlsxStream, readOutputFormat, readResultColumns, csvResultValue, xlsxResultCell } = require('../index.js').testing;
+
+async function collect(iterable) {
+    const chunks = [];
+    for await (const chunk of iterable) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+}
+
+async function* from(items) {
+    yield* items;
+}
+
+test('the CRC-32 matches the standard check value, also when continued over chunks', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+    assert.equal(crc32(Buffer.from('56789'), crc32(Buffer.from('1234'))), 0xCBF43926);
+});
+
+// Read a ZIP archive through its central directory, checking each entry against its local header
+// and data descriptor. Returns [{ name, crc, data }].
+function readZip(zip) {
+    const end = zip.length - 22;
+    assert.equal(zip.readUInt32LE(end), 0x06054b50, 'end of central directory');
+    const count = zip.readUInt16LE(end + 10);
+    const centralSize = zip.readUInt32LE(end + 12);
+    let position = zip.readUInt32LE(end + 16);
+    assert.equal(position + centralSize, end);
+
+    const entries = [];
+    for (let index = 0; index < count; index++) {
+        assert.equal(zip.readUInt32LE(position), 0x02014b50, 'central directory record');
+        const crc = zip.readUInt32LE(position + 16);
+        const compressedSize = zip.readUInt32LE(position + 20);
+        const size = zip.readUInt32LE(position + 24);
+        const nameLength = zip.readUInt16LE(position + 28);
+        const offset = zip.readUInt32LE(position + 42);
+        const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+        position += 46 + nameLength;
+
+        assert.equal(zip.readUInt32LE(offset), 0x04034b50, `local header of ${name}`);
+        assert.equal(zip.toString('utf8', offset + 30, offset + 30 + nameLength), name);
+        const start = offset + 30 + nameLength;
+        const data = zlib.inflateRawSync(zip.subarray(start, start + compressedSize));
+        const descriptor = start + compressedSize;
+        assert.equal(zip.readUInt32LE(descriptor), 0x08074b50, `data descriptor of ${name}`);
+        assert.deepEqual([zip.readUInt32LE(descriptor + 4), zip.readUInt32LE(descriptor + 8), zip.readUInt32LE(descriptor + 12)], [crc, compressedSize, size]);
+        assert.equal(data.length, size);
+        assert.equal(crc32(data), crc, `CRC of ${name}`);
+        entries.push({ name, crc, data });
+    }
+    return entries;
+}
+
+// Check that every element of an XML part is closed in order
+function assertWellFormed(xml, name) {
+    const open = [];
+    for (const [tag, closing, element, selfClosing] of xml.matchAll(/<(\/?)([A-Za-z][\w:.-]*)[^>]*?(\/?)>/g)) {
+        if (selfClosing) continue;
+        if (closing) assert.equal(open.pop(), element, `${name}: ${tag}`);
+        else open.push(element);
+    }
+    assert.deepEqual(open, [], name);
+}
+
+test('ZIP entries carry the standard CRC-32 and a matching central directory', async () => {
+    const entries = readZip(await collect(zipStream([
+        { name: 'check.txt', content: '123456789' },
+        { name: 'empty.txt', content: Buffer.alloc(0) },
+        { name: 'streamed/naïve.txt', content: from(['The quick brown fox ', Buffer.from('jumps over the lazy dog')]) }
+    ])));
+
+    assert.deepEqual(entries.map(entry => [entry.name, entry.crc]), [
+        ['check.txt', 0xCBF43926],
+        ['empty.txt', 0],
+        ['streamed/naïve.txt', 0x414FA339]
+    ]);
+    assert.equal(entries[2].data.toString(), 'The quick brown fox jumps over the lazy dog');
+});
+
+test('an XLSX export is a workbook whose parts are all declared and well formed', async () => {
+    const rows = from([
+        [{ value: 'Ananya', type: 'text' }, { value: 45678, type: 'date' }, { value: 30000.5, type: 'decimal' }],
+        [{ value: '=HYPERLINK("x")', type: 'text' }, { value: null, type: 'date' }, { value: 7, type: 'number' }]
+    ]);
+    const parts = new Map(readZip(await collect(xlsxStream(['Name', 'Joined', 'Salary'], rows, { sheetName: 'Results' })))
+        .map(entry => [entry.name, entry.data.toString()]));
+
+    for (const [name, xml] of parts) assertWellFormed(xml, name);
+    for (const [, part] of parts.get('[Content_Types].xml').matchAll(/PartName="\/([^"]+)"/g)) {
+        assert.ok(parts.has(part), part);
+    }
+    assert.match(parts.get('xl/workbook.xml'), /<sheet name="Results"/);
+
+    const sheet = parts.get('xl/worksheets/sheet1.xml');
+    assert.match(sheet, /<row r="1"><c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Name<\/t>/);
+    assert.match(sheet, /<c r="B2" s="2"><v>45678<\/v><\/c><c r="C2" s="4"><v>30000.5<\/v><\/c>/);
+    // Text is stored inline, never as a formula, and empty cells are left out
+    assert.match(sheet, /<row r="3"><c r="A3" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK\(&quot;x&quot;\)<\/t><\/is><\/c><c r="C3"><v>7<\/v><\/c><\/row>/);
+});
+
+test('CSV cells are quoted when needed and formulas are defused', () => {
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell('Plain'), 'Plain');
+    assert.equal(csvCell('Smith, John'), '"Smith, John"');
+    assert.equal(csvCell('Say "hi"\nbye'), '"Say ""hi""\nbye"');
+    assert.equal(csvCell('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+    assert.equal(csvCell('@cmd'), "'@cmd");
+    assert.equal(csvCell('-12.5'), '-12.5');
+    assert.equal(csvCell(-12.5), '-12.5');
+    assert.equal(csvCell(new Date('2025-01-02T03:04:05Z')), '2025-01-02T03:04:05.000Z');
+});
+
+test('a CSV export has a header row and CRLF line endings', async () => {
+    const csv = await collect(csvStream(['name', 'note'], from([['Ananya', '+91 98'], ['Rahul', null]])));
+    assert.equal(csv.toString(), "name,note\r\nAnanya,'+91 98\r\nRahul,\r\n");
+});
+
+test('the output format comes from the body, else from the Accept header', () => {
+    assert.deepEqual(readOutputFormat(' CSV ', {}), { format: 'csv' });
+    assert.deepEqual(readOutputFormat('json', { Accept: 'text/csv' }), { format: 'json' });
+    assert.deepEqual(readOutputFormat(undefined, { Accept: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), { format: 'xlsx' });
+    assert.deepEqual(readOutputFormat('', { accept: 'text/csv;q=0.9, */*' }), { format: 'csv' });
+    assert.deepEqual(readOutputFormat(null, { accept: 'application/json' }), { format: 'json' });
+    assert.match(readOutputFormat('pdf', {}).error, /json, csv or xlsx/);
+});
+
+test('result values are written by their MySQL column type', () => {
+    const { Types } = mysql;
+    const [joined, updated, salary, rate, id, name] = readResultColumns([
+        { name: 'joined', columnType: Types.DATE },
+        { name: 'updated', columnType: Types.TIMESTAMP },
+        { name: 'salary', columnType: Types.NEWDECIMAL, decimals: 2 },
+        { name: 'rate', columnType: Types.NEWDECIMAL, decimals: 4 },
+        { name: 'id', columnType: Types.LONGLONG },
+        { name: 'name', columnType: Types.VAR_STRING }
+    ]);
+    assert.deepEqual([joined.type, updated.type, salary.type, id.type, name.type], ['date', 'datetime', 'decimal', 'number', 'text']);
+
+    const when = new Date(2025, 0, 2, 3, 4, 5);
+    assert.equal(csvResultValue(when, joined), '2025-01-02');
+    assert.equal(csvResultValue(when, updated), '2025-01-02 03:04:05');
+    assert.equal(csvResultValue(new Date(NaN), joined), null);
+    assert.equal(csvResultValue('30000.50', salary), '30000.50');
+    assert.equal(csvResultValue(Buffer.from('naïve'), name), 'naïve');
+    assert.equal(csvResultValue({ a: [1] }, name), '{"a":[1]}');
+
+    assert.deepEqual(xlsxResultCell(new Date(2025, 0, 2), joined), { value: 45659, type: 'date' });
+    assert.deepEqual(xlsxResultCell(when, updated), { value: 45659 + (3 * 3600 + 4 * 60 + 5) / 86400, type: 'datetime' });
+    assert.deepEqual(xlsxResultCell('30000.50', salary), { value: 30000.5, type: 'decimal' });
+    assert.deepEqual(xlsxResultCell('0.0125', rate), { value: 0.0125, type: 'number' });
+    assert.deepEqual(xlsxResultCell('', salary), { value: '', type: 'text' });
+    assert.deepEqual(xlsxResultCell('=1+1', name), { value: '=1+1', type: 'text' });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateOnly, countWorkingDays, addWorkingDays, applyForLeave, describeToday, isValidTimeZone } = require('../index.js').testing;
+
+const employee = { userId: 'E1', organizationId: 'ORG_A', role: 'Employee' };
+const date = value => parseDateOnly(value);
+
+test('only real YYYY-MM-DD dates are accepted', () => {
+    assert.equal(date('2025-07-07').toISOString(), '2025-07-07T00:00:00.000Z');
+    assert.equal(date(' 2024-02-29 ').toISOString(), '2024-02-29T00:00:00.000Z');
+    for (const value of ['2025-02-29', '2025-7-7', '07/07/2025', '', null, 20250707]) {
+        assert.equal(parseDateOnly(value), null, String(value));
+    }
+});
+
+test('working days skip weekends', () => {
+    // 2025-07-07 is a Monday
+    assert.equal(countWorkingDays(date('2025-07-07'), date('2025-07-11')), 5);
+    assert.equal(countWorkingDays(date('2025-07-07'), date('2025-07-14')), 6);
+    assert.equal(countWorkingDays(date('2025-07-12'), date('2025-07-13')), 0);
+    assert.equal(addWorkingDays(date('2025-07-10'), 3).toISOString().slice(0, 10), '2025-07-14');
+    assert.equal(addWorkingDays(date('2025-07-12'), 1).toISOString().slice(0, 10), '2025-07-14');
+});
+
+test('applications are checked before anything is read', async () => {
+    const message = async application => {
+        const response = await applyForLeave(employee, application);
+        assert.equal(response.statusCode, 400);
+        return response.body.message;
+    };
+    assert.match(await message({ start_date: '2025-07-07', days: 2 }), /which type of leave/);
+    assert.match(await message({ leave_type: 'Casual Leave', start_date: '7 July', days: 2 }), /start date/);
+    assert.match(await message({ leave_type: 'Casual Leave', start_date: '2025-07-09', end_date: '2025-07-07' }), /on or after the start date/);
+    assert.match(await message({ leave_type: 'Casual Leave', start_date: '2025-07-07', days: 1.5 }), /number of working days/);
+    assert.match(await message({ leave_type: 'Casual Leave', start_date: '2025-07-07', days: 400 }), /at most 365/);
+    assert.match(await message({ leave_type: 'Casual Leave', start_date: '2025-07-12', end_date: '2025-07-13' }), /fall on a weekend/);
+});
+
+test('today is the date in the organization\'s time zone, India by default', () => {
+    // 20:00 UTC on Sunday 6 July is already Monday 7 July in India
+    const now = new Date('2025-07-06T20:00:00Z');
+    assert.equal(describeToday(undefined, now), '2025-07-07 (Monday)');
+    assert.equal(describeToday('Asia/Kolkata', now), '2025-07-07 (Monday)');
+    assert.equal(describeToday('America/New_York', now), '2025-07-06 (Sunday)');
+    assert.equal(isValidTimeZone('Europe/London'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+    assert.equal(isValidTimeZone(null), false);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initialApprovalStage, findLeaveApprover, syncLeaveBalances } = require('../index.js').testing;
+
+const manager = { userId: 'M1', organizationId: 'ORG_A', role: 'Manager' };
+const colleague = { userId: 'M2', organizationId: 'ORG_A', role: 'Manager' };
+const admin = { userId: 'A1', organizationId: 'ORG_A', role: 'Admin' };
+const noAuthority = { delegatorIds: [], adminDelegatorIds: [] };
+
+const request = overrides => ({
+    request_id: 7, organization_id: 'ORG_A', user_id: 'E1', leave_type: 'Casual Leave',
+    start_date: '2025-07-07', end_date: '2025-07-09', days: 3, status: 'pending', approval_stage: 'manager',
+    manager_id: 'M1', ...overrides
+});
+
+// A connection with the leave requests after the write, today's delegations to the caller and
+// whether the leave type needs HR approval; other statements are recorded in writes
+function approvalConnection({ requests, delegations = [], hrApproval = false }) {
+    const writes = [];
+    const run = async (sql, params) => {
+        if (/FROM LeaveRequests lr/.test(sql)) return [requests];
+        if (/FROM ApprovalDelegations/.test(sql)) return [delegations];
+        if (/FROM LeaveApprovalRules/.test(sql)) return [hrApproval ? [{ requires_hr_approval: 1 }] : []];
+        if (/FROM LeaveBalances/.test(sql)) return [[{ balance_id: 3, total_allotted: 12, leaves_taken: 4 }]];
+        writes.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+        return [{ affectedRows: 1 }];
+    };
+    return { writes, query: run, execute: run };
+}
+
+test('requests start with the manager, or with HR when there is no other manager', () => {
+    assert.equal(initialApprovalStage(request()), 'manager');
+    assert.equal(initialApprovalStage(request({ manager_id: null })), 'hr');
+    assert.equal(initialApprovalStage(request({ user_id: 'M1' })), 'hr');
+});
+
+test('the manager step is decided by the manager or someone they delegated to', () => {
+    assert.deepEqual(findLeaveApprover(request(), manager, noAuthority), { stage: 'manager', onBehalfOf: null });
+    assert.deepEqual(findLeaveApprover(request(), colleague, { delegatorIds: ['M1'], adminDelegatorIds: [] }), { stage: 'manager', onBehalfOf: 'M1' });
+    assert.match(findLeaveApprover(request(), colleague, noAuthority).refusal, /waiting for approval from E1's manager \(M1\)/);
+    assert.match(findLeaveApprover(request(), admin, noAuthority).refusal, /manager \(M1\)/);
+    assert.match(findLeaveApprover(request({ user_id: 'M2', manager_id: 'M1' }), colleague, { delegatorIds: ['M1'], adminDelegatorIds: [] }).refusal, /your own leave request/);
+});
+
+test('the HR step is decided by an Admin or by someone acting for another Admin', () => {
+    const hr = request({ approval_stage: 'hr' });
+    assert.deepEqual(findLeaveApprover(hr, admin, noAuthority), { stage: 'hr', onBehalfOf: null });
+    assert.deepEqual(findLeaveApprover(hr, colleague, { delegatorIds: ['A1'], adminDelegatorIds: ['A1'] }), { stage: 'hr', onBehalfOf: 'A1' });
+    assert.match(findLeaveApprover(hr, manager, noAuthority).refusal, /only an Admin/);
+    // An Admin's delegate can't use it to approve that Admin's own leave
+    assert.match(findLeaveApprover(request({ approval_stage: 'hr', user_id: 'A1' }), colleague, { delegatorIds: ['A1'], adminDelegatorIds: ['A1'] }).refusal, /only an Admin/);
+});
+
+test("a manager's approval of leave that needs HR approval moves it on to HR", async () => {
+    const connection = approvalConnection({ requests: [request({ status: 'approved' })], hrApproval: true });
+    const decisions = await syncLeaveBalances(connection, { requestIds: [7], before: [request()], caller: manager });
+
+    assert.deepEqual(decisions, []);
+    const approval = connection.writes.find(write => write.sql.startsWith('INSERT INTO LeaveApprovals'));
+    assert.deepEqual(approval.params, [7, 'ORG_A', 'manager', 'approve', 'M1', null]);
+    assert.ok(connection.writes.some(write => /SET status = 'pending', approval_stage = 'hr'/.test(write.sql)));
+    const balance = connection.writes.find(write => write.sql.startsWith('UPDATE LeaveBalances'));
+    assert.equal(balance.params[0], 0);
+});
+
+test('a delegate approving for the manager is recorded on their behalf', async () => {
+    const connection = approvalConnection({
+        requests: [request({ status: 'approved' })],
+        delegations: [{ delegator_id: 'M1', delegator_role: 'Manager' }]
+    });
+    const decisions = await syncLeaveBalances(connection, { requestIds: [7], before: [request()], caller: colleague });
+
+    assert.deepEqual(decisions.map(decision => [decision.action, decision.approverId]), [['approve', 'M2']]);
+    const approval = connection.writes.find(write => write.sql.startsWith('INSERT INTO LeaveApprovals'));
+    assert.deepEqual(approval.params, [7, 'ORG_A', 'manager', 'approve', 'M2', 'M1']);
+});
+
+test('someone who is not the approver at the current step is refused', async () => {
+    await assert.rejects(
+        syncLeaveBalances(approvalConnection({ requests: [request({ status: 'rejected', approval_stage: 'hr' })] }), {
+            requestIds: [7], before: [request({ approval_stage: 'hr' })], caller: manager
+        }),
+        { code: 'LEAVE_RULE_VIOLATION', statusCode: 403, message: /only an Admin/ }
+    );
+});
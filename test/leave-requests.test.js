@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLeaveDecision, syncLeaveBalances } = require('../index.js').testing;
+
+const employee = { userId: 'E1', organizationId: 'ORG_A', role: 'Employee' };
+const admin = { userId: 'A1', organizationId: 'ORG_A', role: 'Admin' };
+
+const request = overrides => ({
+    request_id: 7, organization_id: 'ORG_A', user_id: 'E1', leave_type: 'Casual Leave',
+    start_date: '2025-07-07', end_date: '2025-07-09', days: 3, status: 'pending', approval_stage: 'manager',
+    manager_id: 'M1', ...overrides
+});
+
+// A connection holding the leave requests as they are after the write and one balance row;
+// every other statement is recorded in writes
+function leaveConnection({ requests, balance = { balance_id: 3, total_allotted: 12, leaves_taken: 4 } }) {
+    const writes = [];
+    const run = async (sql, params) => {
+        if (/FROM LeaveRequests lr/.test(sql)) return [requests];
+        if (/FROM LeaveBalances/.test(sql)) return [balance ? [balance] : []];
+        writes.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+        return [{ affectedRows: 1 }];
+    };
+    return { writes, query: run, execute: run };
+}
+
+const balanceUpdate = connection => connection.writes.find(write => write.sql.startsWith('UPDATE LeaveBalances'));
+
+test('recognises statements that approve or reject leave', () => {
+    assert.deepEqual(getLeaveDecision("UPDATE LeaveRequests SET status = 'approved' WHERE request_id = 7"), { action: 'approve' });
+    assert.deepEqual(getLeaveDecision("UPDATE LeaveRequests lr SET lr.status = 'Rejected' WHERE lr.user_id = 'E1'"), { action: 'reject' });
+    assert.equal(getLeaveDecision("UPDATE LeaveRequests SET status = 'cancelled' WHERE request_id = 7"), null);
+    assert.equal(getLeaveDecision("UPDATE LeaveRequests SET reason = 'approved' WHERE request_id = 7"), null);
+    assert.equal(getLeaveDecision("SELECT * FROM LeaveRequests WHERE status = 'approved'"), null);
+});
+
+test('an employee cancels their own pending request and the pending days are recounted', async () => {
+    const connection = leaveConnection({ requests: [request({ status: 'cancelled' })] });
+    const decisions = await syncLeaveBalances(connection, { requestIds: [7], before: [request()], caller: employee });
+
+    assert.deepEqual(decisions, []);
+    assert.deepEqual(balanceUpdate(connection).params, [0, 'ORG_A', 'E1', 'Casual Leave', 3]);
+});
+
+test('decided requests and other people\'s requests cannot be changed', async () => {
+    await assert.rejects(
+        syncLeaveBalances(leaveConnection({ requests: [request({ status: 'cancelled' })] }), {
+            requestIds: [7], before: [request({ status: 'approved' })], caller: employee
+        }),
+        { code: 'LEAVE_RULE_VIOLATION', message: /already been approved/ }
+    );
+    await assert.rejects(
+        syncLeaveBalances(leaveConnection({ requests: [request({ status: 'cancelled', user_id: 'E2' })] }), {
+            requestIds: [7], before: [request({ user_id: 'E2' })], caller: employee
+        }),
+        { code: 'LEAVE_RULE_VIOLATION', message: /only cancel your own/ }
+    );
+    await assert.rejects(
+        syncLeaveBalances(leaveConnection({ requests: [request({ approval_stage: 'hr' })] }), {
+            requestIds: [7], before: [request()], caller: admin
+        }),
+        { code: 'LEAVE_RULE_VIOLATION', message: /worked out automatically/ }
+    );
+});
+
+test('approved days are taken from the balance within the allowance', async () => {
+    const connection = leaveConnection({ requests: [request({ status: 'approved' })] });
+    await syncLeaveBalances(connection, { requestIds: [7], before: [], caller: admin });
+    assert.deepEqual(balanceUpdate(connection).params, [3, 'ORG_A', 'E1', 'Casual Leave', 3]);
+
+    await assert.rejects(
+        syncLeaveBalances(leaveConnection({ requests: [request({ status: 'approved', days: 9 })] }), {
+            requestIds: [7], before: [], caller: admin
+        }),
+        { code: 'LEAVE_RULE_VIOLATION', message: /exceed E1's Casual Leave allowance \(8 day\(s\) left\)/ }
+    );
+});
+
+test('reopening an approved request returns its days and restarts its approvals', async () => {
+    const connection = leaveConnection({ requests: [request({ status: 'pending', approval_stage: null })] });
+    await syncLeaveBalances(connection, { requestIds: [7], before: [request({ status: 'approved', approval_stage: null })], caller: admin, reopen: true });
+
+    const reset = connection.writes.find(write => write.sql.startsWith('UPDATE LeaveRequests'));
+    assert.deepEqual(reset.params, [null, 'pending', 'manager', 7]);
+    assert.equal(balanceUpdate(connection).params[0], -3);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { readLlmConfig, createLlmProvider, createRecordReplayProvider, recordingKey } = require('../index.js').testing;
+
+test('the provider and model come from the environment', () => {
+    const gemini = readLlmConfig({});
+    assert.equal(gemini.provider, 'gemini');
+    assert.equal(gemini.model, 'gemini-2.0-flash');
+    assert.equal(gemini.temperature, undefined);
+    assert.equal(gemini.timeoutMs, 25000);
+
+    const local = readLlmConfig({ LLM_PROVIDER: 'OpenAI', LLM_BASE_URL: 'http://localhost:11434/v1/', LLM_MODEL: 'llama3', LLM_TEMPERATURE: '0' });
+    assert.equal(local.provider, 'openai');
+    assert.equal(local.baseUrl, 'http://localhost:11434/v1');
+    assert.equal(local.model, 'llama3');
+    assert.equal(local.temperature, 0);
+
+    // Replay keeps the model of the provider the recordings came from
+    assert.equal(readLlmConfig({ LLM_PROVIDER: 'replay', LLM_RECORD_PROVIDER: 'openai' }).model, 'gpt-4o-mini');
+    assert.throws(() => createLlmProvider(readLlmConfig({ LLM_PROVIDER: 'claude' })), /Unknown LLM_PROVIDER "claude"/);
+});
+
+test('the OpenAI-compatible provider sends the system and user prompts and reads the reply', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ choices: [{ message: { content: '{"sql": "SELECT 1"}' } }] })));
+    const provider = createLlmProvider(readLlmConfig({ LLM_PROVIDER: 'openai', LLM_BASE_URL: 'http://localhost:8080/v1', LLM_API_KEY: 'key', LLM_TEMPERATURE: '0.2' }));
+
+    assert.equal(await provider.generate('system', 'user'), '{"sql": "SELECT 1"}');
+    const [url, request] = fetch.mock.calls[0].arguments;
+    assert.equal(url, 'http://localhost:8080/v1/chat/completions');
+    assert.equal(request.headers.Authorization, 'Bearer key');
+    assert.deepEqual(JSON.parse(request.body), {
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'system', content: 'system' }, { role: 'user', content: 'user' }],
+        temperature: 0.2
+    });
+});
+
+test('a failed request becomes an LLM_UNAVAILABLE error', async t => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('overloaded', { status: 529 }));
+    const provider = createLlmProvider(readLlmConfig({ LLM_PROVIDER: 'openai' }));
+    await assert.rejects(provider.generate('system', 'user'), { code: 'LLM_UNAVAILABLE', statusCode: 503, message: /status 529: overloaded/ });
+});
+
+test('recordings are keyed without today\'s date and replayed offline', async t => {
+    const recordingsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-recordings-'));
+    t.after(() => fs.rm(recordingsDir, { recursive: true, force: true }));
+    const config = { recordingsDir, model: 'test-model' };
+
+    assert.equal(recordingKey('system', "Today's date is: 2025-07-07\nHi"), recordingKey('system', "Today's date is: 2025-07-08\nHi"));
+    assert.notEqual(recordingKey('system', 'Hi'), recordingKey('system', 'Hello'));
+
+    let calls = 0;
+    const upstream = { name: 'fake', model: 'test-model', generate: async () => `response ${++calls}` };
+    const recorder = createRecordReplayProvider(config, upstream);
+    assert.equal(await recorder.generate('system', "Today's date is: 2025-07-07\nHi"), 'response 1');
+    assert.equal(await recorder.generate('system', "Today's date is: 2025-07-07\nHi"), 'response 1');
+    assert.equal(calls, 1);
+
+    const replay = createRecordReplayProvider(config, null);
+    assert.equal(await replay.generate('system', "Today's date is: 2025-07-08\nHi"), 'response 1');
+    await assert.rejects(replay.generate('system', 'Something new'), { code: 'LLM_UNAVAILABLE', message: /No recorded response/ });
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listMigrations, readStatements } = require('../migrate.js');
+
+const migrations = listMigrations();
+
+test('migration versions are unique and numbered in order', () => {
+    const versions = migrations.map(migration => migration.version);
+    assert.ok(versions.length > 0);
+    assert.equal(new Set(versions).size, versions.length);
+    for (const version of versions) assert.match(version, /^\d{3}_[a-z0-9_]+$/);
+});
+
+// A failed migration is run again from its first statement, so each one has to tolerate that
+for (const { version, file } of migrations) {
+    test(`${version} splits into statements that are safe to run again`, () => {
+        const statements = readStatements(file);
+        assert.ok(statements.length > 0);
+        for (const statement of statements) {
+            assert.doesNotMatch(statement, /;\s*$/);
+            assert.doesNotMatch(statement, /^\s*--/m);
+            if (/^CREATE TABLE/i.test(statement)) assert.match(statement, /^CREATE TABLE IF NOT EXISTS /i);
+            if (/^INSERT/i.test(statement)) assert.match(statement, /NOT EXISTS/i);
+        }
+    });
+}
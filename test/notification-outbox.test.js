@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dbPool, transporter, deliverNotification } = require('../index.js').testing;
+
+const RECIPIENT = { first_name: 'Rahul', last_name: 'Verma', email: 'rahul@acme.test', preferred_locale: null, approver_name: 'Priya Singh' };
+
+// Serve an outbox row on its given attempt and record the status updates written back
+function mockOutbox(t, { attempts, claimed = true, users = [RECIPIENT] }) {
+    const updates = [];
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(dbPool, 'query', async () => [[]]);
+    t.mock.method(dbPool, 'execute', async (sql, params) => {
+        if (/SET status = 'sending'/.test(sql)) return [{ affectedRows: claimed ? 1 : 0 }];
+        if (/^UPDATE NotificationOutbox/.test(sql.trim())) {
+            updates.push({ sql, params });
+            return [{ affectedRows: 1 }];
+        }
+        if (/FROM NotificationOutbox/.test(sql)) {
+            return [[{
+                notification_id: 7, organization_id: 'ORG_A', recipient_user_id: 'E1', template_key: 'leave_approved', attempts,
+                payload: JSON.stringify({ request_id: 3, leave_type: 'Casual Leave', start_date: '2025-07-07', end_date: '2025-07-07', days: 1, approver_id: 'M1', remaining_balance: 2 })
+            }]];
+        }
+        if (/FROM Organizations/.test(sql)) return [[{ org_name: 'Acme', default_locale: 'en' }]];
+        if (/FROM Users u/.test(sql)) return [users];
+        return [[]];
+    });
+    return updates;
+}
+
+test('a delivered notification is marked sent with its message ID', async t => {
+    const updates = mockOutbox(t, { attempts: 1 });
+    const send = t.mock.method(transporter, 'sendMail', async () => ({ messageId: '<m1@acme.test>' }));
+
+    assert.equal(await deliverNotification(7), 'sent');
+    assert.equal(send.mock.calls[0].arguments[0].to, 'rahul@acme.test');
+    assert.equal(send.mock.calls[0].arguments[0].subject, 'Leave Request Approved');
+    assert.match(updates[0].sql, /status = 'sent'/);
+    assert.deepEqual(updates[0].params, ['<m1@acme.test>', 7]);
+});
+
+test('a failed send is retried with exponential backoff, then dead-lettered', async t => {
+    const updates = mockOutbox(t, { attempts: 3 });
+    t.mock.method(transporter, 'sendMail', async () => { throw new Error('Connection timed out'); });
+    assert.equal(await deliverNotification(7), 'retrying');
+    assert.deepEqual(updates[0].params, ['pending', 'Connection timed out', 240, 7]);
+
+    t.mock.reset();
+    const last = mockOutbox(t, { attempts: 5 });
+    t.mock.method(transporter, 'sendMail', async () => { throw new Error('Connection timed out'); });
+    assert.equal(await deliverNotification(7), 'dead');
+    assert.equal(last[0].params[0], 'dead');
+});
+
+test('a recipient without an email address is dead-lettered on the first attempt', async t => {
+    const updates = mockOutbox(t, { attempts: 1, users: [] });
+    const send = t.mock.method(transporter, 'sendMail', async () => ({}));
+
+    assert.equal(await deliverNotification(7), 'dead');
+    assert.equal(send.mock.callCount(), 0);
+    assert.deepEqual(updates[0].params.slice(0, 2), ['dead', 'User E1 no longer exists or has no email address.']);
+});
+
+test('a notification another dispatcher holds, or that is not due, is skipped', async t => {
+    const updates = mockOutbox(t, { attempts: 1, claimed: false });
+    const send = t.mock.method(transporter, 'sendMail', async () => ({}));
+
+    assert.equal(await deliverNotification(7), 'skipped');
+    assert.equal(send.mock.callCount(), 0);
+    assert.deepEqual(updates, []);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toPaise, findLocationState, loadPayrollRules, computePayrollComponents, applyPayrollRules } = require('../index.js').testing;
+
+// An executor holding an organization's own payroll rules and slabs (none by default) and the employees' locations
+function payrollExecutor({ own = null, slabs = [], users = [{ user_id: 'E1', location: 'Bengaluru' }] } = {}) {
+    return {
+        query: async sql => {
+            if (/FROM PayrollRules/.test(sql)) return [own ? [own] : []];
+            if (/FROM ProfessionalTaxSlabs/.test(sql)) return [slabs];
+            if (/FROM Users/.test(sql)) return [users];
+            return [[]];
+        }
+    };
+}
+
+const newRow = after => ({
+    table: 'PayrollData', key: { payroll_id: null }, before: null,
+    after: { organization_id: 'ORG_A', user_id: 'E1', base_salary: 20000, conveyance_allowance: 1600, medical_allowance: 1250, ...after }
+});
+
+test('amounts are converted to whole paise', () => {
+    assert.equal(toPaise(1234.565), 123457);
+    assert.equal(toPaise('0.1'), 10);
+    assert.equal(toPaise(null), 0);
+});
+
+test('the state is read from a location by name, code or city', () => {
+    assert.equal(findLocationState('Bengaluru'), 'Karnataka');
+    assert.equal(findLocationState('Muzaffarpur, UP'), 'Uttar Pradesh');
+    assert.equal(findLocationState('Salt Lake, west bengal'), 'West Bengal');
+    assert.equal(findLocationState('Panaji, Goa'), null);
+    assert.equal(findLocationState('Panaji, Goa', ['Goa']), 'Goa');
+    assert.equal(findLocationState(null), null);
+});
+
+test('the default rules cap PF at the wage ceiling and skip ESI above the threshold', async () => {
+    const rules = await loadPayrollRules(payrollExecutor(), 'ORG_A');
+    assert.equal(rules.source, 'default');
+    const { values, state } = computePayrollComponents({ base_salary: 20000, conveyance_allowance: 1600, medical_allowance: 1250 }, rules, 'Bengaluru, KA');
+
+    assert.equal(state, 'Karnataka');
+    assert.deepEqual(values, { HRA: 800000, pf_deduction: 180000, esi_deduction: 0, professional_tax: 20000, ctc: 3265000 });
+});
+
+test('each component is rounded to the paisa from the paise amounts', async () => {
+    const rules = await loadPayrollRules(payrollExecutor(), 'ORG_A');
+    const { values } = computePayrollComponents({ base_salary: 10000.33 }, rules, 'Pune');
+
+    // gross 14,000.46: HRA 4,000.132, PF 1,200.0396, ESI 105.00345, employer ESI 455.01495
+    assert.deepEqual(values, { HRA: 400013, pf_deduction: 120004, esi_deduction: 10500, professional_tax: 20000, ctc: 1565551 });
+});
+
+test("rules switched off keep the entered value, and the organization's slabs replace the defaults", async () => {
+    const own = { hra_percent: null, pf_percent: 12, pf_wage_ceiling: null, esi_percent: 0.75, esi_gross_threshold: 21000, employer_pf_percent: 12, employer_esi_percent: null };
+    const rules = await loadPayrollRules(payrollExecutor({ own, slabs: [{ state: 'karnataka', min_gross: 0, monthly_tax: 0 }, { state: 'karnataka', min_gross: 50000, monthly_tax: 250 }] }), 'ORG_A');
+    assert.deepEqual(rules.ownStates, ['karnataka']);
+    assert.equal(rules.slabs.Karnataka, undefined);
+
+    const { values } = computePayrollComponents({ base_salary: 50000, HRA: 5000 }, rules, 'Bangalore');
+    assert.deepEqual(values, { pf_deduction: 600000, esi_deduction: 0, professional_tax: 25000, ctc: 6100000 });
+    assert.deepEqual(Object.keys(computePayrollComponents({ base_salary: 50000 }, rules, 'Panaji').values), ['pf_deduction', 'esi_deduction', 'ctc']);
+});
+
+test('a payroll write gets the rule-driven columns, and one that contradicts them is refused', async () => {
+    const row = newRow({});
+    await applyPayrollRules(payrollExecutor(), [row]);
+    assert.deepEqual(
+        { HRA: row.after.HRA, pf: row.after.pf_deduction, esi: row.after.esi_deduction, pt: row.after.professional_tax, ctc: row.after.ctc },
+        { HRA: 8000, pf: 1800, esi: 0, pt: 200, ctc: 32650 }
+    );
+
+    await assert.rejects(applyPayrollRules(payrollExecutor(), [newRow({ HRA: 9000 })]), {
+        code: 'PAYROLL_RULE_VIOLATION',
+        statusCode: 409,
+        message: /HRA is 40% of the base salary, so HRA should be 8,000.00, not 9,000.00/
+    });
+    await applyPayrollRules(payrollExecutor(), [newRow({ HRA: 8000, ctc: '32650.00' })]);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readPayMonth, computePayslip, buildPdf, renderPayslipPdf } = require('../index.js').testing;
+
+const EMPLOYEE = {
+    date_of_joining: '2020-04-01', base_salary: 30000, HRA: 12000.5, conveyance_allowance: 1600, medical_allowance: 1250,
+    pf_deduction: 1800, esi_deduction: 0, professional_tax: 200, ctc: 50000
+};
+
+// Check a PDF's structure: header, cross-reference offsets pointing at their objects, trailer and
+// stream lengths. Returns the text shown on the page.
+function readPdf(pdf) {
+    const text = pdf.toString('latin1');
+    assert.ok(text.startsWith('%PDF-1.4\n'));
+    assert.ok(text.endsWith('%%EOF\n'));
+
+    const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.equal(text.slice(startxref, startxref + 5), 'xref\n');
+    const [, first, count] = text.slice(startxref).match(/^xref\n(\d+) (\d+)\n/);
+    assert.equal(first, '0');
+    const entries = text.slice(startxref).split('\n').slice(2, 2 + Number(count));
+    assert.equal(entries[0], '0000000000 65535 f ');
+    entries.slice(1).forEach((entry, index) => {
+        assert.match(entry, /^\d{10} 00000 n $/);
+        const offset = Number(entry.slice(0, 10));
+        assert.equal(text.slice(offset, offset + `${index + 1} 0 obj\n`.length), `${index + 1} 0 obj\n`);
+    });
+    assert.match(text, new RegExp(`trailer\\n<< /Size ${count} /Root 1 0 R >>`));
+
+    const [, length, body] = text.match(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/);
+    assert.equal(Buffer.byteLength(body, 'latin1'), Number(length));
+    return [...body.matchAll(/\((.*?)(?<!\\)\) Tj/g)].map(([, shown]) => shown.replace(/\\(.)/g, '$1'));
+}
+
+test('a pay month must be a finished YYYY-MM month', () => {
+    const june = readPayMonth(' 2025-06 ');
+    assert.equal(june.month, '2025-06');
+    assert.equal(june.days, 30);
+    assert.equal(june.end.toISOString().slice(0, 10), '2025-06-30');
+    assert.equal(readPayMonth('2024-02').days, 29);
+    assert.match(readPayMonth('2025-13').error, /YYYY-MM/);
+    assert.match(readPayMonth(202506).error, /YYYY-MM/);
+    assert.match(readPayMonth(new Date().toISOString().slice(0, 7)).error, /isn't ready yet/);
+});
+
+test('a full month pays the monthly amounts', () => {
+    const payslip = computePayslip(EMPLOYEE, readPayMonth('2025-06'), 0);
+    assert.equal(payslip.payable_days, 30);
+    assert.equal(payslip.gross_earnings, 44850.5);
+    assert.equal(payslip.total_deductions, 2000);
+    assert.equal(payslip.net_pay, 42850.5);
+    assert.equal(payslip.ctc, 50000);
+});
+
+test('pay is prorated from the joining date and for unpaid leave', () => {
+    const payslip = computePayslip({ ...EMPLOYEE, date_of_joining: '2025-06-11' }, readPayMonth('2025-06'), 2);
+    assert.deepEqual(payslip, {
+        days_in_month: 30, payable_days: 18, unpaid_leave_days: 2,
+        base_salary: 18000, HRA: 7200.3, conveyance_allowance: 960, medical_allowance: 750,
+        pf_deduction: 1080, esi_deduction: 0, professional_tax: 200,
+        gross_earnings: 26910.3, total_deductions: 1280, net_pay: 25630.3, ctc: 50000
+    });
+});
+
+test('each prorated amount is rounded to the paisa once, and no paid days means no tax', () => {
+    const period = readPayMonth('2025-07');
+    const oneDay = computePayslip({ ...EMPLOYEE, base_salary: 10000.01 }, period, 30);
+    assert.equal(oneDay.payable_days, 1);
+    assert.equal(oneDay.base_salary, 322.58);
+    assert.equal(oneDay.HRA, 387.11);
+    assert.equal(oneDay.gross_earnings, 801.62);
+
+    const unpaid = computePayslip(EMPLOYEE, period, 40);
+    assert.equal(unpaid.payable_days, 0);
+    assert.equal(unpaid.unpaid_leave_days, 31);
+    assert.equal(unpaid.professional_tax, 0);
+    assert.equal(unpaid.net_pay, 0);
+});
+
+test('a built PDF has a valid cross-reference table and escaped text', () => {
+    const shown = readPdf(buildPdf([
+        { text: 'Rahul (Verma) \\ Café ₹', x: 50, y: 700, bold: true },
+        { rule: [50, 690, 545, 690] },
+        { text: '1,000.00', x: 545, y: 680, align: 'right' }
+    ]));
+    assert.deepEqual(shown, ['Rahul (Verma) \\ Café ?', '1,000.00']);
+});
+
+test('a payslip PDF shows the month, days paid and amounts', () => {
+    const payslip = {
+        organization_name: 'Acme', pay_month: '2025-06', employee_name: 'Rahul Verma', user_id: 'E1',
+        department: 'Engineering', location: null, date_of_joining: '2025-06-11', generated_at: '2025-07-01T10:00:00Z',
+        ...computePayslip({ ...EMPLOYEE, date_of_joining: '2025-06-11' }, readPayMonth('2025-06'), 2)
+    };
+    const shown = readPdf(renderPayslipPdf(payslip));
+    assert.ok(shown.includes('Payslip for June 2025'));
+    assert.ok(shown.includes('Rahul Verma (E1)'));
+    assert.ok(shown.includes('18 of 30 (2 day(s) of unpaid leave)'));
+    assert.ok(shown.includes('7,200.30'));
+    assert.ok(shown.includes('25,630.30'));
+});
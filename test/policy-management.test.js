@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffWords, diffPolicyVersions, readReviewPeriod, readPolicyFields } = require('../index.js').testing;
+
+test('a word diff groups runs of kept, removed and added words', () => {
+    assert.deepEqual(diffWords('Staff get 12 days of leave', 'Staff get  15 days of paid leave'), [
+        { type: 'same', text: 'Staff get' },
+        { type: 'removed', text: '12' },
+        { type: 'added', text: '15' },
+        { type: 'same', text: 'days of' },
+        { type: 'added', text: 'paid' },
+        { type: 'same', text: 'leave' }
+    ]);
+    assert.deepEqual(diffWords(null, 'New text'), [{ type: 'added', text: 'New text' }]);
+    assert.deepEqual(diffWords('Old text', ''), [{ type: 'removed', text: 'Old text' }]);
+});
+
+test('a rewrite too large to compare word by word is recorded as removed and added', () => {
+    const before = Array.from({ length: 600 }, (_, index) => `old${index}`).join(' ');
+    const after = Array.from({ length: 600 }, (_, index) => `new${index}`).join(' ');
+    const parts = diffWords(before, after);
+    assert.deepEqual(parts.map(part => part.type), ['removed', 'added']);
+    assert.equal(parts[0].text, before);
+    assert.equal(parts[1].text, after);
+});
+
+test('policy version diffs list only the fields that changed', () => {
+    const before = { policy_title: 'Leave', policy_category: 'HR', policy_content: 'Ten days', last_reviewed: '2025-01-01', keywords: null, archived_at: null };
+    assert.equal(diffPolicyVersions(before, { ...before }), null);
+    assert.deepEqual(diffPolicyVersions(before, { ...before, policy_title: 'Annual leave', policy_content: 'Twelve days', keywords: undefined }), {
+        policy_title: { from: 'Leave', to: 'Annual leave' },
+        policy_content: { changes: [{ type: 'removed', text: 'Ten' }, { type: 'added', text: 'Twelve' }, { type: 'same', text: 'days' }] }
+    });
+});
+
+test('the review period defaults and must be a positive whole number', () => {
+    assert.equal(readReviewPeriod({}), 365);
+    assert.equal(readReviewPeriod({ max_age_days: '' }), 365);
+    assert.equal(readReviewPeriod({ max_age_days: '90' }), 90);
+    assert.equal(readReviewPeriod({ max_age_days: '0' }), null);
+    assert.equal(readReviewPeriod({ max_age_days: '1.5' }), null);
+    assert.equal(readReviewPeriod({ max_age_days: 'soon' }), null);
+});
+
+test('a new policy needs a title and text and is marked as reviewed today', () => {
+    const today = new Date().toISOString().slice(0, 10);
+    assert.deepEqual(readPolicyFields({ policy_title: '  Leave  ', policy_content: 'Ten days', keywords: [' leave ', '', 'pto'] }, { creating: true }), {
+        values: { policy_title: 'Leave', policy_content: 'Ten days', keywords: 'leave, pto', last_reviewed: today }
+    });
+    assert.match(readPolicyFields({ policy_content: 'Ten days' }, { creating: true }).error, /"policy_title"/);
+    assert.match(readPolicyFields({ policy_title: 'Leave', policy_content: '   ' }, { creating: true }).error, /"policy_content"/);
+});
+
+test('an update only sets the fields it names and rejects bad values', () => {
+    assert.deepEqual(readPolicyFields({ policy_id: 4, policy_category: '  ', last_reviewed: null }, { creating: false }), {
+        values: { policy_category: null, last_reviewed: null }
+    });
+    assert.deepEqual(readPolicyFields({ last_reviewed: '2024-03-01' }, { creating: false }), { values: { last_reviewed: '2024-03-01' } });
+
+    assert.match(readPolicyFields({ organization_id: 'ORG_B' }, { creating: false }).error, /can't set organization_id/);
+    assert.match(readPolicyFields({ policy_title: 'x'.repeat(256) }, { creating: false }).error, /at most 255/);
+    assert.match(readPolicyFields({ policy_category: 7 }, { creating: false }).error, /must be text/);
+    assert.match(readPolicyFields({ keywords: [1, 2] }, { creating: false }).error, /"keywords"/);
+    assert.match(readPolicyFields({ last_reviewed: '01/03/2024' }, { creating: false }).error, /YYYY-MM-DD/);
+    assert.match(readPolicyFields({ last_reviewed: '2999-01-01' }, { creating: false }).error, /future/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dbPool, llm, tokenizeForSearch, splitIntoPassages, buildPolicyIndex, searchPolicyIndex, answerPolicyQuestion } = require('../index.js').testing;
+
+const caller = { userId: 'E1', organizationId: 'ORG_A', role: 'Employee' };
+
+const POLICIES = [
+    {
+        policy_id: 1, policy_title: 'Work From Home', policy_category: 'Attendance', keywords: 'remote, wfh',
+        policy_content: 'Employees may work from home two days a week. Requests need manager approval a day in advance.',
+        last_reviewed: '2025-01-10'
+    },
+    {
+        policy_id: 2, policy_title: 'Travel Reimbursement', policy_category: 'Finance', keywords: 'expenses, travel',
+        policy_content: 'Travel expenses are reimbursed within 30 days of submitting receipts. Economy class is booked for flights under six hours.',
+        last_reviewed: '2024-11-02'
+    },
+    {
+        policy_id: 3, policy_title: 'Holidays', policy_category: 'Leave', keywords: 'holiday calendar',
+        policy_content: 'The office is closed on the national holidays listed in the yearly calendar.',
+        last_reviewed: null
+    }
+];
+
+test('search terms drop stop words and common endings', () => {
+    assert.deepEqual(tokenizeForSearch('What is the policy on reimbursements for travelling?'), ['reimbursement', 'travel']);
+    assert.deepEqual(tokenizeForSearch('Approved holidays and policies'), ['approv', 'holiday']);
+    assert.deepEqual(tokenizeForSearch('Business class'), ['business', 'class']);
+    assert.deepEqual(tokenizeForSearch(null), []);
+});
+
+test('policy content is split into passages of whole sentences', () => {
+    const sentence = `${Array(30).fill('word').join(' ')}.`;
+    const passages = splitIntoPassages(`${sentence} ${sentence}\n\n${sentence} Short one!`);
+    assert.deepEqual(passages.map(passage => passage.split(' ').length), [60, 32]);
+    assert.ok(passages[1].endsWith('Short one!'));
+    assert.deepEqual(splitIntoPassages(''), []);
+});
+
+test('passages are ranked with title and keyword matches weighted up', () => {
+    const results = searchPolicyIndex(buildPolicyIndex(POLICIES), 'How are travel expenses reimbursed?');
+    assert.equal(results[0].policy.policy_id, 2);
+    assert.ok(results.every(result => result.policy.policy_id === 2));
+
+    assert.equal(searchPolicyIndex(buildPolicyIndex(POLICIES), 'Can I work remotely?')[0].policy.policy_id, 1);
+    assert.deepEqual(searchPolicyIndex(buildPolicyIndex(POLICIES), 'parking spaces'), []);
+});
+
+test('answers cite only the policies among the passages given to the AI', async t => {
+    t.mock.method(dbPool, 'query', async sql => [/FROM CompanyPolicies/.test(sql) ? POLICIES : []]);
+    const generate = t.mock.method(llm, 'generate', async () =>
+        '```json\n{"answer": "Receipts are reimbursed within 30 days.", "policy_ids": [2, 3]}\n```');
+
+    const response = await answerPolicyQuestion(caller, 'How long do travel reimbursements take?');
+    assert.equal(response.body.message, 'Receipts are reimbursed within 30 days.');
+    assert.deepEqual(response.body.citations, [{ policy_id: 2, policy_title: 'Travel Reimbursement', last_reviewed: '2024-11-02' }]);
+    assert.match(generate.mock.calls[0].arguments[1], /\[policy_id 2\] Travel Reimbursement \(Finance, last reviewed 2024-11-02\)/);
+});
+
+test('questions no policy covers are answered without the AI', async t => {
+    t.mock.method(dbPool, 'query', async sql => [/FROM CompanyPolicies/.test(sql) ? POLICIES : []]);
+    const generate = t.mock.method(llm, 'generate', async () => '{}');
+
+    const response = await answerPolicyQuestion(caller, 'Is there free parking?');
+    assert.deepEqual(response.body.citations, []);
+    assert.match(response.body.message, /couldn't find a company policy/);
+    assert.equal(generate.mock.callCount(), 0);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkGeneratedStatement, runPlanSteps, planFailureResponse, handleQueryPlan } = require('../index.js').testing;
+
+const admin = { userId: 'A1', organizationId: 'ORG_A', role: 'Admin', managerId: null, reportIds: [], approvalUserIds: [] };
+const employee = { userId: 'E1', organizationId: 'ORG_A', role: 'Employee', managerId: 'M1', reportIds: [], approvalUserIds: [] };
+
+test('each step gets the same checks and scoping as a single statement', async () => {
+    const check = await checkGeneratedStatement("SELECT department FROM Users WHERE department = 'Sales';", admin);
+    assert.equal(check.allowed, true);
+    assert.equal(check.sql, "SELECT `department` FROM `Users` WHERE `Users`.`organization_id` = 'ORG_A' AND (`department` = 'Sales')");
+
+    const unsafe = await checkGeneratedStatement('DELETE FROM Users', admin);
+    assert.equal(unsafe.allowed, false);
+    assert.equal(unsafe.rule, 'statement_type');
+
+    assert.equal((await checkGeneratedStatement('UPDATE PayrollData SET base_salary = 1', employee)).allowed, false);
+    assert.equal((await checkGeneratedStatement('   ', admin)).allowed, false);
+});
+
+test('a plan is refused as a whole when it is empty, too long or any step fails its checks', async () => {
+    const run = plan => handleQueryPlan(plan, { prompt: 'test', confirmationMessage: '', caller: admin, sessionId: null, pageSize: 50 });
+
+    assert.equal((await run([])).statusCode, 400);
+    assert.match((await run(Array(6).fill('SELECT 1'))).body.message, /6 steps, but I can only run 5/);
+
+    const refused = await run(['SELECT first_name FROM Users', 'DROP TABLE Users']);
+    assert.equal(refused.statusCode, 403);
+    assert.equal(refused.body.step, 2);
+    assert.match(refused.body.message, /^Step 2: /);
+});
+
+test('steps run in order and a failing step is numbered', async () => {
+    const executed = [];
+    const connection = {
+        execute: async sql => {
+            executed.push(sql);
+            if (executed.length === 2) throw Object.assign(new Error("Unknown column 'x'"), { code: 'ER_BAD_FIELD_ERROR' });
+            return [[{ department: 'Sales' }]];
+        }
+    };
+    const statements = ['SELECT department FROM Users', 'SELECT x FROM Users', 'SELECT 1'];
+
+    await assert.rejects(runPlanSteps(connection, statements, { prompt: 'test', caller: admin, pageSize: 50 }), { step: 2 });
+    assert.equal(executed.length, 2);
+});
+
+test('a failed plan reports which steps were rolled back, failed and skipped', () => {
+    const error = Object.assign(new Error('Step 2 did not match any records.'), { code: 'NO_MATCHING_RECORDS', statusCode: 404, step: 2 });
+    const response = planFailureResponse(error, ['UPDATE a', 'UPDATE b', 'UPDATE c']);
+
+    assert.equal(response.statusCode, 404);
+    assert.match(response.body.message, /^I couldn't complete step 2 of 3, so none of the changes were applied\. Step 2 did not match any records\.$/);
+    assert.deepEqual(response.body.steps.map(step => step.status), ['rolled_back', 'failed', 'skipped']);
+});
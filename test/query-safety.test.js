@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateQuerySafety } = require('../index.js').testing;
+
+// Each rejected statement and the rule validateQuerySafety must report for it
+const REJECTED = [
+    ['SELECT * FROM Users; DROP TABLE Users', 'single_statement'],
+    ['DELETE FROM Users', 'statement_type'],
+    ['DROP TABLE Users', 'statement_type'],
+    ['SELECT * FROM Secrets', 'table'],
+    ['SELECT * FROM information_schema.tables', 'table'],
+    ['SELECT * FROM Users WHERE user_id IN (SELECT user FROM mysql.user)', 'table'],
+    ['SELECT password FROM Users', 'column'],
+    ['SELECT email, password_hash FROM Users', 'column'],
+    ["SELECT first_name FROM Users WHERE password_hash LIKE '$2b$%'", 'column'],
+    ['SELECT * FROM Users', 'column'],
+    ['SELECT u.*, lb.leave_type FROM Users u JOIN LeaveBalances lb ON lb.user_id = u.user_id', 'column'],
+    ['SELECT d.password_hash FROM (SELECT password_hash FROM Users) d', 'column'],
+    ['SELECT password_hash FROM Users u JOIN (SELECT 1 AS x) d ON 1=1', 'column'],
+    ['SELECT d.* FROM (SELECT u.* FROM Users u) d', 'column'],
+    ['SELECT d.last_name FROM (SELECT first_name FROM Users) d', 'column'],
+    ['SELECT first_name FROM Users WHERE user_id IN (SELECT user_id FROM Users x WHERE x.password_hash IS NULL)', 'column'],
+    ["INSERT INTO Users (user_id, first_name) VALUES ('Z1', 'Z') ON DUPLICATE KEY UPDATE password_hash = 'x'", 'on_duplicate'],
+    ['SELECT SLEEP(5)', 'function'],
+    ["SELECT LOAD_FILE('/etc/passwd')", 'function'],
+    ['SELECT @@version', 'variable'],
+    ['SELECT @a', 'variable'],
+    ["SELECT * FROM Users INTO OUTFILE '/tmp/users.txt'", 'select_into'],
+    ['SELECT * FROM Users FOR UPDATE', 'locking_read'],
+    ['SELEC * FROM Users', 'syntax']
+];
+
+for (const [sql, rule] of REJECTED) {
+    test(`rejects ${sql} (${rule})`, () => {
+        const result = validateQuerySafety(sql);
+        assert.equal(result.safe, false);
+        assert.equal(result.rule, rule);
+        assert.ok(result.message);
+    });
+}
+
+test('allows reads and writes of schema tables and columns', () => {
+    for (const sql of [
+        "SELECT first_name, last_name FROM Users WHERE department = 'Engineering'",
+        'SELECT lb.*, u.first_name FROM LeaveBalances lb JOIN Users u ON lb.user_id = u.user_id',
+        'SELECT * FROM PayrollData WHERE user_id IN (SELECT user_id FROM Users)',
+        'SELECT u.first_name, lb.leave_type FROM Users u JOIN LeaveBalances lb ON lb.user_id = u.user_id',
+        'SELECT department, COUNT(*) AS headcount FROM Users GROUP BY department HAVING headcount > 1',
+        'SELECT d.n, d.department FROM (SELECT first_name AS n, department FROM Users) d WHERE n LIKE \'A%\'',
+        'SELECT * FROM (SELECT first_name FROM Users) d',
+        'SELECT u.first_name FROM Users u WHERE EXISTS (SELECT 1 FROM PayrollData p WHERE p.user_id = u.user_id AND base_salary > 1)',
+        "UPDATE Users SET location = 'Delhi' WHERE user_id = 'TCI_EMP004'",
+        "INSERT INTO LeaveRequests (user_id, leave_type, start_date, end_date, days) VALUES ('TCI_EMP004', 'Sick Leave', '2025-01-02', '2025-01-02', 1)"
+    ]) {
+        assert.equal(validateQuerySafety(sql).safe, true, sql);
+    }
+});
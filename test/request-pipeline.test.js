@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+const index = require('../index.js');
+const { handleRequest, readLambdaEvent, bufferResponseBody, formatLambdaResponse } = index.testing;
+
+const request = overrides => ({ method: 'GET', path: '/', headers: {}, query: {}, body: '', ...overrides });
+
+test('routes are matched by method and path, ignoring a trailing slash', async () => {
+    const health = await handleRequest(request({ path: '//' }));
+    assert.equal(health.statusCode, 200);
+    assert.equal(health.body, 'AI Backend is running!');
+    assert.equal(health.headers['Content-Type'], 'text/plain; charset=utf-8');
+    assert.equal(health.headers['Access-Control-Allow-Origin'], '*');
+
+    const missing = await handleRequest(request({ method: 'DELETE', path: '/undo/' }));
+    assert.equal(missing.statusCode, 404);
+    assert.deepEqual(JSON.parse(missing.body), { success: false, message: 'There is no DELETE /undo endpoint.' });
+
+    const preflight = await handleRequest(request({ method: 'OPTIONS', path: '/ai-query' }));
+    assert.equal(preflight.statusCode, 204);
+    assert.equal(preflight.headers['Content-Type'], undefined);
+});
+
+test('bodies must be JSON objects and protected routes need a bearer token', async () => {
+    for (const body of ['{not json', '[1, 2]', '"text"']) {
+        const response = await handleRequest(request({ method: 'POST', path: '/ai-query', body }));
+        assert.equal(response.statusCode, 400, body);
+    }
+    const response = await handleRequest(request({ method: 'POST', path: '/ai-query', body: '{"prompt": "hi"}', headers: { 'x-user-id': 'E1', 'x-organization-id': 'ORG_A' } }));
+    assert.equal(response.statusCode, 401);
+});
+
+test('REST, HTTP API and ALB events are read into the same request', () => {
+    assert.deepEqual(readLambdaEvent({
+        httpMethod: 'POST', path: '/ai-query', headers: { Authorization: 'Bearer t' },
+        queryStringParameters: null, body: Buffer.from('{"prompt":"hi"}').toString('base64'), isBase64Encoded: true
+    }), { source: 'rest-api', request: { method: 'POST', path: '/ai-query', headers: { Authorization: 'Bearer t' }, query: {}, body: '{"prompt":"hi"}' } });
+
+    const httpApi = readLambdaEvent({
+        version: '2.0', rawPath: '/prod/user/payslip', headers: {}, queryStringParameters: { month: '2025-06' },
+        requestContext: { stage: 'prod', http: { method: 'GET' } }
+    });
+    assert.deepEqual(httpApi, { source: 'http-api', request: { method: 'GET', path: '/user/payslip', headers: {}, query: { month: '2025-06' }, body: '' } });
+
+    const alb = readLambdaEvent({
+        httpMethod: 'GET', path: '/admin/audit', requestContext: { elb: {} },
+        multiValueHeaders: { accept: ['text/html', 'application/json'] },
+        multiValueQueryStringParameters: { 'user%5Fid': ['E1', 'E2'], from: ['2025-07-01'] }
+    });
+    assert.equal(alb.source, 'alb');
+    assert.deepEqual(alb.request.headers, { accept: 'application/json' });
+    assert.deepEqual(alb.request.query, { user_id: 'E2', from: '2025-07-01' });
+});
+
+test('streamed downloads are buffered and sent base64-encoded', async () => {
+    const response = await bufferResponseBody({
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/pdf', 'Content-Disposition': 'attachment; filename="a.pdf"' },
+        body: Readable.from([Buffer.from('%PDF'), Buffer.from('-1.4')])
+    });
+    assert.equal(response.body.toString(), '%PDF-1.4');
+
+    const rest = formatLambdaResponse('rest-api', {}, response);
+    assert.equal(rest.isBase64Encoded, true);
+    assert.equal(Buffer.from(rest.body, 'base64').toString(), '%PDF-1.4');
+
+    const alb = formatLambdaResponse('alb', { multiValueHeaders: {} }, { statusCode: 404, headers: { Vary: 'Origin' }, body: '{}' });
+    assert.equal(alb.statusDescription, '404 Not Found');
+    assert.deepEqual(alb.multiValueHeaders, { Vary: ['Origin'] });
+});
+
+test('the Lambda handler answers through the same pipeline', async () => {
+    const response = await index.handler({ version: '2.0', rawPath: '/', headers: {}, requestContext: { stage: '$default', http: { method: 'GET' } } });
+    assert.deepEqual(
+        { statusCode: response.statusCode, body: response.body, isBase64Encoded: response.isBase64Encoded },
+        { statusCode: 200, body: 'AI Backend is running!', isBase64Encoded: false }
+    );
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Parser } = require('node-sql-parser');
+const { dbPool, readPageSize, parseQueryCursor, getPageTiebreakers, buildPageSql, countSelectRows, runPagedSelect, describePage } = require('../index.js').testing;
+
+const parser = new Parser();
+const astify = sql => parser.astify(sql, { database: 'MySQL' });
+const caller = { userId: 'E1', organizationId: 'ORG_A', role: 'Employee' };
+const CURSOR_ID = 'ab'.repeat(24);
+
+test('page sizes default and stay within the maximum', () => {
+    assert.deepEqual(readPageSize(undefined), { pageSize: 50 });
+    assert.deepEqual(readPageSize('25'), { pageSize: 25 });
+    assert.deepEqual(readPageSize(500), { pageSize: 500 });
+    assert.match(readPageSize(501).error, /between 1 and 500/);
+    assert.match(readPageSize('0').error, /"page_size"/);
+    assert.match(readPageSize(2.5).error, /"page_size"/);
+});
+
+test('cursors carry their ID and the offset of the next row', () => {
+    assert.deepEqual(parseQueryCursor(`${CURSOR_ID}.150`), { cursorId: CURSOR_ID, offset: 150 });
+    assert.equal(parseQueryCursor(`${CURSOR_ID}.-1`), null);
+    assert.equal(parseQueryCursor(`${CURSOR_ID.slice(2)}.50`), null);
+    assert.equal(parseQueryCursor(`${CURSOR_ID.toUpperCase()}.50`), null);
+    assert.equal(parseQueryCursor(null), null);
+});
+
+test('rows are ordered uniquely by primary keys, groups or distinct values', () => {
+    assert.deepEqual(getPageTiebreakers(astify('SELECT u.first_name FROM Users u JOIN LeaveRequests lr ON lr.user_id = u.user_id')), [
+        { type: 'column_ref', table: 'u', column: 'user_id' },
+        { type: 'column_ref', table: 'lr', column: 'request_id' }
+    ]);
+    assert.deepEqual(getPageTiebreakers(astify('SELECT department, COUNT(*) FROM Users GROUP BY department')).map(expr => expr.column), ['department']);
+    assert.deepEqual(getPageTiebreakers(astify('SELECT DISTINCT department AS dept FROM Users')), [{ type: 'column_ref', table: null, column: 'dept' }]);
+    assert.deepEqual(getPageTiebreakers(astify('SELECT DISTINCT u.* FROM Users u JOIN PayrollData p ON p.user_id = u.user_id')), [
+        { type: 'column_ref', table: 'u', column: 'user_id' }
+    ]);
+    assert.deepEqual(getPageTiebreakers(astify('SELECT COUNT(*) FROM Users')), []);
+});
+
+test('a page adds the tiebreakers after the existing ORDER BY', () => {
+    assert.equal(
+        buildPageSql('SELECT u.first_name, lr.days FROM Users u JOIN LeaveRequests lr ON lr.user_id = u.user_id ORDER BY lr.days DESC, u.user_id', 50, 50),
+        'SELECT `u`.`first_name`, `lr`.`days` FROM `Users` AS `u` INNER JOIN `LeaveRequests` AS `lr` ON `lr`.`user_id` = `u`.`user_id` ' +
+        'ORDER BY `lr`.`days` DESC, `u`.`user_id` ASC, `lr`.`request_id` ASC LIMIT 50 OFFSET 50'
+    );
+    assert.equal(
+        buildPageSql("SELECT first_name FROM Users WHERE organization_id = 'ORG_A'", 0, 3),
+        "SELECT `first_name` FROM `Users` WHERE `organization_id` = 'ORG_A' ORDER BY `Users`.`user_id` ASC LIMIT 3 OFFSET 0"
+    );
+});
+
+test("a page stays within the statement's own LIMIT", () => {
+    const top = 'SELECT user_id, base_salary FROM PayrollData ORDER BY base_salary DESC LIMIT 5';
+    assert.match(buildPageSql(top, 0, 3), /LIMIT 3 OFFSET 0$/);
+    assert.match(buildPageSql(top, 3, 3), /LIMIT 2 OFFSET 3$/);
+    assert.match(buildPageSql(top, 50, 50), /LIMIT 0 OFFSET 50$/);
+    assert.match(buildPageSql('SELECT * FROM Users u LIMIT 10, 20', 0, 50), /ORDER BY `u`.`user_id` ASC LIMIT 20 OFFSET 10$/);
+    assert.match(buildPageSql('SELECT * FROM Users LIMIT 20 OFFSET 10', 15, 10), /LIMIT 5 OFFSET 25$/);
+});
+
+test('a UNION is paged from the outside, ordered by every column', () => {
+    const union = 'SELECT user_id FROM Users UNION SELECT user_id FROM PayrollData';
+    assert.equal(buildPageSql(union, 50, 50), `SELECT * FROM (${union}) AS paged ORDER BY 1 LIMIT 50 OFFSET 50`);
+});
+
+test('rows are counted with the statement\'s own FROM, or from the outside when grouped', async () => {
+    const statements = [];
+    const executor = { execute: async sql => { statements.push(sql); return [[{ total: 12 }]]; } };
+
+    assert.equal(await countSelectRows(executor, 'SELECT first_name FROM Users ORDER BY first_name LIMIT 2, 5'), 5);
+    assert.equal(statements[0], 'SELECT COUNT(*) AS `total` FROM `Users`');
+    assert.equal(await countSelectRows(executor, 'SELECT department FROM Users GROUP BY department'), 12);
+    assert.equal(statements[1], 'SELECT COUNT(*) AS total FROM (SELECT department FROM Users GROUP BY department) AS counted');
+});
+
+test('a full page returns a cursor for the rest, and the last page none', async t => {
+    const cursorWrites = t.mock.method(dbPool, 'execute', async () => [{ affectedRows: 1 }]);
+    const rows = count => Array.from({ length: count }, (_, index) => ({ user_id: `E${index}` }));
+    const executor = rowCount => ({
+        execute: async sql => (/COUNT\(\*\)/.test(sql) ? [[{ total: 5 }]] : [rows(rowCount)])
+    });
+
+    const first = await runPagedSelect(executor(2), 'SELECT user_id FROM Users', { caller, pageSize: 2 });
+    const { next_cursor: nextCursor, ...page } = first.page;
+    assert.deepEqual(page, { offset: 0, page_size: 2, returned: 2, total: 5 });
+    assert.match(nextCursor, /^[0-9a-f]{48}\.2$/);
+    assert.equal(cursorWrites.mock.calls.filter(call => /INSERT INTO QueryCursors/.test(call.arguments[0])).length, 1);
+
+    const last = await runPagedSelect(executor(1), 'SELECT user_id FROM Users', { caller, pageSize: 2, offset: 4, cursorId: CURSOR_ID });
+    assert.deepEqual(last.page, { offset: 4, page_size: 2, returned: 1, total: 5, next_cursor: null });
+});
+
+test('partial pages say which rows they show', () => {
+    assert.equal(describePage('Found 3 people.', { offset: 0, returned: 3, total: 3 }), 'Found 3 people.');
+    assert.equal(describePage('Found 240 people.', { offset: 50, returned: 50, total: 240 }), 'Found 240 people. Showing 51-100 of 240.');
+    assert.equal(describePage(null, { offset: 200, returned: 40, total: 240 }), 'Showing 201-240 of 240.');
+    assert.equal(describePage('Found 240 people.', { offset: 240, returned: 0, total: 240 }), 'There are no more results to show; all 240 have been listed.');
+});
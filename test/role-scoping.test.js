@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { authorizeQuery } = require('../index.js').testing;
+
+const employee = { userId: 'E1', organizationId: 'ORG_A', role: 'Employee', managerId: 'M1', reportIds: [], approvalUserIds: [] };
+const manager = { userId: 'M1', organizationId: 'ORG_A', role: 'Manager', managerId: null, reportIds: ['E1', 'E2'], approvalUserIds: ['E1', 'E2'] };
+const admin = { userId: 'A1', organizationId: 'ORG_A', role: 'Admin', managerId: null, reportIds: [], approvalUserIds: [] };
+
+function allowed(sql, caller) {
+    const result = authorizeQuery(sql, caller);
+    assert.equal(result.allowed, true, result.message);
+    return result.sql;
+}
+
+function denied(sql, caller) {
+    const result = authorizeQuery(sql, caller);
+    assert.equal(result.allowed, false, result.sql);
+    return result.message;
+}
+
+test('employees only read their own payroll', () => {
+    assert.match(allowed('SELECT * FROM PayrollData', employee), /`PayrollData`\.`user_id` IN \('E1'\)$/);
+});
+
+test('employees see themselves and their manager in the directory', () => {
+    assert.match(allowed('SELECT first_name FROM Users', employee), /`Users`\.`user_id` IN \('E1', 'M1'\)$/);
+});
+
+test('managers read their own and their reports\' rows', () => {
+    assert.match(allowed('SELECT * FROM PayrollData', manager), /`PayrollData`\.`user_id` IN \('M1', 'E1', 'E2'\)$/);
+});
+
+test('the user filter also applies inside subqueries', () => {
+    const sql = allowed("SELECT * FROM Users WHERE user_id IN (SELECT user_id FROM PayrollData WHERE base_salary > 0)", employee);
+    assert.equal((sql.match(/`user_id` IN \('E1'/g) || []).length, 2);
+});
+
+test('admins read the whole organization unchanged', () => {
+    assert.equal(allowed('SELECT * FROM PayrollData', admin), 'SELECT * FROM PayrollData');
+});
+
+test('employees update only their own self-service columns', () => {
+    assert.match(allowed("UPDATE Users SET location = 'Delhi'", employee), /WHERE `Users`\.`user_id` IN \('E1'\)$/);
+    assert.match(denied("UPDATE Users SET location = 'Delhi' WHERE user_id = 'E2'", employee), /your own records/);
+    assert.match(denied("UPDATE Users SET role = 'Admin' WHERE user_id = 'E1'", employee), /not permitted to change role/);
+    assert.match(denied("UPDATE PayrollData SET base_salary = 1 WHERE user_id = 'E1'", employee), /Only Admins/);
+});
+
+test('column names are matched without regard to case', () => {
+    assert.match(allowed("UPDATE Users SET Location = 'Delhi'", employee), /WHERE `Users`\.`user_id` IN \('E1'\)$/);
+    assert.match(denied("UPDATE Users SET ROLE = 'Admin' WHERE user_id = 'E1'", employee), /not permitted to change role/);
+    assert.match(denied("UPDATE Users SET location = 'Delhi' WHERE User_ID = 'E2'", employee), /your own records/);
+    assert.match(denied("UPDATE LeaveBalances SET Leaves_Taken = 0 WHERE user_id = 'E1'", employee), /Only Admins can approve/);
+    assert.match(denied("UPDATE LeaveBalances SET LEAVES_PENDING_APPROVAL = 0 WHERE user_id = 'E1'", admin), /worked out from the leave requests/);
+});
+
+test('only admins insert', () => {
+    assert.match(denied("INSERT INTO Users (user_id) VALUES ('Z1')", manager), /not permitted to run INSERT/);
+});
+
+test('salary revisions are never written directly', () => {
+    denied("UPDATE SalaryRevisions SET base_salary = 1 WHERE user_id = 'E1'", admin);
+});
+
+test('the user filter of an outer-joined table goes into its ON clause', () => {
+    const sql = allowed('SELECT u.first_name, p.base_salary FROM Users u LEFT JOIN PayrollData p ON p.user_id = u.user_id', employee);
+    assert.match(sql, /LEFT JOIN `PayrollData` AS `p` ON `p`\.`user_id` IN \('E1'\) AND \(/);
+    assert.match(sql, /WHERE `u`\.`user_id` IN \('E1', 'M1'\)$/);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dbPool, pickSalary, salaryChanged, describeRevision, loadSalariesAsOf, scheduleSalaryRevision } = require('../index.js').testing;
+
+const admin = { userId: 'A1', organizationId: 'ORG_A', role: 'Admin' };
+
+const PAYROLL = {
+    payroll_id: 5, organization_id: 'ORG_A', user_id: 'E1', base_salary: '20000.00', HRA: '8000.00',
+    conveyance_allowance: '1600.00', medical_allowance: '1250.00', pf_deduction: '1800.00', esi_deduction: '0.00',
+    professional_tax: '200.00', ctc: '32650.00'
+};
+
+const revision = (id, effectiveDate, baseSalary, previousValues = null) => ({
+    revision_id: id, user_id: 'E1', effective_date: effectiveDate, status: 'applied', ...PAYROLL,
+    base_salary: baseSalary, previous_base_salary: null, previous_ctc: null, previous_values: previousValues
+});
+
+// A connection for scheduling a revision for E1; inserts are recorded in inserts
+function revisionConnection({ latest = null, sameDay = null } = {}) {
+    const inserts = [];
+    const connection = {
+        inserts,
+        released: false,
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => { connection.released = true; },
+        query: async (sql, params) => {
+            if (/^INSERT INTO SalaryRevisions/.test(sql)) {
+                inserts.push(params[0]);
+                return [{ insertId: 31 }];
+            }
+            if (/FROM Users/.test(sql)) return [[{ user_id: 'E1', location: 'Bengaluru' }]];
+            if (/status = 'applied'/.test(sql)) return [latest ? [latest] : []];
+            if (/status = 'scheduled'/.test(sql)) return [sameDay ? [sameDay] : []];
+            if (/FROM PayrollData/.test(sql)) return [[PAYROLL]];
+            return [[]];
+        }
+    };
+    return connection;
+}
+
+test('salary fields are read as numbers and compared to the paisa', () => {
+    const salary = pickSalary({ ...PAYROLL, esi_deduction: null });
+    assert.equal(salary.base_salary, 20000);
+    assert.equal(salary.esi_deduction, null);
+    assert.equal(salary.payroll_id, undefined);
+
+    assert.equal(salaryChanged(PAYROLL, { ...PAYROLL, ctc: 32650.001 }), false);
+    assert.equal(salaryChanged(PAYROLL, { ...PAYROLL, medical_allowance: 1250.01 }), true);
+});
+
+test('a revision is described with its change in base salary and CTC', () => {
+    const described = describeRevision({ ...revision(9, '2025-04-01', '22000.50'), previous_base_salary: '20000.00', previous_ctc: '32650.00', ctc: '35000.00' });
+    assert.equal(described.base_salary, 22000.5);
+    assert.equal(described.base_salary_change, 2000.5);
+    assert.equal(described.change_percent, 10);
+    assert.equal(described.ctc_change, 2350);
+    assert.equal('previous_values' in described, false);
+
+    const first = describeRevision(revision(1, '2025-04-01', '20000.00'));
+    assert.deepEqual([first.base_salary_change, first.change_percent, first.ctc_change], [null, null, null]);
+});
+
+test('the salary on a date comes from the revision in effect, or what the next one replaced', async () => {
+    const revisions = [
+        revision(1, '2025-04-01', '20000.00', { ...PAYROLL, base_salary: '18000.00' }),
+        revision(2, '2026-04-01', '24000.00')
+    ];
+    const executor = { query: async () => [revisions] };
+
+    const salaries = await loadSalariesAsOf(executor, 'ORG_A', ['E1', 'E2'], '2025-06-30');
+    assert.deepEqual([...salaries.keys()], ['E1']);
+    assert.equal(salaries.get('E1').revision_id, 1);
+    assert.equal(salaries.get('E1').values.base_salary, 20000);
+
+    assert.equal((await loadSalariesAsOf(executor, 'ORG_A', ['E1'], '2026-04-01')).get('E1').values.base_salary, 24000);
+    const before = (await loadSalariesAsOf(executor, 'ORG_A', ['E1'], '2025-03-31')).get('E1');
+    assert.deepEqual([before.revision_id, before.values.base_salary], [null, 18000]);
+});
+
+test('a revision needs an employee, a date, a base salary and a reason', async () => {
+    const base = { user_id: 'E1', effective_date: '2099-04-01', base_salary: 25000, reason: 'Annual appraisal' };
+    const message = async input => (await scheduleSalaryRevision(admin, input)).body.message;
+
+    assert.match(await message({ ...base, user_id: ' ' }), /"user_id"/);
+    assert.match(await message({ ...base, effective_date: '01/04/2099' }), /"effective_date"/);
+    assert.match(await message({ ...base, base_salary: 0 }), /"base_salary"/);
+    assert.match(await message({ ...base, medical_allowance: -1 }), /"medical_allowance" must be an amount/);
+    assert.match(await message({ ...base, reason: 'x'.repeat(256) }), /"reason"/);
+    assert.match((await scheduleSalaryRevision(admin, { ...base, effective_date: '2020-01-01' }, { futureOnly: true })).body.message, /after today/);
+});
+
+test('a future revision is scheduled with the components the payroll rules give', async t => {
+    const connection = revisionConnection();
+    t.mock.method(dbPool, 'query', async () => [[]]);
+    t.mock.method(dbPool, 'getConnection', async () => connection);
+
+    const response = await scheduleSalaryRevision(admin, { user_id: 'E1', effective_date: '2099-04-01', base_salary: 25000, reason: 'Annual appraisal' });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.data.status, 'scheduled');
+    assert.match(response.body.message, /goes to INR 25,000.00 from INR 20,000.00 on 2099-04-01/);
+
+    const [inserted] = connection.inserts;
+    assert.equal(inserted.status, 'scheduled');
+    assert.equal(inserted.source, 'admin');
+    assert.deepEqual(
+        [inserted.base_salary, inserted.HRA, inserted.conveyance_allowance, inserted.pf_deduction, inserted.professional_tax, inserted.ctc],
+        [25000, 10000, 1600, 1800, 200, 39650]
+    );
+    assert.equal(connection.released, true);
+});
+
+test("a revision can't take effect before the latest applied one or clash with a scheduled one", async t => {
+    t.mock.method(dbPool, 'query', async () => [[]]);
+    const input = { user_id: 'E1', effective_date: '2099-04-01', base_salary: 25000, reason: 'Promotion' };
+
+    t.mock.method(dbPool, 'getConnection', async () => revisionConnection({ latest: { revision_id: 12, effective_date: '2099-05-01' } }));
+    const early = await scheduleSalaryRevision(admin, input);
+    assert.equal(early.statusCode, 409);
+    assert.match(early.body.message, /revision #12/);
+
+    t.mock.method(dbPool, 'getConnection', async () => revisionConnection({ sameDay: { revision_id: 14 } }));
+    const clash = await scheduleSalaryRevision(admin, input);
+    assert.equal(clash.statusCode, 409);
+    assert.match(clash.body.message, /Revision #14 is already scheduled/);
+});
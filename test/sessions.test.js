@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readSessionId, formatConversationHistory, summarizeQueryResult } = require('../index.js').testing;
+
+test('session IDs are optional and limited to 64 safe characters', () => {
+    assert.deepEqual(readSessionId(undefined), { sessionId: null });
+    assert.deepEqual(readSessionId(''), { sessionId: null });
+    assert.deepEqual(readSessionId('chat_2025-07-07'), { sessionId: 'chat_2025-07-07' });
+    for (const value of ['a'.repeat(65), 'chat 1', "x'; DROP TABLE", 42]) {
+        assert.ok(readSessionId(value).error, String(value));
+    }
+});
+
+test('earlier turns are given to the AI oldest first', () => {
+    assert.equal(formatConversationHistory([]), '');
+    assert.equal(formatConversationHistory([
+        { prompt: "What is Ananya's salary?", sql_text: "SELECT base_salary FROM PayrollData WHERE user_id = 'E1'", result_summary: '1 row(s): [{"base_salary":"40000.00"}]' },
+        { prompt: 'hello', sql_text: null, result_summary: null }
+    ]),
+    'Earlier in this conversation (oldest first):\n' +
+    `1. User's question: "What is Ananya's salary?"\n   SQL: SELECT base_salary FROM PayrollData WHERE user_id = 'E1'\n   Result: 1 row(s): [{"base_salary":"40000.00"}]\n` +
+    '2. User\'s question: "hello"\n   SQL: (none)\n   Result: (none)\n\n');
+});
+
+test('results are summarised in a line and cut to length', () => {
+    assert.equal(summarizeQueryResult([{ a: 1 }, { a: 2 }]), '2 row(s): [{"a":1},{"a":2}]');
+    assert.match(summarizeQueryResult(Array.from({ length: 9 }, (_, a) => ({ a }))), /^9 row\(s\): \[\{"a":0\},.*\{"a":4\}\]$/);
+    assert.equal(summarizeQueryResult({ affectedRows: 1, insertId: 12 }), '1 row(s) changed, new ID 12');
+    assert.equal(summarizeQueryResult({ affectedRows: 3, insertId: 0 }), '3 row(s) changed');
+    assert.equal(summarizeQueryResult('Preview awaiting confirmation'), 'Preview awaiting confirmation');
+
+    const long = summarizeQueryResult('x'.repeat(1500));
+    assert.equal(long.length, 1003);
+    assert.ok(long.endsWith('...'));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dbPool, getSystemPrompt } = require('../index.js').testing;
+
+const column = (table_name, column_name, column_type, extra = {}) => ({
+    table_name, column_name, column_type, is_nullable: 'YES', column_key: '', column_default: null, ...extra
+});
+
+// Answers the schema and reference value queries from an in-memory schema; DDL succeeds quietly
+function fakeDatabase({ columns, departments }) {
+    const queries = [];
+    const query = async sql => {
+        queries.push(sql);
+        if (/COUNT\(\*\) AS column_count/.test(sql)) return [[{ column_count: columns.length, checksum: columns.length * 7 }]];
+        if (/FROM INFORMATION_SCHEMA\.COLUMNS/.test(sql) && /SELECT 1/.test(sql)) return [[{ 1: 1 }]];
+        if (/FROM INFORMATION_SCHEMA\.COLUMNS/.test(sql)) return [columns];
+        if (/FROM INFORMATION_SCHEMA\.KEY_COLUMN_USAGE/.test(sql)) {
+            return [[{ table_name: 'users', column_name: 'manager_id', referenced_table: 'users', referenced_column: 'user_id' }]];
+        }
+        if (/FROM Organizations/.test(sql)) return [[{ org_name: 'Acme' }]];
+        if (/`department`/.test(sql)) return [departments.map(value => ({ value }))];
+        return [[]];
+    };
+    return { queries, query };
+}
+
+test('the prompt describes the allowed live columns and the organization\'s own values, and is cached', async t => {
+    const columns = [
+        column('Users', 'user_id', 'varchar(50)', { column_key: 'PRI', is_nullable: 'NO' }),
+        column('Users', 'password_hash', 'varchar(255)', { is_nullable: 'NO' }),
+        column('users', 'manager_id', 'varchar(50)'),
+        column('Users', 'department', 'varchar(100)', { column_default: 'General' }),
+        column('Users', 'internal_notes', 'text')
+    ];
+    const database = fakeDatabase({ columns, departments: Array.from({ length: 26 }, (_, index) => `Team ${String(index).padStart(2, '0')}`) });
+    t.mock.method(dbPool, 'query', database.query);
+
+    const prompt = await getSystemPrompt('ORG_A');
+    assert.match(prompt, /Table Users:\n- user_id varchar\(50\) PRIMARY KEY NOT NULL\n- manager_id varchar\(50\) -> Users\.user_id\n- department varchar\(100\) DEFAULT General\n/);
+    assert.doesNotMatch(prompt, /password_hash|internal_notes/);
+    assert.match(prompt, /Organizations\.organization_id: "ORG_A" \(Acme\)/);
+    assert.match(prompt, /Users\.department: "Team 00", .*"Team 24", \.\.\.\n/);
+    assert.doesNotMatch(prompt, /Team 25/);
+
+    // Within the TTLs nothing is read again, not even the schema version
+    const queriesBefore = database.queries.length;
+    assert.equal(await getSystemPrompt('ORG_A'), prompt);
+    assert.equal(database.queries.length, queriesBefore);
+
+    // Once the version is checked again, a schema change rebuilds the prompt
+    columns.push(column('Users', 'location', 'varchar(100)'));
+    assert.equal(await getSystemPrompt('ORG_A'), prompt);
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 61 * 1000);
+    assert.match(await getSystemPrompt('ORG_A'), /- location varchar\(100\)/);
+});
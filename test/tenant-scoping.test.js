@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { enforceOrganizationAccess } = require('../index.js').testing;
+
+// Every table reference in the scoped SQL must carry the caller's organization filter
+function scope(sql) {
+    const result = enforceOrganizationAccess(sql, 'ORG_A');
+    assert.equal(result.allowed, true, result.message);
+    return result.sql;
+}
+
+function countFilters(sql) {
+    return (sql.match(/`organization_id` = 'ORG_A'/g) || []).length;
+}
+
+test('adds the organization filter to a plain select', () => {
+    assert.equal(scope('SELECT * FROM Users'), "SELECT * FROM `Users` WHERE `Users`.`organization_id` = 'ORG_A'");
+});
+
+test('keeps the original condition inside the organization filter', () => {
+    const sql = scope("SELECT * FROM Users WHERE first_name = 'Amit' OR 1 = 1");
+    assert.match(sql, /WHERE `Users`\.`organization_id` = 'ORG_A' AND \(/);
+});
+
+test('scopes every table of a comma join and an explicit join', () => {
+    assert.equal(countFilters(scope('SELECT * FROM Users u, PayrollData p WHERE u.user_id = p.user_id')), 2);
+    assert.equal(countFilters(scope('SELECT * FROM Users u JOIN LeaveBalances lb ON lb.user_id = u.user_id')), 2);
+});
+
+test('scopes subqueries, EXISTS and derived tables', () => {
+    assert.equal(countFilters(scope('SELECT * FROM Users WHERE user_id IN (SELECT user_id FROM PayrollData)')), 2);
+    assert.equal(countFilters(scope('SELECT * FROM Users u WHERE EXISTS (SELECT 1 FROM LeaveRequests lr WHERE lr.user_id = u.user_id)')), 2);
+    assert.equal(countFilters(scope('SELECT * FROM (SELECT * FROM Users) AS x')), 1);
+});
+
+test('scopes updates and fills in the organization of inserts', () => {
+    assert.match(scope("UPDATE Users SET location = 'Delhi' WHERE user_id = 'E1'"), /WHERE `Users`\.`organization_id` = 'ORG_A' AND/);
+    assert.match(scope("INSERT INTO LeaveRequests (user_id, leave_type) VALUES ('E1', 'Sick Leave')"), /organization_id\) VALUES \('E1','Sick Leave','ORG_A'\)/);
+});
+
+test('refuses queries that name another organization', () => {
+    for (const sql of [
+        "SELECT * FROM Users WHERE organization_id = 'ORG_B'",
+        "SELECT * FROM Users WHERE user_id IN (SELECT user_id FROM PayrollData WHERE organization_id = 'ORG_B')"
+    ]) {
+        assert.equal(enforceOrganizationAccess(sql, 'ORG_A').allowed, false, sql);
+    }
+});
+
+test('refuses updates that set organization_id to anything but the caller\'s organization', () => {
+    for (const sql of [
+        "UPDATE Users SET organization_id = 'ORG_B' WHERE user_id = 'E1'",
+        "UPDATE Users SET organization_id = CONCAT('ORG', '_B') WHERE user_id = 'E1'",
+        "UPDATE PayrollData p SET p.organization_id = (SELECT 'ORG_B') WHERE p.user_id = 'E1'",
+        "UPDATE Users u JOIN PayrollData p ON p.user_id = u.user_id SET p.organization_id = u.manager_id WHERE u.user_id = 'E1'",
+        "UPDATE Users SET organization_id = 'org_a' WHERE user_id = 'E1'"
+    ]) {
+        assert.equal(enforceOrganizationAccess(sql, 'ORG_A').allowed, false, sql);
+    }
+    assert.match(scope("UPDATE Users SET organization_id = 'ORG_A' WHERE user_id = 'E1'"), /SET `organization_id` = 'ORG_A' WHERE/);
+});
+
+test('filters outer-joined tables in their ON clause so unmatched rows are kept', () => {
+    assert.equal(
+        scope('SELECT u.first_name, lr.status FROM Users u LEFT JOIN LeaveRequests lr ON lr.user_id = u.user_id'),
+        "SELECT `u`.`first_name`, `lr`.`status` FROM `Users` AS `u` LEFT JOIN `LeaveRequests` AS `lr` ON `lr`.`organization_id` = 'ORG_A' AND (`lr`.`user_id` = `u`.`user_id`) WHERE `u`.`organization_id` = 'ORG_A'"
+    );
+    assert.equal(
+        scope('SELECT u.first_name, lr.status FROM LeaveRequests lr RIGHT JOIN Users u ON lr.user_id = u.user_id'),
+        "SELECT `u`.`first_name`, `lr`.`status` FROM `LeaveRequests` AS `lr` RIGHT JOIN `Users` AS `u` ON `lr`.`organization_id` = 'ORG_A' AND (`lr`.`user_id` = `u`.`user_id`) WHERE `u`.`organization_id` = 'ORG_A'"
+    );
+    assert.equal(enforceOrganizationAccess('SELECT * FROM Users LEFT JOIN PayrollData USING (user_id)', 'ORG_A').allowed, false);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUndoRequest, prepareUndo, undoRequiresConfirmation } = require('../index.js').testing;
+
+const manager = { userId: 'M1', organizationId: 'ORG_A', role: 'Manager' };
+const admin = { userId: 'A1', organizationId: 'ORG_A', role: 'Admin' };
+
+const auditRecord = overrides => ({
+    audit_id: 42, user_id: 'A1', action: 'UPDATE', outcome: 'success', reverted_by: null,
+    table_name: 'PayrollData',
+    primary_keys: [{ payroll_id: 4, user_id: 'E1' }],
+    before_values: [{ base_salary: '40000.00' }],
+    after_values: [{ base_salary: '45000.00' }],
+    ...overrides
+});
+
+// A connection that answers the AuditLog lookup with records and the row lookups with current
+function fakeConnection(records, current) {
+    return {
+        execute: async () => [records],
+        query: async () => [current]
+    };
+}
+
+test('recognises undo prompts and the change they name', () => {
+    assert.deepEqual(parseUndoRequest('Undo my last change'), { auditId: null });
+    assert.deepEqual(parseUndoRequest('please undo that.'), { auditId: null });
+    assert.deepEqual(parseUndoRequest('revert change #42'), { auditId: 42 });
+    assert.equal(parseUndoRequest('undo the leave policy for interns'), null);
+    assert.equal(parseUndoRequest('Show my salary'), null);
+});
+
+test('an undo restores the before-values over the rows as they are now', async () => {
+    const undo = await prepareUndo(fakeConnection([auditRecord()], [{ base_salary: '45000.00' }]), admin, 42);
+    assert.deepEqual(undo.rows, [{
+        table: 'PayrollData',
+        key: { payroll_id: 4, user_id: 'E1' },
+        before: { base_salary: '45000.00' },
+        after: { base_salary: '40000.00' }
+    }]);
+});
+
+test('an undo is refused once the row has changed again or was already undone', async () => {
+    const changed = await prepareUndo(fakeConnection([auditRecord()], [{ base_salary: '50000.00' }]), admin, 42);
+    assert.equal(changed.statusCode, 409);
+    const undone = await prepareUndo(fakeConnection([auditRecord({ reverted_by: 57 })], []), admin, 42);
+    assert.equal(undone.statusCode, 409);
+});
+
+test('only admins undo other people\'s changes, and only columns their role may write', async () => {
+    assert.equal((await prepareUndo(fakeConnection([auditRecord()], []), manager, 42)).statusCode, 403);
+    assert.equal((await prepareUndo(fakeConnection([auditRecord({ user_id: 'M1' })], []), manager, 42)).statusCode, 403);
+});
+
+test('undoing a salary change or a leave decision needs confirmation', () => {
+    const undoOf = (table, after) => ({ rows: [{ table, after }] });
+    assert.equal(undoRequiresConfirmation(undoOf('PayrollData', { base_salary: '40000.00' })), true);
+    assert.equal(undoRequiresConfirmation(undoOf('LeaveRequests', { status: 'pending' })), true);
+    assert.equal(undoRequiresConfirmation(undoOf('LeaveRequests', { reason: 'Family event' })), false);
+    assert.equal(undoRequiresConfirmation(undoOf('Users', { location: 'Mumbai' })), false);
+    assert.equal(undoRequiresConfirmation({
+        rows: [{ table: 'Users', after: { location: 'Mumbai' } }, { table: 'PayrollData', after: { HRA: '900.00' } }]
+    }), true);
+});
+
+// The two AuditLog rows of one UPDATE that changed Users and PayrollData
+const multiTableWrite = [
+    auditRecord({
+        audit_id: 42, write_id: null, table_name: 'Users',
+        primary_keys: [{ user_id: 'E1' }], before_values: [{ location: 'Mumbai' }], after_values: [{ location: 'Delhi' }]
+    }),
+    auditRecord({
+        audit_id: 43, write_id: 42, table_name: 'PayrollData',
+        primary_keys: [{ payroll_id: 4 }], before_values: [{ HRA: '900.00' }], after_values: [{ HRA: '1000.00' }]
+    })
+];
+
+// A connection that answers the AuditLog lookups with records and each row lookup with the current row of its table
+function multiTableConnection(records, currentByTable) {
+    const statements = [];
+    return {
+        statements,
+        execute: async (sql, params) => {
+            statements.push({ sql, params });
+            return [records];
+        },
+        query: async (sql, params) => [currentByTable[params[1]]]
+    };
+}
+
+test('undoing one row of a multi-table write restores every table it changed', async () => {
+    const connection = multiTableConnection(multiTableWrite, {
+        Users: [{ location: 'Delhi' }], PayrollData: [{ HRA: '1000.00' }]
+    });
+    const undo = await prepareUndo(connection, admin, 43);
+
+    assert.equal(undo.record.audit_id, 42);
+    assert.deepEqual(undo.records.map(record => record.audit_id), [42, 43]);
+    assert.deepEqual(connection.statements[1].params, ['ORG_A', 42, 42]);
+    assert.deepEqual(undo.rows.map(row => [row.table, row.after]), [
+        ['Users', { location: 'Mumbai' }],
+        ['PayrollData', { HRA: '900.00' }]
+    ]);
+});
+
+test('a multi-table write is not undone when any of its rows changed again', async () => {
+    const changed = await prepareUndo(multiTableConnection(multiTableWrite, {
+        Users: [{ location: 'Delhi' }], PayrollData: [{ HRA: '1200.00' }]
+    }), admin, 42);
+    assert.equal(changed.statusCode, 409);
+    assert.match(changed.message, /PayrollData/);
+
+    const partlyUndone = multiTableWrite.map((record, index) => ({ ...record, reverted_by: index === 1 ? 57 : null }));
+    assert.equal((await prepareUndo(multiTableConnection(partlyUndone, {}), admin, 42)).statusCode, 409);
+});
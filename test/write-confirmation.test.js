@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requiresConfirmation, hashPreviewRows } = require('../index.js').testing;
+
+test('salary changes and leave decisions are previewed first', () => {
+    for (const sql of [
+        "UPDATE PayrollData pd SET pd.base_salary = 30000 WHERE pd.user_id = 'E1'",
+        "UPDATE Users u JOIN PayrollData p ON p.user_id = u.user_id SET p.HRA = 1000 WHERE u.department = 'Sales'",
+        "INSERT INTO PayrollData (user_id, base_salary) VALUES ('E1', 30000)",
+        "UPDATE LeaveRequests SET status = 'approved' WHERE request_id = 12",
+        "UPDATE LeaveRequests SET status = 'REJECTED' WHERE request_id = 12"
+    ]) {
+        assert.equal(requiresConfirmation(sql), true, sql);
+    }
+});
+
+test('other writes and reads run without a preview', () => {
+    for (const sql of [
+        "UPDATE Users SET location = 'Delhi' WHERE user_id = 'E1'",
+        "UPDATE LeaveRequests SET status = 'cancelled' WHERE request_id = 12",
+        "UPDATE Users u JOIN PayrollData p ON p.user_id = u.user_id SET u.location = 'Delhi'",
+        'SELECT base_salary FROM PayrollData',
+        'not sql at all'
+    ]) {
+        assert.equal(requiresConfirmation(sql), false, sql);
+    }
+});
+
+test('the preview fingerprint follows the current values, not the new ones', () => {
+    const row = (before, after) => ({ table: 'PayrollData', key: { payroll_id: 4 }, before, after });
+    const previewed = hashPreviewRows([row({ base_salary: '40000.00' }, { base_salary: 45000 })]);
+
+    assert.match(previewed, /^[0-9a-f]{64}$/);
+    assert.equal(hashPreviewRows([row({ base_salary: '40000.00' }, { base_salary: 46000 })]), previewed);
+    assert.notEqual(hashPreviewRows([row({ base_salary: '41000.00' }, { base_salary: 45000 })]), previewed);
+    assert.notEqual(hashPreviewRows([{ ...row({ base_salary: '40000.00' }), key: { payroll_id: 5 } }]), previewed);
+});